@@ -0,0 +1,252 @@
+/**
+ * Background Sync for Queued Writes
+ *
+ * Loaded into the generated service worker with importScripts. When the
+ * browser fires the sync event, sends the attendance and payments that
+ * offlineService queued while offline straight to the Appwrite REST API,
+ * then tells open windows what happened so usePWA can show it.
+ *
+ * This is a classic script and can't import the app's modules, so the
+ * replay rules below repeat replayWrite in src/services/offlineService.js:
+ * a create that already exists counts as sent, an update or delete of a
+ * document changed on the server is held as a conflict, and deleting a
+ * document that is already gone counts as sent. Keep the two in step.
+ */
+
+const SYNC_CONFIG = {
+  // Must match OFFLINE_CONFIG in src/services/offlineService.js
+  DB_NAME: 'sportclub-offline',
+  QUEUE_STORE: 'write_queue',
+  META_STORE: 'meta',
+  TAG: 'sportclub-write-queue',
+  LOCK: 'sportclub-sync',
+  MESSAGE: 'SYNC_RESULT',
+
+  // Gateway errors mean Appwrite couldn't be reached, like a failed fetch
+  RETRY_STATUSES: [502, 503, 504]
+}
+
+/**
+ * Wait for an IndexedDB request
+ * @param {IDBRequest} request - Request
+ * @returns {Promise<*>} The request's result
+ */
+const syncRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result)
+  request.onerror = () => reject(request.error)
+})
+
+/**
+ * Run one store operation in its own transaction
+ * @param {IDBDatabase} db - Offline database
+ * @param {string} storeName - Store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Called with the store, returns a request
+ * @returns {Promise<*>} The request's result
+ */
+const syncStore = (db, storeName, mode, operation) => (
+  syncRequest(operation(db.transaction(storeName, mode).objectStore(storeName)))
+)
+
+/**
+ * Open the offline database without creating or upgrading it
+ * @returns {Promise<IDBDatabase|null>} Database, or null before the app has made it
+ */
+const openSyncDatabase = async () => {
+  const db = await syncRequest(indexedDB.open(SYNC_CONFIG.DB_NAME))
+  const stores = db.objectStoreNames
+  if (!stores.contains(SYNC_CONFIG.QUEUE_STORE) || !stores.contains(SYNC_CONFIG.META_STORE)) {
+    db.close()
+    return null
+  }
+  return db
+}
+
+/**
+ * Call the Appwrite databases API
+ * @param {Object} settings - Connection settings saved by offlineService
+ * @param {string} method - HTTP method
+ * @param {string} path - Path below the endpoint
+ * @param {Object} [body] - JSON body
+ * @returns {Promise<Object|null>} Response body
+ * @throws {Error} With the HTTP status as code when Appwrite refuses
+ */
+const appwriteRequest = async (settings, method, path, body) => {
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-Appwrite-Project': settings.projectId
+  }
+  if (settings.fallbackCookies) headers['X-Fallback-Cookies'] = settings.fallbackCookies
+
+  const response = await fetch(`${settings.endpoint}${path}`, {
+    method,
+    headers,
+    credentials: 'include',
+    body: body ? JSON.stringify(body) : undefined
+  })
+  const result = response.status === 204 ? null : await response.json().catch(() => null)
+
+  if (!response.ok) {
+    const error = new Error(result?.message || `Appwrite returned ${response.status}`)
+    error.code = response.status
+    error.type = result?.type
+    throw error
+  }
+  return result
+}
+
+/**
+ * Update the offline copy of a collection, when it is mirrored
+ * @param {IDBDatabase} db - Offline database
+ * @param {string} collectionId - Collection ID
+ * @param {Object|null} document - Document to store
+ * @param {string} [removeId] - Document to drop
+ */
+const updateSyncMirror = async (db, collectionId, document, removeId) => {
+  if (!db.objectStoreNames.contains(collectionId)) return
+  try {
+    await syncStore(db, collectionId, 'readwrite', store => (
+      document ? store.put(document) : store.delete(removeId)
+    ))
+  } catch (error) {
+    console.warn('Failed to update the offline copy:', error)
+  }
+}
+
+/**
+ * Send one queued write
+ * @param {IDBDatabase} db - Offline database
+ * @param {Object} settings - Connection settings
+ * @param {Object} write - Queued write
+ * @returns {Promise<string>} 'synced' or 'conflict'
+ */
+const sendQueuedWrite = async (db, settings, write) => {
+  const { action, databaseId, collectionId, documentId, data, permissions, base } = write
+  const documentsPath = `/databases/${databaseId}/collections/${collectionId}/documents`
+  const documentPath = `${documentsPath}/${documentId}`
+
+  if (action === 'create') {
+    let document
+    try {
+      document = await appwriteRequest(settings, 'POST', documentsPath, {
+        documentId,
+        data,
+        permissions: permissions || undefined
+      })
+    } catch (error) {
+      // Created by an earlier replay whose response never arrived
+      if (error.code !== 409) throw error
+      document = await appwriteRequest(settings, 'GET', documentPath)
+    }
+    await updateSyncMirror(db, collectionId, document)
+    return 'synced'
+  }
+
+  if (base) {
+    let server = null
+    try {
+      server = await appwriteRequest(settings, 'GET', documentPath)
+    } catch (error) {
+      if (!(action === 'delete' && error.code === 404)) throw error
+    }
+    if (server && server.$updatedAt !== base) {
+      await syncStore(db, SYNC_CONFIG.QUEUE_STORE, 'readwrite', store => (
+        store.put({ ...write, status: 'conflict', server })
+      ))
+      return 'conflict'
+    }
+  }
+
+  if (action === 'update') {
+    const document = await appwriteRequest(settings, 'PATCH', documentPath, {
+      data,
+      permissions: permissions || undefined
+    })
+    await updateSyncMirror(db, collectionId, document)
+    return 'synced'
+  }
+
+  try {
+    await appwriteRequest(settings, 'DELETE', documentPath)
+  } catch (error) {
+    if (error.code !== 404) throw error
+  }
+  await updateSyncMirror(db, collectionId, null, documentId)
+  return 'synced'
+}
+
+/**
+ * Send the queued writes Background Sync covers, oldest first
+ * A write Appwrite refuses stays pending so the app can record why when it
+ * next replays.
+ * @returns {Promise<Object>} { synced, failed, conflicts, remaining }
+ * @throws {Error} When Appwrite can't be reached, so the browser tries again
+ */
+const replayQueuedWrites = async () => {
+  const summary = { synced: 0, failed: 0, conflicts: 0, remaining: 0 }
+  const db = await openSyncDatabase()
+  if (!db) return summary
+
+  try {
+    const settings = await syncStore(db, SYNC_CONFIG.META_STORE, 'readonly', store => store.get('connection'))
+    if (!settings) return summary
+
+    const pending = (await syncStore(db, SYNC_CONFIG.QUEUE_STORE, 'readonly', store => store.getAll()))
+      .filter(write => write.status === 'pending' && settings.collections.includes(write.collectionId))
+
+    for (const [index, write] of pending.entries()) {
+      try {
+        const outcome = await sendQueuedWrite(db, settings, write)
+        if (outcome === 'conflict') {
+          summary.conflicts++
+        } else {
+          await syncStore(db, SYNC_CONFIG.QUEUE_STORE, 'readwrite', store => store.delete(write.id))
+          summary.synced++
+        }
+      } catch (error) {
+        if (error instanceof TypeError || SYNC_CONFIG.RETRY_STATUSES.includes(error.code)) {
+          summary.remaining = pending.length - index
+          break
+        }
+        console.warn('Queued write was refused:', error)
+        summary.failed++
+      }
+    }
+  } finally {
+    db.close()
+  }
+
+  return summary
+}
+
+/**
+ * Tell every open window how the replay went
+ * @param {Object} summary - Replay summary
+ */
+const reportSyncResult = async (summary) => {
+  if (summary.synced + summary.failed + summary.conflicts === 0) return
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+  windows.forEach(client => client.postMessage({ type: SYNC_CONFIG.MESSAGE, summary }))
+}
+
+/**
+ * Replay under the lock the app uses, report, and ask for a retry if needed
+ * @returns {Promise<void>} Rejects when writes are left for a later sync
+ */
+const runBackgroundSync = async () => {
+  const summary = self.navigator.locks
+    ? await self.navigator.locks.request(SYNC_CONFIG.LOCK, replayQueuedWrites)
+    : await replayQueuedWrites()
+
+  await reportSyncResult(summary)
+
+  if (summary.remaining > 0) {
+    throw new Error('Appwrite could not be reached; queued writes are left for the next sync')
+  }
+}
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === SYNC_CONFIG.TAG) {
+    event.waitUntil(runBackgroundSync())
+  }
+})
@@ -21,6 +21,7 @@ import AppLayout from './components/Layout/AppLayout.jsx'
 import Dashboard from './pages/Dashboard.jsx'
 import Attendance from './pages/Attendance.jsx'
 import Payments from './pages/Payments.jsx'
+import Students from './pages/Students.jsx'
 import { useNavigation, NAVIGATION_TABS } from './hooks/useNavigation.js'
 
 /**
@@ -40,6 +41,8 @@ const MainAppContent = () => {
         return <Attendance />
       case NAVIGATION_TABS.PAYMENTS.id:
         return <Payments />
+      case NAVIGATION_TABS.STUDENTS.id:
+        return <Students />
       default:
         return <Dashboard />
     }
@@ -94,6 +97,15 @@ function App() {
               } 
             />
             
+            <Route 
+              path="/students" 
+              element={
+                <ProtectedRoute>
+                  <MainAppContent />
+                </ProtectedRoute>
+              } 
+            />
+            
             {/* Default Route - Redirect to Dashboard */}
             <Route 
               path="/" 
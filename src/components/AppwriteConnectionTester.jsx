@@ -14,6 +14,7 @@ import { login, logout, isAuthenticated } from '../services/authService.js'
 import * as dbService from '../services/databaseService.js'
 import Button from './Button.jsx'
 import Card from './Card.jsx'
+import { today as clubToday, addDays } from '../utils/dates.js'
 
 /**
  * Connection status indicator component
@@ -270,8 +271,8 @@ const AppwriteConnectionTester = () => {
       }
 
       // Test 3: Get scheduled classes
-      const today = new Date().toISOString().split('T')[0]
-      const nextWeek = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0]
+      const today = clubToday()
+      const nextWeek = addDays(today, 7)
       
       try {
         const classesResult = await dbService.getScheduledClasses(today, nextWeek)
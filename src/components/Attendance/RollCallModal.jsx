@@ -0,0 +1,326 @@
+/**
+ * Roll Call Modal Component
+ *
+ * Marks a whole scheduled class at once: pick the class, tap a status for
+ * each student on the roster, add optional notes and save the roll in one
+ * submit. Rows that fail to save keep their error and can be retried on
+ * their own.
+ *
+ * @component
+ * @version 1.0.0
+ */
+
+import { AlertCircle, CheckCircle, Clock, Users } from 'lucide-react'
+import Modal from '../Modal/Modal.jsx'
+import Button from '../Button.jsx'
+import { useRollCall } from '../../hooks/useRollCall.js'
+import { ATTENDANCE_STATUS } from '../../services/databaseService.js'
+
+/**
+ * Status buttons shown on each roster row
+ * @constant
+ */
+const STATUS_OPTIONS = [
+  { value: ATTENDANCE_STATUS.PRESENT, label: 'Present', activeClass: 'bg-green-600 text-white border-green-600' },
+  { value: ATTENDANCE_STATUS.ABSENT, label: 'Absent', activeClass: 'bg-red-600 text-white border-red-600' },
+  { value: ATTENDANCE_STATUS.LATE, label: 'Late', activeClass: 'bg-yellow-500 text-white border-yellow-500' },
+  { value: ATTENDANCE_STATUS.EXCUSED, label: 'Excused', activeClass: 'bg-gray-600 text-white border-gray-600' },
+  { value: ATTENDANCE_STATUS.INJURED, label: 'Injured', activeClass: 'bg-orange-500 text-white border-orange-500' }
+]
+
+/**
+ * Format a check-in timestamp for display
+ * @function formatCheckIn
+ * @param {string|null} timestamp - ISO timestamp
+ * @returns {string} Local time, or an empty string
+ */
+const formatCheckIn = (timestamp) => {
+  if (!timestamp) return ''
+  return new Date(timestamp).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })
+}
+
+/**
+ * Scheduled class selector
+ * @function ClassSelector
+ * @param {Object} props - Component props
+ * @param {Array} props.classes - Scheduled classes for the batch and date
+ * @param {string|null} props.value - Selected class ID
+ * @param {Function} props.onChange - Selection handler
+ * @returns {JSX.Element} Class selector
+ */
+const ClassSelector = ({ classes, value, onChange }) => {
+  if (classes.length === 0) {
+    return (
+      <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800 flex items-center space-x-2">
+        <AlertCircle size={16} />
+        <span>No class is scheduled for this batch on this date. Schedule one from the dashboard first.</span>
+      </div>
+    )
+  }
+
+  return (
+    <div>
+      <label htmlFor="roll-call-class" className="block text-sm font-medium text-gray-700 mb-2">
+        Class
+      </label>
+      <select
+        id="roll-call-class"
+        value={value || ''}
+        onChange={(e) => onChange(e.target.value)}
+        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+      >
+        {classes.map((classItem) => (
+          <option key={classItem.$id} value={classItem.$id}>
+            {classItem.batch_name} • {classItem.time || 'No time set'} • {classItem.status}
+          </option>
+        ))}
+      </select>
+    </div>
+  )
+}
+
+/**
+ * Single roll call row
+ * @function RollCallRow
+ * @param {Object} props - Component props
+ * @param {Object} props.student - Student document
+ * @param {string|undefined} props.status - Selected status
+ * @param {string} props.notes - Notes for this row
+ * @param {string|null} props.checkedInAt - Stored check-in timestamp
+ * @param {string|undefined} props.error - Save error for this row
+ * @param {boolean} props.disabled - Whether buttons are disabled
+ * @param {Function} props.onStatusChange - Status change handler
+ * @param {Function} props.onNotesChange - Notes change handler
+ * @returns {JSX.Element} Roll call row
+ */
+const RollCallRow = ({ student, status, notes, checkedInAt, error, disabled, onStatusChange, onNotesChange }) => (
+  <div className={`p-3 rounded-lg ${error ? 'bg-red-50 border border-red-200' : 'bg-gray-50'}`}>
+    <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+      <div className="min-w-0">
+        <p className="text-sm font-medium text-gray-900 truncate">
+          {student.name}
+        </p>
+        {checkedInAt && (
+          <p className="text-xs text-gray-500">Checked in {formatCheckIn(checkedInAt)}</p>
+        )}
+      </div>
+      <div className="flex flex-wrap gap-1" role="group" aria-label={`Attendance for ${student.name}`}>
+        {STATUS_OPTIONS.map((option) => (
+          <button
+            key={option.value}
+            type="button"
+            onClick={() => onStatusChange(student.$id, option.value)}
+            disabled={disabled}
+            aria-pressed={status === option.value}
+            className={`
+              px-3 py-1.5 text-xs font-medium rounded-lg border transition-colors disabled:opacity-50
+              ${status === option.value ? option.activeClass : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-100'}
+            `}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+    </div>
+    {status && (
+      <input
+        type="text"
+        value={notes}
+        onChange={(e) => onNotesChange(student.$id, e.target.value)}
+        disabled={disabled}
+        maxLength={500}
+        placeholder="Add a note (optional)"
+        aria-label={`Notes for ${student.name}`}
+        className="mt-2 w-full px-3 py-1.5 text-xs border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:opacity-50"
+      />
+    )}
+    {error && (
+      <p className="mt-2 text-xs text-red-600 flex items-center space-x-1">
+        <AlertCircle size={12} />
+        <span>{error}</span>
+      </p>
+    )}
+  </div>
+)
+
+/**
+ * Roll call modal
+ * @function RollCallModal
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Whether modal is open
+ * @param {Function} props.onClose - Close handler
+ * @param {string} props.batchName - Batch name to take roll call for
+ * @param {string} props.date - Class date (YYYY-MM-DD)
+ * @param {string|null} [props.instructorId=null] - Instructor marking attendance
+ * @param {Function} [props.onSaved] - Called after a successful save
+ * @returns {JSX.Element} Roll call modal
+ *
+ * @example
+ * <RollCallModal
+ *   isOpen={isRollCallOpen}
+ *   onClose={() => setIsRollCallOpen(false)}
+ *   batchName="Morning Batch"
+ *   date="2025-01-15"
+ *   instructorId={instructorId}
+ * />
+ */
+const RollCallModal = ({
+  isOpen,
+  onClose,
+  batchName,
+  date,
+  instructorId = null,
+  onSaved
+}) => {
+  const {
+    classes,
+    selectedClassId,
+    setSelectedClassId,
+    roster,
+    statuses,
+    notes,
+    checkIns,
+    rowErrors,
+    markedCount,
+    pendingCount,
+    failedCount,
+    isLoading,
+    isSaving,
+    error,
+    lastResult,
+    setStudentStatus,
+    setStudentNotes,
+    markRemaining,
+    submitRollCall
+  } = useRollCall(batchName, date, { enabled: isOpen, instructorId })
+
+  /**
+   * Save the roll and close when every row succeeded
+   * @function handleSave
+   */
+  const handleSave = async () => {
+    const result = await submitRollCall()
+    if (!result.success) return
+
+    if (onSaved) onSaved(result)
+    if (result.data.failed.length === 0) onClose()
+  }
+
+  const canSave = Boolean(selectedClassId) && pendingCount > 0 && !isSaving
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      size="lg"
+      position="center"
+      closeOnBackdrop={!isSaving}
+      closeOnEscape={!isSaving}
+    >
+      <Modal.Header
+        title="Take Attendance"
+        subtitle={`${batchName} • ${date}`}
+        onClose={onClose}
+        showCloseButton={!isSaving}
+      />
+
+      <Modal.Body scrollable={true}>
+        {isLoading ? (
+          <div className="flex items-center justify-center py-12 text-sm text-gray-500 space-x-2">
+            <div className="animate-spin w-4 h-4 border-2 border-blue-500 border-t-transparent rounded-full"></div>
+            <span>Loading roster...</span>
+          </div>
+        ) : (
+          <div className="space-y-5">
+            <ClassSelector
+              classes={classes}
+              value={selectedClassId}
+              onChange={setSelectedClassId}
+            />
+
+            {roster.length === 0 ? (
+              <div className="text-center py-8 text-gray-500">
+                <Users size={40} className="mx-auto mb-3 text-gray-300" />
+                <p>No active students in {batchName}</p>
+              </div>
+            ) : (
+              <div>
+                <div className="flex items-center justify-between mb-3">
+                  <p className="text-sm text-gray-600">
+                    {markedCount} of {roster.length} marked
+                  </p>
+                  <Button
+                    type="button"
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => markRemaining(ATTENDANCE_STATUS.PRESENT)}
+                    disabled={isSaving || markedCount === roster.length}
+                  >
+                    <CheckCircle size={14} className="mr-1" />
+                    Mark rest present
+                  </Button>
+                </div>
+
+                <div className="space-y-2">
+                  {roster.map((student) => (
+                    <RollCallRow
+                      key={student.$id}
+                      student={student}
+                      status={statuses[student.$id]}
+                      notes={notes[student.$id] || ''}
+                      checkedInAt={checkIns[student.$id] || null}
+                      error={rowErrors[student.$id]}
+                      disabled={isSaving}
+                      onStatusChange={setStudentStatus}
+                      onNotesChange={setStudentNotes}
+                    />
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {/* Partial save summary */}
+            {lastResult?.success && failedCount > 0 && (
+              <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800 flex items-center space-x-2">
+                <Clock size={16} />
+                <span>{lastResult.message}. Fix or retry the highlighted rows.</span>
+              </div>
+            )}
+
+            {error && (
+              <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800">
+                {error.message}
+              </div>
+            )}
+          </div>
+        )}
+      </Modal.Body>
+
+      <Modal.Footer align="between">
+        <Button
+          type="button"
+          variant="outline"
+          onClick={onClose}
+          disabled={isSaving}
+        >
+          Cancel
+        </Button>
+        <Button
+          type="button"
+          variant="primary"
+          onClick={handleSave}
+          loading={isSaving}
+          disabled={!canSave}
+        >
+          {isSaving
+            ? 'Saving...'
+            : failedCount > 0 && failedCount === pendingCount
+              ? `Retry ${failedCount} Failed`
+              : `Save Attendance${pendingCount > 0 ? ` (${pendingCount})` : ''}`}
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  )
+}
+
+export default RollCallModal
@@ -0,0 +1,528 @@
+/**
+ * Batches Modal Component
+ *
+ * Lists the club's batches and creates, edits, archives and restores them.
+ * Each batch has a time window, meeting days, capacity, color, venue and
+ * assigned instructors.
+ *
+ * @component
+ * @version 1.0.0
+ */
+
+import { useState, useEffect, useCallback } from 'react'
+import { useForm, Controller } from 'react-hook-form'
+import { AlertCircle, Archive, Clock, MapPin, Pencil, Plus, RotateCcw, Users } from 'lucide-react'
+import Modal from '../Modal/Modal.jsx'
+import Button from '../Button.jsx'
+import { useBatches, useInstructors } from '../../hooks/useBatches.js'
+import { BATCH_CONFIG, BatchUtils } from '../../services/batchService.js'
+import { DAYS_OF_WEEK } from '../../utils/calendar.js'
+
+/**
+ * Empty form values for a new batch
+ * @constant
+ */
+const EMPTY_BATCH = {
+  name: '',
+  start_time: '',
+  end_time: '',
+  days_of_week: [1, 2, 3, 4, 5],
+  capacity: String(BATCH_CONFIG.DEFAULT_CAPACITY),
+  color: BATCH_CONFIG.DEFAULT_COLOR,
+  venue: '',
+  instructor_ids: []
+}
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:bg-gray-100 disabled:text-gray-500'
+
+/**
+ * Labelled form control with an error message
+ * @function FieldLabel
+ * @param {Object} props - Component props
+ * @param {string} props.label - Field label
+ * @param {string} [props.error] - Error message
+ * @param {string} [props.hint] - Help text shown when there is no error
+ * @param {JSX.Element} props.children - Form control
+ * @returns {JSX.Element} Labelled field
+ */
+const FieldLabel = ({ label, error, hint, children }) => (
+  <label className="block space-y-1">
+    <span className="block text-xs font-medium text-gray-600">{label}</span>
+    {children}
+    {error ? (
+      <span className="flex items-center space-x-1 text-xs text-red-600">
+        <AlertCircle size={12} />
+        <span>{error}</span>
+      </span>
+    ) : hint && (
+      <span className="block text-xs text-gray-500">{hint}</span>
+    )}
+  </label>
+)
+
+/**
+ * Day of week toggles
+ * @function DayPicker
+ * @param {Object} props - Component props
+ * @param {Object} props.field - React Hook Form field object
+ * @returns {JSX.Element} Day picker
+ */
+const DayPicker = ({ field }) => {
+  const { value = [], onChange } = field
+
+  return (
+    <div className="grid grid-cols-7 gap-1">
+      {DAYS_OF_WEEK.map((label, day) => (
+        <button
+          key={label}
+          type="button"
+          onClick={() => onChange(value.includes(day) ? value.filter(d => d !== day) : [...value, day])}
+          aria-pressed={value.includes(day)}
+          className={`py-2 rounded-lg text-xs font-medium border transition-colors ${
+            value.includes(day)
+              ? 'bg-blue-500 text-white border-blue-500'
+              : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+          }`}
+        >
+          {label}
+        </button>
+      ))}
+    </div>
+  )
+}
+
+/**
+ * Color swatches
+ * @function ColorPicker
+ * @param {Object} props - Component props
+ * @param {Object} props.field - React Hook Form field object
+ * @returns {JSX.Element} Color picker
+ */
+const ColorPicker = ({ field }) => (
+  <div className="flex flex-wrap gap-2">
+    {Object.entries(BATCH_CONFIG.COLORS).map(([color, classes]) => (
+      <button
+        key={color}
+        type="button"
+        onClick={() => field.onChange(color)}
+        aria-label={classes.label}
+        aria-pressed={field.value === color}
+        className={`w-8 h-8 rounded-full ${classes.dot} ${
+          field.value === color ? 'ring-2 ring-offset-2 ring-gray-900' : ''
+        }`}
+      />
+    ))}
+  </div>
+)
+
+/**
+ * Create and edit form for one batch
+ * @function BatchForm
+ * @param {Object} props - Component props
+ * @param {Object|null} props.batch - Batch being edited (null to create)
+ * @param {Array} props.instructors - Instructors who can be assigned
+ * @param {boolean} props.isSaving - Whether a save is in progress
+ * @param {Function} props.onSave - Save handler, returns a response object
+ * @param {Function} props.onCancel - Back to the list
+ * @returns {JSX.Element} Batch form
+ */
+const BatchForm = ({ batch, instructors, isSaving, onSave, onCancel }) => {
+  const isEditing = Boolean(batch)
+
+  const {
+    control,
+    handleSubmit,
+    setError,
+    formState: { errors }
+  } = useForm({
+    defaultValues: batch
+      ? {
+          name: batch.name,
+          start_time: batch.start_time || '',
+          end_time: batch.end_time || '',
+          days_of_week: batch.days_of_week || [],
+          capacity: String(batch.capacity ?? BATCH_CONFIG.DEFAULT_CAPACITY),
+          color: batch.color || BATCH_CONFIG.DEFAULT_COLOR,
+          venue: batch.venue || '',
+          instructor_ids: batch.instructor_ids || []
+        }
+      : EMPTY_BATCH
+  })
+
+  /**
+   * Save and map service field errors onto the form
+   * @function handleFormSubmit
+   * @param {Object} data - Form data
+   */
+  const handleFormSubmit = useCallback(async (data) => {
+    const result = await onSave({
+      ...data,
+      $id: batch?.$id,
+      capacity: Number(data.capacity)
+    })
+
+    if (result.success) {
+      onCancel()
+      return
+    }
+
+    const fieldErrors = result.context?.fieldErrors || {}
+    Object.entries(fieldErrors).forEach(([field, message]) => {
+      if (message) setError(field, { type: 'server', message })
+    })
+
+    if (Object.keys(fieldErrors).length === 0) {
+      setError('root.server', { type: 'server', message: result.message || 'Failed to save batch' })
+    }
+  }, [batch, onSave, onCancel, setError])
+
+  return (
+    <form id="batch-form" onSubmit={handleSubmit(handleFormSubmit)} className="space-y-4">
+      <Controller
+        name="name"
+        control={control}
+        rules={{ required: 'Batch name is required' }}
+        render={({ field }) => (
+          <FieldLabel
+            label="Name"
+            error={errors.name?.message}
+            hint={isEditing ? 'Names are stored on students, classes and fee plans, so they cannot be changed' : undefined}
+          >
+            <input
+              {...field}
+              type="text"
+              maxLength={BATCH_CONFIG.VALIDATION.MAX_NAME_LENGTH}
+              disabled={isEditing}
+              placeholder="e.g. Morning Batch"
+              className={inputClassName}
+            />
+          </FieldLabel>
+        )}
+      />
+
+      <div className="grid grid-cols-2 gap-3">
+        <Controller
+          name="start_time"
+          control={control}
+          rules={{ required: 'Start time is required' }}
+          render={({ field }) => (
+            <FieldLabel label="Starts" error={errors.start_time?.message}>
+              <input {...field} type="time" className={inputClassName} />
+            </FieldLabel>
+          )}
+        />
+        <Controller
+          name="end_time"
+          control={control}
+          rules={{ required: 'End time is required' }}
+          render={({ field }) => (
+            <FieldLabel label="Ends" error={errors.end_time?.message}>
+              <input {...field} type="time" className={inputClassName} />
+            </FieldLabel>
+          )}
+        />
+      </div>
+
+      <Controller
+        name="days_of_week"
+        control={control}
+        rules={{ validate: (value) => value.length > 0 || 'Select at least one day' }}
+        render={({ field }) => (
+          <div className="space-y-1">
+            <span className="block text-xs font-medium text-gray-600">Meets on</span>
+            <DayPicker field={field} />
+            {errors.days_of_week && (
+              <p className="text-xs text-red-600">{errors.days_of_week.message}</p>
+            )}
+          </div>
+        )}
+      />
+
+      <div className="grid grid-cols-2 gap-3">
+        <Controller
+          name="capacity"
+          control={control}
+          rules={{ required: 'Capacity is required' }}
+          render={({ field }) => (
+            <FieldLabel label="Capacity (students)" error={errors.capacity?.message}>
+              <input
+                {...field}
+                type="number"
+                min="1"
+                max={BATCH_CONFIG.VALIDATION.MAX_CAPACITY}
+                step="1"
+                inputMode="numeric"
+                className={inputClassName}
+              />
+            </FieldLabel>
+          )}
+        />
+        <Controller
+          name="venue"
+          control={control}
+          render={({ field }) => (
+            <FieldLabel label="Venue (optional)" error={errors.venue?.message}>
+              <input
+                {...field}
+                type="text"
+                maxLength={BATCH_CONFIG.VALIDATION.MAX_VENUE_LENGTH}
+                placeholder="e.g. Court 2"
+                className={inputClassName}
+              />
+            </FieldLabel>
+          )}
+        />
+      </div>
+
+      <Controller
+        name="color"
+        control={control}
+        render={({ field }) => (
+          <div className="space-y-1">
+            <span className="block text-xs font-medium text-gray-600">Color</span>
+            <ColorPicker field={field} />
+          </div>
+        )}
+      />
+
+      <Controller
+        name="instructor_ids"
+        control={control}
+        render={({ field }) => (
+          <div className="space-y-1">
+            <span className="block text-xs font-medium text-gray-600">Instructors</span>
+            {instructors.length === 0 ? (
+              <p className="text-sm text-gray-500">No instructors found</p>
+            ) : (
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                {instructors.map((instructor) => (
+                  <label
+                    key={instructor.$id}
+                    className="flex items-center space-x-2 p-2 border border-gray-200 rounded-lg text-sm cursor-pointer hover:bg-gray-50"
+                  >
+                    <input
+                      type="checkbox"
+                      checked={field.value.includes(instructor.$id)}
+                      onChange={() => field.onChange(
+                        field.value.includes(instructor.$id)
+                          ? field.value.filter(id => id !== instructor.$id)
+                          : [...field.value, instructor.$id]
+                      )}
+                      className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                    />
+                    <span className="text-gray-900">{instructor.name}</span>
+                  </label>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+      />
+
+      {errors.root?.server && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800">
+          {errors.root.server.message}
+        </div>
+      )}
+
+      <div className="flex justify-end space-x-2">
+        <Button type="button" variant="outline" onClick={onCancel} disabled={isSaving}>
+          Back
+        </Button>
+        <Button type="submit" variant="primary" loading={isSaving} disabled={isSaving}>
+          {isEditing ? 'Save Batch' : 'Create Batch'}
+        </Button>
+      </div>
+    </form>
+  )
+}
+
+/**
+ * One batch in the list
+ * @function BatchRow
+ * @param {Object} props - Component props
+ * @param {Object} props.batch - Batch document
+ * @param {Object} props.instructorsById - Instructor documents keyed by ID
+ * @param {boolean} props.disabled - Whether actions are disabled
+ * @param {Function} props.onEdit - Edit handler
+ * @param {Function} props.onToggleActive - Archive or restore handler
+ * @returns {JSX.Element} Batch row
+ */
+const BatchRow = ({ batch, instructorsById, disabled, onEdit, onToggleActive }) => {
+  const isActive = batch.active !== false
+  const instructorNames = (batch.instructor_ids || [])
+    .map(id => instructorsById[id]?.name)
+    .filter(Boolean)
+
+  return (
+    <div className={`p-4 border border-gray-200 rounded-lg ${isActive ? '' : 'bg-gray-50 opacity-75'}`}>
+      <div className="flex items-start justify-between">
+        <div className="min-w-0 space-y-1">
+          <div className="flex items-center space-x-2">
+            <div className={`w-3 h-3 rounded-full ${BatchUtils.getColorClasses(batch.color).dot}`} />
+            <span className="font-medium text-gray-900">{batch.name}</span>
+            {!isActive && <span className="text-xs text-gray-500">Archived</span>}
+          </div>
+          <div className="flex flex-wrap items-center gap-x-4 gap-y-1 text-sm text-gray-600">
+            <span className="flex items-center space-x-1">
+              <Clock size={12} />
+              <span>{BatchUtils.formatTimeWindow(batch)} • {BatchUtils.formatDays(batch.days_of_week)}</span>
+            </span>
+            <span className="flex items-center space-x-1">
+              <Users size={12} />
+              <span>Max {batch.capacity}</span>
+            </span>
+            {batch.venue && (
+              <span className="flex items-center space-x-1">
+                <MapPin size={12} />
+                <span>{batch.venue}</span>
+              </span>
+            )}
+          </div>
+          <p className="text-xs text-gray-500">
+            {instructorNames.length > 0 ? instructorNames.join(', ') : 'No instructors assigned'}
+          </p>
+        </div>
+        <div className="flex items-center space-x-1">
+          <button
+            type="button"
+            onClick={onEdit}
+            disabled={disabled}
+            className="p-2 text-gray-600 hover:text-blue-600 hover:bg-blue-50 rounded-lg disabled:opacity-50"
+            aria-label={`Edit ${batch.name}`}
+          >
+            <Pencil size={16} />
+          </button>
+          <button
+            type="button"
+            onClick={onToggleActive}
+            disabled={disabled}
+            className="p-2 text-gray-600 hover:text-blue-600 hover:bg-blue-50 rounded-lg disabled:opacity-50"
+            aria-label={`${isActive ? 'Archive' : 'Restore'} ${batch.name}`}
+          >
+            {isActive ? <Archive size={16} /> : <RotateCcw size={16} />}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+/**
+ * Batch management modal
+ * @function BatchesModal
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Whether modal is open
+ * @param {Function} props.onClose - Close handler
+ * @param {string|null} [props.instructorId=null] - Instructor making changes
+ * @returns {JSX.Element} Batches modal
+ *
+ * @example
+ * <BatchesModal isOpen={isBatchesOpen} onClose={() => setIsBatchesOpen(false)} instructorId={instructorId} />
+ */
+const BatchesModal = ({ isOpen, onClose, instructorId = null }) => {
+  const [editing, setEditing] = useState(null) // null = list, {} = new batch, batch = edit
+  const [showArchived, setShowArchived] = useState(false)
+
+  const { batches, isLoading, isSaving, error, saveBatch, setActive, addDefaultBatches } = useBatches({
+    enabled: isOpen,
+    includeArchived: true,
+    enableRealtime: true,
+    instructorId
+  })
+  const { instructors } = useInstructors({ enabled: isOpen })
+
+  // Start at the list whenever the modal opens
+  useEffect(() => {
+    if (isOpen) {
+      setEditing(null)
+    }
+  }, [isOpen])
+
+  const instructorsById = Object.fromEntries(instructors.map(instructor => [instructor.$id, instructor]))
+  const archivedCount = batches.filter(batch => batch.active === false).length
+  const shownBatches = showArchived ? batches : batches.filter(batch => batch.active !== false)
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      size="2xl"
+      position="center"
+      closeOnBackdrop={!isSaving}
+      closeOnEscape={!isSaving}
+    >
+      <Modal.Header
+        title={editing ? (editing.$id ? `Edit ${editing.name}` : 'New Batch') : 'Batches'}
+        subtitle={editing ? 'Time window, days, capacity and instructors' : 'Used by scheduling, attendance, students and fees'}
+        onClose={onClose}
+        showCloseButton={!isSaving}
+      />
+
+      <Modal.Body scrollable={true}>
+        {editing ? (
+          <BatchForm
+            key={editing.$id || 'new'}
+            batch={editing.$id ? editing : null}
+            instructors={instructors}
+            isSaving={isSaving}
+            onSave={saveBatch}
+            onCancel={() => setEditing(null)}
+          />
+        ) : (
+          <div className={`space-y-3 ${isLoading ? 'opacity-60' : ''}`}>
+            {batches.length === 0 && !isLoading && (
+              <div className="py-6 text-center space-y-3">
+                <p className="text-sm text-gray-500">No batches yet</p>
+                <Button type="button" variant="outline" size="sm" onClick={addDefaultBatches} disabled={isSaving}>
+                  Add Morning, Evening and Weekend batches
+                </Button>
+              </div>
+            )}
+
+            {shownBatches.map((batch) => (
+              <BatchRow
+                key={batch.$id}
+                batch={batch}
+                instructorsById={instructorsById}
+                disabled={isSaving}
+                onEdit={() => setEditing(batch)}
+                onToggleActive={() => setActive(batch.$id, batch.active === false)}
+              />
+            ))}
+
+            {archivedCount > 0 && (
+              <button
+                type="button"
+                onClick={() => setShowArchived(!showArchived)}
+                className="text-sm text-blue-600 hover:text-blue-800"
+              >
+                {showArchived ? 'Hide archived batches' : `Show ${archivedCount} archived`}
+              </button>
+            )}
+
+            {error && !error.context?.fieldErrors && (
+              <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800">
+                {error.message}
+              </div>
+            )}
+          </div>
+        )}
+      </Modal.Body>
+
+      {!editing && (
+        <Modal.Footer align="between">
+          <Button type="button" variant="outline" onClick={onClose} disabled={isSaving}>
+            Done
+          </Button>
+          <Button type="button" variant="primary" onClick={() => setEditing({})} disabled={isSaving}>
+            <Plus size={16} className="mr-2" />
+            New Batch
+          </Button>
+        </Modal.Footer>
+      )}
+    </Modal>
+  )
+}
+
+export default BatchesModal
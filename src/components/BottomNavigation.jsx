@@ -9,7 +9,7 @@
  */
 
 import { useCallback } from 'react'
-import { LayoutDashboard, Users, CreditCard } from 'lucide-react'
+import { LayoutDashboard, Users, CreditCard, GraduationCap } from 'lucide-react'
 import { useNavigation, NAVIGATION_TABS } from '../hooks/useNavigation.js'
 
 /**
@@ -19,7 +19,8 @@ import { useNavigation, NAVIGATION_TABS } from '../hooks/useNavigation.js'
 const TAB_ICONS = {
   [NAVIGATION_TABS.DASHBOARD.id]: LayoutDashboard,
   [NAVIGATION_TABS.ATTENDANCE.id]: Users,
-  [NAVIGATION_TABS.PAYMENTS.id]: CreditCard
+  [NAVIGATION_TABS.PAYMENTS.id]: CreditCard,
+  [NAVIGATION_TABS.STUDENTS.id]: GraduationCap
 }
 
 /**
@@ -47,6 +48,13 @@ const TAB_CONFIG = {
     inactiveColor: 'text-gray-400',
     activeBg: 'bg-purple-50',
     label: 'Payments'
+  },
+  [NAVIGATION_TABS.STUDENTS.id]: {
+    icon: GraduationCap,
+    activeColor: 'text-orange-600',
+    inactiveColor: 'text-gray-400',
+    activeBg: 'bg-orange-50',
+    label: 'Students'
   }
 }
 
@@ -0,0 +1,391 @@
+/**
+ * Closures Modal Component
+ *
+ * Lists public holidays and venue closures, adds one-off or yearly
+ * closures, and imports holiday lists from iCal (.ics) files. Classes are
+ * never scheduled on a closed day.
+ *
+ * @component
+ * @version 1.0.0
+ */
+
+import { useState, useEffect, useCallback, useRef } from 'react'
+import { useForm, Controller } from 'react-hook-form'
+import { AlertCircle, CalendarOff, Plus, Repeat, Trash2, Upload } from 'lucide-react'
+import Modal from '../Modal/Modal.jsx'
+import Button from '../Button.jsx'
+import { useClosures } from '../../hooks/useClosures.js'
+import { CLOSURE_CONFIG } from '../../services/closureService.js'
+import { today } from '../../utils/dates.js'
+
+/**
+ * Empty form values for a new closure
+ * @constant
+ */
+const EMPTY_CLOSURE = {
+  name: '',
+  start_date: '',
+  end_date: '',
+  repeatYearly: false,
+  notes: ''
+}
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent'
+
+/**
+ * Format a YYYY-MM-DD date for the list
+ * @function formatClosureDate
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {boolean} [withYear=true] - Include the year
+ * @returns {string} e.g. "25 Dec 2025"
+ */
+const formatClosureDate = (date, withYear = true) => new Date(`${date}T00:00:00.000Z`).toLocaleDateString('en-GB', {
+  day: 'numeric',
+  month: 'short',
+  year: withYear ? 'numeric' : undefined,
+  timeZone: 'UTC'
+})
+
+/**
+ * Labelled form control with an error message
+ * @function FieldLabel
+ * @param {Object} props - Component props
+ * @param {string} props.label - Field label
+ * @param {string} [props.error] - Error message
+ * @param {JSX.Element} props.children - Form control
+ * @returns {JSX.Element} Labelled field
+ */
+const FieldLabel = ({ label, error, children }) => (
+  <label className="block space-y-1">
+    <span className="block text-xs font-medium text-gray-600">{label}</span>
+    {children}
+    {error && (
+      <span className="flex items-center space-x-1 text-xs text-red-600">
+        <AlertCircle size={12} />
+        <span>{error}</span>
+      </span>
+    )}
+  </label>
+)
+
+/**
+ * Form for a new closure
+ * @function ClosureForm
+ * @param {Object} props - Component props
+ * @param {boolean} props.isSaving - Whether a save is in progress
+ * @param {Function} props.onSave - Save handler, returns a response object
+ * @param {Function} props.onCancel - Back to the list
+ * @returns {JSX.Element} Closure form
+ */
+const ClosureForm = ({ isSaving, onSave, onCancel }) => {
+  const {
+    control,
+    handleSubmit,
+    setError,
+    watch,
+    formState: { errors }
+  } = useForm({ defaultValues: EMPTY_CLOSURE })
+
+  const startDate = watch('start_date')
+
+  /**
+   * Save and map service field errors onto the form
+   * @function handleFormSubmit
+   * @param {Object} data - Form data
+   */
+  const handleFormSubmit = useCallback(async (data) => {
+    const result = await onSave({
+      name: data.name,
+      start_date: data.start_date,
+      end_date: data.end_date || data.start_date,
+      repeat: data.repeatYearly ? CLOSURE_CONFIG.REPEAT.YEARLY : CLOSURE_CONFIG.REPEAT.NONE,
+      notes: data.notes
+    })
+
+    if (result.success) {
+      onCancel()
+      return
+    }
+
+    const fieldErrors = result.context?.fieldErrors || {}
+    Object.entries(fieldErrors).forEach(([field, message]) => {
+      if (message) setError(field, { type: 'server', message })
+    })
+
+    if (Object.keys(fieldErrors).length === 0) {
+      setError('root.server', { type: 'server', message: result.message || 'Failed to save closure' })
+    }
+  }, [onSave, onCancel, setError])
+
+  return (
+    <form id="closure-form" onSubmit={handleSubmit(handleFormSubmit)} className="space-y-4">
+      <Controller
+        name="name"
+        control={control}
+        rules={{ required: 'Name is required' }}
+        render={({ field }) => (
+          <FieldLabel label="Name" error={errors.name?.message}>
+            <input
+              {...field}
+              type="text"
+              maxLength={CLOSURE_CONFIG.VALIDATION.MAX_NAME_LENGTH}
+              placeholder="e.g. Diwali or Court resurfacing"
+              className={inputClassName}
+            />
+          </FieldLabel>
+        )}
+      />
+
+      <div className="grid grid-cols-2 gap-3">
+        <Controller
+          name="start_date"
+          control={control}
+          rules={{ required: 'Start date is required' }}
+          render={({ field }) => (
+            <FieldLabel label="First closed day" error={errors.start_date?.message}>
+              <input {...field} type="date" className={inputClassName} />
+            </FieldLabel>
+          )}
+        />
+        <Controller
+          name="end_date"
+          control={control}
+          rules={{
+            validate: (value) => !value || !startDate || value >= startDate || 'End date must be on or after the start date'
+          }}
+          render={({ field }) => (
+            <FieldLabel label="Last closed day (optional)" error={errors.end_date?.message}>
+              <input {...field} type="date" min={startDate || undefined} className={inputClassName} />
+            </FieldLabel>
+          )}
+        />
+      </div>
+
+      <Controller
+        name="repeatYearly"
+        control={control}
+        render={({ field }) => (
+          <label className="flex items-center space-x-2 text-sm text-gray-700 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={field.value}
+              onChange={(e) => field.onChange(e.target.checked)}
+              className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+            />
+            <span>Closed on this date every year</span>
+          </label>
+        )}
+      />
+
+      <Controller
+        name="notes"
+        control={control}
+        render={({ field }) => (
+          <FieldLabel label="Notes (optional)" error={errors.notes?.message}>
+            <input {...field} type="text" className={inputClassName} />
+          </FieldLabel>
+        )}
+      />
+
+      {errors.root?.server && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800">
+          {errors.root.server.message}
+        </div>
+      )}
+
+      <div className="flex justify-end space-x-2">
+        <Button type="button" variant="outline" onClick={onCancel} disabled={isSaving}>
+          Back
+        </Button>
+        <Button type="submit" variant="primary" loading={isSaving} disabled={isSaving}>
+          Add Closure
+        </Button>
+      </div>
+    </form>
+  )
+}
+
+/**
+ * One closure in the list
+ * @function ClosureRow
+ * @param {Object} props - Component props
+ * @param {Object} props.closure - Closure document
+ * @param {boolean} props.disabled - Whether actions are disabled
+ * @param {Function} props.onDelete - Delete handler
+ * @returns {JSX.Element} Closure row
+ */
+const ClosureRow = ({ closure, disabled, onDelete }) => {
+  const isYearly = closure.repeat === CLOSURE_CONFIG.REPEAT.YEARLY
+  const isSingleDay = !closure.end_date || closure.end_date === closure.start_date
+  const dates = isSingleDay
+    ? formatClosureDate(closure.start_date, !isYearly)
+    : `${formatClosureDate(closure.start_date, !isYearly)} – ${formatClosureDate(closure.end_date, !isYearly)}`
+
+  return (
+    <div className="p-4 border border-gray-200 rounded-lg flex items-start justify-between">
+      <div className="min-w-0 space-y-1">
+        <div className="flex items-center space-x-2">
+          <CalendarOff size={14} className="text-gray-500" />
+          <span className="font-medium text-gray-900">{closure.name}</span>
+        </div>
+        <div className="flex flex-wrap items-center gap-x-3 text-sm text-gray-600">
+          <span>{dates}</span>
+          {isYearly && (
+            <span className="flex items-center space-x-1 text-xs text-blue-700">
+              <Repeat size={12} />
+              <span>Every year</span>
+            </span>
+          )}
+        </div>
+        {closure.notes && <p className="text-xs text-gray-500">{closure.notes}</p>}
+      </div>
+      <button
+        type="button"
+        onClick={onDelete}
+        disabled={disabled}
+        className="p-2 text-gray-600 hover:text-red-600 hover:bg-red-50 rounded-lg disabled:opacity-50"
+        aria-label={`Remove ${closure.name}`}
+      >
+        <Trash2 size={16} />
+      </button>
+    </div>
+  )
+}
+
+/**
+ * Closure management modal
+ * @function ClosuresModal
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Whether modal is open
+ * @param {Function} props.onClose - Close handler
+ * @param {string|null} [props.instructorId=null] - Instructor making changes
+ * @returns {JSX.Element} Closures modal
+ *
+ * @example
+ * <ClosuresModal isOpen={isClosuresOpen} onClose={() => setIsClosuresOpen(false)} instructorId={instructorId} />
+ */
+const ClosuresModal = ({ isOpen, onClose, instructorId = null }) => {
+  const [isAdding, setIsAdding] = useState(false)
+  const [importResult, setImportResult] = useState(null)
+  const fileInputRef = useRef(null)
+
+  const { closures, isLoading, isSaving, error, saveClosure, removeClosure, importICal } = useClosures({
+    enabled: isOpen,
+    instructorId
+  })
+
+  // Start at the list whenever the modal opens
+  useEffect(() => {
+    if (isOpen) {
+      setIsAdding(false)
+      setImportResult(null)
+    }
+  }, [isOpen])
+
+  /**
+   * Read the chosen .ics file and import its events
+   * @function handleFileChange
+   * @param {Event} event - File input change event
+   */
+  const handleFileChange = useCallback(async (event) => {
+    const [file] = event.target.files
+    event.target.value = ''
+    if (!file) return
+
+    setImportResult(null)
+    const result = await importICal(await file.text())
+    if (result.success) {
+      setImportResult(result)
+    }
+  }, [importICal])
+
+  const todayKey = today()
+  const shownClosures = closures.filter(closure =>
+    closure.repeat === CLOSURE_CONFIG.REPEAT.YEARLY || (closure.end_date || closure.start_date) >= todayKey
+  )
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      size="2xl"
+      position="center"
+      closeOnBackdrop={!isSaving}
+      closeOnEscape={!isSaving}
+    >
+      <Modal.Header
+        title={isAdding ? 'New Closure' : 'Holidays & Closures'}
+        subtitle="Classes are not scheduled on closed days"
+        onClose={onClose}
+        showCloseButton={!isSaving}
+      />
+
+      <Modal.Body scrollable={true}>
+        {isAdding ? (
+          <ClosureForm isSaving={isSaving} onSave={saveClosure} onCancel={() => setIsAdding(false)} />
+        ) : (
+          <div className={`space-y-3 ${isLoading ? 'opacity-60' : ''}`}>
+            {shownClosures.length === 0 && !isLoading && (
+              <p className="py-6 text-center text-sm text-gray-500">No upcoming closures</p>
+            )}
+
+            {shownClosures.map((closure) => (
+              <ClosureRow
+                key={closure.$id}
+                closure={closure}
+                disabled={isSaving}
+                onDelete={() => removeClosure(closure.$id)}
+              />
+            ))}
+
+            {importResult && (
+              <div className="p-3 bg-green-50 border border-green-200 rounded-lg text-sm text-green-800">
+                {importResult.message}
+                {importResult.data.failed.length > 0 && ` (${importResult.data.failed.length} could not be imported)`}
+              </div>
+            )}
+
+            {error && (
+              <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800">
+                {error.context?.fieldErrors?.file || error.message}
+              </div>
+            )}
+          </div>
+        )}
+      </Modal.Body>
+
+      {!isAdding && (
+        <Modal.Footer align="between">
+          <Button type="button" variant="outline" onClick={onClose} disabled={isSaving}>
+            Done
+          </Button>
+          <div className="flex items-center space-x-2">
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".ics,text/calendar"
+              onChange={handleFileChange}
+              className="hidden"
+            />
+            <Button
+              type="button"
+              variant="outline"
+              onClick={() => fileInputRef.current?.click()}
+              loading={isSaving}
+              disabled={isSaving}
+            >
+              <Upload size={16} className="mr-2" />
+              Import .ics
+            </Button>
+            <Button type="button" variant="primary" onClick={() => setIsAdding(true)} disabled={isSaving}>
+              <Plus size={16} className="mr-2" />
+              New Closure
+            </Button>
+          </div>
+        </Modal.Footer>
+      )}
+    </Modal>
+  )
+}
+
+export default ClosuresModal
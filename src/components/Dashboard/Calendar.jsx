@@ -9,20 +9,19 @@
  */
 
 import { useState, useCallback, useMemo, useEffect } from 'react'
-import { ChevronLeft, ChevronRight, Calendar as CalendarIcon, Users, Clock, Plus } from 'lucide-react'
+import { ChevronLeft, ChevronRight, Calendar as CalendarIcon, CalendarOff, Users, Clock, Plus, Repeat } from 'lucide-react'
 import { useScheduling } from '../../hooks/useScheduling.js'
+import { useBatches, useInstructors } from '../../hooks/useBatches.js'
+import { useClosures } from '../../hooks/useClosures.js'
+import { useSubstitutes } from '../../hooks/useSubstitutes.js'
+import { useAuth } from '../../contexts/AuthContext.jsx'
 import { SCHEDULING_CONFIG } from '../../services/schedulingService.js'
-
-/**
- * Calendar utilities
- */
-const DAYS_OF_WEEK = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
-const MONTHS = [
-  'January', 'February', 'March', 'April', 'May', 'June',
-  'July', 'August', 'September', 'October', 'November', 'December'
-]
-
-
+import { BatchUtils } from '../../services/batchService.js'
+import { BOOKING_CONFIG, BookingUtils } from '../../services/bookingService.js'
+import ClassBookings from './ClassBookings.jsx'
+import ClassInstructors from './ClassInstructors.jsx'
+import { DAYS_OF_WEEK, MONTHS, getCalendarWeeks, getCurrentMonthStart, groupByDate } from '../../utils/calendar.js'
+import { getMonthRange, today } from '../../utils/dates.js'
 
 /**
  * Get calendar data for a specific month with real class data
@@ -30,60 +29,18 @@ const MONTHS = [
  * @param {number} year - Year
  * @param {number} month - Month (0-11)
  * @param {Array} classesData - Real classes data from scheduling service
+ * @param {Object} [closedDates={}] - Closures keyed by date (YYYY-MM-DD)
  * @returns {Array} Calendar data with days and weeks
  */
-const getCalendarData = (year, month, classesData = []) => {
-  const firstDay = new Date(year, month, 1)
-  const lastDay = new Date(year, month + 1, 0)
-  const startDate = new Date(firstDay)
-  startDate.setDate(startDate.getDate() - firstDay.getDay())
-  
-  // Group classes by date for quick lookup
-  const classesByDate = {}
-  classesData.forEach(classItem => {
-    const dateKey = classItem.date
-    if (!classesByDate[dateKey]) {
-      classesByDate[dateKey] = []
-    }
-    classesByDate[dateKey].push(classItem)
-  })
-  
-  const weeks = []
-  const currentDate = new Date(startDate)
-  
-  while (currentDate <= lastDay || weeks.length < 6) {
-    const week = []
-    
-    for (let i = 0; i < 7; i++) {
-      const date = new Date(currentDate)
-      const isCurrentMonth = date.getMonth() === month
-      const isToday = date.toDateString() === new Date().toDateString()
-      const dateKey = date.toISOString().split('T')[0]
-      const classes = classesByDate[dateKey] || []
-      
-      week.push({
-        date,
-        day: date.getDate(),
-        isCurrentMonth,
-        isToday,
-        isPast: date < new Date() && !isToday,
-        isFuture: date > new Date(),
-        dateKey,
-        classes,
-        hasClasses: classes.length > 0
-      })
-      
-      currentDate.setDate(currentDate.getDate() + 1)
-    }
-    
-    weeks.push(week)
-    
-    if (weeks.length >= 6 && currentDate.getMonth() !== month) {
-      break
-    }
-  }
-  
-  return weeks
+const getCalendarData = (year, month, classesData = [], closedDates = {}) => {
+  return getCalendarWeeks(year, month, groupByDate(classesData)).map(week =>
+    week.map(({ items, ...day }) => ({
+      ...day,
+      classes: items,
+      hasClasses: items.length > 0,
+      closure: closedDates[day.dateKey] || null
+    }))
+  )
 }
 
 /**
@@ -97,7 +54,7 @@ const getCalendarData = (year, month, classesData = []) => {
  * @param {Function} props.onToday - Go to today handler
  * @returns {JSX.Element} Calendar header component
  */
-const CalendarHeader = ({ year, month, onPrevious, onNext, onToday }) => (
+export const CalendarHeader = ({ year, month, onPrevious, onNext, onToday }) => (
   <div className="flex items-center justify-between mb-6">
     <div className="flex items-center space-x-4">
       <h3 className="text-xl font-semibold text-gray-900">
@@ -135,7 +92,7 @@ const CalendarHeader = ({ year, month, onPrevious, onNext, onToday }) => (
  * @function DaysHeader
  * @returns {JSX.Element} Days of week header
  */
-const DaysHeader = () => (
+export const DaysHeader = () => (
   <div className="grid grid-cols-7 gap-1 mb-2">
     {DAYS_OF_WEEK.map((day) => (
       <div
@@ -148,8 +105,37 @@ const DaysHeader = () => (
   </div>
 )
 
+/**
+ * Bar colour for how full a class is
+ * @function getFillColor
+ * @param {string} level - Fill level from BookingUtils.getFillLevel
+ * @returns {string} Tailwind background class
+ */
+const getFillColor = (level) => {
+  switch (level) {
+    case BOOKING_CONFIG.FILL_LEVEL.FULL:
+      return 'bg-purple-600'
+    case BOOKING_CONFIG.FILL_LEVEL.NEARLY_FULL:
+      return 'bg-amber-500'
+    default:
+      return 'bg-emerald-500'
+  }
+}
+
+/**
+ * Bookings line for a class, e.g. "18 / 20 booked • 2 waitlisted"
+ * @function formatFill
+ * @param {Object} fill - Fill level from BookingUtils.getFillLevel
+ * @returns {string} Bookings summary
+ */
+const formatFill = (fill) => (
+  `${fill.booked}${fill.capacity > 0 ? ` / ${fill.capacity}` : ''} booked` +
+    (fill.waitlisted > 0 ? ` • ${fill.waitlisted} waitlisted` : '')
+)
+
 /**
  * Enhanced class indicator component with real status mapping
+ * Scheduled classes with a capacity show a bar of how full they are.
  * @function ClassIndicator
  * @param {Object} props - Component props
  * @param {Array} props.classes - Classes for the day
@@ -174,22 +160,30 @@ const ClassIndicator = ({ classes, showCount = true }) => {
     }
   }
 
-  const getBatchColor = (batchName) => {
-    const batch = Object.values(SCHEDULING_CONFIG.BATCHES).find(
-      b => b.name === batchName
-    )
-    return batch ? `bg-${batch.color}-400` : 'bg-gray-400'
-  }
-
   return (
-    <div className="flex flex-wrap gap-1 mt-1">
-      {classes.slice(0, 3).map((classItem, index) => (
-        <div
-          key={classItem.$id || index}
-          className={`w-2 h-2 rounded-full ${getStatusColor(classItem.status)}`}
-          title={`${classItem.time || 'N/A'} - ${classItem.batch_name} (Status: ${classItem.status})`}
-        />
-      ))}
+    <div className="mt-1 space-y-0.5">
+      {classes.slice(0, 3).map((classItem, index) => {
+        const fill = BookingUtils.getFillLevel(classItem)
+        const showFill = BookingUtils.isBookable(classItem) && fill.capacity > 0
+
+        return (
+          <div
+            key={classItem.$id || index}
+            className="flex items-center space-x-1"
+            title={`${classItem.time || 'N/A'} - ${classItem.batch_name} (Status: ${classItem.status}, ${formatFill(fill)})`}
+          >
+            <div className={`w-2 h-2 rounded-full flex-shrink-0 ${getStatusColor(classItem.status)}`} />
+            {showFill && (
+              <div className="flex-1 h-1 max-w-[2.5rem] bg-gray-200 rounded-full overflow-hidden">
+                <div
+                  className={`h-full ${getFillColor(fill.level)}`}
+                  style={{ width: `${Math.min(fill.ratio, 1) * 100}%` }}
+                />
+              </div>
+            )}
+          </div>
+        )
+      })}
       {classes.length > 3 && showCount && (
         <div className="text-xs text-gray-500 font-medium">
           +{classes.length - 3}
@@ -214,16 +208,18 @@ const CalendarDay = ({ dayData, onClick }) => {
     isToday,
     isPast,
     classes,
-    hasClasses
+    hasClasses,
+    closure
   } = dayData
 
   return (
     <button
       onClick={() => onClick(dayData)}
+      title={closure ? `Closed: ${closure.name}` : undefined}
       className={`
         relative p-2 h-20 border border-gray-100 hover:bg-gray-50 transition-colors
         focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-inset
-        ${isCurrentMonth ? 'bg-white' : 'bg-gray-50 text-gray-400'}
+        ${closure ? 'bg-gray-200 text-gray-500' : isCurrentMonth ? 'bg-white' : 'bg-gray-50 text-gray-400'}
         ${isToday ? 'bg-blue-50 border-blue-200' : ''}
         ${isPast && isCurrentMonth ? 'text-gray-500' : ''}
         ${hasClasses ? 'hover:bg-blue-50' : ''}
@@ -243,6 +239,13 @@ const CalendarDay = ({ dayData, onClick }) => {
         <div className="absolute top-1 right-1 w-2 h-2 bg-blue-600 rounded-full" />
       )}
       
+      {/* Closure Name */}
+      {closure && (
+        <div className="mt-1 text-[10px] leading-tight text-gray-600 truncate">
+          {closure.name}
+        </div>
+      )}
+
       {/* Class Indicators */}
       <ClassIndicator classes={classes} />
       
@@ -265,14 +268,18 @@ const CalendarLegend = () => {
   const legendItems = [
     { color: 'bg-blue-500', label: 'Scheduled' },
     { color: 'bg-green-500', label: 'Completed' },
-    { color: 'bg-red-500', label: 'Cancelled' }
+    { color: 'bg-red-500', label: 'Cancelled' },
+    { color: 'bg-gray-300', label: 'Closed' },
+    { color: getFillColor(BOOKING_CONFIG.FILL_LEVEL.OPEN), label: 'Places left', bar: true },
+    { color: getFillColor(BOOKING_CONFIG.FILL_LEVEL.NEARLY_FULL), label: 'Nearly full', bar: true },
+    { color: getFillColor(BOOKING_CONFIG.FILL_LEVEL.FULL), label: 'Full', bar: true }
   ]
 
   return (
-    <div className="flex items-center justify-center space-x-6 mt-4 text-sm text-gray-600">
+    <div className="flex flex-wrap items-center justify-center gap-x-6 gap-y-2 mt-4 text-sm text-gray-600">
       {legendItems.map((item, index) => (
         <div key={index} className="flex items-center space-x-2">
-          <div className={`w-3 h-3 rounded-full ${item.color}`} />
+          <div className={`${item.bar ? 'w-4 h-1.5' : 'w-3 h-3'} rounded-full ${item.color}`} />
           <span>{item.label}</span>
         </div>
       ))}
@@ -280,19 +287,185 @@ const CalendarLegend = () => {
   )
 }
 
+/**
+ * Bookings summary of a class that opens the bookings panel
+ * @function ClassBookingSummary
+ * @param {Object} props - Component props
+ * @param {Object} props.classItem - Class document
+ * @param {Function} [props.onBookingsChanged] - Called after a booking is made or cancelled
+ * @returns {JSX.Element} Bookings summary
+ */
+const ClassBookingSummary = ({ classItem, onBookingsChanged }) => {
+  const [isOpen, setIsOpen] = useState(false)
+  const fill = BookingUtils.getFillLevel(classItem)
+
+  return (
+    <>
+      <button
+        type="button"
+        onClick={() => setIsOpen(open => !open)}
+        className="flex items-center space-x-1 hover:text-blue-700"
+        aria-expanded={isOpen}
+      >
+        <Users size={14} />
+        <span className={fill.level === BOOKING_CONFIG.FILL_LEVEL.FULL ? 'font-medium text-purple-700' : ''}>
+          {formatFill(fill)}
+        </span>
+      </button>
+      {isOpen && <ClassBookings classItem={classItem} onChange={onBookingsChanged} />}
+    </>
+  )
+}
+
+/**
+ * Edit or cancel one class of a repeating series, or the series from it onwards
+ * @function OccurrenceActions
+ * @param {Object} props - Component props
+ * @param {Object} props.classItem - Class document with series_id
+ * @param {Object} props.actions - Series operations from useScheduling
+ * @param {boolean} [props.isSaving=false] - Whether a change is in progress
+ * @returns {JSX.Element} Occurrence actions
+ */
+const OccurrenceActions = ({ classItem, actions, isSaving = false }) => {
+  const [mode, setMode] = useState(null) // null | 'edit' | 'cancel'
+  const [scope, setScope] = useState('one') // 'one' | 'following'
+  const [date, setDate] = useState(classItem.date)
+  const [time, setTime] = useState(classItem.time || '')
+  const [reason, setReason] = useState('')
+  const [result, setResult] = useState(null)
+
+  const handleSubmit = async () => {
+    let response
+    if (mode === 'edit') {
+      response = scope === 'one'
+        ? await actions.updateOccurrence(classItem.$id, { date, time })
+        : await actions.updateSeriesFrom(classItem.$id, { time })
+    } else {
+      response = scope === 'one'
+        ? await actions.cancelOccurrence(classItem.$id, reason)
+        : await actions.cancelSeriesFrom(classItem.$id, reason)
+    }
+
+    setResult(response)
+    if (response.success) setMode(null)
+  }
+
+  if (!mode) {
+    return (
+      <div className="mt-2 flex items-center space-x-3 text-xs">
+        <button onClick={() => setMode('edit')} className="text-blue-600 hover:text-blue-800">
+          Change
+        </button>
+        <button onClick={() => setMode('cancel')} className="text-red-600 hover:text-red-800">
+          Cancel
+        </button>
+        {result && (
+          <span className={result.success ? 'text-green-600' : 'text-red-600'}>{result.message}</span>
+        )}
+      </div>
+    )
+  }
+
+  return (
+    <div className="mt-2 p-2 bg-gray-50 rounded space-y-2 text-xs">
+      <div className="flex items-center space-x-4 text-gray-700">
+        <label className="flex items-center space-x-1">
+          <input type="radio" checked={scope === 'one'} onChange={() => setScope('one')} />
+          <span>This class</span>
+        </label>
+        <label className="flex items-center space-x-1">
+          <input type="radio" checked={scope === 'following'} onChange={() => setScope('following')} />
+          <span>This and following</span>
+        </label>
+      </div>
+
+      {mode === 'edit' ? (
+        <div className="flex items-center space-x-2">
+          {scope === 'one' && (
+            <input
+              type="date"
+              value={date}
+              onChange={(e) => setDate(e.target.value)}
+              className="px-2 py-1 border border-gray-300 rounded"
+            />
+          )}
+          <input
+            type="time"
+            value={time}
+            onChange={(e) => setTime(e.target.value)}
+            className="px-2 py-1 border border-gray-300 rounded"
+          />
+        </div>
+      ) : (
+        <input
+          type="text"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          placeholder="Reason for cancellation..."
+          className="w-full px-2 py-1 border border-gray-300 rounded"
+        />
+      )}
+
+      {result && !result.success && (
+        <p className="text-red-600">{result.message}</p>
+      )}
+
+      <div className="flex items-center space-x-3">
+        <button
+          onClick={handleSubmit}
+          disabled={isSaving}
+          className={`px-2 py-1 rounded text-white disabled:opacity-50 ${
+            mode === 'edit' ? 'bg-blue-600 hover:bg-blue-700' : 'bg-red-600 hover:bg-red-700'
+          }`}
+        >
+          {isSaving ? 'Saving...' : mode === 'edit' ? 'Save' : 'Cancel Classes'}
+        </button>
+        <button
+          onClick={() => {
+            setMode(null)
+            setResult(null)
+          }}
+          disabled={isSaving}
+          className="text-gray-600 hover:text-gray-800"
+        >
+          Back
+        </button>
+      </div>
+    </div>
+  )
+}
+
 /**
  * Enhanced day details modal with real class data and actions
  * @function DayDetailsModal
  * @param {Object} props - Component props
  * @param {Object|null} props.selectedDay - Selected day data
+ * @param {Object} [props.batchesByName={}] - Batch documents keyed by name
+ * @param {Object} [props.seriesActions] - Series operations for repeating classes
+ * @param {boolean} [props.isSavingSeries=false] - Whether a series change is in progress
+ * @param {Function} [props.onBookingsChanged] - Called after a booking is made or cancelled
+ * @param {Array} [props.instructors=[]] - Instructors who can be assigned
+ * @param {Object} [props.substitutes] - Cover requests and operations from useSubstitutes
+ * @param {string|null} [props.currentInstructorId=null] - Signed-in instructor
  * @param {Function} props.onClose - Close modal handler
  * @param {Function} [props.onScheduleClick] - Schedule button handler
  * @returns {JSX.Element|null} Day details modal
  */
-const DayDetailsModal = ({ selectedDay, onClose, onScheduleClick }) => {
+const DayDetailsModal = ({
+  selectedDay,
+  batchesByName = {},
+  seriesActions,
+  isSavingSeries = false,
+  onBookingsChanged,
+  instructors = [],
+  substitutes,
+  currentInstructorId = null,
+  onClose,
+  onScheduleClick
+}) => {
   if (!selectedDay) return null
 
-  const { date, classes } = selectedDay
+  const { date, dateKey, classes, closure } = selectedDay
   const dateString = date.toLocaleDateString('en-US', {
     weekday: 'long',
     year: 'numeric',
@@ -300,7 +473,8 @@ const DayDetailsModal = ({ selectedDay, onClose, onScheduleClick }) => {
     day: 'numeric'
   })
 
-  const canSchedule = date >= new Date() // Can only schedule future dates
+  const todayKey = today()
+  const canSchedule = dateKey > todayKey && !closure // Can only schedule future open dates
 
   const getStatusDisplay = (status) => {
     switch (status) {
@@ -343,6 +517,17 @@ const DayDetailsModal = ({ selectedDay, onClose, onScheduleClick }) => {
                 </svg>
               </button>
             </div>
+
+            {/* Closure Notice */}
+            {closure && (
+              <div className="mb-4 p-3 bg-gray-100 border border-gray-200 rounded-lg flex items-start space-x-2 text-sm text-gray-700">
+                <CalendarOff size={16} className="mt-0.5 flex-shrink-0" />
+                <div>
+                  <p className="font-medium">Closed: {closure.name}</p>
+                  <p className="text-xs text-gray-500">Classes can't be scheduled on this day</p>
+                </div>
+              </div>
+            )}
             
             {classes.length > 0 ? (
               <div className="space-y-3">
@@ -351,23 +536,52 @@ const DayDetailsModal = ({ selectedDay, onClose, onScheduleClick }) => {
                   return (
                     <div key={classItem.$id || index} className="p-3 border border-gray-200 rounded-lg">
                       <div className="flex items-center justify-between mb-2">
-                        <div className="font-medium text-gray-900">
-                          {classItem.batch_name}
+                        <div className="flex items-center space-x-2 font-medium text-gray-900">
+                          <span className={`w-3 h-3 rounded-full ${
+                            batchesByName[classItem.batch_name]
+                              ? BatchUtils.getColorClasses(batchesByName[classItem.batch_name].color).indicator
+                              : 'bg-gray-400'
+                          }`} />
+                          <span>{classItem.batch_name}</span>
                         </div>
                         <div className={`px-2 py-1 text-xs rounded-full ${statusDisplay.color}`}>
                           {statusDisplay.text}
                         </div>
                       </div>
-                      <div className="flex items-center space-x-4 text-sm text-gray-600">
+                      <div className="flex flex-wrap items-start gap-x-4 text-sm text-gray-600">
                         <div className="flex items-center space-x-1">
                           <Clock size={14} />
                           <span>{classItem.time || 'Time TBD'}</span>
                         </div>
-                        <div className="flex items-center space-x-1">
-                          <Users size={14} />
-                          <span>Max {classItem.max_students || 0} students</span>
-                        </div>
+                        <ClassBookingSummary
+                          key={classItem.$id}
+                          classItem={classItem}
+                          onBookingsChanged={onBookingsChanged}
+                        />
                       </div>
+                      {classItem.series_id && (
+                        <div className="mt-1 flex items-center space-x-1 text-xs text-gray-500">
+                          <Repeat size={12} />
+                          <span>{classItem.is_exception ? 'Repeating class (changed)' : 'Repeating class'}</span>
+                        </div>
+                      )}
+                      {batchesByName[classItem.batch_name]?.venue && (
+                        <div className="mt-1 text-xs text-gray-500">
+                          {batchesByName[classItem.batch_name].venue}
+                        </div>
+                      )}
+                      {substitutes && (
+                        <ClassInstructors
+                          key={`${classItem.$id}-instructors`}
+                          classItem={classItem}
+                          batch={batchesByName[classItem.batch_name]}
+                          instructors={instructors}
+                          requests={substitutes.requestsByClass[classItem.$id]}
+                          currentInstructorId={currentInstructorId}
+                          actions={substitutes}
+                          isSaving={substitutes.isSaving}
+                        />
+                      )}
                       {classItem.notes && (
                         <div className="mt-2 text-xs text-gray-500 bg-gray-50 p-2 rounded">
                           <strong>Notes:</strong> {classItem.notes}
@@ -378,6 +592,15 @@ const DayDetailsModal = ({ selectedDay, onClose, onScheduleClick }) => {
                           <strong>Cancelled:</strong> {classItem.cancellation_reason}
                         </div>
                       )}
+                      {seriesActions && classItem.series_id &&
+                        classItem.status === SCHEDULING_CONFIG.STATUS.SCHEDULED && classItem.date >= todayKey && (
+                        <OccurrenceActions
+                          key={`${classItem.$id}-${classItem.date}-${classItem.time}`}
+                          classItem={classItem}
+                          actions={seriesActions}
+                          isSaving={isSavingSeries}
+                        />
+                      )}
                     </div>
                   )
                 })}
@@ -439,7 +662,7 @@ const Calendar = ({
   enableRealtime = true,
   autoRefresh = true
 }) => {
-  const [currentDate, setCurrentDate] = useState(new Date())
+  const [currentDate, setCurrentDate] = useState(getCurrentMonthStart)
   const [selectedDay, setSelectedDay] = useState(null)
 
   const year = currentDate.getFullYear()
@@ -451,22 +674,34 @@ const Calendar = ({
     isLoadingClasses,
     error,
     refreshClasses,
-    getClassesForDate
+    getClassesForDate,
+    updateOccurrence,
+    cancelOccurrence,
+    updateSeriesFrom,
+    cancelSeriesFrom,
+    isUpdatingSeries
   } = useScheduling({
     enableRealtime,
     autoRefresh: false // We'll handle refresh manually for better control
   })
+  const { batchesByName } = useBatches({ includeArchived: true })
+
+  // Closures for every day shown in the grid, including the days either side of the month
+  const gridRange = useMemo(() => {
+    const days = getCalendarWeeks(year, month).flat()
+    return { startDate: days[0].dateKey, endDate: days[days.length - 1].dateKey }
+  }, [year, month])
+  const { closedDates } = useClosures(gridRange)
 
   // Generate calendar data with real classes
   const calendarWeeks = useMemo(() => {
-    return getCalendarData(year, month, classes)
-  }, [year, month, classes])
+    return getCalendarData(year, month, classes, closedDates)
+  }, [year, month, classes, closedDates])
 
   // Load classes for current month when date changes
   useEffect(() => {
     if (autoRefresh) {
-      const startDate = new Date(year, month, 1).toISOString().split('T')[0]
-      const endDate = new Date(year, month + 1, 0).toISOString().split('T')[0]
+      const { startDate, endDate } = getMonthRange(year, month)
       refreshClasses(startDate, endDate)
     }
   }, [year, month, autoRefresh, refreshClasses])
@@ -492,7 +727,7 @@ const Calendar = ({
    * @function handleToday
    */
   const handleToday = useCallback(() => {
-    setCurrentDate(new Date())
+    setCurrentDate(getCurrentMonthStart())
   }, [])
 
   /**
@@ -500,11 +735,40 @@ const Calendar = ({
    * @function handleRefresh
    */
   const handleRefresh = useCallback(() => {
-    const startDate = new Date(year, month, 1).toISOString().split('T')[0]
-    const endDate = new Date(year, month + 1, 0).toISOString().split('T')[0]
+    const { startDate, endDate } = getMonthRange(year, month)
     refreshClasses(startDate, endDate)
   }, [year, month, refreshClasses])
 
+  /**
+   * Run a change to a repeating class, then reload the month
+   * @function runSeriesAction
+   * @param {Function} operation - Series operation from useScheduling
+   * @returns {Function} Handler passing its arguments to the operation
+   */
+  const runSeriesAction = useCallback((operation) => async (...args) => {
+    const result = await operation(...args)
+    if (result.success) handleRefresh()
+    return result
+  }, [handleRefresh])
+
+  const seriesActions = useMemo(() => ({
+    updateOccurrence: runSeriesAction(updateOccurrence),
+    cancelOccurrence: runSeriesAction(cancelOccurrence),
+    updateSeriesFrom: runSeriesAction(updateSeriesFrom),
+    cancelSeriesFrom: runSeriesAction(cancelSeriesFrom)
+  }), [runSeriesAction, updateOccurrence, cancelOccurrence, updateSeriesFrom, cancelSeriesFrom])
+
+  // Instructors and cover requests; a claimed request changes the class, so reload the month
+  const { instructorId } = useAuth()
+  const { instructors } = useInstructors()
+  const substitutes = useSubstitutes({ ...gridRange, instructorId, onChange: handleRefresh })
+
+  // Keep the open day in step with reloaded classes
+  const selectedDayData = useMemo(() => {
+    if (!selectedDay) return null
+    return calendarWeeks.flat().find(dayData => dayData.dateKey === selectedDay.dateKey) || selectedDay
+  }, [selectedDay, calendarWeeks])
+
   /**
    * Handle day click
    * @function handleDayClick
@@ -611,7 +875,14 @@ const Calendar = ({
       {/* Day Details Modal */}
       {showModal && (
         <DayDetailsModal
-          selectedDay={selectedDay}
+          selectedDay={selectedDayData}
+          batchesByName={batchesByName}
+          seriesActions={seriesActions}
+          isSavingSeries={isUpdatingSeries}
+          onBookingsChanged={handleRefresh}
+          instructors={instructors}
+          substitutes={substitutes}
+          currentInstructorId={instructorId}
           onClose={handleCloseModal}
           onScheduleClick={onScheduleClick}
         />
@@ -0,0 +1,169 @@
+/**
+ * Class Bookings Component
+ *
+ * Booked students and the waitlist of one class. Students of the class's
+ * batch can be booked; once the class is full they join the waitlist and
+ * move up automatically when a booking is cancelled.
+ *
+ * @component
+ * @version 1.0.0
+ */
+
+import { useState, useEffect, useCallback } from 'react'
+import { UserPlus, X } from 'lucide-react'
+import { useClassBookings } from '../../hooks/useClassBookings.js'
+import { getStudentsByBatch } from '../../services/databaseService.js'
+import { BookingUtils } from '../../services/bookingService.js'
+
+/**
+ * One booked or waitlisted student
+ * @function BookingRow
+ * @param {Object} props - Component props
+ * @param {Object} props.booking - Booking document
+ * @param {number|null} [props.position=null] - Waitlist position
+ * @param {boolean} props.disabled - Whether actions are disabled
+ * @param {Function} props.onCancel - Cancel handler
+ * @returns {JSX.Element} Booking row
+ */
+const BookingRow = ({ booking, position = null, disabled, onCancel }) => (
+  <li className="flex items-center justify-between py-1">
+    <span className="truncate">
+      {position !== null && <span className="mr-1 text-gray-400">{position}.</span>}
+      {booking.student_name}
+    </span>
+    <button
+      type="button"
+      onClick={() => onCancel(booking.$id)}
+      disabled={disabled}
+      className="p-1 text-gray-400 hover:text-red-600 disabled:opacity-50"
+      aria-label={`Remove ${booking.student_name}`}
+    >
+      <X size={12} />
+    </button>
+  </li>
+)
+
+/**
+ * Bookings panel for a class
+ * @function ClassBookings
+ * @param {Object} props - Component props
+ * @param {Object} props.classItem - Class document
+ * @param {Function} [props.onChange] - Called after a booking is made or cancelled
+ * @returns {JSX.Element} Bookings panel
+ *
+ * @example
+ * <ClassBookings classItem={classItem} onChange={handleRefresh} />
+ */
+const ClassBookings = ({ classItem, onChange }) => {
+  const [students, setStudents] = useState([])
+  const [studentId, setStudentId] = useState('')
+  const [message, setMessage] = useState(null)
+
+  const { booked, waitlist, capacity, isLoading, isSaving, error, book, cancel } = useClassBookings(
+    classItem.$id,
+    { onChange }
+  )
+
+  useEffect(() => {
+    let isCurrent = true
+    getStudentsByBatch(classItem.batch_name, { status: 'active', limit: 100 }).then((result) => {
+      if (isCurrent && result.success) setStudents(result.data.students)
+    })
+    return () => {
+      isCurrent = false
+    }
+  }, [classItem.batch_name])
+
+  /**
+   * Book the chosen student
+   * @function handleBook
+   */
+  const handleBook = useCallback(async () => {
+    const student = students.find(entry => entry.$id === studentId)
+    if (!student) return
+
+    const result = await book(student)
+    if (result.success) {
+      setStudentId('')
+      setMessage(result.message)
+    }
+  }, [students, studentId, book])
+
+  /**
+   * Cancel a booking
+   * @function handleCancel
+   * @param {string} bookingId - Booking document ID
+   */
+  const handleCancel = useCallback(async (bookingId) => {
+    const result = await cancel(bookingId)
+    if (result.success) setMessage(result.message)
+  }, [cancel])
+
+  const bookedIds = new Set([...booked, ...waitlist].map(booking => booking.student_id))
+  const available = students.filter(student => !bookedIds.has(student.$id))
+  const isFull = capacity > 0 && booked.length >= capacity
+
+  return (
+    <div className={`w-full mt-3 pt-3 border-t border-gray-100 space-y-2 text-xs text-gray-700 ${isLoading ? 'opacity-60' : ''}`}>
+      <div className="font-medium text-gray-900">
+        Booked {booked.length}{capacity > 0 ? ` / ${capacity}` : ''}
+      </div>
+      {booked.length > 0 ? (
+        <ul>
+          {booked.map(booking => (
+            <BookingRow key={booking.$id} booking={booking} disabled={isSaving} onCancel={handleCancel} />
+          ))}
+        </ul>
+      ) : (
+        !isLoading && <p className="text-gray-500">No bookings yet</p>
+      )}
+
+      {waitlist.length > 0 && (
+        <>
+          <div className="font-medium text-gray-900">Waitlist {waitlist.length}</div>
+          <ul>
+            {waitlist.map((booking, index) => (
+              <BookingRow
+                key={booking.$id}
+                booking={booking}
+                position={index + 1}
+                disabled={isSaving}
+                onCancel={handleCancel}
+              />
+            ))}
+          </ul>
+        </>
+      )}
+
+      {BookingUtils.isBookable(classItem) && (
+        <div className="flex items-center space-x-2">
+          <select
+            value={studentId}
+            onChange={(e) => setStudentId(e.target.value)}
+            disabled={isSaving || available.length === 0}
+            className="flex-1 min-w-0 px-2 py-1 border border-gray-300 rounded"
+          >
+            <option value="">{available.length === 0 ? 'No students to add' : 'Choose a student'}</option>
+            {available.map(student => (
+              <option key={student.$id} value={student.$id}>{student.name}</option>
+            ))}
+          </select>
+          <button
+            type="button"
+            onClick={handleBook}
+            disabled={isSaving || !studentId}
+            className="flex items-center space-x-1 px-2 py-1 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+          >
+            <UserPlus size={12} />
+            <span>{isFull ? 'Waitlist' : 'Book'}</span>
+          </button>
+        </div>
+      )}
+
+      {message && !error && <p className="text-green-700">{message}</p>}
+      {error && <p className="text-red-600">{error.message}</p>}
+    </div>
+  )
+}
+
+export default ClassBookings
@@ -0,0 +1,188 @@
+/**
+ * Class Instructors Component
+ *
+ * Instructors teaching a class and its open cover requests. Instructors
+ * can be changed, an assigned instructor can ask for cover, and any other
+ * instructor can claim a request and take the class.
+ *
+ * @component
+ * @version 1.0.0
+ */
+
+import { useState, useCallback } from 'react'
+import { UserCheck, UserX } from 'lucide-react'
+import { getClassInstructorIds, SCHEDULING_CONFIG, DateUtils } from '../../services/schedulingService.js'
+import { INSTRUCTOR_CONFIG } from '../../services/instructorService.js'
+
+/**
+ * Instructors and cover requests of a class
+ * @function ClassInstructors
+ * @param {Object} props - Component props
+ * @param {Object} props.classItem - Class document
+ * @param {Object} [props.batch] - The class's batch document
+ * @param {Array} props.instructors - Instructors who can be assigned
+ * @param {Array} [props.requests=[]] - Open substitute requests for the class
+ * @param {string|null} [props.currentInstructorId=null] - Signed-in instructor
+ * @param {Object} props.actions - assign, requestCover, claim and withdraw from useSubstitutes
+ * @param {boolean} [props.isSaving=false] - Whether a change is in progress
+ * @returns {JSX.Element} Class instructors
+ *
+ * @example
+ * <ClassInstructors classItem={classItem} instructors={instructors} actions={substitutes} />
+ */
+const ClassInstructors = ({
+  classItem,
+  batch,
+  instructors,
+  requests = [],
+  currentInstructorId = null,
+  actions,
+  isSaving = false
+}) => {
+  const [mode, setMode] = useState(null) // null | 'assign' | 'cover'
+  const [selected, setSelected] = useState([])
+  const [reason, setReason] = useState('')
+  const [result, setResult] = useState(null)
+
+  const assignedIds = getClassInstructorIds(classItem, batch)
+  const instructorsById = Object.fromEntries(instructors.map(instructor => [instructor.$id, instructor]))
+  const names = assignedIds.map(id => instructorsById[id]?.name || 'Unknown instructor')
+
+  const isUpcoming = classItem.status === SCHEDULING_CONFIG.STATUS.SCHEDULED &&
+    classItem.date >= DateUtils.formatDateForStorage(new Date())
+  const isAssigned = currentInstructorId && assignedIds.includes(currentInstructorId)
+  const hasOwnRequest = requests.some(request => request.instructor_id === currentInstructorId)
+
+  /**
+   * Run an action and keep its outcome for display
+   * @function run
+   * @param {Function} action - Action returning a response object
+   */
+  const run = useCallback(async (action) => {
+    const response = await action()
+    setResult(response)
+    if (response.success) {
+      setMode(null)
+      setReason('')
+    }
+  }, [])
+
+  const buttonClassName = 'px-2 py-1 rounded border border-gray-300 hover:bg-gray-50 disabled:opacity-50'
+
+  return (
+    <div className="mt-2 space-y-2 text-xs text-gray-600">
+      <div className="flex items-center justify-between">
+        <span>{names.length > 0 ? `Instructors: ${names.join(', ')}` : 'No instructors assigned'}</span>
+        {isUpcoming && mode === null && (
+          <button
+            type="button"
+            onClick={() => {
+              setSelected(assignedIds)
+              setMode('assign')
+            }}
+            className="text-blue-700 hover:text-blue-900"
+          >
+            Change
+          </button>
+        )}
+      </div>
+
+      {requests.map(request => (
+        <div key={request.$id} className="p-2 bg-yellow-50 border border-yellow-200 rounded flex items-center justify-between">
+          <span>
+            <UserX size={12} className="inline mr-1 text-yellow-700" />
+            {request.instructor_name || 'An instructor'} needs cover{request.reason ? `: ${request.reason}` : ''}
+          </span>
+          {request.instructor_id === currentInstructorId ? (
+            <button
+              type="button"
+              onClick={() => run(() => actions.withdraw(request.$id))}
+              disabled={isSaving}
+              className={buttonClassName}
+            >
+              Withdraw
+            </button>
+          ) : currentInstructorId && !isAssigned && (
+            <button
+              type="button"
+              onClick={() => run(() => actions.claim(request.$id))}
+              disabled={isSaving}
+              className={`${buttonClassName} flex items-center space-x-1 text-green-700`}
+            >
+              <UserCheck size={12} />
+              <span>Claim</span>
+            </button>
+          )}
+        </div>
+      ))}
+
+      {isUpcoming && isAssigned && !hasOwnRequest && mode === null && (
+        <button type="button" onClick={() => setMode('cover')} className="text-yellow-700 hover:text-yellow-900">
+          Can't make it? Ask for cover
+        </button>
+      )}
+
+      {mode === 'assign' && (
+        <div className="p-2 bg-gray-50 rounded space-y-2">
+          {instructors.map(instructor => (
+            <label key={instructor.$id} className="flex items-center space-x-2">
+              <input
+                type="checkbox"
+                checked={selected.includes(instructor.$id)}
+                onChange={() => setSelected(current => current.includes(instructor.$id)
+                  ? current.filter(id => id !== instructor.$id)
+                  : [...current, instructor.$id])}
+              />
+              <span>{instructor.name}</span>
+            </label>
+          ))}
+          <div className="flex space-x-2">
+            <button type="button" onClick={() => setMode(null)} disabled={isSaving} className={buttonClassName}>
+              Back
+            </button>
+            <button
+              type="button"
+              onClick={() => run(() => actions.assign(classItem.$id, selected))}
+              disabled={isSaving}
+              className="px-2 py-1 rounded bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+            >
+              {isSaving ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {mode === 'cover' && (
+        <div className="p-2 bg-gray-50 rounded space-y-2">
+          <input
+            type="text"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            maxLength={INSTRUCTOR_CONFIG.MAX_REASON_LENGTH}
+            placeholder="Reason (optional)"
+            className="w-full px-2 py-1 border border-gray-300 rounded"
+          />
+          <div className="flex space-x-2">
+            <button type="button" onClick={() => setMode(null)} disabled={isSaving} className={buttonClassName}>
+              Back
+            </button>
+            <button
+              type="button"
+              onClick={() => run(() => actions.requestCover(classItem.$id, reason))}
+              disabled={isSaving}
+              className="px-2 py-1 rounded bg-yellow-600 text-white hover:bg-yellow-700 disabled:opacity-50"
+            >
+              {isSaving ? 'Saving...' : 'Ask for Cover'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {result && (
+        <p className={result.success ? 'text-green-700' : 'text-red-600'}>{result.message}</p>
+      )}
+    </div>
+  )
+}
+
+export default ClassInstructors
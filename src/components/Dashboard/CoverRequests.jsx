@@ -0,0 +1,94 @@
+/**
+ * Cover Requests Component
+ *
+ * Upcoming classes whose instructor can't make it. Other instructors can
+ * claim a class from here; the instructor who asked can withdraw.
+ *
+ * @component
+ * @version 1.0.0
+ */
+
+import { useState, useCallback } from 'react'
+import { UserCheck } from 'lucide-react'
+import { useSubstitutes } from '../../hooks/useSubstitutes.js'
+
+/**
+ * Open cover requests
+ * @function CoverRequests
+ * @param {Object} props - Component props
+ * @param {string|null} [props.instructorId=null] - Signed-in instructor
+ * @returns {JSX.Element} Cover request list
+ *
+ * @example
+ * <CoverRequests instructorId={instructorId} />
+ */
+const CoverRequests = ({ instructorId = null }) => {
+  const [message, setMessage] = useState(null)
+  const { requests, isLoading, isSaving, claim, withdraw } = useSubstitutes({ instructorId })
+
+  /**
+   * Run an action and show its outcome
+   * @function run
+   * @param {Function} action - Action returning a response object
+   */
+  const run = useCallback(async (action) => {
+    const result = await action()
+    setMessage({ success: result.success, text: result.message })
+  }, [])
+
+  if (isLoading && requests.length === 0) {
+    return <p className="py-4 text-center text-sm text-gray-500">Loading cover requests...</p>
+  }
+
+  return (
+    <div className="space-y-3">
+      {requests.length === 0 && (
+        <p className="py-4 text-center text-sm text-gray-500">No classes need cover</p>
+      )}
+
+      {requests.map((request) => (
+        <div key={request.$id} className="flex items-center space-x-3 p-2 rounded-lg hover:bg-gray-50">
+          <div className="w-2 h-2 rounded-full flex-shrink-0 bg-yellow-500" />
+          <div className="flex-1 min-w-0">
+            <p className="text-sm font-medium text-gray-900 truncate">
+              {request.batch_name} • {request.class_date}{request.class_time && ` ${request.class_time}`}
+            </p>
+            <p className="text-xs text-gray-500 truncate">
+              {request.instructor_name || 'An instructor'}{request.reason && ` • ${request.reason}`}
+            </p>
+          </div>
+          {request.instructor_id === instructorId ? (
+            <button
+              type="button"
+              onClick={() => run(() => withdraw(request.$id))}
+              disabled={isSaving}
+              className="text-xs font-medium text-gray-600 hover:text-gray-900 disabled:opacity-50"
+            >
+              Withdraw
+            </button>
+          ) : instructorId && (
+            <button
+              type="button"
+              onClick={() => run(() => claim(request.$id))}
+              disabled={isSaving}
+              className="flex items-center space-x-1 text-xs font-medium text-green-700 hover:text-green-900 disabled:opacity-50"
+            >
+              <UserCheck size={12} />
+              <span>Claim</span>
+            </button>
+          )}
+        </div>
+      ))}
+
+      {message && (
+        <div className={`p-3 rounded-lg text-xs ${
+          message.success ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-800'
+        }`}>
+          {message.text}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default CoverRequests
@@ -0,0 +1,155 @@
+/**
+ * Recent Activity Component
+ *
+ * Latest entries from the activity log. Bulk schedules and cancellations
+ * recorded as changesets can be undone from here while the undo window
+ * is open.
+ *
+ * @component
+ * @version 1.0.0
+ */
+
+import { useState, useEffect, useCallback } from 'react'
+import { RotateCcw } from 'lucide-react'
+import { getRecentActivity } from '../../services/databaseService.js'
+import { ChangesetUtils } from '../../services/changesetService.js'
+
+/**
+ * Turn a logged action into a label
+ * @function formatAction
+ * @param {string} action - e.g. "closure_created" or "Classes Scheduled"
+ * @returns {string} e.g. "Closure created"
+ */
+const formatAction = (action = '') => {
+  const text = action.replace(/_/g, ' ')
+  return text.charAt(0).toUpperCase() + text.slice(1)
+}
+
+/**
+ * Time since an activity, e.g. "3 hours ago"
+ * @function formatTimeAgo
+ * @param {string} timestamp - ISO timestamp
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {string} Relative time
+ */
+const formatTimeAgo = (timestamp, now = Date.now()) => {
+  const minutes = Math.floor((now - new Date(timestamp).getTime()) / 60000)
+  if (minutes < 1) return 'Just now'
+  if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'} ago`
+
+  const hours = Math.floor(minutes / 60)
+  if (hours < 24) return `${hours} hour${hours === 1 ? '' : 's'} ago`
+
+  const days = Math.floor(hours / 24)
+  return `${days} day${days === 1 ? '' : 's'} ago`
+}
+
+/**
+ * Recent activity list
+ * @function RecentActivity
+ * @param {Object} props - Component props
+ * @param {Function} [props.onUndo] - Undo a changeset, returns a response object
+ * @param {*} [props.refreshKey] - Reload the list whenever this changes
+ * @param {number} [props.limit=8] - Entries to show
+ * @returns {JSX.Element} Activity list
+ *
+ * @example
+ * <RecentActivity onUndo={undoChanges} refreshKey={lastOperation} />
+ */
+const RecentActivity = ({ onUndo, refreshKey, limit = 8 }) => {
+  const [activities, setActivities] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [undoingId, setUndoingId] = useState(null)
+  const [message, setMessage] = useState(null)
+
+  /**
+   * Load the latest activity
+   * @function loadActivity
+   */
+  const loadActivity = useCallback(async () => {
+    const result = await getRecentActivity(limit)
+    if (result.success) {
+      setActivities(result.data.activities)
+    }
+    setIsLoading(false)
+  }, [limit])
+
+  useEffect(() => {
+    loadActivity()
+  }, [loadActivity, refreshKey])
+
+  /**
+   * Undo a changeset and show the outcome
+   * @function handleUndo
+   * @param {string} changesetId - Changeset ID
+   */
+  const handleUndo = useCallback(async (changesetId) => {
+    setUndoingId(changesetId)
+    setMessage(null)
+
+    const result = await onUndo(changesetId)
+    setMessage({ success: result.success, text: result.message })
+    setUndoingId(null)
+    await loadActivity()
+  }, [onUndo, loadActivity])
+
+  // Changesets already undone without failures
+  const undoneIds = new Set(activities
+    .filter(activity => activity.details.changeset_id && activity.details.reverted !== undefined && !activity.details.failed)
+    .map(activity => activity.details.changeset_id))
+
+  if (isLoading) {
+    return <p className="py-4 text-center text-sm text-gray-500">Loading activity...</p>
+  }
+
+  if (activities.length === 0) {
+    return <p className="py-4 text-center text-sm text-gray-500">No activity yet</p>
+  }
+
+  return (
+    <div className="space-y-3">
+      {activities.map((activity) => {
+        const changesetId = activity.details.changeset_id
+        const isUndoEntry = activity.details.reverted !== undefined
+        const canUndo = onUndo && changesetId && !isUndoEntry && !undoneIds.has(changesetId) &&
+          ChangesetUtils.canUndo({ created_at: activity.timestamp })
+
+        return (
+          <div key={activity.$id} className="flex items-center space-x-3 p-2 rounded-lg hover:bg-gray-50">
+            <div className={`w-2 h-2 rounded-full flex-shrink-0 ${
+              isUndoEntry ? 'bg-orange-500' : 'bg-blue-500'
+            }`} />
+            <div className="flex-1 min-w-0">
+              <p className="text-sm font-medium text-gray-900 truncate">{formatAction(activity.action)}</p>
+              <p className="text-xs text-gray-500 truncate">
+                {formatTimeAgo(activity.timestamp)}
+                {(activity.details.dateRange || activity.details.label) && ` • ${activity.details.dateRange || activity.details.label}`}
+              </p>
+            </div>
+            {canUndo && (
+              <button
+                type="button"
+                onClick={() => handleUndo(changesetId)}
+                disabled={undoingId !== null}
+                className="flex items-center space-x-1 text-xs font-medium text-blue-700 hover:text-blue-900 disabled:opacity-50"
+              >
+                <RotateCcw size={12} />
+                <span>{undoingId === changesetId ? 'Undoing...' : 'Undo'}</span>
+              </button>
+            )}
+          </div>
+        )
+      })}
+
+      {message && (
+        <div className={`p-3 rounded-lg text-xs ${
+          message.success ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-800'
+        }`}>
+          {message.text}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default RecentActivity
@@ -3,6 +3,8 @@
  * 
  * Professional class scheduling modal with React Hook Form,
  * date range picker, batch selection, and comprehensive validation.
+ * Schedules, cancels or reschedules classes in bulk, and schedules
+ * repeating classes from a weekly or monthly recurrence rule.
  * 
  * @component
  * @version 1.0.0
@@ -10,10 +12,65 @@
 
 import { useState, useEffect, useCallback } from 'react'
 import { useForm, Controller } from 'react-hook-form'
-import { Calendar as CalendarIcon, Clock, Users, AlertCircle, CheckCircle, X } from 'lucide-react'
+import { Calendar as CalendarIcon, Clock, Users, AlertCircle, CheckCircle, X, Repeat, RotateCcw } from 'lucide-react'
 import Modal from '../Modal/Modal.jsx'
 import Button from '../Button.jsx'
-import { SCHEDULING_CONFIG } from '../../services/schedulingService.js'
+import { SCHEDULING_CONFIG, DateUtils } from '../../services/schedulingService.js'
+import { BatchUtils } from '../../services/batchService.js'
+import { useBatches } from '../../hooks/useBatches.js'
+import { DAYS_OF_WEEK } from '../../utils/calendar.js'
+import {
+  RECURRENCE_FREQUENCIES,
+  formatRule,
+  expandRule,
+  describeRule,
+  validateRule,
+  getMonthlyPosition
+} from '../../utils/recurrence.js'
+import { toDateKey, today, addDays, daysBetween, getWeekday, formatDate } from '../../utils/dates.js'
+
+const NTH_LABELS = { 1: '1st', 2: '2nd', 3: '3rd', 4: '4th', '-1': 'last' }
+
+/**
+ * Monthly positions the start date can repeat on, e.g. 2nd Tue or last Tue
+ * @function getMonthlyOptions
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @returns {Array<Object>} Options with value and label
+ */
+const getMonthlyOptions = (startDate) => {
+  if (!startDate) return []
+
+  const weekday = DAYS_OF_WEEK[getWeekday(startDate)]
+  const { nth, isLast } = getMonthlyPosition(startDate)
+
+  return [
+    nth <= 4 && { value: String(nth), label: `${NTH_LABELS[nth]} ${weekday} of the month` },
+    isLast && { value: '-1', label: `Last ${weekday} of the month` }
+  ].filter(Boolean)
+}
+
+/**
+ * Build a recurrence rule from the repeat fields
+ * @function buildRepeatRule
+ * @param {Object} data - Form data
+ * @returns {Object} Rule object (see utils/recurrence.js)
+ */
+const buildRepeatRule = (data) => {
+  const isMonthly = data.repeatFrequency === RECURRENCE_FREQUENCIES.MONTHLY
+  const monthlyOptions = getMonthlyOptions(data.startDate)
+  const nth = monthlyOptions.some(option => option.value === data.repeatNth)
+    ? data.repeatNth
+    : monthlyOptions[0]?.value
+
+  return {
+    freq: data.repeatFrequency,
+    interval: parseInt(data.repeatInterval, 10) || 1,
+    byDay: isMonthly ? (data.startDate ? [getWeekday(data.startDate)] : []) : data.repeatDays || [],
+    nth: isMonthly && nth ? parseInt(nth, 10) : null,
+    until: data.repeatEnds === 'until' ? data.repeatUntil || null : null,
+    count: data.repeatEnds === 'count' ? parseInt(data.repeatCount, 10) || null : null
+  }
+}
 
 /**
  * Date input component with validation
@@ -68,6 +125,7 @@ const DateInput = ({ label, field, error, min, max, ...props }) => (
  */
 const BatchSelector = ({ field, error }) => {
   const { value = [], onChange } = field
+  const { batches, isLoading } = useBatches()
 
   const handleBatchToggle = (batchId) => {
     const newValue = value.includes(batchId)
@@ -82,34 +140,39 @@ const BatchSelector = ({ field, error }) => {
         Select Batches
       </label>
       <div className="space-y-3">
-        {Object.entries(SCHEDULING_CONFIG.BATCHES).map(([key, batch]) => (
+        {batches.length === 0 && (
+          <p className="text-sm text-gray-500">
+            {isLoading ? 'Loading batches...' : 'No batches yet. Add batches from Attendance → Manage Batches.'}
+          </p>
+        )}
+        {batches.map((batch) => (
           <label
-            key={key}
+            key={batch.$id}
             className={`
               flex items-center space-x-3 p-3 border rounded-lg cursor-pointer
               transition-colors duration-200 hover:bg-gray-50
-              ${value.includes(key.toLowerCase()) ? 'border-blue-300 bg-blue-50' : 'border-gray-200'}
+              ${value.includes(batch.$id) ? 'border-blue-300 bg-blue-50' : 'border-gray-200'}
             `}
           >
             <input
               type="checkbox"
-              checked={value.includes(key.toLowerCase())}
-              onChange={() => handleBatchToggle(key.toLowerCase())}
+              checked={value.includes(batch.$id)}
+              onChange={() => handleBatchToggle(batch.$id)}
               className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
             />
             <div className="flex-1">
               <div className="flex items-center space-x-2">
-                <div className={`w-3 h-3 rounded-full bg-${batch.color}-500`} />
+                <div className={`w-3 h-3 rounded-full ${BatchUtils.getColorClasses(batch.color).dot}`} />
                 <span className="font-medium text-gray-900">{batch.name}</span>
               </div>
               <div className="flex items-center space-x-4 text-sm text-gray-600 mt-1">
                 <div className="flex items-center space-x-1">
                   <Clock size={12} />
-                  <span>{batch.defaultTime}</span>
+                  <span>{BatchUtils.formatTimeWindow(batch)} • {BatchUtils.formatDays(batch.days_of_week)}</span>
                 </div>
                 <div className="flex items-center space-x-1">
                   <Users size={12} />
-                  <span>Max {batch.maxStudents} students</span>
+                  <span>Max {batch.capacity} students</span>
                 </div>
               </div>
             </div>
@@ -151,6 +214,13 @@ const ActionSelector = ({ field, error }) => {
       description: 'Cancel existing scheduled classes',
       icon: X,
       color: 'red'
+    },
+    {
+      id: SCHEDULING_CONFIG.ACTIONS.RESCHEDULE,
+      label: 'Reschedule Classes',
+      description: 'Move existing classes to a new date or time',
+      icon: Clock,
+      color: 'orange'
     }
   ]
 
@@ -200,21 +270,25 @@ const ActionSelector = ({ field, error }) => {
 }
 
 /**
- * Additional options component
- * @function AdditionalOptions
+ * Recurrence options for repeating classes
+ * @function RepeatOptions
  * @param {Object} props - Component props
  * @param {Object} props.control - React Hook Form control
  * @param {Object} props.watch - React Hook Form watch
- * @returns {JSX.Element} Additional options component
+ * @returns {JSX.Element} Repeat options component
  */
-const AdditionalOptions = ({ control, watch }) => {
-  const action = watch('action')
+const RepeatOptions = ({ control, watch }) => {
+  const isRepeating = watch('repeat')
+  const frequency = watch('repeatFrequency')
+  const repeatEnds = watch('repeatEnds')
+  const startDate = watch('startDate')
+  const isMonthly = frequency === RECURRENCE_FREQUENCIES.MONTHLY
+  const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white'
 
   return (
     <div className="space-y-4">
-      {/* Exclude weekends option */}
       <Controller
-        name="excludeWeekends"
+        name="repeat"
         control={control}
         render={({ field }) => (
           <label className="flex items-center space-x-3 p-3 border border-gray-200 rounded-lg">
@@ -225,15 +299,216 @@ const AdditionalOptions = ({ control, watch }) => {
               className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
             />
             <div>
-              <span className="font-medium text-gray-900">Exclude Weekends</span>
-              <p className="text-sm text-gray-600">Skip Saturday and Sunday</p>
+              <span className="flex items-center space-x-2 font-medium text-gray-900">
+                <Repeat size={14} />
+                <span>Repeat</span>
+              </span>
+              <p className="text-sm text-gray-600">Create a repeating series instead of a date range</p>
             </div>
           </label>
         )}
       />
 
-      {/* Skip conflicts option for scheduling */}
-      {action === SCHEDULING_CONFIG.ACTIONS.SCHEDULE && (
+      {isRepeating && (
+        <div className="p-4 border border-gray-200 rounded-lg space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            <Controller
+              name="repeatFrequency"
+              control={control}
+              render={({ field }) => (
+                <div className="space-y-2">
+                  <label className="block text-sm font-medium text-gray-700">Repeats</label>
+                  <select {...field} className={inputClassName}>
+                    <option value={RECURRENCE_FREQUENCIES.WEEKLY}>Weekly</option>
+                    <option value={RECURRENCE_FREQUENCIES.MONTHLY}>Monthly</option>
+                  </select>
+                </div>
+              )}
+            />
+
+            <Controller
+              name="repeatInterval"
+              control={control}
+              rules={{
+                validate: (value) => {
+                  const interval = Number(value)
+                  return (Number.isInteger(interval) && interval >= 1 && interval <= 12) || 'Between 1 and 12'
+                }
+              }}
+              render={({ field, fieldState: { error } }) => (
+                <div className="space-y-2">
+                  <label className="block text-sm font-medium text-gray-700">
+                    Every ({isMonthly ? 'months' : 'weeks'})
+                  </label>
+                  <input {...field} type="number" min={1} max={12} className={inputClassName} />
+                  {error && <p className="text-sm text-red-600">{error.message}</p>}
+                </div>
+              )}
+            />
+          </div>
+
+          {isMonthly ? (
+            <Controller
+              name="repeatNth"
+              control={control}
+              render={({ field }) => (
+                <div className="space-y-2">
+                  <label className="block text-sm font-medium text-gray-700">On the</label>
+                  <select {...field} className={inputClassName} disabled={!startDate}>
+                    {!startDate && <option value="">Choose a start date first</option>}
+                    {getMonthlyOptions(startDate).map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+            />
+          ) : (
+            <Controller
+              name="repeatDays"
+              control={control}
+              rules={{
+                validate: (value) => !watch('repeat') || value?.length > 0 || 'Choose at least one day'
+              }}
+              render={({ field, fieldState: { error } }) => (
+                <div className="space-y-2">
+                  <label className="block text-sm font-medium text-gray-700">On</label>
+                  <div className="grid grid-cols-7 gap-1">
+                    {DAYS_OF_WEEK.map((label, day) => (
+                      <button
+                        key={label}
+                        type="button"
+                        onClick={() => field.onChange(
+                          field.value.includes(day) ? field.value.filter(d => d !== day) : [...field.value, day]
+                        )}
+                        aria-pressed={field.value.includes(day)}
+                        className={`py-2 rounded-lg text-xs font-medium border transition-colors ${
+                          field.value.includes(day)
+                            ? 'bg-blue-500 text-white border-blue-500'
+                            : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+                        }`}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                  {error && <p className="text-sm text-red-600">{error.message}</p>}
+                </div>
+              )}
+            />
+          )}
+
+          <div className="space-y-2">
+            <label className="block text-sm font-medium text-gray-700">Ends</label>
+            <Controller
+              name="repeatEnds"
+              control={control}
+              render={({ field }) => (
+                <div className="flex items-center space-x-6 text-sm text-gray-700">
+                  <label className="flex items-center space-x-2">
+                    <input
+                      type="radio"
+                      checked={field.value === 'until'}
+                      onChange={() => field.onChange('until')}
+                      className="w-4 h-4 text-blue-600 border-gray-300 focus:ring-blue-500"
+                    />
+                    <span>On date</span>
+                  </label>
+                  <label className="flex items-center space-x-2">
+                    <input
+                      type="radio"
+                      checked={field.value === 'count'}
+                      onChange={() => field.onChange('count')}
+                      className="w-4 h-4 text-blue-600 border-gray-300 focus:ring-blue-500"
+                    />
+                    <span>After a number of classes</span>
+                  </label>
+                </div>
+              )}
+            />
+
+            {repeatEnds === 'until' ? (
+              <Controller
+                name="repeatUntil"
+                control={control}
+                rules={{
+                  validate: (value) => {
+                    if (!watch('repeat') || watch('repeatEnds') !== 'until') return true
+                    if (!value) return 'End date is required'
+                    if (startDate && value < startDate) return 'End date must be after start date'
+                    return true
+                  }
+                }}
+                render={({ field, fieldState: { error } }) => (
+                  <DateInput label="Last class on" field={field} error={error?.message} min={startDate || undefined} />
+                )}
+              />
+            ) : (
+              <Controller
+                name="repeatCount"
+                control={control}
+                rules={{
+                  validate: (value) => {
+                    if (!watch('repeat') || watch('repeatEnds') !== 'count') return true
+                    const count = Number(value)
+                    return (Number.isInteger(count) && count >= 1) || 'At least 1 class'
+                  }
+                }}
+                render={({ field, fieldState: { error } }) => (
+                  <div className="space-y-2">
+                    <input {...field} type="number" min={1} className={inputClassName} />
+                    {error && <p className="text-sm text-red-600">{error.message}</p>}
+                  </div>
+                )}
+              />
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+/**
+ * Additional options component
+ * @function AdditionalOptions
+ * @param {Object} props - Component props
+ * @param {Object} props.control - React Hook Form control
+ * @param {Object} props.watch - React Hook Form watch
+ * @returns {JSX.Element} Additional options component
+ */
+const AdditionalOptions = ({ control, watch }) => {
+  const action = watch('action')
+  const isReschedule = action === SCHEDULING_CONFIG.ACTIONS.RESCHEDULE
+  const isRepeating = action === SCHEDULING_CONFIG.ACTIONS.SCHEDULE && watch('repeat')
+  const needsReason = action === SCHEDULING_CONFIG.ACTIONS.CANCEL || isReschedule
+
+  return (
+    <div className="space-y-4">
+      {/* Exclude weekends option; a repeat picks its own days */}
+      {!isReschedule && !isRepeating && (
+        <Controller
+          name="excludeWeekends"
+          control={control}
+          render={({ field }) => (
+            <label className="flex items-center space-x-3 p-3 border border-gray-200 rounded-lg">
+              <input
+                type="checkbox"
+                {...field}
+                checked={field.value}
+                className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+              />
+              <div>
+                <span className="font-medium text-gray-900">Exclude Weekends</span>
+                <p className="text-sm text-gray-600">Skip Saturday and Sunday</p>
+              </div>
+            </label>
+          )}
+        />
+      )}
+
+      {/* Skip conflicts option for scheduling and rescheduling */}
+      {(action === SCHEDULING_CONFIG.ACTIONS.SCHEDULE || isReschedule) && (
         <Controller
           name="skipConflicts"
           control={control}
@@ -247,7 +522,11 @@ const AdditionalOptions = ({ control, watch }) => {
               />
               <div>
                 <span className="font-medium text-gray-900">Skip Conflicts</span>
-                <p className="text-sm text-gray-600">Automatically skip dates with existing classes</p>
+                <p className="text-sm text-gray-600">
+                  {isReschedule
+                    ? 'Leave classes in place when the new slot is taken'
+                    : 'Automatically skip dates with existing classes'}
+                </p>
               </div>
             </label>
           )}
@@ -256,19 +535,21 @@ const AdditionalOptions = ({ control, watch }) => {
 
       {/* Notes/Reason field */}
       <Controller
-        name={action === SCHEDULING_CONFIG.ACTIONS.CANCEL ? 'reason' : 'notes'}
+        name={needsReason ? 'reason' : 'notes'}
         control={control}
         render={({ field, fieldState: { error } }) => (
           <div className="space-y-2">
             <label className="block text-sm font-medium text-gray-700">
-              {action === SCHEDULING_CONFIG.ACTIONS.CANCEL ? 'Cancellation Reason' : 'Notes (Optional)'}
+              {needsReason
+                ? `${isReschedule ? 'Reschedule' : 'Cancellation'} Reason`
+                : 'Notes (Optional)'}
             </label>
             <textarea
               {...field}
               rows={3}
               placeholder={
-                action === SCHEDULING_CONFIG.ACTIONS.CANCEL 
-                  ? 'Reason for cancellation...'
+                needsReason
+                  ? `Reason for ${isReschedule ? 'the change' : 'cancellation'}...`
                   : 'Additional notes for these classes...'
               }
               className={`
@@ -292,27 +573,62 @@ const AdditionalOptions = ({ control, watch }) => {
  * @function SchedulingSummary
  * @param {Object} props - Component props
  * @param {Object} props.formData - Current form data
+ * @param {string} props.maxDate - Last date classes are created for now (YYYY-MM-DD)
  * @returns {JSX.Element} Scheduling summary
  */
-const SchedulingSummary = ({ formData }) => {
-  const { startDate, endDate, batches, action, excludeWeekends } = formData
+const SchedulingSummary = ({ formData, maxDate }) => {
+  const { startDate, endDate, batches, action, excludeWeekends, targetDate, targetTime } = formData
+  const isReschedule = action === SCHEDULING_CONFIG.ACTIONS.RESCHEDULE
+  const isSchedule = action === SCHEDULING_CONFIG.ACTIONS.SCHEDULE
+  const { batches: batchList } = useBatches()
+
+  if (action === SCHEDULING_CONFIG.ACTIONS.SCHEDULE && formData.repeat) {
+    if (!startDate || !batches?.length) return null
+
+    const rule = buildRepeatRule(formData)
+    const isComplete = validateRule(rule, startDate).length === 0
+    const upcoming = isComplete ? expandRule(rule, startDate, { to: maxDate }).length : 0
+
+    return (
+      <div className="p-4 bg-blue-50 border border-blue-200 rounded-lg">
+        <h4 className="font-medium text-blue-900 mb-2">Summary</h4>
+        <div className="space-y-1 text-sm text-blue-800">
+          <div className="flex justify-between">
+            <span>Repeats:</span>
+            <span className="text-right">{isComplete ? describeRule(rule) : '—'}</span>
+          </div>
+          <div className="flex justify-between">
+            <span>Selected batches:</span>
+            <span>{batches.length}</span>
+          </div>
+          <div className="flex justify-between font-medium border-t border-blue-300 pt-2 mt-2">
+            <span>Classes created now:</span>
+            <span>{upcoming * batches.length}</span>
+          </div>
+          <p className="text-xs text-blue-700">
+            Classes are created up to {SCHEDULING_CONFIG.VALIDATION.MAX_ADVANCE_DAYS} days ahead and added as the series continues.
+          </p>
+        </div>
+      </div>
+    )
+  }
 
   if (!startDate || !endDate || !batches?.length || !action) {
     return null
   }
 
-  // Calculate approximate number of classes
-  const start = new Date(startDate)
-  const end = new Date(endDate)
-  const daysDiff = Math.ceil((end - start) / (1000 * 60 * 60 * 24)) + 1
-  
-  let daysToSchedule = daysDiff
-  if (excludeWeekends) {
-    // Rough calculation excluding weekends
-    daysToSchedule = Math.ceil(daysDiff * (5/7))
-  }
+  // Count classes on the days each selected batch meets
+  const daysDiff = daysBetween(startDate, endDate) + 1
 
-  const totalClasses = daysToSchedule * batches.length
+  const dates = DateUtils.generateDateRange(startDate, endDate, excludeWeekends && !isReschedule ? [0, 6] : [])
+  const selectedBatches = batchList.filter(batch => batches.includes(batch.$id))
+  const totalClasses = dates.reduce((count, date) => (
+    count + selectedBatches.filter(batch => BatchUtils.runsOn(batch, date)).length
+  ), 0)
+  const isOverLimit = totalClasses > SCHEDULING_CONFIG.VALIDATION.MAX_CLASSES_PER_REQUEST
+  const dayShift = isReschedule && targetDate
+    ? daysBetween(startDate, targetDate)
+    : null
 
   return (
     <div className="p-4 bg-blue-50 border border-blue-200 rounded-lg">
@@ -326,14 +642,211 @@ const SchedulingSummary = ({ formData }) => {
           <span>Selected batches:</span>
           <span>{batches.length}</span>
         </div>
-        <div className="flex justify-between">
-          <span>Exclude weekends:</span>
-          <span>{excludeWeekends ? 'Yes' : 'No'}</span>
-        </div>
+        {isReschedule ? (
+          <>
+            <div className="flex justify-between">
+              <span>Move by:</span>
+              <span>
+                {dayShift === null ? '—' : `${dayShift > 0 ? '+' : ''}${dayShift} days`}
+              </span>
+            </div>
+            <div className="flex justify-between">
+              <span>New time:</span>
+              <span>{targetTime || 'Keep current'}</span>
+            </div>
+          </>
+        ) : (
+          <div className="flex justify-between">
+            <span>Exclude weekends:</span>
+            <span>{excludeWeekends ? 'Yes' : 'No'}</span>
+          </div>
+        )}
         <div className="flex justify-between font-medium border-t border-blue-300 pt-2 mt-2">
-          <span>Approximate classes:</span>
+          <span>{isSchedule ? 'Classes to create:' : 'Classes checked:'}</span>
           <span>{totalClasses}</span>
         </div>
+        {isOverLimit ? (
+          <p className="text-xs text-red-700">
+            Maximum {SCHEDULING_CONFIG.VALIDATION.MAX_CLASSES_PER_REQUEST} classes at once. Choose a shorter range or fewer batches.
+          </p>
+        ) : isSchedule && (
+          <p className="text-xs text-blue-700">
+            Closed days and clashes with existing classes are shown in the preview.
+          </p>
+        )}
+      </div>
+    </div>
+  )
+}
+
+/**
+ * Progress bar for a running bulk operation
+ * @function BulkProgress
+ * @param {Object} props - Component props
+ * @param {Object} props.progress - Progress event ({ phase, total, done, failed, chunk, chunks })
+ * @returns {JSX.Element} Progress bar
+ */
+const BulkProgress = ({ progress }) => {
+  const processed = progress.done + progress.failed
+  const percent = progress.total > 0 ? Math.round((processed / progress.total) * 100) : 0
+
+  return (
+    <div className="space-y-1" role="status" aria-live="polite">
+      <div className="flex justify-between text-xs text-gray-600">
+        <span>
+          {progress.phase === 'rollback' ? 'Rolling back' : 'Saving classes'}
+          {progress.chunks > 1 && ` • part ${progress.chunk} of ${progress.chunks}`}
+        </span>
+        <span>
+          {processed} of {progress.total}
+          {progress.failed > 0 && <span className="text-orange-600"> • {progress.failed} failed</span>}
+        </span>
+      </div>
+      <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+        <div
+          className="h-full bg-blue-600 transition-all duration-200"
+          style={{ width: `${percent}%` }}
+        />
+      </div>
+    </div>
+  )
+}
+
+/**
+ * Bulk operations that were interrupted or partly failed
+ * @function UnfinishedOperations
+ * @param {Object} props - Component props
+ * @param {Array} props.operations - Operations from getBulkOperations
+ * @param {boolean} props.disabled - Whether actions are disabled
+ * @param {Function} props.onResume - Resume handler, given the operation ID
+ * @param {Function} props.onRollback - Roll back handler, given the operation ID
+ * @param {Function} props.onDismiss - Dismiss handler, given the operation ID
+ * @returns {JSX.Element} Unfinished operation list
+ */
+const UnfinishedOperations = ({ operations, disabled, onResume, onRollback, onDismiss }) => (
+  <div className="space-y-2">
+    {operations.map(operation => {
+      const canResume = operation.undone === 0 && operation.done + operation.undone < operation.total
+
+      return (
+        <div key={operation.id} className="p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm">
+          <div className="flex items-start space-x-2">
+            <AlertCircle className="text-yellow-600 mt-0.5 flex-shrink-0" size={16} />
+            <div className="flex-1 min-w-0">
+              <p className="font-medium text-yellow-900">{operation.label}</p>
+              <p className="text-xs text-yellow-800">
+                {operation.interrupted ? 'Interrupted' : 'Finished with errors'}: {operation.done} of {operation.total} done
+                {operation.failed > 0 && `, ${operation.failed} failed`}
+              </p>
+              <div className="flex flex-wrap gap-3 mt-2 text-xs">
+                {canResume && (
+                  <button
+                    type="button"
+                    onClick={() => onResume(operation.id)}
+                    disabled={disabled}
+                    className="font-medium text-blue-700 hover:text-blue-900 disabled:opacity-50"
+                  >
+                    Resume
+                  </button>
+                )}
+                {operation.done > 0 && (
+                  <button
+                    type="button"
+                    onClick={() => onRollback(operation.id)}
+                    disabled={disabled}
+                    className="flex items-center space-x-1 font-medium text-red-700 hover:text-red-900 disabled:opacity-50"
+                  >
+                    <RotateCcw size={12} />
+                    <span>Roll back</span>
+                  </button>
+                )}
+                <button
+                  type="button"
+                  onClick={() => onDismiss(operation.id)}
+                  disabled={disabled}
+                  className="text-gray-600 hover:text-gray-800 disabled:opacity-50"
+                >
+                  Dismiss
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )
+    })}
+  </div>
+)
+
+/**
+ * Preview of every class a schedule request creates
+ * @function SchedulePreview
+ * @param {Object} props - Component props
+ * @param {Object} props.preview - Preview data from previewSchedule, with the request
+ * @returns {JSX.Element} Class list grouped by date
+ */
+const SchedulePreview = ({ preview }) => {
+  const blocked = preview.conflicts > 0 && !preview.request.skipConflicts
+  const classesByDate = preview.classes.reduce((groups, item) => {
+    (groups[item.date] = groups[item.date] || []).push(item)
+    return groups
+  }, {})
+
+  return (
+    <div className="space-y-4">
+      <div className="p-4 bg-blue-50 border border-blue-200 rounded-lg text-sm text-blue-800 space-y-1">
+        <div className="flex justify-between font-medium">
+          <span>Classes to create:</span>
+          <span>{preview.total}</span>
+        </div>
+        {preview.chunks > 1 && (
+          <p className="text-xs text-blue-700">Saved in {preview.chunks} parts of {SCHEDULING_CONFIG.BULK_CHUNK_SIZE}</p>
+        )}
+        {preview.closed.length > 0 && (
+          <p className="text-xs text-blue-700">
+            {preview.closed.length} closed days left out ({[...new Set(preview.closed.map(item => item.closure))].join(', ')})
+          </p>
+        )}
+      </div>
+
+      {preview.conflicts > 0 && (
+        <div className={`p-3 rounded-lg text-sm ${
+          blocked ? 'bg-red-50 border border-red-200 text-red-800' : 'bg-yellow-50 border border-yellow-200 text-yellow-800'
+        }`}>
+          {blocked
+            ? `${preview.conflicts} classes clash with existing classes. Go back and tick "Skip conflicting dates" to leave them out.`
+            : `${preview.conflicts} classes clash with existing classes and will be left out.`}
+        </div>
+      )}
+
+      <div className="border border-gray-200 rounded-lg divide-y divide-gray-100">
+        {Object.entries(classesByDate).map(([date, items]) => (
+          <div key={date} className="px-3 py-2">
+            <p className="text-xs font-medium text-gray-500">
+              {formatDate(date, {
+                weekday: 'short',
+                day: 'numeric',
+                month: 'short',
+                year: 'numeric'
+              }, 'en-GB')}
+            </p>
+            {items.map(item => (
+              <div
+                key={item.batch_id}
+                className={`flex items-center justify-between text-sm py-0.5 ${item.skipped ? 'text-gray-400 line-through' : 'text-gray-900'}`}
+              >
+                <span className="truncate">{item.batch_name}</span>
+                <span className="flex items-center space-x-2 text-xs text-gray-500 flex-shrink-0">
+                  {item.conflict && (
+                    <span className="px-1.5 py-0.5 rounded bg-orange-100 text-orange-700">
+                      {item.conflict === 'batch' ? 'Already scheduled' : 'Overlaps'}
+                    </span>
+                  )}
+                  <span>{item.end_time ? `${item.time}–${item.end_time}` : item.time}</span>
+                </span>
+              </div>
+            ))}
+          </div>
+        ))}
       </div>
     </div>
   )
@@ -345,11 +858,15 @@ const SchedulingSummary = ({ formData }) => {
  * @param {Object} props - Component props
  * @param {Object} props.result - Submission result
  * @param {Function} props.onClose - Close handler
+ * @param {Function} [props.onRetry] - Retry failed items, given the bulk operation ID
+ * @param {Function} [props.onUndo] - Undo the operation, given its changeset ID
  * @returns {JSX.Element} Submission result display
  */
-const SubmissionResult = ({ result, onClose }) => {
+const SubmissionResult = ({ result, onClose, onRetry, onUndo }) => {
   const isSuccess = result.success
   const Icon = isSuccess ? CheckCircle : AlertCircle
+  const operationId = result.data?.errors > 0 ? result.data.operationId : null
+  const changesetId = result.data?.changesetId
 
   return (
     <div className="text-center py-6">
@@ -376,6 +893,14 @@ const SubmissionResult = ({ result, onClose }) => {
           {result.data.cancelled && (
             <div>Cancelled: {result.data.cancelled} classes</div>
           )}
+          {result.data.rescheduled > 0 && (
+            <div>Rescheduled: {result.data.rescheduled} classes</div>
+          )}
+          {result.data.skipped?.length > 0 && (
+            <div className="text-orange-600">
+              Skipped: {result.data.skipped.length} classes with taken slots
+            </div>
+          )}
           {result.data.errors > 0 && (
             <div className="text-orange-600">
               Errors: {result.data.errors} failed operations
@@ -384,13 +909,26 @@ const SubmissionResult = ({ result, onClose }) => {
         </div>
       )}
 
-      <Button
-        onClick={onClose}
-        variant="primary"
-        className="px-6"
-      >
-        Close
-      </Button>
+      <div className="flex justify-center space-x-2">
+        {operationId && onRetry && (
+          <Button onClick={() => onRetry(operationId)} variant="outline">
+            Retry Failed
+          </Button>
+        )}
+        {changesetId && onUndo && (
+          <Button onClick={() => onUndo(changesetId)} variant="outline">
+            <RotateCcw size={16} className="mr-2" />
+            Undo
+          </Button>
+        )}
+        <Button
+          onClick={onClose}
+          variant="primary"
+          className="px-6"
+        >
+          Close
+        </Button>
+      </div>
     </div>
   )
 }
@@ -404,6 +942,13 @@ const SubmissionResult = ({ result, onClose }) => {
  * @param {Function} props.onSubmit - Submit handler
  * @param {boolean} [props.isLoading=false] - Loading state
  * @param {Object} [props.defaultValues] - Default form values
+ * @param {Object|null} [props.progress=null] - Progress of the running bulk operation
+ * @param {Array} [props.unfinishedOperations=[]] - Interrupted or partly failed bulk operations
+ * @param {Function} [props.onResumeOperation] - Resume a bulk operation, returns a response object
+ * @param {Function} [props.onRollbackOperation] - Roll back a bulk operation, returns a response object
+ * @param {Function} [props.onDismissOperation] - Forget an unfinished bulk operation
+ * @param {Function} [props.onUndoChanges] - Undo a bulk operation by changeset ID, returns a response object
+ * @param {Function} [props.onPreview] - Preview a schedule request, returns a response object; when set, scheduling shows every class for confirmation first
  * @returns {JSX.Element} Scheduling modal component
  * 
  * @example
@@ -419,24 +964,30 @@ const SchedulingModal = ({
   onClose,
   onSubmit,
   isLoading = false,
-  defaultValues = {}
+  defaultValues = {},
+  progress = null,
+  unfinishedOperations = [],
+  onResumeOperation,
+  onRollbackOperation,
+  onDismissOperation,
+  onUndoChanges,
+  onPreview
 }) => {
   const [submissionResult, setSubmissionResult] = useState(null)
-  const [step, setStep] = useState('form') // 'form' | 'result'
+  const [preview, setPreview] = useState(null)
+  const [isPreviewing, setIsPreviewing] = useState(false)
+  const [step, setStep] = useState('form') // 'form' | 'preview' | 'result'
 
-  // Calculate date constraints
-  const today = new Date()
-  const minDate = new Date(today.getTime() + 2 * 60 * 60 * 1000) // 2 hours from now
-  const maxDate = new Date(today.getTime() + 90 * 24 * 60 * 60 * 1000) // 90 days from now
-
-  const minDateString = minDate.toISOString().split('T')[0]
-  const maxDateString = maxDate.toISOString().split('T')[0]
+  // Calculate date constraints in club dates
+  const minDateString = toDateKey(new Date(Date.now() + 2 * 60 * 60 * 1000)) // 2 hours from now
+  const maxDateString = addDays(today(), SCHEDULING_CONFIG.VALIDATION.MAX_ADVANCE_DAYS)
 
   // React Hook Form setup
   const {
     control,
     handleSubmit,
     watch,
+    setValue,
     formState: { errors, isValid },
     reset
   } = useForm({
@@ -449,6 +1000,16 @@ const SchedulingModal = ({
       skipConflicts: false,
       notes: '',
       reason: '',
+      targetDate: '',
+      targetTime: '',
+      repeat: false,
+      repeatFrequency: RECURRENCE_FREQUENCIES.WEEKLY,
+      repeatInterval: 1,
+      repeatDays: [],
+      repeatNth: '',
+      repeatEnds: 'until',
+      repeatUntil: '',
+      repeatCount: 12,
       ...defaultValues
     },
     mode: 'onChange'
@@ -456,6 +1017,14 @@ const SchedulingModal = ({
 
   // Watch form values for summary
   const formData = watch()
+  const isRepeating = formData.action === SCHEDULING_CONFIG.ACTIONS.SCHEDULE && formData.repeat
+
+  // Start a weekly repeat on the start date's weekday
+  useEffect(() => {
+    if (isRepeating && formData.startDate && formData.repeatDays.length === 0) {
+      setValue('repeatDays', [getWeekday(formData.startDate)], { shouldValidate: true })
+    }
+  }, [isRepeating, formData.startDate, formData.repeatDays.length, setValue])
 
   /**
    * Handle form submission
@@ -464,16 +1033,38 @@ const SchedulingModal = ({
    */
   const handleFormSubmit = useCallback(async (data) => {
     try {
+      const isReschedule = data.action === SCHEDULING_CONFIG.ACTIONS.RESCHEDULE
+      const isSeries = data.action === SCHEDULING_CONFIG.ACTIONS.SCHEDULE && data.repeat
+
       // Prepare submission data
       const submissionData = {
         startDate: data.startDate,
-        endDate: data.endDate,
+        endDate: isSeries ? undefined : data.endDate,
+        recurrence: isSeries ? formatRule(buildRepeatRule(data)) : undefined,
         batches: data.batches,
         action: data.action,
         excludeDays: data.excludeWeekends ? [0, 6] : [], // Exclude Sunday and Saturday
         skipConflicts: data.skipConflicts,
         notes: data.action === SCHEDULING_CONFIG.ACTIONS.SCHEDULE ? data.notes : undefined,
-        reason: data.action === SCHEDULING_CONFIG.ACTIONS.CANCEL ? data.reason : undefined
+        reason: data.action !== SCHEDULING_CONFIG.ACTIONS.SCHEDULE ? data.reason : undefined,
+        targetDate: isReschedule ? data.targetDate : undefined,
+        targetTime: isReschedule ? data.targetTime : undefined
+      }
+
+      // Show every class before a one-off schedule is created
+      if (onPreview && data.action === SCHEDULING_CONFIG.ACTIONS.SCHEDULE && !isSeries) {
+        setIsPreviewing(true)
+        const previewResult = await onPreview(submissionData)
+        setIsPreviewing(false)
+
+        if (previewResult.success) {
+          setPreview({ ...previewResult.data, request: submissionData })
+          setStep('preview')
+        } else {
+          setSubmissionResult(previewResult)
+          setStep('result')
+        }
+        return
       }
 
       const result = await onSubmit(submissionData)
@@ -486,7 +1077,30 @@ const SchedulingModal = ({
       })
       setStep('result')
     }
-  }, [onSubmit])
+  }, [onSubmit, onPreview])
+
+  /**
+   * Create the previewed classes
+   * @function handleConfirmPreview
+   */
+  const handleConfirmPreview = useCallback(async () => {
+    const result = await onSubmit(preview.request)
+    setSubmissionResult(result)
+    setPreview(null)
+    setStep('result')
+  }, [onSubmit, preview])
+
+  /**
+   * Resume, roll back or undo a bulk operation and show the outcome
+   * @function handleRecover
+   * @param {Function} recover - onResumeOperation, onRollbackOperation or onUndoChanges
+   * @param {string} id - Bulk operation ID, or changeset ID for undo
+   */
+  const handleRecover = useCallback(async (recover, id) => {
+    const result = await recover(id)
+    setSubmissionResult(result)
+    setStep('result')
+  }, [])
 
   /**
    * Handle modal close
@@ -496,6 +1110,7 @@ const SchedulingModal = ({
     if (!isLoading) {
       setStep('form')
       setSubmissionResult(null)
+      setPreview(null)
       reset()
       onClose()
     }
@@ -512,12 +1127,12 @@ const SchedulingModal = ({
     onClose()
   }, [onClose, reset])
 
-  // Reset form when modal opens
+  // Reset form when modal opens; going back from the preview keeps the values
   useEffect(() => {
-    if (isOpen && step === 'form') {
+    if (isOpen) {
       reset()
     }
-  }, [isOpen, step, reset])
+  }, [isOpen, reset])
 
   return (
     <Modal
@@ -532,13 +1147,27 @@ const SchedulingModal = ({
         <>
           <Modal.Header
             title="Class Scheduling"
-            subtitle="Schedule or cancel classes for multiple dates and batches"
+            subtitle="Schedule, cancel or reschedule classes for multiple dates and batches"
             onClose={handleClose}
             showCloseButton={!isLoading}
           />
 
           <Modal.Body scrollable={true}>
             <form id="scheduling-form" onSubmit={handleSubmit(handleFormSubmit)} className="space-y-6">
+              {/* Bulk Progress */}
+              {isLoading && progress && <BulkProgress progress={progress} />}
+
+              {/* Interrupted Operations */}
+              {!isLoading && unfinishedOperations.length > 0 && onResumeOperation && (
+                <UnfinishedOperations
+                  operations={unfinishedOperations}
+                  disabled={isLoading}
+                  onResume={(operationId) => handleRecover(onResumeOperation, operationId)}
+                  onRollback={(operationId) => handleRecover(onRollbackOperation, operationId)}
+                  onDismiss={onDismissOperation}
+                />
+              )}
+
               {/* Action Selection */}
               <Controller
                 name="action"
@@ -557,8 +1186,7 @@ const SchedulingModal = ({
                   rules={{ 
                     required: 'Start date is required',
                     validate: (value) => {
-                      const date = new Date(value)
-                      if (date < minDate) {
+                      if (value < minDateString) {
                         return 'Start date must be at least 2 hours in the future'
                       }
                       return true
@@ -566,7 +1194,7 @@ const SchedulingModal = ({
                   }}
                   render={({ field, fieldState: { error } }) => (
                     <DateInput
-                      label="Start Date"
+                      label={isRepeating ? 'First Class' : 'Start Date'}
                       field={field}
                       error={error?.message}
                       min={minDateString}
@@ -575,31 +1203,91 @@ const SchedulingModal = ({
                   )}
                 />
 
-                <Controller
-                  name="endDate"
-                  control={control}
-                  rules={{ 
-                    required: 'End date is required',
-                    validate: (value) => {
-                      const startDate = watch('startDate')
-                      if (startDate && new Date(value) < new Date(startDate)) {
-                        return 'End date must be after start date'
+                {!isRepeating && (
+                  <Controller
+                    name="endDate"
+                    control={control}
+                    rules={{ 
+                      validate: (value) => {
+                        if (watch('action') === SCHEDULING_CONFIG.ACTIONS.SCHEDULE && watch('repeat')) {
+                          return true
+                        }
+                        if (!value) {
+                          return 'End date is required'
+                        }
+                        const startDate = watch('startDate')
+                        if (startDate && value < startDate) {
+                          return 'End date must be after start date'
+                        }
+                        return true
                       }
-                      return true
-                    }
-                  }}
-                  render={({ field, fieldState: { error } }) => (
-                    <DateInput
-                      label="End Date"
-                      field={field}
-                      error={error?.message}
-                      min={watch('startDate') || minDateString}
-                      max={maxDateString}
-                    />
-                  )}
-                />
+                    }}
+                    render={({ field, fieldState: { error } }) => (
+                      <DateInput
+                        label="End Date"
+                        field={field}
+                        error={error?.message}
+                        min={watch('startDate') || minDateString}
+                        max={maxDateString}
+                      />
+                    )}
+                  />
+                )}
               </div>
 
+              {/* Repeat */}
+              {formData.action === SCHEDULING_CONFIG.ACTIONS.SCHEDULE && (
+                <RepeatOptions control={control} watch={watch} />
+              )}
+
+              {/* Reschedule Target */}
+              {formData.action === SCHEDULING_CONFIG.ACTIONS.RESCHEDULE && (
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                  <Controller
+                    name="targetDate"
+                    control={control}
+                    rules={{
+                      required: 'New date is required',
+                      validate: (value) => {
+                        if (value < minDateString) {
+                          return 'New date must be at least 2 hours in the future'
+                        }
+                        if (value === watch('startDate') && !watch('targetTime')) {
+                          return 'Choose a different date or a new time'
+                        }
+                        return true
+                      }
+                    }}
+                    render={({ field, fieldState: { error } }) => (
+                      <DateInput
+                        label="Move Start Date To"
+                        field={field}
+                        error={error?.message}
+                        min={minDateString}
+                        max={maxDateString}
+                      />
+                    )}
+                  />
+
+                  <Controller
+                    name="targetTime"
+                    control={control}
+                    render={({ field }) => (
+                      <div className="space-y-2">
+                        <label className="block text-sm font-medium text-gray-700">
+                          New Time (Optional)
+                        </label>
+                        <input
+                          {...field}
+                          type="time"
+                          className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors duration-200 bg-white"
+                        />
+                      </div>
+                    )}
+                  />
+                </div>
+              )}
+
               {/* Batch Selection */}
               <Controller
                 name="batches"
@@ -622,7 +1310,7 @@ const SchedulingModal = ({
               <AdditionalOptions control={control} watch={watch} />
 
               {/* Summary */}
-              <SchedulingSummary formData={formData} />
+              <SchedulingSummary formData={formData} maxDate={maxDateString} />
             </form>
           </Modal.Body>
 
@@ -639,23 +1327,76 @@ const SchedulingModal = ({
               type="submit"
               form="scheduling-form"
               variant="primary"
-              loading={isLoading}
-              disabled={!isValid || isLoading}
+              loading={isLoading || isPreviewing}
+              disabled={!isValid || isLoading || isPreviewing}
             >
-              {isLoading 
+              {isLoading || isPreviewing
                 ? 'Processing...' 
                 : formData.action === SCHEDULING_CONFIG.ACTIONS.CANCEL 
                   ? 'Cancel Classes' 
-                  : 'Schedule Classes'}
+                  : formData.action === SCHEDULING_CONFIG.ACTIONS.RESCHEDULE
+                    ? 'Reschedule Classes'
+                    : isRepeating
+                      ? 'Schedule Repeating Classes'
+                      : onPreview
+                        ? 'Preview Classes'
+                        : 'Schedule Classes'}
+            </Button>
+          </Modal.Footer>
+        </>
+      ) : step === 'preview' ? (
+        <>
+          <Modal.Header
+            title="Preview"
+            subtitle={`${preview.request.startDate} to ${preview.request.endDate}`}
+            onClose={handleClose}
+            showCloseButton={!isLoading}
+          />
+
+          <Modal.Body scrollable={true}>
+            {isLoading && progress ? (
+              <div className="py-6">
+                <BulkProgress progress={progress} />
+              </div>
+            ) : (
+              <SchedulePreview preview={preview} />
+            )}
+          </Modal.Body>
+
+          <Modal.Footer align="between">
+            <Button
+              type="button"
+              variant="outline"
+              onClick={() => setStep('form')}
+              disabled={isLoading}
+            >
+              Back
+            </Button>
+            <Button
+              type="button"
+              variant="primary"
+              onClick={handleConfirmPreview}
+              loading={isLoading}
+              disabled={isLoading || preview.total === 0 || (preview.conflicts > 0 && !preview.request.skipConflicts)}
+            >
+              {isLoading ? 'Processing...' : `Schedule ${preview.total} Classes`}
             </Button>
           </Modal.Footer>
         </>
       ) : (
         <Modal.Body>
-          <SubmissionResult
-            result={submissionResult}
-            onClose={handleResultClose}
-          />
+          {isLoading && progress ? (
+            <div className="py-6">
+              <BulkProgress progress={progress} />
+            </div>
+          ) : (
+            <SubmissionResult
+              result={submissionResult}
+              onClose={handleResultClose}
+              onRetry={onResumeOperation && ((operationId) => handleRecover(onResumeOperation, operationId))}
+              onUndo={onUndoChanges && ((changesetId) => handleRecover(onUndoChanges, changesetId))}
+            />
+          )}
         </Modal.Body>
       )}
     </Modal>
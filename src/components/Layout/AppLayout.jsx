@@ -8,12 +8,15 @@
  * @version 1.0.0
  */
 
-import { useCallback } from 'react'
-import { LogOut, Menu, Bell, Settings } from 'lucide-react'
+import { useState, useCallback } from 'react'
+import { LogOut, Menu, Bell, Settings, RefreshCw, Cloud, CloudOff } from 'lucide-react'
 import { useAuth } from '../../contexts/AuthContext.jsx'
 import { useNavigation } from '../../hooks/useNavigation.js'
+import usePWA from '../../hooks/usePWA.js'
+import { useSyncStatus } from '../../hooks/useSyncStatus.js'
 import BottomNavigation from '../BottomNavigation.jsx'
 import Button from '../Button.jsx'
+import SyncStatusPanel from './SyncStatusPanel.jsx'
 
 /**
  * App Header Component
@@ -24,6 +27,8 @@ import Button from '../Button.jsx'
  * @param {Function} props.onLogout - Logout handler
  * @param {Function} [props.onMenuClick] - Menu button click handler
  * @param {Function} [props.onNotificationClick] - Notification button click handler
+ * @param {Object} [props.sync] - Unsynced changes: { total, needsAttention, isOnline }
+ * @param {Function} [props.onSyncClick] - Sync status button click handler
  * @returns {JSX.Element} App header component
  */
 const AppHeader = ({ 
@@ -31,7 +36,9 @@ const AppHeader = ({
   instructor, 
   onLogout, 
   onMenuClick, 
-  onNotificationClick 
+  onNotificationClick,
+  sync,
+  onSyncClick
 }) => {
   const displayName = instructor?.name || user?.name || 'User'
   const userEmail = user?.email
@@ -75,6 +82,26 @@ const AppHeader = ({
 
           {/* Right Section - Actions */}
           <div className="flex items-center space-x-2">
+            {/* Sync Status Button */}
+            {onSyncClick && (
+              <button
+                type="button"
+                onClick={onSyncClick}
+                className="relative p-2 rounded-lg text-gray-600 hover:text-gray-900 hover:bg-gray-100 transition-colors"
+                aria-label={sync.total > 0 ? `${sync.total} changes not synced` : 'Sync status'}
+              >
+                {sync.isOnline ? <Cloud size={18} /> : <CloudOff size={18} />}
+                {/* Unsynced Changes Badge */}
+                {sync.total > 0 && (
+                  <span className={`absolute -top-1 -right-1 min-w-[12px] h-3 px-0.5 rounded-full text-[10px] text-white flex items-center justify-center ${
+                    sync.needsAttention > 0 ? 'bg-red-500' : 'bg-blue-500'
+                  }`}>
+                    {sync.total}
+                  </span>
+                )}
+              </button>
+            )}
+
             {/* Notifications Button (Future Feature) */}
             {onNotificationClick && (
               <button
@@ -118,6 +145,27 @@ const AppHeader = ({
   )
 }
 
+/**
+ * Sync Notice Component
+ * @function SyncNotice
+ * @param {Object} props - Component props
+ * @param {string|null} props.message - Result of the last replay, e.g. '3 changes synced'
+ * @returns {JSX.Element|null} Notice under the header, or nothing
+ */
+const SyncNotice = ({ message }) => {
+  if (!message) return null
+
+  return (
+    <div
+      role="status"
+      className="flex items-center justify-center space-x-2 px-4 py-2 bg-green-50 border-b border-green-100 text-xs font-medium text-green-800"
+    >
+      <RefreshCw size={12} />
+      <span>{message}</span>
+    </div>
+  )
+}
+
 /**
  * Content Container Component with tab-based transitions
  * @function ContentContainer
@@ -226,6 +274,9 @@ const ErrorState = ({ error, onRetry }) => (
 const AppLayout = ({ children, className = '' }) => {
   const { user, instructor, logout, isLoading, error } = useAuth()
   const { isTransitioning } = useNavigation()
+  const { syncMessage, isOnline } = usePWA()
+  const { total, needsAttention } = useSyncStatus()
+  const [isSyncPanelOpen, setIsSyncPanelOpen] = useState(false)
 
   /**
    * Handle logout with confirmation
@@ -269,8 +320,13 @@ const AppLayout = ({ children, className = '' }) => {
         instructor={instructor}
         onLogout={handleLogout}
         onNotificationClick={() => console.log('Notifications - to be implemented')}
+        sync={{ total, needsAttention, isOnline }}
+        onSyncClick={() => setIsSyncPanelOpen(true)}
       />
 
+      {/* Changes made offline that have just been sent */}
+      <SyncNotice message={syncMessage} />
+
       {/* Main Content Area */}
       <ContentContainer isTransitioning={isTransitioning}>
         {children}
@@ -279,6 +335,13 @@ const AppLayout = ({ children, className = '' }) => {
       {/* Bottom Navigation */}
       <BottomNavigation />
 
+      {/* Offline Changes */}
+      <SyncStatusPanel
+        isOpen={isSyncPanelOpen}
+        onClose={() => setIsSyncPanelOpen(false)}
+        isOnline={isOnline}
+      />
+
       {/* PWA Install Prompt Area (if needed in future) */}
       {/* <PWAInstallPrompt /> */}
     </div>
@@ -0,0 +1,322 @@
+/**
+ * Sync Status Panel Component
+ *
+ * Lists changes made offline that have not reached Appwrite yet: pending
+ * changes waiting for a connection, failed writes with the reason Appwrite
+ * gave, and conflicts where the server copy changed after the offline edit,
+ * shown side by side so the instructor can pick which to keep.
+ *
+ * @component
+ * @version 1.0.0
+ */
+
+import { AlertCircle, Clock, GitCompare, RefreshCw, Trash2, WifiOff } from 'lucide-react'
+import Modal from '../Modal/Modal.jsx'
+import Button from '../Button.jsx'
+import { useSyncStatus } from '../../hooks/useSyncStatus.js'
+import { OFFLINE_CONFIG } from '../../services/offlineService.js'
+import { ErrorTypes } from '../../utils/errorHandler.js'
+
+const { ACTIONS } = OFFLINE_CONFIG
+
+/**
+ * Names of the collections changes are made to
+ * @constant
+ */
+const COLLECTION_LABELS = {
+  students: 'Student',
+  classes: 'Class',
+  attendance: 'Attendance',
+  payments: 'Payment'
+}
+
+/**
+ * What happened to the document
+ * @constant
+ */
+const ACTION_LABELS = {
+  [ACTIONS.CREATE]: 'added',
+  [ACTIONS.UPDATE]: 'changed',
+  [ACTIONS.DELETE]: 'removed'
+}
+
+/**
+ * Why Appwrite refused a write, by ErrorTypes
+ * @constant
+ */
+const FAILURE_REASONS = {
+  [ErrorTypes.AUTHENTICATION]: 'Signed out',
+  [ErrorTypes.AUTHORIZATION]: 'Not allowed',
+  [ErrorTypes.PERMISSION]: 'Not allowed',
+  [ErrorTypes.VALIDATION]: 'Invalid data',
+  [ErrorTypes.NOT_FOUND]: 'Deleted on the server',
+  [ErrorTypes.CONFLICT]: 'Already exists',
+  [ErrorTypes.RATE_LIMIT]: 'Too many requests',
+  [ErrorTypes.SERVER]: 'Server error',
+  [ErrorTypes.UNKNOWN]: 'Unknown error'
+}
+
+// Fields that identify a document in the list, in order of preference
+const SUMMARY_FIELDS = ['name', 'batch_name', 'date', 'month', 'year', 'status']
+
+/**
+ * Short description of a queued write's document
+ * @function describeDocument
+ * @param {Object} write - Queued write
+ * @returns {string} e.g. "U12 • 2025-03-04 • present"
+ */
+const describeDocument = (write) => {
+  const document = { ...write.server, ...write.data }
+  const parts = SUMMARY_FIELDS
+    .map(field => document[field])
+    .filter(value => value !== undefined && value !== null && value !== '')
+  return parts.length > 0 ? parts.join(' • ') : write.documentId
+}
+
+/**
+ * Show a field value in the resolver
+ * @function formatValue
+ * @param {*} value - Field value
+ * @returns {string} Readable value
+ */
+const formatValue = (value) => {
+  if (value === undefined || value === null || value === '') return '—'
+  if (Array.isArray(value)) return value.join(', ') || '—'
+  if (typeof value === 'object') return JSON.stringify(value)
+  return String(value)
+}
+
+/**
+ * Heading and description of a queued write
+ * @function WriteSummary
+ * @param {Object} props - Component props
+ * @param {Object} props.write - Queued write
+ * @returns {JSX.Element} Summary
+ */
+const WriteSummary = ({ write }) => (
+  <div className="flex-1 min-w-0">
+    <p className="text-sm font-medium text-gray-900 truncate">
+      {COLLECTION_LABELS[write.collectionId] || write.collectionId} {ACTION_LABELS[write.action]}
+    </p>
+    <p className="text-xs text-gray-500 truncate">{describeDocument(write)}</p>
+  </div>
+)
+
+/**
+ * Section of the panel
+ * @function Section
+ * @param {Object} props - Component props
+ * @param {string} props.title - Section title
+ * @param {JSX.Element} props.icon - Section icon
+ * @param {number} props.count - Changes in the section
+ * @param {JSX.Element} props.children - Rows
+ * @returns {JSX.Element|null} Section, or nothing when empty
+ */
+const Section = ({ title, icon, count, children }) => {
+  if (count === 0) return null
+
+  return (
+    <section className="space-y-2">
+      <h3 className="flex items-center space-x-2 text-xs font-semibold uppercase tracking-wide text-gray-500">
+        {icon}
+        <span>{title} ({count})</span>
+      </h3>
+      {children}
+    </section>
+  )
+}
+
+/**
+ * Server and local copies of a conflicting change, side by side
+ * @function ConflictResolver
+ * @param {Object} props - Component props
+ * @param {Object} props.write - Queued write in conflict
+ * @param {boolean} props.disabled - Disable the buttons
+ * @param {Function} props.onResolve - Called with 'local' or 'server'
+ * @returns {JSX.Element} Resolver
+ */
+const ConflictResolver = ({ write, disabled, onResolve }) => {
+  const fields = Object.keys(write.data || {}).filter(field => !field.startsWith('$'))
+  const isDelete = write.action === ACTIONS.DELETE
+
+  return (
+    <div className="p-3 rounded-lg border border-yellow-200 bg-yellow-50 space-y-3">
+      <WriteSummary write={write} />
+
+      <div className="grid grid-cols-3 gap-x-3 gap-y-1 text-xs">
+        <span className="font-medium text-gray-500">Field</span>
+        <span className="font-medium text-gray-500">Your change</span>
+        <span className="font-medium text-gray-500">Server copy</span>
+
+        {isDelete ? (
+          <>
+            <span className="text-gray-600">Document</span>
+            <span className="text-gray-900">Removed</span>
+            <span className="text-gray-900">Changed since</span>
+          </>
+        ) : fields.map(field => {
+          const local = formatValue(write.data[field])
+          const server = formatValue(write.server?.[field])
+          const differs = local !== server
+
+          return (
+            <div key={field} className="contents">
+              <span className="text-gray-600 truncate">{field}</span>
+              <span className={`truncate ${differs ? 'font-medium text-blue-800' : 'text-gray-900'}`}>{local}</span>
+              <span className={`truncate ${differs ? 'font-medium text-yellow-800' : 'text-gray-900'}`}>{server}</span>
+            </div>
+          )
+        })}
+      </div>
+
+      <div className="flex justify-end space-x-2">
+        <Button type="button" size="sm" variant="outline" onClick={() => onResolve('server')} disabled={disabled}>
+          Keep server copy
+        </Button>
+        <Button type="button" size="sm" variant="primary" onClick={() => onResolve('local')} disabled={disabled}>
+          Keep my change
+        </Button>
+      </div>
+    </div>
+  )
+}
+
+/**
+ * Sync status panel
+ * @function SyncStatusPanel
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Whether the panel is open
+ * @param {Function} props.onClose - Close handler
+ * @param {boolean} [props.isOnline=true] - Whether the device is online
+ * @returns {JSX.Element} Sync status panel
+ *
+ * @example
+ * <SyncStatusPanel isOpen={showSync} onClose={() => setShowSync(false)} isOnline={isOnline} />
+ */
+const SyncStatusPanel = ({ isOpen, onClose, isOnline = true }) => {
+  const {
+    pending,
+    failed,
+    conflicts,
+    total,
+    isSaving,
+    error,
+    syncNow,
+    retry,
+    discard,
+    resolve
+  } = useSyncStatus()
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} size="lg" position="center">
+      <Modal.Header
+        title="Sync Status"
+        subtitle={total === 0
+          ? 'Everything is synced'
+          : `${total} ${total === 1 ? 'change' : 'changes'} not synced yet`}
+        onClose={onClose}
+      />
+
+      <Modal.Body scrollable={true}>
+        <div className="space-y-5">
+          {!isOnline && (
+            <div className="flex items-center space-x-2 p-3 rounded-lg bg-gray-100 text-sm text-gray-700">
+              <WifiOff size={16} />
+              <span>You are offline. Changes will sync when the connection returns.</span>
+            </div>
+          )}
+
+          {total === 0 && (
+            <p className="py-6 text-center text-sm text-gray-500">No changes waiting to sync</p>
+          )}
+
+          <Section title="Conflicts" icon={<GitCompare size={14} />} count={conflicts.length}>
+            {conflicts.map(write => (
+              <ConflictResolver
+                key={write.id}
+                write={write}
+                disabled={isSaving}
+                onResolve={(keep) => resolve(write.id, keep)}
+              />
+            ))}
+          </Section>
+
+          <Section title="Failed" icon={<AlertCircle size={14} />} count={failed.length}>
+            {failed.map(write => (
+              <div key={write.id} className="flex items-center space-x-3 p-3 rounded-lg border border-red-200 bg-red-50">
+                <div className="flex-1 min-w-0">
+                  <WriteSummary write={write} />
+                  <p className="mt-1 text-xs text-red-800">
+                    <span className="font-medium">
+                      {FAILURE_REASONS[write.error?.type] || write.error?.type || 'Failed'}
+                    </span>
+                    {write.error?.message && ` • ${write.error.message}`}
+                  </p>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => retry(write.id)}
+                  disabled={isSaving || !isOnline}
+                  className="p-2 rounded-lg text-gray-600 hover:text-blue-700 hover:bg-white disabled:opacity-50"
+                  aria-label="Retry change"
+                >
+                  <RefreshCw size={16} />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => discard(write.id)}
+                  disabled={isSaving}
+                  className="p-2 rounded-lg text-gray-600 hover:text-red-700 hover:bg-white disabled:opacity-50"
+                  aria-label="Discard change"
+                >
+                  <Trash2 size={16} />
+                </button>
+              </div>
+            ))}
+          </Section>
+
+          <Section title="Waiting to sync" icon={<Clock size={14} />} count={pending.length}>
+            {pending.map(write => (
+              <div key={write.id} className="flex items-center space-x-3 p-2 rounded-lg hover:bg-gray-50">
+                <WriteSummary write={write} />
+                <button
+                  type="button"
+                  onClick={() => discard(write.id)}
+                  disabled={isSaving}
+                  className="p-2 rounded-lg text-gray-600 hover:text-red-700 hover:bg-red-50 disabled:opacity-50"
+                  aria-label="Discard change"
+                >
+                  <Trash2 size={16} />
+                </button>
+              </div>
+            ))}
+          </Section>
+
+          {error && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800">
+              {error.message}
+            </div>
+          )}
+        </div>
+      </Modal.Body>
+
+      <Modal.Footer align="between">
+        <Button type="button" variant="outline" onClick={onClose}>
+          Done
+        </Button>
+        <Button
+          type="button"
+          variant="primary"
+          onClick={syncNow}
+          loading={isSaving}
+          disabled={isSaving || !isOnline || pending.length === 0}
+        >
+          <RefreshCw size={16} className="mr-2" />
+          Sync Now
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  )
+}
+
+export default SyncStatusPanel
@@ -0,0 +1,183 @@
+/**
+ * Fee Plans Modal Component
+ *
+ * Sets the monthly fee and due day for each batch.
+ *
+ * @component
+ * @version 1.0.0
+ */
+
+import { useState, useEffect } from 'react'
+import { Clock } from 'lucide-react'
+import Modal from '../Modal/Modal.jsx'
+import Button from '../Button.jsx'
+import { useFeePlans } from '../../hooks/usePayments.js'
+import { useBatches } from '../../hooks/useBatches.js'
+import { BatchUtils } from '../../services/batchService.js'
+import { PAYMENT_CONFIG, PaymentUtils } from '../../services/paymentService.js'
+
+/**
+ * Editable fee plan row for one batch
+ * @function FeePlanRow
+ * @param {Object} props - Component props
+ * @param {Object} props.batch - Batch document
+ * @param {Object|undefined} props.plan - Current fee plan for the batch
+ * @param {boolean} props.disabled - Whether editing is disabled
+ * @param {Function} props.onSave - Save handler, receives the plan data
+ * @returns {JSX.Element} Fee plan row
+ */
+const FeePlanRow = ({ batch, plan, disabled, onSave }) => {
+  const [amount, setAmount] = useState('')
+  const [dueDay, setDueDay] = useState(String(PAYMENT_CONFIG.DEFAULT_DUE_DAY))
+  const [rowError, setRowError] = useState(null)
+
+  // Show the stored plan whenever it loads or changes
+  useEffect(() => {
+    setAmount(plan ? String(plan.amount) : '')
+    setDueDay(String(plan?.due_day ?? PAYMENT_CONFIG.DEFAULT_DUE_DAY))
+  }, [plan])
+
+  const isDirty = amount !== (plan ? String(plan.amount) : '') ||
+    dueDay !== String(plan?.due_day ?? PAYMENT_CONFIG.DEFAULT_DUE_DAY)
+
+  /**
+   * Save this batch's plan and show any field error inline
+   * @function handleSave
+   */
+  const handleSave = async () => {
+    setRowError(null)
+    const result = await onSave({
+      batch_name: batch.name,
+      amount: Number(amount),
+      due_day: Number(dueDay)
+    })
+
+    if (!result.success) {
+      const fieldErrors = result.context?.fieldErrors || {}
+      setRowError(Object.values(fieldErrors).find(Boolean) || result.message)
+    }
+  }
+
+  return (
+    <div className="p-4 border border-gray-200 rounded-lg space-y-3">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <div className={`w-3 h-3 rounded-full ${BatchUtils.getColorClasses(batch.color).dot}`} />
+          <span className="font-medium text-gray-900">{batch.name}</span>
+        </div>
+        <span className="flex items-center space-x-1 text-sm text-gray-600">
+          <Clock size={12} />
+          <span>{BatchUtils.formatTimeWindow(batch)}</span>
+        </span>
+      </div>
+
+      <div className="grid grid-cols-2 gap-3">
+        <label className="space-y-1">
+          <span className="block text-xs font-medium text-gray-600">
+            Monthly Fee ({PAYMENT_CONFIG.CURRENCY.symbol})
+          </span>
+          <input
+            type="number"
+            min="1"
+            step="1"
+            inputMode="numeric"
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+            disabled={disabled}
+            placeholder="Not set"
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+        </label>
+        <label className="space-y-1">
+          <span className="block text-xs font-medium text-gray-600">Due Day of Month</span>
+          <input
+            type="number"
+            min="1"
+            max={PAYMENT_CONFIG.VALIDATION.MAX_DUE_DAY}
+            step="1"
+            value={dueDay}
+            onChange={(e) => setDueDay(e.target.value)}
+            disabled={disabled}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+        </label>
+      </div>
+
+      <div className="flex items-center justify-between">
+        <p className={`text-xs ${rowError ? 'text-red-600' : 'text-gray-500'}`}>
+          {rowError || (plan ? `Currently ${PaymentUtils.formatCurrency(plan.amount)}, due on day ${plan.due_day}` : 'No fee plan yet')}
+        </p>
+        <Button
+          type="button"
+          variant="outline"
+          size="sm"
+          onClick={handleSave}
+          disabled={disabled || !isDirty || !amount}
+        >
+          Save
+        </Button>
+      </div>
+    </div>
+  )
+}
+
+/**
+ * Fee plans modal
+ * @function FeePlansModal
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Whether modal is open
+ * @param {Function} props.onClose - Close handler
+ * @param {string|null} [props.instructorId=null] - Instructor saving plans
+ * @returns {JSX.Element} Fee plans modal
+ *
+ * @example
+ * <FeePlansModal isOpen={isFeePlansOpen} onClose={() => setIsFeePlansOpen(false)} instructorId={instructorId} />
+ */
+const FeePlansModal = ({ isOpen, onClose, instructorId = null }) => {
+  const { plansByBatch, isLoading, isSaving, error, savePlan } = useFeePlans({
+    enabled: isOpen,
+    instructorId
+  })
+  const { batches, isLoading: isLoadingBatches } = useBatches({ enabled: isOpen })
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} size="lg" position="center">
+      <Modal.Header
+        title="Fee Plans"
+        subtitle="Monthly fee charged for each batch"
+        onClose={onClose}
+      />
+
+      <Modal.Body scrollable={true}>
+        <div className={`space-y-4 ${isLoading || isLoadingBatches ? 'opacity-60' : ''}`}>
+          {batches.length === 0 && !isLoadingBatches && (
+            <p className="text-sm text-gray-500">No batches yet. Add batches from Attendance → Manage Batches.</p>
+          )}
+          {batches.map((batch) => (
+            <FeePlanRow
+              key={batch.$id}
+              batch={batch}
+              plan={plansByBatch[batch.name]}
+              disabled={isLoading || isSaving}
+              onSave={savePlan}
+            />
+          ))}
+
+          {error && !error.context?.fieldErrors && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800">
+              {error.message}
+            </div>
+          )}
+        </div>
+      </Modal.Body>
+
+      <Modal.Footer>
+        <Button type="button" variant="outline" onClick={onClose}>
+          Done
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  )
+}
+
+export default FeePlansModal
@@ -0,0 +1,313 @@
+/**
+ * Invoice Modal Component
+ *
+ * Issues invoices for a range of billing months and receipts for recorded
+ * payments, with a print preview and PDF download for every document
+ * already issued to the student. Without a connection nothing can be
+ * issued, and the modal says so.
+ *
+ * @component
+ * @version 1.0.0
+ */
+
+import { useState, useEffect, useMemo } from 'react'
+import { Download, Eye, FileText, Printer, Receipt } from 'lucide-react'
+import Modal from '../Modal/Modal.jsx'
+import Button from '../Button.jsx'
+import { StudentPicker } from './RecordPaymentModal.jsx'
+import { useStudentBalance } from '../../hooks/usePayments.js'
+import { useInvoices } from '../../hooks/useInvoices.js'
+import { INVOICE_CONFIG } from '../../services/invoiceService.js'
+import { PaymentUtils } from '../../services/paymentService.js'
+import { renderInvoiceHtml, printInvoice, downloadInvoicePdf } from '../../utils/invoiceRenderer.js'
+
+/**
+ * Document type choices
+ * @constant
+ */
+const DOCUMENT_TYPES = [
+  { value: INVOICE_CONFIG.TYPES.INVOICE, label: 'Invoice', icon: FileText },
+  { value: INVOICE_CONFIG.TYPES.RECEIPT, label: 'Receipt', icon: Receipt }
+]
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent'
+
+/**
+ * One issued document with preview, print and download actions
+ * @function IssuedDocumentRow
+ * @param {Object} props - Component props
+ * @param {Object} props.invoice - Invoice with parsed line items
+ * @param {boolean} props.isSelected - Whether the document is being previewed
+ * @param {Function} props.onPreview - Preview handler
+ * @returns {JSX.Element} Issued document row
+ */
+const IssuedDocumentRow = ({ invoice, isSelected, onPreview }) => (
+  <div className={`flex items-center justify-between p-3 rounded-lg border ${
+    isSelected ? 'border-blue-300 bg-blue-50' : 'border-gray-200'
+  }`}>
+    <div className="min-w-0">
+      <p className="text-sm font-medium text-gray-900">{invoice.number}</p>
+      <p className="text-xs text-gray-500">
+        {new Date(invoice.issued_at).toLocaleDateString()} • {PaymentUtils.formatCurrency(invoice.total)}
+        {invoice.type === INVOICE_CONFIG.TYPES.INVOICE && invoice.balance_due > 0 &&
+          ` • ${PaymentUtils.formatCurrency(invoice.balance_due)} due`}
+      </p>
+    </div>
+    <div className="flex items-center space-x-1">
+      <button
+        type="button"
+        onClick={onPreview}
+        className="p-2 text-gray-600 hover:text-blue-600 hover:bg-blue-50 rounded-lg"
+        aria-label={`Preview ${invoice.number}`}
+      >
+        <Eye size={16} />
+      </button>
+      <button
+        type="button"
+        onClick={() => printInvoice(invoice)}
+        className="p-2 text-gray-600 hover:text-blue-600 hover:bg-blue-50 rounded-lg"
+        aria-label={`Print ${invoice.number}`}
+      >
+        <Printer size={16} />
+      </button>
+      <button
+        type="button"
+        onClick={() => downloadInvoicePdf(invoice)}
+        className="p-2 text-gray-600 hover:text-blue-600 hover:bg-blue-50 rounded-lg"
+        aria-label={`Download ${invoice.number} as PDF`}
+      >
+        <Download size={16} />
+      </button>
+    </div>
+  </div>
+)
+
+/**
+ * Invoice and receipt modal
+ * @function InvoiceModal
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Whether modal is open
+ * @param {Function} props.onClose - Close handler
+ * @param {string} props.defaultPeriod - Billing month to start with (YYYY-MM)
+ * @param {string|null} [props.instructorId=null] - Instructor issuing documents
+ * @returns {JSX.Element} Invoice modal
+ *
+ * @example
+ * <InvoiceModal isOpen={isInvoiceOpen} onClose={() => setIsInvoiceOpen(false)} defaultPeriod="2025-01" />
+ */
+const InvoiceModal = ({ isOpen, onClose, defaultPeriod, instructorId = null }) => {
+  const [studentId, setStudentId] = useState('')
+  const [documentType, setDocumentType] = useState(INVOICE_CONFIG.TYPES.INVOICE)
+  const [fromPeriod, setFromPeriod] = useState(defaultPeriod)
+  const [toPeriod, setToPeriod] = useState(defaultPeriod)
+  const [paymentId, setPaymentId] = useState('')
+  const [previewId, setPreviewId] = useState(null)
+  const [formError, setFormError] = useState(null)
+
+  const { balance } = useStudentBalance(studentId || null, { enabled: isOpen })
+  const { invoices, isLoading, isGenerating, error, canIssue, createInvoice, createReceipt } = useInvoices(
+    studentId || null,
+    { enabled: isOpen, instructorId }
+  )
+
+  // Start fresh whenever the modal opens
+  useEffect(() => {
+    if (isOpen) {
+      setStudentId('')
+      setDocumentType(INVOICE_CONFIG.TYPES.INVOICE)
+      setFromPeriod(defaultPeriod)
+      setToPeriod(defaultPeriod)
+      setPaymentId('')
+      setPreviewId(null)
+      setFormError(null)
+    }
+  }, [isOpen, defaultPeriod])
+
+  // Only payments recorded with an amount can be receipted
+  const payments = useMemo(() => {
+    return (balance?.payments || []).filter(payment => typeof payment.amount === 'number')
+  }, [balance])
+
+  const preview = invoices.find(invoice => invoice.$id === previewId) || null
+  const canGenerate = Boolean(studentId) && canIssue && !isGenerating && (
+    documentType === INVOICE_CONFIG.TYPES.INVOICE ? Boolean(fromPeriod && toPeriod) : Boolean(paymentId)
+  )
+
+  /**
+   * Issue the selected document and preview it
+   * @function handleGenerate
+   */
+  const handleGenerate = async () => {
+    setFormError(null)
+    const result = documentType === INVOICE_CONFIG.TYPES.INVOICE
+      ? await createInvoice({ fromPeriod, toPeriod })
+      : await createReceipt(paymentId)
+
+    if (result.success) {
+      setPreviewId(result.data.$id)
+      return
+    }
+
+    const fieldErrors = result.context?.fieldErrors || {}
+    setFormError(Object.values(fieldErrors).find(Boolean) || result.message)
+  }
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      size="3xl"
+      position="center"
+      closeOnBackdrop={!isGenerating}
+      closeOnEscape={!isGenerating}
+    >
+      <Modal.Header
+        title="Invoices & Receipts"
+        subtitle="Issue, print or download fee documents"
+        onClose={onClose}
+        showCloseButton={!isGenerating}
+      />
+
+      <Modal.Body scrollable={true}>
+        <div className="space-y-6">
+          <StudentPicker
+            field={{
+              value: studentId,
+              onChange: (value) => {
+                setStudentId(value)
+                setPaymentId('')
+                setPreviewId(null)
+                setFormError(null)
+              }
+            }}
+            enabled={isOpen}
+          />
+
+          {studentId && (
+            <div className="p-4 border border-gray-200 rounded-lg space-y-4">
+              <div className="grid grid-cols-2 gap-2">
+                {DOCUMENT_TYPES.map((type) => (
+                  <button
+                    key={type.value}
+                    type="button"
+                    onClick={() => {
+                      setDocumentType(type.value)
+                      setFormError(null)
+                    }}
+                    className={`flex items-center justify-center space-x-2 px-3 py-2 rounded-lg text-sm font-medium border transition-colors ${
+                      documentType === type.value
+                        ? 'bg-blue-500 text-white border-blue-500'
+                        : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+                    }`}
+                  >
+                    <type.icon size={16} />
+                    <span>{type.label}</span>
+                  </button>
+                ))}
+              </div>
+
+              {documentType === INVOICE_CONFIG.TYPES.INVOICE ? (
+                <div className="grid grid-cols-2 gap-3">
+                  <label className="space-y-1">
+                    <span className="block text-xs font-medium text-gray-600">From</span>
+                    <input
+                      type="month"
+                      value={fromPeriod}
+                      onChange={(e) => setFromPeriod(e.target.value)}
+                      className={inputClassName}
+                    />
+                  </label>
+                  <label className="space-y-1">
+                    <span className="block text-xs font-medium text-gray-600">To</span>
+                    <input
+                      type="month"
+                      value={toPeriod}
+                      min={fromPeriod}
+                      onChange={(e) => setToPeriod(e.target.value)}
+                      className={inputClassName}
+                    />
+                  </label>
+                </div>
+              ) : (
+                <label className="block space-y-1">
+                  <span className="block text-xs font-medium text-gray-600">Payment</span>
+                  <select
+                    value={paymentId}
+                    onChange={(e) => setPaymentId(e.target.value)}
+                    className={inputClassName}
+                  >
+                    <option value="">{payments.length === 0 ? 'No payments recorded' : 'Select a payment'}</option>
+                    {payments.map((payment) => (
+                      <option key={payment.$id} value={payment.$id}>
+                        {PaymentUtils.formatPeriod(PaymentUtils.toPeriod(payment.month, payment.year))} • {PaymentUtils.formatCurrency(payment.amount)} • {payment.method || 'Payment'} on {payment.paid_date}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              )}
+
+              <div className="flex items-center justify-between">
+                <p className={`text-xs ${formError ? 'text-red-600' : canIssue ? 'text-gray-500' : 'text-amber-600'}`}>
+                  {formError || (canIssue
+                    ? 'Numbers are assigned in sequence when the document is issued'
+                    : INVOICE_CONFIG.OFFLINE_MESSAGE)}
+                </p>
+                <Button
+                  type="button"
+                  variant="primary"
+                  size="sm"
+                  onClick={handleGenerate}
+                  disabled={!canGenerate}
+                  loading={isGenerating}
+                >
+                  Issue {documentType === INVOICE_CONFIG.TYPES.INVOICE ? 'Invoice' : 'Receipt'}
+                </Button>
+              </div>
+            </div>
+          )}
+
+          {studentId && (
+            <div className="space-y-2">
+              <h3 className="text-sm font-medium text-gray-700">Issued Documents</h3>
+              {invoices.length === 0 ? (
+                <p className="text-sm text-gray-500">
+                  {isLoading
+                    ? 'Loading documents...'
+                    : canIssue ? 'Nothing issued to this student yet' : 'Issued documents are listed once you are back online'}
+                </p>
+              ) : (
+                invoices.map((invoice) => (
+                  <IssuedDocumentRow
+                    key={invoice.$id}
+                    invoice={invoice}
+                    isSelected={invoice.$id === previewId}
+                    onPreview={() => setPreviewId(invoice.$id)}
+                  />
+                ))
+              )}
+              {error && canIssue && !error.context?.fieldErrors && (
+                <p className="text-sm text-red-600">{error.message}</p>
+              )}
+            </div>
+          )}
+
+          {preview && (
+            <iframe
+              title={`Preview of ${preview.number}`}
+              srcDoc={renderInvoiceHtml(preview)}
+              className="w-full h-96 border border-gray-200 rounded-lg bg-white"
+            />
+          )}
+        </div>
+      </Modal.Body>
+
+      <Modal.Footer>
+        <Button type="button" variant="outline" onClick={onClose} disabled={isGenerating}>
+          Done
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  )
+}
+
+export default InvoiceModal
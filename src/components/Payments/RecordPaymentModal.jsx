@@ -0,0 +1,437 @@
+/**
+ * Record Payment Modal Component
+ *
+ * Records a full or partial fee payment for a student and billing month,
+ * showing the fee plan amount and outstanding balance as the form is
+ * filled in.
+ *
+ * @component
+ * @version 1.0.0
+ */
+
+import { useState, useEffect, useCallback } from 'react'
+import { useForm, Controller } from 'react-hook-form'
+import { AlertCircle, Search } from 'lucide-react'
+import Modal from '../Modal/Modal.jsx'
+import Button from '../Button.jsx'
+import { useStudents, STUDENT_STATUS } from '../../hooks/useStudents.js'
+import { useStudentBalance } from '../../hooks/usePayments.js'
+import { PAYMENT_CONFIG, PaymentUtils } from '../../services/paymentService.js'
+import { today } from '../../utils/dates.js'
+
+/**
+ * Delay before a typed student search is sent to the server
+ * @constant
+ */
+const SEARCH_DEBOUNCE_MS = 300
+
+/**
+ * Empty form values for a new payment
+ * @function getEmptyPayment
+ * @param {string} period - Billing month (YYYY-MM)
+ * @returns {Object} Form values
+ */
+const getEmptyPayment = (period) => ({
+  student_id: '',
+  period,
+  amount: '',
+  method: PAYMENT_CONFIG.METHODS.UPI,
+  reference: '',
+  paid_date: today(),
+  notes: ''
+})
+
+/**
+ * Shared input styling
+ * @function inputClassName
+ * @param {boolean} hasError - Whether the field has an error
+ * @returns {string} Input class names
+ */
+const inputClassName = (hasError) => `
+  w-full px-4 py-3 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500
+  transition-colors duration-200 bg-white
+  ${hasError ? 'border-red-300 focus:ring-red-500 focus:border-red-500' : 'border-gray-300'}
+`
+
+/**
+ * Label and error wrapper for a form input
+ * @function Field
+ * @param {Object} props - Component props
+ * @param {string} props.label - Field label
+ * @param {string} [props.error] - Error message
+ * @param {React.ReactNode} props.children - Input element
+ * @returns {JSX.Element} Field wrapper
+ */
+const Field = ({ label, error, children }) => (
+  <div className="space-y-2">
+    <label className="block text-sm font-medium text-gray-700">
+      {label}
+    </label>
+    {children}
+    {error && (
+      <p className="text-sm text-red-600 flex items-center space-x-1">
+        <AlertCircle size={14} />
+        <span>{error}</span>
+      </p>
+    )}
+  </div>
+)
+
+/**
+ * Searchable student picker
+ * @function StudentPicker
+ * @param {Object} props - Component props
+ * @param {Object} props.field - React Hook Form field object
+ * @param {string} [props.error] - Error message
+ * @param {boolean} props.enabled - Whether to load students
+ * @returns {JSX.Element} Student picker
+ */
+export const StudentPicker = ({ field, error, enabled }) => {
+  const [searchInput, setSearchInput] = useState('')
+  const { students, isLoading, setSearch } = useStudents({
+    pageSize: 8,
+    initialStatus: STUDENT_STATUS.ACTIVE,
+    enabled
+  })
+
+  // Debounce search input before querying
+  useEffect(() => {
+    const timeoutId = setTimeout(() => setSearch(searchInput), SEARCH_DEBOUNCE_MS)
+    return () => clearTimeout(timeoutId)
+  }, [searchInput, setSearch])
+
+  return (
+    <Field label="Student" error={error}>
+      <div className="relative">
+        <Search className="absolute left-3 top-3.5 text-gray-400 pointer-events-none" size={18} />
+        <input
+          type="search"
+          value={searchInput}
+          onChange={(e) => setSearchInput(e.target.value)}
+          placeholder="Search by name"
+          aria-label="Search students"
+          className={`${inputClassName(false)} pl-10`}
+        />
+      </div>
+      <div className="max-h-40 overflow-y-auto border border-gray-200 rounded-lg divide-y divide-gray-100">
+        {students.length === 0 ? (
+          <p className="p-3 text-sm text-gray-500">
+            {isLoading ? 'Loading students...' : 'No matching students'}
+          </p>
+        ) : (
+          students.map((student) => (
+            <button
+              key={student.$id}
+              type="button"
+              onClick={() => field.onChange(student.$id)}
+              className={`w-full text-left px-3 py-2 text-sm transition-colors ${
+                field.value === student.$id ? 'bg-blue-50 text-blue-900' : 'hover:bg-gray-50 text-gray-900'
+              }`}
+            >
+              <span className="font-medium">{student.name}</span>
+              <span className="text-gray-500"> • {(student.batches || []).join(', ') || 'No batch'}</span>
+            </button>
+          ))
+        )}
+      </div>
+    </Field>
+  )
+}
+
+/**
+ * Balance summary for the selected student and month
+ * @function BalanceSummary
+ * @param {Object} props - Component props
+ * @param {Object|null} props.balance - Student balance from getStudentBalance
+ * @param {Object|null} props.periodSummary - Summary for the selected month
+ * @param {boolean} props.isLoading - Whether the balance is loading
+ * @returns {JSX.Element|null} Balance summary
+ */
+const BalanceSummary = ({ balance, periodSummary, isLoading }) => {
+  if (isLoading) {
+    return <p className="text-sm text-gray-500">Loading balance...</p>
+  }
+
+  if (!balance) return null
+
+  const rows = [
+    { label: 'Monthly fee', value: PaymentUtils.formatCurrency(balance.monthlyFee) },
+    { label: 'Paid this month', value: PaymentUtils.formatCurrency(periodSummary?.paid) },
+    { label: 'Due this month', value: PaymentUtils.formatCurrency(periodSummary?.outstanding) },
+    { label: 'Total outstanding', value: PaymentUtils.formatCurrency(balance.outstanding), emphasis: true }
+  ]
+
+  return (
+    <div className="p-4 bg-gray-50 rounded-lg grid grid-cols-2 gap-3">
+      {rows.map((row) => (
+        <div key={row.label}>
+          <p className="text-xs text-gray-500">{row.label}</p>
+          <p className={`text-sm font-semibold ${row.emphasis && balance.outstanding > 0 ? 'text-red-600' : 'text-gray-900'}`}>
+            {row.value}
+          </p>
+        </div>
+      ))}
+      {balance.monthlyFee === 0 && (
+        <p className="col-span-2 text-xs text-yellow-700">
+          No fee plan is set for this student's batches yet.
+        </p>
+      )}
+    </div>
+  )
+}
+
+/**
+ * Record payment modal
+ * @function RecordPaymentModal
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Whether modal is open
+ * @param {Function} props.onClose - Close handler
+ * @param {string} props.defaultPeriod - Billing month to start with (YYYY-MM)
+ * @param {string|null} [props.instructorId=null] - Instructor recording the payment
+ * @param {Function} [props.onRecorded] - Called with the result after a payment is saved
+ * @returns {JSX.Element} Record payment modal
+ *
+ * @example
+ * <RecordPaymentModal
+ *   isOpen={isRecordOpen}
+ *   onClose={() => setIsRecordOpen(false)}
+ *   defaultPeriod="2025-01"
+ *   instructorId={instructorId}
+ * />
+ */
+const RecordPaymentModal = ({
+  isOpen,
+  onClose,
+  defaultPeriod,
+  instructorId = null,
+  onRecorded
+}) => {
+  const {
+    control,
+    handleSubmit,
+    reset,
+    watch,
+    setValue,
+    setError,
+    trigger,
+    formState: { errors, isValid }
+  } = useForm({
+    defaultValues: getEmptyPayment(defaultPeriod),
+    mode: 'onChange'
+  })
+
+  const studentId = watch('student_id')
+  const period = watch('period')
+  const method = watch('method')
+
+  const { balance, isLoading, isSaving, addPayment } = useStudentBalance(studentId || null, {
+    enabled: isOpen,
+    instructorId
+  })
+
+  const periodSummary = balance
+    ? balance.periods.find(item => item.period === period) || {
+        due: balance.monthlyFee,
+        paid: 0,
+        outstanding: balance.monthlyFee
+      }
+    : null
+
+  // Reset the form whenever the modal opens
+  useEffect(() => {
+    if (isOpen) {
+      reset(getEmptyPayment(defaultPeriod))
+    }
+  }, [isOpen, defaultPeriod, reset])
+
+  // Reference is only required for non-cash methods
+  useEffect(() => {
+    trigger('reference')
+  }, [method, trigger])
+
+  // Suggest the amount still due for the selected month
+  const suggestedAmount = periodSummary?.outstanding
+  useEffect(() => {
+    if (suggestedAmount > 0) {
+      setValue('amount', String(suggestedAmount), { shouldValidate: true })
+    }
+  }, [suggestedAmount, setValue])
+
+  /**
+   * Submit the payment and map service field errors onto the form
+   * @function handleFormSubmit
+   * @param {Object} data - Form data
+   */
+  const handleFormSubmit = useCallback(async (data) => {
+    const result = await addPayment({
+      ...data,
+      amount: Number(data.amount)
+    })
+
+    if (result?.success) {
+      if (onRecorded) onRecorded(result)
+      onClose()
+      return
+    }
+
+    const fieldErrors = result?.context?.fieldErrors || {}
+    Object.entries(fieldErrors).forEach(([field, message]) => {
+      if (message) setError(field, { type: 'server', message })
+    })
+
+    if (Object.keys(fieldErrors).length === 0) {
+      setError('root.server', { type: 'server', message: result?.message || 'Failed to record payment' })
+    }
+  }, [addPayment, onRecorded, onClose, setError])
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      size="lg"
+      position="center"
+      closeOnBackdrop={!isSaving}
+      closeOnEscape={!isSaving}
+    >
+      <Modal.Header
+        title="Record Payment"
+        subtitle="Full or partial fee payment"
+        onClose={onClose}
+        showCloseButton={!isSaving}
+      />
+
+      <Modal.Body scrollable={true}>
+        <form id="record-payment-form" onSubmit={handleSubmit(handleFormSubmit)} className="space-y-5">
+          <Controller
+            name="student_id"
+            control={control}
+            rules={{ required: 'Select a student' }}
+            render={({ field }) => (
+              <StudentPicker field={field} error={errors.student_id?.message} enabled={isOpen} />
+            )}
+          />
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <Controller
+              name="period"
+              control={control}
+              rules={{ required: 'Billing month is required' }}
+              render={({ field }) => (
+                <Field label="Billing Month" error={errors.period?.message}>
+                  <input {...field} type="month" className={inputClassName(errors.period)} />
+                </Field>
+              )}
+            />
+
+            <Controller
+              name="paid_date"
+              control={control}
+              rules={{ required: 'Payment date is required' }}
+              render={({ field }) => (
+                <Field label="Paid On" error={errors.paid_date?.message}>
+                  <input {...field} type="date" className={inputClassName(errors.paid_date)} />
+                </Field>
+              )}
+            />
+          </div>
+
+          {studentId && (
+            <BalanceSummary balance={balance} periodSummary={periodSummary} isLoading={isLoading} />
+          )}
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <Controller
+              name="amount"
+              control={control}
+              rules={{
+                required: 'Amount is required',
+                validate: (value) => Number(value) > 0 || 'Enter an amount greater than zero'
+              }}
+              render={({ field }) => (
+                <Field label={`Amount (${PAYMENT_CONFIG.CURRENCY.symbol})`} error={errors.amount?.message}>
+                  <input {...field} type="number" min="1" step="1" inputMode="numeric" className={inputClassName(errors.amount)} />
+                </Field>
+              )}
+            />
+
+            <Controller
+              name="method"
+              control={control}
+              rules={{ required: 'Select a payment method' }}
+              render={({ field }) => (
+                <Field label="Method" error={errors.method?.message}>
+                  <select {...field} className={inputClassName(errors.method)}>
+                    {Object.values(PAYMENT_CONFIG.METHODS).map((value) => (
+                      <option key={value} value={value}>{value}</option>
+                    ))}
+                  </select>
+                </Field>
+              )}
+            />
+          </div>
+
+          <Controller
+            name="reference"
+            control={control}
+            rules={{
+              validate: (value) =>
+                method === PAYMENT_CONFIG.METHODS.CASH || Boolean(value?.trim()) || 'Reference number is required for non-cash payments',
+              maxLength: { value: PAYMENT_CONFIG.VALIDATION.REFERENCE_MAX_LENGTH, message: 'Reference is too long' }
+            }}
+            render={({ field }) => (
+              <Field
+                label={method === PAYMENT_CONFIG.METHODS.CASH ? 'Reference (Optional)' : 'Reference Number'}
+                error={errors.reference?.message}
+              >
+                <input {...field} type="text" placeholder="UPI / transaction ID" className={inputClassName(errors.reference)} />
+              </Field>
+            )}
+          />
+
+          <Controller
+            name="notes"
+            control={control}
+            render={({ field }) => (
+              <Field label="Notes (Optional)">
+                <textarea
+                  {...field}
+                  rows={2}
+                  maxLength={PAYMENT_CONFIG.VALIDATION.NOTES_MAX_LENGTH}
+                  className={`${inputClassName(false)} resize-none`}
+                />
+              </Field>
+            )}
+          />
+
+          {errors.root?.server && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800">
+              {errors.root.server.message}
+            </div>
+          )}
+        </form>
+      </Modal.Body>
+
+      <Modal.Footer align="between">
+        <Button
+          type="button"
+          variant="outline"
+          onClick={onClose}
+          disabled={isSaving}
+        >
+          Cancel
+        </Button>
+        <Button
+          type="submit"
+          form="record-payment-form"
+          variant="primary"
+          loading={isSaving}
+          disabled={!isValid || isSaving}
+        >
+          {isSaving ? 'Saving...' : 'Record Payment'}
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  )
+}
+
+export default RecordPaymentModal
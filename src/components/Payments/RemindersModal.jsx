@@ -0,0 +1,198 @@
+/**
+ * Reminders Modal Component
+ *
+ * Overdue fee queue for the selected month. Each reminder can be sent
+ * through the device share sheet, SMS or email using a message template.
+ *
+ * @component
+ * @version 1.0.0
+ */
+
+import { useState } from 'react'
+import { Mail, MessageSquare, RefreshCw, Share2 } from 'lucide-react'
+import Modal from '../Modal/Modal.jsx'
+import Button from '../Button.jsx'
+import { CAN_SHARE } from '../../hooks/usePaymentReminders.js'
+import { REMINDER_CONFIG, renderReminderMessage } from '../../services/reminderService.js'
+import { PaymentUtils } from '../../services/paymentService.js'
+
+/**
+ * Describe when the last reminder went out
+ * @function formatLastReminder
+ * @param {Object} item - Reminder queue item
+ * @returns {string} Reminder summary
+ */
+const formatLastReminder = (item) => {
+  if (!item.remindersSent) return 'Not reminded yet'
+  const sentOn = new Date(item.lastRemindedAt).toLocaleDateString()
+  return `Reminded ${item.remindersSent}× • last ${sentOn}${item.lastChannel ? ` by ${item.lastChannel}` : ''}`
+}
+
+/**
+ * One overdue student with template choice and send buttons
+ * @function ReminderRow
+ * @param {Object} props - Component props
+ * @param {Object} props.item - Reminder queue item
+ * @param {boolean} props.isSending - Whether this reminder is being sent
+ * @param {boolean} props.disabled - Whether sending is disabled
+ * @param {Function} props.onSend - Send handler, receives the item, channel and template
+ * @returns {JSX.Element} Reminder row
+ */
+const ReminderRow = ({ item, isSending, disabled, onSend }) => {
+  const [templateId, setTemplateId] = useState(item.templateId)
+  const [rowMessage, setRowMessage] = useState(null)
+  const message = renderReminderMessage(templateId, item)
+
+  /**
+   * Send through a channel and show the outcome on the row
+   * @function handleSend
+   * @param {string} channel - One of REMINDER_CONFIG.CHANNELS
+   */
+  const handleSend = async (channel) => {
+    setRowMessage(null)
+    const result = await onSend(item, channel, templateId)
+    if (!result.success && !result.cancelled) {
+      setRowMessage(result.message)
+    }
+  }
+
+  const channels = [
+    CAN_SHARE && { id: REMINDER_CONFIG.CHANNELS.SHARE, label: 'Share', icon: Share2, available: true },
+    { id: REMINDER_CONFIG.CHANNELS.SMS, label: 'SMS', icon: MessageSquare, available: Boolean(item.student.contact) },
+    { id: REMINDER_CONFIG.CHANNELS.EMAIL, label: 'Email', icon: Mail, available: Boolean(item.student.email) }
+  ].filter(Boolean)
+
+  return (
+    <div className="p-4 border border-gray-200 rounded-lg space-y-3">
+      <div className="flex items-start justify-between">
+        <div className="min-w-0">
+          <p className="font-medium text-gray-900">{item.student.name}</p>
+          <p className="text-xs text-gray-500">
+            {(item.student.batches || []).join(', ')} • {formatLastReminder(item)}
+          </p>
+        </div>
+        <div className="text-right">
+          <p className="text-sm font-semibold text-gray-900">{PaymentUtils.formatCurrency(item.outstanding)}</p>
+          <p className="text-xs text-red-600">{item.daysOverdue} days overdue</p>
+        </div>
+      </div>
+
+      <select
+        value={templateId}
+        onChange={(e) => setTemplateId(e.target.value)}
+        disabled={disabled}
+        aria-label={`Message template for ${item.student.name}`}
+        className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+      >
+        {Object.values(REMINDER_CONFIG.TEMPLATES).map((template) => (
+          <option key={template.id} value={template.id}>{template.label}</option>
+        ))}
+      </select>
+
+      <p className="p-3 bg-gray-50 rounded-lg text-sm text-gray-700">{message.body}</p>
+
+      <div className="flex items-center justify-between">
+        <p className={`text-xs ${isSending ? 'text-gray-500' : 'text-red-600'}`}>
+          {isSending ? 'Sending...' : rowMessage}
+        </p>
+        <div className="flex items-center space-x-2">
+          {channels.map((channel) => (
+            <Button
+              key={channel.id}
+              type="button"
+              variant="outline"
+              size="sm"
+              onClick={() => handleSend(channel.id)}
+              disabled={disabled || !channel.available}
+              title={channel.available ? `Send by ${channel.label}` : `No ${channel.id === REMINDER_CONFIG.CHANNELS.SMS ? 'phone number' : 'email address'} on file`}
+            >
+              <channel.icon size={14} className="mr-1" />
+              {channel.label}
+            </Button>
+          ))}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+/**
+ * Payment reminders modal
+ * @function RemindersModal
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Whether modal is open
+ * @param {Function} props.onClose - Close handler
+ * @param {string} props.period - Billing month (YYYY-MM)
+ * @param {Object} props.reminders - Result of usePaymentReminders for the month
+ * @returns {JSX.Element} Reminders modal
+ *
+ * @example
+ * <RemindersModal isOpen={isRemindersOpen} onClose={close} period="2025-01" reminders={reminders} />
+ */
+const RemindersModal = ({ isOpen, onClose, period, reminders }) => {
+  const { queue, outstanding, graceDays, setGraceDays, isLoading, sendingId, error, sendReminder, refresh } = reminders
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} size="2xl" position="center">
+      <Modal.Header
+        title="Payment Reminders"
+        subtitle={`${PaymentUtils.formatPeriod(period)} • ${queue.length} overdue • ${PaymentUtils.formatCurrency(outstanding)} outstanding`}
+        onClose={onClose}
+      />
+
+      <Modal.Body scrollable={true}>
+        <div className="space-y-4">
+          <div className="flex items-end justify-between gap-4">
+            <label className="space-y-1">
+              <span className="block text-xs font-medium text-gray-600">Grace period after due date (days)</span>
+              <input
+                type="number"
+                min="0"
+                max={REMINDER_CONFIG.MAX_GRACE_PERIOD_DAYS}
+                value={graceDays}
+                onChange={(e) => setGraceDays(e.target.value)}
+                className="w-32 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </label>
+            <Button type="button" variant="ghost" size="sm" onClick={refresh} disabled={isLoading}>
+              <RefreshCw size={14} className={`mr-2 ${isLoading ? 'animate-spin' : ''}`} />
+              Refresh
+            </Button>
+          </div>
+
+          {error && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800">
+              {error.message}
+            </div>
+          )}
+
+          <div className={`space-y-3 ${isLoading ? 'opacity-60' : ''}`}>
+            {queue.length === 0 ? (
+              <p className="py-8 text-center text-sm text-gray-500">
+                {isLoading ? 'Checking payments...' : 'No overdue payments for this month'}
+              </p>
+            ) : (
+              queue.map((item) => (
+                <ReminderRow
+                  key={item.student.$id}
+                  item={item}
+                  isSending={sendingId === item.student.$id}
+                  disabled={Boolean(sendingId)}
+                  onSend={sendReminder}
+                />
+              ))
+            )}
+          </div>
+        </div>
+      </Modal.Body>
+
+      <Modal.Footer>
+        <Button type="button" variant="outline" onClick={onClose}>
+          Done
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  )
+}
+
+export default RemindersModal
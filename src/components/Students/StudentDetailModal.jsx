@@ -0,0 +1,323 @@
+/**
+ * Student Detail Modal Component
+ *
+ * Attendance detail for one student: overall and per-batch percentages,
+ * streaks, consecutive-absence warnings, a monthly heatmap built on the
+ * calendar grid and the full paginated history.
+ *
+ * @component
+ * @version 1.0.0
+ */
+
+import { useState, useMemo } from 'react'
+import { AlertTriangle, ChevronLeft, ChevronRight, Flame, Trophy, Percent, CalendarDays } from 'lucide-react'
+import Modal from '../Modal/Modal.jsx'
+import { CalendarHeader, DaysHeader } from '../Dashboard/Calendar.jsx'
+import { useStudentAttendance } from '../../hooks/useStudentAttendance.js'
+import { getAttendanceStatus, ATTENDANCE_STATUS } from '../../services/databaseService.js'
+import { getCalendarWeeks, getCurrentMonthStart } from '../../utils/calendar.js'
+
+/**
+ * Display styles per attendance status, listed from most to least severe
+ * @constant
+ */
+const STATUS_STYLES = {
+  [ATTENDANCE_STATUS.ABSENT]: { label: 'Absent', cell: 'bg-red-500 text-white', badge: 'bg-red-100 text-red-800' },
+  [ATTENDANCE_STATUS.LATE]: { label: 'Late', cell: 'bg-yellow-400 text-white', badge: 'bg-yellow-100 text-yellow-800' },
+  [ATTENDANCE_STATUS.INJURED]: { label: 'Injured', cell: 'bg-orange-400 text-white', badge: 'bg-orange-100 text-orange-800' },
+  [ATTENDANCE_STATUS.EXCUSED]: { label: 'Excused', cell: 'bg-gray-400 text-white', badge: 'bg-gray-100 text-gray-800' },
+  [ATTENDANCE_STATUS.PRESENT]: { label: 'Present', cell: 'bg-green-500 text-white', badge: 'bg-green-100 text-green-800' }
+}
+
+const STATUS_SEVERITY = Object.keys(STATUS_STYLES)
+
+/**
+ * Summary stat tiles
+ * @function SummaryTiles
+ * @param {Object} props - Component props
+ * @param {Object} props.summary - Result of analyzeStudentAttendance
+ * @returns {JSX.Element} Summary tiles
+ */
+const SummaryTiles = ({ summary }) => {
+  const tiles = [
+    { title: 'Attendance', value: `${summary.rate}%`, icon: Percent, color: 'text-purple-600 bg-purple-50' },
+    { title: 'Current Streak', value: summary.currentStreak, icon: Flame, color: 'text-orange-600 bg-orange-50' },
+    { title: 'Longest Streak', value: summary.longestStreak, icon: Trophy, color: 'text-yellow-600 bg-yellow-50' },
+    { title: 'Classes', value: summary.sessions, icon: CalendarDays, color: 'text-blue-600 bg-blue-50' }
+  ]
+
+  return (
+    <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+      {tiles.map((tile) => (
+        <div key={tile.title} className="p-3 bg-gray-50 rounded-lg flex items-center">
+          <div className={`p-2 rounded-lg mr-3 ${tile.color}`}>
+            <tile.icon size={18} />
+          </div>
+          <div className="min-w-0">
+            <p className="text-xs font-medium text-gray-500 truncate">{tile.title}</p>
+            <p className="text-lg font-bold text-gray-900">{tile.value}</p>
+          </div>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+/**
+ * Consecutive absence warnings
+ * @function AbsenceWarnings
+ * @param {Object} props - Component props
+ * @param {Array} props.warnings - Batches with a run of absences
+ * @returns {JSX.Element|null} Warning list
+ */
+const AbsenceWarnings = ({ warnings }) => {
+  if (warnings.length === 0) return null
+
+  return (
+    <div className="p-3 bg-red-50 border border-red-200 rounded-lg space-y-1">
+      {warnings.map((warning) => (
+        <p key={warning.batchName} className="text-sm text-red-800 flex items-center space-x-2">
+          <AlertTriangle size={16} className="flex-shrink-0" />
+          <span>
+            Missed the last {warning.count} {warning.batchName} classes (since {warning.since})
+          </span>
+        </p>
+      ))}
+    </div>
+  )
+}
+
+/**
+ * Attendance percentage per batch
+ * @function BatchBreakdown
+ * @param {Object} props - Component props
+ * @param {Array} props.batches - Per-batch statistics
+ * @returns {JSX.Element} Batch percentage bars
+ */
+const BatchBreakdown = ({ batches }) => (
+  <div className="space-y-3">
+    <h4 className="text-sm font-semibold text-gray-900">By Batch</h4>
+    {batches.length === 0 ? (
+      <p className="text-sm text-gray-500">No attendance recorded yet</p>
+    ) : (
+      batches.map((batch) => (
+        <div key={batch.batchName}>
+          <div className="flex justify-between text-sm mb-1">
+            <span className="text-gray-700">{batch.batchName}</span>
+            <span className="text-gray-500">
+              {batch.attended}/{batch.sessions - batch.excused} • {batch.rate}%
+            </span>
+          </div>
+          <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+            <div
+              className={`h-full rounded-full ${batch.rate >= 75 ? 'bg-green-500' : batch.rate >= 50 ? 'bg-yellow-400' : 'bg-red-500'}`}
+              style={{ width: `${batch.rate}%` }}
+            />
+          </div>
+        </div>
+      ))
+    )}
+  </div>
+)
+
+/**
+ * Monthly attendance heatmap on the shared calendar grid
+ * @function AttendanceHeatmap
+ * @param {Object} props - Component props
+ * @param {Object} props.recordsByDate - Attendance records keyed by date
+ * @returns {JSX.Element} Heatmap calendar
+ */
+const AttendanceHeatmap = ({ recordsByDate }) => {
+  const [currentDate, setCurrentDate] = useState(getCurrentMonthStart)
+  const year = currentDate.getFullYear()
+  const month = currentDate.getMonth()
+
+  const weeks = useMemo(() => getCalendarWeeks(year, month, recordsByDate), [year, month, recordsByDate])
+
+  /**
+   * Pick the most severe status recorded on a day
+   * @function getDayStatus
+   * @param {Array} records - Attendance records for the day
+   * @returns {string|null} Status to display
+   */
+  const getDayStatus = (records) => {
+    if (records.length === 0) return null
+    const statuses = records.map(getAttendanceStatus)
+    return STATUS_SEVERITY.find(status => statuses.includes(status)) || null
+  }
+
+  return (
+    <div>
+      <CalendarHeader
+        year={year}
+        month={month}
+        onPrevious={() => setCurrentDate(new Date(year, month - 1, 1))}
+        onNext={() => setCurrentDate(new Date(year, month + 1, 1))}
+        onToday={() => setCurrentDate(getCurrentMonthStart())}
+      />
+      <DaysHeader />
+      <div className="grid grid-cols-7 gap-1">
+        {weeks.flat().map((dayData) => {
+          const status = dayData.isCurrentMonth ? getDayStatus(dayData.items) : null
+          return (
+            <div
+              key={dayData.dateKey}
+              title={status ? `${dayData.dateKey}: ${STATUS_STYLES[status].label}` : dayData.dateKey}
+              className={`
+                h-9 flex items-center justify-center rounded-md text-xs font-medium
+                ${!dayData.isCurrentMonth ? 'text-gray-300' : status ? STATUS_STYLES[status].cell : 'bg-gray-50 text-gray-600'}
+                ${dayData.isToday ? 'ring-2 ring-blue-500' : ''}
+              `}
+            >
+              {dayData.day}
+            </div>
+          )
+        })}
+      </div>
+      <div className="flex flex-wrap gap-3 mt-3">
+        {Object.entries(STATUS_STYLES).map(([status, style]) => (
+          <div key={status} className="flex items-center space-x-1 text-xs text-gray-600">
+            <span className={`w-3 h-3 rounded-sm ${style.cell}`} />
+            <span>{style.label}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+/**
+ * Paginated attendance history list
+ * @function HistoryList
+ * @param {Object} props - Component props
+ * @param {Array} props.history - Attendance records on the current page
+ * @param {number} props.page - Current page (1-based)
+ * @param {number} props.totalPages - Total page count
+ * @param {number} props.total - Total records
+ * @param {boolean} props.isLoading - Whether the page is loading
+ * @param {Function} props.onPageChange - Page change handler
+ * @returns {JSX.Element} History list
+ */
+const HistoryList = ({ history, page, totalPages, total, isLoading, onPageChange }) => (
+  <div>
+    <h4 className="text-sm font-semibold text-gray-900 mb-3">History</h4>
+    {history.length === 0 ? (
+      <p className="text-sm text-gray-500">{isLoading ? 'Loading history...' : 'No attendance recorded yet'}</p>
+    ) : (
+      <div className={`space-y-2 ${isLoading ? 'opacity-60' : ''}`}>
+        {history.map((record) => {
+          const style = STATUS_STYLES[getAttendanceStatus(record)]
+          return (
+            <div key={record.$id} className="flex items-center justify-between p-2 bg-gray-50 rounded-lg">
+              <div className="min-w-0">
+                <p className="text-sm text-gray-900">{record.date} • {record.batch_name}</p>
+                {record.notes && <p className="text-xs text-gray-500 truncate">{record.notes}</p>}
+              </div>
+              <span className={`px-2 py-1 text-xs font-medium rounded-full ${style.badge}`}>
+                {style.label}
+              </span>
+            </div>
+          )
+        })}
+      </div>
+    )}
+
+    <div className="flex items-center justify-between mt-3">
+      <p className="text-xs text-gray-600">
+        {total} record{total === 1 ? '' : 's'} • Page {page} of {totalPages}
+      </p>
+      <div className="flex items-center space-x-2">
+        <button
+          type="button"
+          onClick={() => onPageChange(page - 1)}
+          disabled={page <= 1 || isLoading}
+          className="p-2 hover:bg-gray-100 rounded-lg transition-colors disabled:opacity-40"
+          aria-label="Previous page"
+        >
+          <ChevronLeft size={16} />
+        </button>
+        <button
+          type="button"
+          onClick={() => onPageChange(page + 1)}
+          disabled={page >= totalPages || isLoading}
+          className="p-2 hover:bg-gray-100 rounded-lg transition-colors disabled:opacity-40"
+          aria-label="Next page"
+        >
+          <ChevronRight size={16} />
+        </button>
+      </div>
+    </div>
+  </div>
+)
+
+/**
+ * Student attendance detail modal
+ * @function StudentDetailModal
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Whether modal is open
+ * @param {Function} props.onClose - Close handler
+ * @param {Object|null} props.student - Student document
+ * @returns {JSX.Element} Student detail modal
+ *
+ * @example
+ * <StudentDetailModal
+ *   isOpen={Boolean(viewingStudent)}
+ *   student={viewingStudent}
+ *   onClose={() => setViewingStudent(null)}
+ * />
+ */
+const StudentDetailModal = ({ isOpen, onClose, student }) => {
+  const {
+    history,
+    total,
+    page,
+    totalPages,
+    setPage,
+    summary,
+    recordsByDate,
+    isLoadingHistory,
+    isLoadingSummary,
+    error
+  } = useStudentAttendance(student?.$id || null, { enabled: isOpen })
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} size="3xl" position="center">
+      <Modal.Header
+        title={student?.name || 'Student'}
+        subtitle={student ? `${student.contact} • ${(student.batches || []).join(', ') || 'No batch'}` : ''}
+        onClose={onClose}
+      />
+
+      <Modal.Body scrollable={true}>
+        <div className="space-y-6">
+          {error && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800">
+              {error.message}
+            </div>
+          )}
+
+          <div className={`space-y-6 ${isLoadingSummary ? 'opacity-60' : ''}`}>
+            <SummaryTiles summary={summary} />
+            <AbsenceWarnings warnings={summary.warnings} />
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              <AttendanceHeatmap recordsByDate={recordsByDate} />
+              <BatchBreakdown batches={summary.batches} />
+            </div>
+          </div>
+
+          <HistoryList
+            history={history}
+            page={page}
+            totalPages={totalPages}
+            total={total}
+            isLoading={isLoadingHistory}
+            onPageChange={setPage}
+          />
+        </div>
+      </Modal.Body>
+    </Modal>
+  )
+}
+
+export default StudentDetailModal
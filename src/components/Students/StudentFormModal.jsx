@@ -0,0 +1,332 @@
+/**
+ * Student Form Modal Component
+ *
+ * Create and edit form for students built on React Hook Form,
+ * with contact validation and batch assignment.
+ *
+ * @component
+ * @version 1.0.0
+ */
+
+import { useEffect, useCallback } from 'react'
+import { useForm, Controller } from 'react-hook-form'
+import { AlertCircle, Clock } from 'lucide-react'
+import Modal from '../Modal/Modal.jsx'
+import Button from '../Button.jsx'
+import { BatchUtils } from '../../services/batchService.js'
+import { useBatches } from '../../hooks/useBatches.js'
+
+/**
+ * Empty form values for a new student
+ * @constant
+ */
+const EMPTY_STUDENT = {
+  name: '',
+  contact: '',
+  email: '',
+  batches: []
+}
+
+/**
+ * Text input with label and error message
+ * @function FormField
+ * @param {Object} props - Component props
+ * @param {string} props.label - Input label
+ * @param {Object} props.field - React Hook Form field object
+ * @param {string} [props.error] - Error message
+ * @returns {JSX.Element} Form field component
+ */
+const FormField = ({ label, field, error, ...props }) => (
+  <div className="space-y-2">
+    <label className="block text-sm font-medium text-gray-700">
+      {label}
+    </label>
+    <input
+      {...field}
+      {...props}
+      className={`
+        w-full px-4 py-3 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500
+        transition-colors duration-200 bg-white
+        ${error ? 'border-red-300 focus:ring-red-500 focus:border-red-500' : 'border-gray-300'}
+      `}
+    />
+    {error && (
+      <p className="text-sm text-red-600 flex items-center space-x-1">
+        <AlertCircle size={14} />
+        <span>{error}</span>
+      </p>
+    )}
+  </div>
+)
+
+/**
+ * Batch assignment checkboxes
+ * @function BatchAssignment
+ * @param {Object} props - Component props
+ * @param {Object} props.field - React Hook Form field object
+ * @param {string} [props.error] - Error message
+ * @returns {JSX.Element} Batch assignment component
+ */
+const BatchAssignment = ({ field, error }) => {
+  const { value = [], onChange } = field
+  const { batches, isLoading } = useBatches({ includeArchived: true })
+
+  // Archived batches stay listed while the student is still in them
+  const choices = batches.filter(batch => batch.active !== false || value.includes(batch.name))
+
+  const handleToggle = (batchName) => {
+    onChange(
+      value.includes(batchName)
+        ? value.filter(name => name !== batchName)
+        : [...value, batchName]
+    )
+  }
+
+  return (
+    <div className="space-y-2">
+      <label className="block text-sm font-medium text-gray-700">
+        Batches
+      </label>
+      <div className="space-y-2">
+        {choices.length === 0 && (
+          <p className="text-sm text-gray-500">{isLoading ? 'Loading batches...' : 'No batches yet'}</p>
+        )}
+        {choices.map((batch) => (
+          <label
+            key={batch.$id}
+            className={`
+              flex items-center space-x-3 p-3 border rounded-lg cursor-pointer
+              transition-colors duration-200 hover:bg-gray-50
+              ${value.includes(batch.name) ? 'border-blue-300 bg-blue-50' : 'border-gray-200'}
+            `}
+          >
+            <input
+              type="checkbox"
+              checked={value.includes(batch.name)}
+              onChange={() => handleToggle(batch.name)}
+              className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+            />
+            <div className={`w-3 h-3 rounded-full ${BatchUtils.getColorClasses(batch.color).dot}`} />
+            <span className="flex-1 font-medium text-gray-900">
+              {batch.name}
+              {batch.active === false && <span className="ml-2 text-xs font-normal text-gray-500">(archived)</span>}
+            </span>
+            <span className="flex items-center space-x-1 text-sm text-gray-600">
+              <Clock size={12} />
+              <span>{BatchUtils.formatTimeWindow(batch)}</span>
+            </span>
+          </label>
+        ))}
+      </div>
+      {error && (
+        <p className="text-sm text-red-600 flex items-center space-x-1">
+          <AlertCircle size={14} />
+          <span>{error}</span>
+        </p>
+      )}
+    </div>
+  )
+}
+
+/**
+ * Student create/edit modal
+ * @function StudentFormModal
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Whether modal is open
+ * @param {Function} props.onClose - Close handler
+ * @param {Function} props.onSubmit - Submit handler, receives form data and returns a response object
+ * @param {Object|null} [props.student=null] - Student being edited (null to create)
+ * @param {boolean} [props.isLoading=false] - Loading state
+ * @returns {JSX.Element} Student form modal
+ *
+ * @example
+ * <StudentFormModal
+ *   isOpen={isFormOpen}
+ *   student={editingStudent}
+ *   onClose={closeForm}
+ *   onSubmit={handleSave}
+ * />
+ */
+const StudentFormModal = ({
+  isOpen,
+  onClose,
+  onSubmit,
+  student = null,
+  isLoading = false
+}) => {
+  const isEditing = Boolean(student)
+
+  const {
+    control,
+    handleSubmit,
+    reset,
+    setError,
+    formState: { errors, isValid }
+  } = useForm({
+    defaultValues: EMPTY_STUDENT,
+    mode: 'onChange'
+  })
+
+  // Load the student being edited whenever the modal opens
+  useEffect(() => {
+    if (isOpen) {
+      reset(student
+        ? {
+            name: student.name || '',
+            contact: student.contact || '',
+            email: student.email || '',
+            batches: student.batches || []
+          }
+        : EMPTY_STUDENT
+      )
+    }
+  }, [isOpen, student, reset])
+
+  /**
+   * Handle form submission and map service field errors onto the form
+   * @function handleFormSubmit
+   * @param {Object} data - Form data
+   */
+  const handleFormSubmit = useCallback(async (data) => {
+    const result = await onSubmit({
+      name: data.name,
+      contact: data.contact,
+      email: data.email || null,
+      batches: data.batches
+    })
+
+    if (result?.success) {
+      onClose()
+      return
+    }
+
+    const fieldErrors = result?.context?.fieldErrors || {}
+    Object.entries(fieldErrors).forEach(([field, message]) => {
+      if (message) setError(field, { type: 'server', message })
+    })
+
+    if (Object.keys(fieldErrors).length === 0) {
+      setError('root.server', { type: 'server', message: result?.message || 'Failed to save student' })
+    }
+  }, [onSubmit, onClose, setError])
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      size="lg"
+      position="center"
+      closeOnBackdrop={!isLoading}
+      closeOnEscape={!isLoading}
+    >
+      <Modal.Header
+        title={isEditing ? 'Edit Student' : 'Add Student'}
+        subtitle={isEditing ? `Update details for ${student.name}` : 'Register a new student in the club'}
+        onClose={onClose}
+        showCloseButton={!isLoading}
+      />
+
+      <Modal.Body scrollable={true}>
+        <form id="student-form" onSubmit={handleSubmit(handleFormSubmit)} className="space-y-5">
+          <Controller
+            name="name"
+            control={control}
+            rules={{
+              required: 'Name is required',
+              maxLength: { value: 100, message: 'Name must be 100 characters or less' }
+            }}
+            render={({ field }) => (
+              <FormField
+                label="Full Name"
+                field={field}
+                error={errors.name?.message}
+                placeholder="Student name"
+                autoComplete="off"
+              />
+            )}
+          />
+
+          <Controller
+            name="contact"
+            control={control}
+            rules={{
+              required: 'Contact number is required',
+              pattern: {
+                value: /^[+\d][\d\s-]{6,19}$/,
+                message: 'Enter a valid phone number'
+              }
+            }}
+            render={({ field }) => (
+              <FormField
+                label="Contact Number"
+                field={field}
+                error={errors.contact?.message}
+                type="tel"
+                placeholder="+91 98765 43210"
+              />
+            )}
+          />
+
+          <Controller
+            name="email"
+            control={control}
+            rules={{
+              pattern: {
+                value: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+                message: 'Enter a valid email address'
+              }
+            }}
+            render={({ field }) => (
+              <FormField
+                label="Email (Optional)"
+                field={field}
+                error={errors.email?.message}
+                type="email"
+                placeholder="parent@example.com"
+              />
+            )}
+          />
+
+          <Controller
+            name="batches"
+            control={control}
+            rules={{
+              validate: (value) => (value && value.length > 0) || 'Assign at least one batch'
+            }}
+            render={({ field }) => (
+              <BatchAssignment field={field} error={errors.batches?.message} />
+            )}
+          />
+
+          {errors.root?.server && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800">
+              {errors.root.server.message}
+            </div>
+          )}
+        </form>
+      </Modal.Body>
+
+      <Modal.Footer align="between">
+        <Button
+          type="button"
+          variant="outline"
+          onClick={onClose}
+          disabled={isLoading}
+        >
+          Cancel
+        </Button>
+        <Button
+          type="submit"
+          form="student-form"
+          variant="primary"
+          loading={isLoading}
+          disabled={!isValid || isLoading}
+        >
+          {isLoading ? 'Saving...' : isEditing ? 'Save Changes' : 'Add Student'}
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  )
+}
+
+export default StudentFormModal
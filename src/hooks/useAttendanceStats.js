@@ -0,0 +1,172 @@
+/**
+ * useAttendanceStats Hook
+ *
+ * Computes live attendance statistics for one batch on one day from the
+ * attendance collection and the batch roster, with deltas against the
+ * previous class of the same batch and real-time refresh.
+ *
+ * @hook
+ * @version 1.0.0
+ */
+
+import { useState, useCallback, useEffect, useRef } from 'react'
+import {
+  getAttendanceByDate,
+  getStudentsByBatch,
+  getPreviousAttendanceDate,
+  getAttendanceStatus,
+  ATTENDANCE_STATUS,
+  ATTENDED_STATUSES,
+  EXCUSED_STATUSES
+} from '../services/databaseService.js'
+import { realtimeManager } from '../services/appwrite.js'
+import { handleError } from '../utils/errorHandler.js'
+
+/**
+ * Summarize attendance records for a class
+ * Late counts as attended; excused and injured students do not count against the rate
+ * @function summarizeAttendance
+ * @param {Array} records - Attendance documents for one batch and date
+ * @param {number} rosterSize - Number of active students in the batch
+ * @returns {Object} Per-status counts, unmarked count and attendance rate
+ */
+export const summarizeAttendance = (records = [], rosterSize = 0) => {
+  // Keep only the latest record per student so re-marking does not double count
+  const latestByStudent = new Map()
+  records.forEach(record => {
+    const existing = latestByStudent.get(record.student_id)
+    if (!existing || (record.created_at || '') > (existing.created_at || '')) {
+      latestByStudent.set(record.student_id, record)
+    }
+  })
+
+  const counts = Object.fromEntries(Object.values(ATTENDANCE_STATUS).map(status => [status, 0]))
+  latestByStudent.forEach(record => {
+    counts[getAttendanceStatus(record)] += 1
+  })
+
+  const marked = latestByStudent.size
+  const attended = ATTENDED_STATUSES.reduce((sum, status) => sum + counts[status], 0)
+  const excused = EXCUSED_STATUSES.reduce((sum, status) => sum + counts[status], 0)
+  const expected = Math.max(rosterSize, marked)
+  const counted = expected - excused
+
+  return {
+    ...counts,
+    attended,
+    marked,
+    unmarked: Math.max(expected - marked, 0),
+    rate: counted > 0 ? Math.round((attended / counted) * 100) : 0
+  }
+}
+
+/**
+ * Custom hook for live attendance statistics
+ * @function useAttendanceStats
+ * @param {string} batchName - Batch name as stored on attendance records
+ * @param {string} date - Class date (YYYY-MM-DD)
+ * @param {Object} [options] - Hook options
+ * @param {boolean} [options.enableRealtime=true] - Refresh when attendance changes
+ * @returns {Object} Current stats, previous class stats and loading state
+ *
+ * @example
+ * const { current, previous, previousDate, isLoading } = useAttendanceStats('Morning Batch', '2025-01-15')
+ */
+export const useAttendanceStats = (batchName, date, options = {}) => {
+  const { enableRealtime = true } = options
+
+  const [current, setCurrent] = useState(null)
+  const [previous, setPrevious] = useState(null)
+  const [previousDate, setPreviousDate] = useState(null)
+  const [isLoading, setIsLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  const previousDateRef = useRef(null)
+
+  /**
+   * Load roster and attendance for the selected and previous class
+   * @function loadStats
+   * @returns {Promise<void>}
+   */
+  const loadStats = useCallback(async () => {
+    if (!batchName || !date) return
+
+    try {
+      setIsLoading(true)
+      setError(null)
+
+      const [rosterResult, attendanceResult, previousDateResult] = await Promise.all([
+        getStudentsByBatch(batchName, { status: 'active', limit: 100 }),
+        getAttendanceByDate(date, batchName),
+        getPreviousAttendanceDate(batchName, date)
+      ])
+
+      const failed = [rosterResult, attendanceResult, previousDateResult].find(result => !result.success)
+      if (failed) {
+        setError(failed)
+        return
+      }
+
+      const rosterSize = rosterResult.data.total
+      setCurrent(summarizeAttendance(attendanceResult.data.attendance, rosterSize))
+
+      const lastDate = previousDateResult.data.date
+      previousDateRef.current = lastDate
+      setPreviousDate(lastDate)
+
+      if (lastDate) {
+        const previousResult = await getAttendanceByDate(lastDate, batchName)
+        setPrevious(previousResult.success
+          ? summarizeAttendance(previousResult.data.attendance, rosterSize)
+          : null
+        )
+      } else {
+        setPrevious(null)
+      }
+
+    } catch (err) {
+      setError(handleError(err, 'loadAttendanceStats'))
+    } finally {
+      setIsLoading(false)
+    }
+  }, [batchName, date])
+
+  // Load whenever batch or date changes
+  useEffect(() => {
+    loadStats()
+  }, [loadStats])
+
+  // Refresh when another instructor marks attendance for this batch
+  useEffect(() => {
+    if (!enableRealtime || !batchName || !date) return
+
+    let unsubscribe = null
+    try {
+      unsubscribe = realtimeManager.subscribe('attendance', (event) => {
+        const record = event.document || {}
+        if (record.batch_name !== batchName) return
+
+        if (record.date === date || record.date === previousDateRef.current) {
+          loadStats()
+        }
+      })
+    } catch (err) {
+      console.warn('Failed to setup attendance real-time updates:', err)
+    }
+
+    return () => {
+      if (unsubscribe) unsubscribe()
+    }
+  }, [enableRealtime, batchName, date, loadStats])
+
+  return {
+    current,
+    previous,
+    previousDate,
+    isLoading,
+    error,
+    refresh: loadStats
+  }
+}
+
+export default useAttendanceStats
@@ -0,0 +1,235 @@
+/**
+ * useBatches Hook
+ *
+ * Batches from the batches collection with lookups by ID and name, and
+ * create, update and archive operations through batchService. Also lists
+ * the instructors who can be assigned to a batch.
+ *
+ * @hook
+ * @version 1.0.0
+ */
+
+import { useState, useCallback, useEffect, useMemo } from 'react'
+import {
+  getBatches,
+  createBatch,
+  updateBatch,
+  setBatchActive,
+  createDefaultBatches,
+  getInstructors,
+  onBatchesChanged
+} from '../services/batchService.js'
+import { realtimeManager } from '../services/appwrite.js'
+import { handleError } from '../utils/errorHandler.js'
+
+/**
+ * Custom hook for batches
+ * @function useBatches
+ * @param {Object} [options] - Hook options
+ * @param {boolean} [options.enabled=true] - Load batches
+ * @param {boolean} [options.includeArchived=false] - Include archived batches
+ * @param {boolean} [options.enableRealtime=false] - Refresh when another device changes a batch
+ * @param {string|null} [options.instructorId=null] - Instructor saving batches (for activity log)
+ * @returns {Object} Batches, lookups and save operations
+ *
+ * @example
+ * const { batches, batchesByName } = useBatches()
+ * const color = batchesByName['Morning Batch']?.color
+ */
+export const useBatches = (options = {}) => {
+  const { enabled = true, includeArchived = false, enableRealtime = false, instructorId = null } = options
+
+  const [batches, setBatches] = useState([])
+  const [isLoading, setIsLoading] = useState(false)
+  const [isSaving, setIsSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  /**
+   * Load batches
+   * @function loadBatches
+   * @param {boolean} [force=false] - Skip the shared cache
+   * @returns {Promise<Object>} Load result
+   */
+  const loadBatches = useCallback(async (force = false) => {
+    if (!enabled) return null
+
+    try {
+      setIsLoading(true)
+      setError(null)
+
+      const result = await getBatches({ activeOnly: !includeArchived, force })
+      if (result.success) {
+        setBatches(result.data.batches)
+      } else {
+        setError(result)
+      }
+
+      return result
+
+    } catch (err) {
+      const enhancedError = handleError(err, 'loadBatches')
+      setError(enhancedError)
+      return enhancedError
+    } finally {
+      setIsLoading(false)
+    }
+  }, [enabled, includeArchived])
+
+  /**
+   * Run a save operation; the change notification reloads every batch list
+   * @function save
+   * @param {Function} operation - Service call
+   * @param {string} operationName - Operation name for error handling
+   * @returns {Promise<Object>} Save result
+   */
+  const save = useCallback(async (operation, operationName) => {
+    try {
+      setIsSaving(true)
+      setError(null)
+
+      const result = await operation()
+      if (!result.success) {
+        setError(result)
+      }
+
+      return result
+
+    } catch (err) {
+      const enhancedError = handleError(err, operationName)
+      setError(enhancedError)
+      return enhancedError
+    } finally {
+      setIsSaving(false)
+    }
+  }, [])
+
+  /**
+   * Create or update a batch
+   * @function saveBatch
+   * @param {Object} batch - Batch form data, with $id when editing
+   * @returns {Promise<Object>} Save result
+   */
+  const saveBatch = useCallback((batch) => {
+    return batch.$id
+      ? save(() => updateBatch(batch.$id, batch, instructorId), 'updateBatch')
+      : save(() => createBatch(batch, instructorId), 'createBatch')
+  }, [save, instructorId])
+
+  /**
+   * Archive or restore a batch
+   * @function setActive
+   * @param {string} batchId - Batch document ID
+   * @param {boolean} active - Whether the batch is in use
+   * @returns {Promise<Object>} Save result
+   */
+  const setActive = useCallback((batchId, active) => {
+    return save(() => setBatchActive(batchId, active, instructorId), 'setBatchActive')
+  }, [save, instructorId])
+
+  /**
+   * Create the starting batches in an empty collection
+   * @function addDefaultBatches
+   * @returns {Promise<Object>} Save result
+   */
+  const addDefaultBatches = useCallback(() => {
+    return save(() => createDefaultBatches(instructorId), 'createDefaultBatches')
+  }, [save, instructorId])
+
+  useEffect(() => {
+    loadBatches()
+  }, [loadBatches])
+
+  // Reload after a batch is saved anywhere in the app
+  useEffect(() => {
+    if (!enabled) return
+    return onBatchesChanged(() => loadBatches())
+  }, [enabled, loadBatches])
+
+  // Reload when a batch changes on another device
+  useEffect(() => {
+    if (!enabled || !enableRealtime) return
+
+    let unsubscribe = null
+    try {
+      unsubscribe = realtimeManager.subscribe('batches', () => loadBatches(true))
+    } catch (err) {
+      console.warn('⚠️ Failed to subscribe to batch updates:', err.message)
+    }
+
+    return () => {
+      if (unsubscribe) unsubscribe()
+    }
+  }, [enabled, enableRealtime, loadBatches])
+
+  const batchesById = useMemo(() => Object.fromEntries(batches.map(batch => [batch.$id, batch])), [batches])
+  const batchesByName = useMemo(() => Object.fromEntries(batches.map(batch => [batch.name, batch])), [batches])
+
+  return {
+    batches,
+    activeBatches: batches.filter(batch => batch.active !== false),
+    batchesById,
+    batchesByName,
+    isLoading,
+    isSaving,
+    error,
+    saveBatch,
+    setActive,
+    addDefaultBatches,
+    refresh: loadBatches
+  }
+}
+
+/**
+ * Custom hook for the instructors who can be assigned to batches
+ * @function useInstructors
+ * @param {Object} [options] - Hook options
+ * @param {boolean} [options.enabled=true] - Load instructors
+ * @returns {Object} Instructors and loading state
+ *
+ * @example
+ * const { instructors } = useInstructors({ enabled: isOpen })
+ */
+export const useInstructors = (options = {}) => {
+  const { enabled = true } = options
+
+  const [instructors, setInstructors] = useState([])
+  const [isLoading, setIsLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    if (!enabled) return
+
+    let cancelled = false
+
+    const loadInstructors = async () => {
+      try {
+        setIsLoading(true)
+        setError(null)
+
+        const result = await getInstructors()
+        if (cancelled) return
+
+        if (result.success) {
+          setInstructors(result.data.instructors)
+        } else {
+          setError(result)
+        }
+
+      } catch (err) {
+        if (!cancelled) setError(handleError(err, 'loadInstructors'))
+      } finally {
+        if (!cancelled) setIsLoading(false)
+      }
+    }
+
+    loadInstructors()
+
+    return () => {
+      cancelled = true
+    }
+  }, [enabled])
+
+  return { instructors, isLoading, error }
+}
+
+export default useBatches
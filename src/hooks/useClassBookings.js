@@ -0,0 +1,131 @@
+/**
+ * useClassBookings Hook
+ *
+ * Bookings and waitlist of one class, with booking and cancellation
+ * through bookingService.
+ *
+ * @hook
+ * @version 1.0.0
+ */
+
+import { useState, useCallback, useEffect } from 'react'
+import { getClassBookings, bookStudent, cancelBooking } from '../services/bookingService.js'
+import { handleError } from '../utils/errorHandler.js'
+
+/**
+ * Custom hook for the bookings of a class
+ * @function useClassBookings
+ * @param {string|null} classId - Class document ID; nothing loads without one
+ * @param {Object} [options] - Hook options
+ * @param {Function} [options.onChange] - Called after a booking is made or cancelled
+ * @returns {Object} Bookings, waitlist and booking operations
+ *
+ * @example
+ * const { booked, waitlist, book, cancel } = useClassBookings(classItem.$id, { onChange: refreshCalendar })
+ * await book(student)
+ */
+export const useClassBookings = (classId, options = {}) => {
+  const { onChange } = options
+
+  const [bookings, setBookings] = useState({ booked: [], waitlist: [], capacity: 0, available: null })
+  const [isLoading, setIsLoading] = useState(false)
+  const [isSaving, setIsSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  /**
+   * Load the class's bookings
+   * @function loadBookings
+   * @returns {Promise<Object>} Load result
+   */
+  const loadBookings = useCallback(async () => {
+    if (!classId) return null
+
+    try {
+      setIsLoading(true)
+      setError(null)
+
+      const result = await getClassBookings(classId)
+      if (result.success) {
+        setBookings(result.data)
+      } else {
+        setError(result)
+      }
+
+      return result
+
+    } catch (err) {
+      const enhancedError = handleError(err, 'loadBookings')
+      setError(enhancedError)
+      return enhancedError
+    } finally {
+      setIsLoading(false)
+    }
+  }, [classId])
+
+  /**
+   * Run a booking change, then reload the bookings
+   * @function save
+   * @param {Function} operation - Service call
+   * @param {string} operationName - Operation name for error handling
+   * @returns {Promise<Object>} Save result
+   */
+  const save = useCallback(async (operation, operationName) => {
+    try {
+      setIsSaving(true)
+      setError(null)
+
+      const result = await operation()
+      if (result.success) {
+        await loadBookings()
+        if (onChange) onChange(result)
+      } else {
+        setError(result)
+      }
+
+      return result
+
+    } catch (err) {
+      const enhancedError = handleError(err, operationName)
+      setError(enhancedError)
+      return enhancedError
+    } finally {
+      setIsSaving(false)
+    }
+  }, [loadBookings, onChange])
+
+  /**
+   * Book a student, or add them to the waitlist when the class is full
+   * @function book
+   * @param {Object} student - Student document
+   * @returns {Promise<Object>} Booking result
+   */
+  const book = useCallback((student) => {
+    return save(() => bookStudent(classId, student), 'bookStudent')
+  }, [save, classId])
+
+  /**
+   * Cancel a booking or waitlist place
+   * @function cancel
+   * @param {string} bookingId - Booking document ID
+   * @returns {Promise<Object>} Cancellation result
+   */
+  const cancel = useCallback((bookingId) => {
+    return save(() => cancelBooking(bookingId), 'cancelBooking')
+  }, [save])
+
+  useEffect(() => {
+    loadBookings()
+  }, [loadBookings])
+
+  return {
+    ...bookings,
+    isLoading,
+    isSaving,
+    error,
+    book,
+    cancel,
+    refresh: loadBookings
+  }
+}
+
+export default useClassBookings
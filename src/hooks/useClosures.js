@@ -0,0 +1,161 @@
+/**
+ * useClosures Hook
+ *
+ * Holidays and venue closures from the closures collection, the closed
+ * dates within a range, and create, delete and iCal import operations
+ * through closureService.
+ *
+ * @hook
+ * @version 1.0.0
+ */
+
+import { useState, useCallback, useEffect, useMemo } from 'react'
+import {
+  getClosures,
+  createClosure,
+  deleteClosure,
+  importClosuresFromICal,
+  onClosuresChanged,
+  ClosureUtils
+} from '../services/closureService.js'
+import { handleError } from '../utils/errorHandler.js'
+
+/**
+ * Custom hook for closures
+ * @function useClosures
+ * @param {Object} [options] - Hook options
+ * @param {boolean} [options.enabled=true] - Load closures
+ * @param {string|null} [options.startDate=null] - First date for closedDates (YYYY-MM-DD)
+ * @param {string|null} [options.endDate=null] - Last date for closedDates (YYYY-MM-DD)
+ * @param {string|null} [options.instructorId=null] - Instructor saving closures (for activity log)
+ * @returns {Object} Closures, closed dates and save operations
+ *
+ * @example
+ * const { closedDates } = useClosures({ startDate: '2025-12-01', endDate: '2025-12-31' })
+ * const closure = closedDates['2025-12-25']
+ */
+export const useClosures = (options = {}) => {
+  const { enabled = true, startDate = null, endDate = null, instructorId = null } = options
+
+  const [closures, setClosures] = useState([])
+  const [isLoading, setIsLoading] = useState(false)
+  const [isSaving, setIsSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  /**
+   * Load closures
+   * @function loadClosures
+   * @param {boolean} [force=false] - Skip the shared cache
+   * @returns {Promise<Object>} Load result
+   */
+  const loadClosures = useCallback(async (force = false) => {
+    if (!enabled) return null
+
+    try {
+      setIsLoading(true)
+      setError(null)
+
+      const result = await getClosures({ force })
+      if (result.success) {
+        setClosures(result.data.closures)
+      } else {
+        setError(result)
+      }
+
+      return result
+
+    } catch (err) {
+      const enhancedError = handleError(err, 'loadClosures')
+      setError(enhancedError)
+      return enhancedError
+    } finally {
+      setIsLoading(false)
+    }
+  }, [enabled])
+
+  /**
+   * Run a save operation; the change notification reloads every closure list
+   * @function save
+   * @param {Function} operation - Service call
+   * @param {string} operationName - Operation name for error handling
+   * @returns {Promise<Object>} Save result
+   */
+  const save = useCallback(async (operation, operationName) => {
+    try {
+      setIsSaving(true)
+      setError(null)
+
+      const result = await operation()
+      if (!result.success) {
+        setError(result)
+      }
+
+      return result
+
+    } catch (err) {
+      const enhancedError = handleError(err, operationName)
+      setError(enhancedError)
+      return enhancedError
+    } finally {
+      setIsSaving(false)
+    }
+  }, [])
+
+  /**
+   * Add a closure
+   * @function saveClosure
+   * @param {Object} closure - Closure form data
+   * @returns {Promise<Object>} Save result
+   */
+  const saveClosure = useCallback((closure) => {
+    return save(() => createClosure(closure, instructorId), 'createClosure')
+  }, [save, instructorId])
+
+  /**
+   * Remove a closure
+   * @function removeClosure
+   * @param {string} closureId - Closure document ID
+   * @returns {Promise<Object>} Delete result
+   */
+  const removeClosure = useCallback((closureId) => {
+    return save(() => deleteClosure(closureId, instructorId), 'deleteClosure')
+  }, [save, instructorId])
+
+  /**
+   * Import closures from an .ics file
+   * @function importICal
+   * @param {string} icsText - Contents of the file
+   * @returns {Promise<Object>} Import result
+   */
+  const importICal = useCallback((icsText) => {
+    return save(() => importClosuresFromICal(icsText, instructorId), 'importClosuresFromICal')
+  }, [save, instructorId])
+
+  useEffect(() => {
+    loadClosures()
+  }, [loadClosures])
+
+  // Reload after a closure is saved anywhere in the app
+  useEffect(() => {
+    if (!enabled) return
+    return onClosuresChanged(() => loadClosures())
+  }, [enabled, loadClosures])
+
+  const closedDates = useMemo(() => (
+    startDate && endDate ? ClosureUtils.getClosedDates(closures, startDate, endDate) : {}
+  ), [closures, startDate, endDate])
+
+  return {
+    closures,
+    closedDates,
+    isLoading,
+    isSaving,
+    error,
+    saveClosure,
+    removeClosure,
+    importICal,
+    refresh: loadClosures
+  }
+}
+
+export default useClosures
@@ -0,0 +1,153 @@
+/**
+ * useInvoices Hook
+ *
+ * Lists the invoices and receipts issued to a student and issues new
+ * ones through invoiceService. canIssue follows the connection, since on
+ * Appwrite documents are only issued online.
+ *
+ * @hook
+ * @version 1.0.0
+ */
+
+import { useState, useCallback, useEffect } from 'react'
+import {
+  getStudentInvoices,
+  generateInvoice,
+  generateReceipt,
+  canIssueDocuments
+} from '../services/invoiceService.js'
+import { handleError } from '../utils/errorHandler.js'
+
+/**
+ * Custom hook for a student's invoices and receipts
+ * @function useInvoices
+ * @param {string|null} studentId - Student document ID
+ * @param {Object} [options] - Hook options
+ * @param {boolean} [options.enabled=true] - Load documents
+ * @param {string|null} [options.instructorId=null] - Instructor issuing documents
+ * @returns {Object} Issued documents and issue operations
+ *
+ * @example
+ * const { invoices, canIssue, createInvoice, createReceipt } = useInvoices(studentId, { instructorId })
+ */
+export const useInvoices = (studentId, options = {}) => {
+  const { enabled = true, instructorId = null } = options
+
+  const [invoices, setInvoices] = useState([])
+  const [isLoading, setIsLoading] = useState(false)
+  const [isGenerating, setIsGenerating] = useState(false)
+  const [error, setError] = useState(null)
+  const [canIssue, setCanIssue] = useState(canIssueDocuments)
+
+  /**
+   * Load documents issued to the selected student
+   * @function loadInvoices
+   * @returns {Promise<void>}
+   */
+  const loadInvoices = useCallback(async () => {
+    if (!enabled || !studentId) {
+      setInvoices([])
+      return
+    }
+
+    try {
+      setIsLoading(true)
+      setError(null)
+
+      const result = await getStudentInvoices(studentId)
+      if (result.success) {
+        setInvoices(result.data.invoices)
+      } else {
+        setError(result)
+      }
+
+    } catch (err) {
+      setError(handleError(err, 'loadInvoices'))
+    } finally {
+      setIsLoading(false)
+    }
+  }, [enabled, studentId])
+
+  /**
+   * Run an issue operation and add its document to the list
+   * @function issue
+   * @param {Function} operation - Service call returning the new document
+   * @param {string} operationName - Operation name for error handling
+   * @returns {Promise<Object>} Issue result
+   */
+  const issue = useCallback(async (operation, operationName) => {
+    try {
+      setIsGenerating(true)
+      setError(null)
+
+      const result = await operation()
+      if (result.success) {
+        setInvoices(prev => [result.data, ...prev.filter(doc => doc.$id !== result.data.$id)])
+      } else {
+        setError(result)
+      }
+
+      return result
+
+    } catch (err) {
+      const enhancedError = handleError(err, operationName)
+      setError(enhancedError)
+      return enhancedError
+    } finally {
+      setIsGenerating(false)
+    }
+  }, [])
+
+  /**
+   * Issue an invoice for a range of billing months
+   * @function createInvoice
+   * @param {Object} range - fromPeriod and toPeriod (YYYY-MM)
+   * @returns {Promise<Object>} Issue result
+   */
+  const createInvoice = useCallback((range) => {
+    return issue(() => generateInvoice({ student_id: studentId, ...range }, instructorId), 'generateInvoice')
+  }, [issue, studentId, instructorId])
+
+  /**
+   * Issue a receipt for a recorded payment
+   * @function createReceipt
+   * @param {string} paymentId - Payment document ID
+   * @returns {Promise<Object>} Issue result
+   */
+  const createReceipt = useCallback((paymentId) => {
+    return issue(() => generateReceipt(paymentId, instructorId), 'generateReceipt')
+  }, [issue, instructorId])
+
+  useEffect(() => {
+    loadInvoices()
+  }, [loadInvoices])
+
+  // Offer issuing only while documents can be numbered, and reload once back online
+  useEffect(() => {
+    const handleOnline = () => {
+      setCanIssue(canIssueDocuments())
+      loadInvoices()
+    }
+    const handleOffline = () => setCanIssue(canIssueDocuments())
+
+    window.addEventListener('online', handleOnline)
+    window.addEventListener('offline', handleOffline)
+    return () => {
+      window.removeEventListener('online', handleOnline)
+      window.removeEventListener('offline', handleOffline)
+    }
+  }, [loadInvoices])
+
+  return {
+    invoices,
+    isLoading,
+    isGenerating,
+    error,
+    canIssue,
+    createInvoice,
+    createReceipt,
+    refresh: loadInvoices
+  }
+}
+
+export default useInvoices
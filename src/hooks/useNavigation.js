@@ -32,6 +32,12 @@ export const NAVIGATION_TABS = {
     label: 'Payments',
     path: '/payments',
     index: 2
+  },
+  STUDENTS: {
+    id: 'students',
+    label: 'Students',
+    path: '/students',
+    index: 3
   }
 }
 
@@ -280,6 +286,10 @@ export const useNavigation = (options = {}) => {
           event.preventDefault()
           setActiveTab(NAVIGATION_TABS.PAYMENTS.id)
           break
+        case '4':
+          event.preventDefault()
+          setActiveTab(NAVIGATION_TABS.STUDENTS.id)
+          break
       }
     }
 
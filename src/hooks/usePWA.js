@@ -6,12 +6,17 @@ import {
   addAppInstalledListener,
   getConnectionInfo
 } from '../utils/pwa'
+import { onSyncComplete, describeSyncResult } from '../services/offlineService.js'
+
+// How long a sync result stays on screen
+const SYNC_MESSAGE_MS = 4000
 
 /**
  * Custom React Hook for PWA functionality
  * 
  * Provides PWA-related state and functions including installation,
- * online status, and connection information.
+ * online status, connection information, and the result of the last
+ * replay of changes made offline.
  * 
  * @returns {Object} PWA state and functions
  */
@@ -21,6 +26,8 @@ const usePWA = () => {
   const [canInstall, setCanInstall] = useState(false)
   const [isOnline, setIsOnline] = useState(navigator.onLine)
   const [connectionInfo, setConnectionInfo] = useState(getConnectionInfo())
+  const [lastSync, setLastSync] = useState(null)
+  const [syncMessage, setSyncMessage] = useState(null)
   
   // Handle install prompt
   useEffect(() => {
@@ -81,6 +88,24 @@ const usePWA = () => {
     }
   }, [])
   
+  // Show replays of offline changes, whether the app or the service worker sent them
+  useEffect(() => {
+    let timer = null
+    
+    const unsubscribe = onSyncComplete((summary) => {
+      setLastSync({ ...summary, at: new Date().toISOString() })
+      setSyncMessage(describeSyncResult(summary))
+      
+      clearTimeout(timer)
+      timer = setTimeout(() => setSyncMessage(null), SYNC_MESSAGE_MS)
+    })
+    
+    return () => {
+      clearTimeout(timer)
+      unsubscribe()
+    }
+  }, [])
+  
   // Install the PWA
   const install = useCallback(async () => {
     if (!installPrompt) {
@@ -150,6 +175,8 @@ const usePWA = () => {
     isOnline,
     connectionInfo,
     installPrompt,
+    lastSync,
+    syncMessage,
     
     // Functions
     install,
@@ -0,0 +1,200 @@
+/**
+ * usePaymentReminders Hook
+ *
+ * Overdue fee queue for a billing month with a configurable grace period,
+ * and sending reminders through the share sheet, SMS or email.
+ *
+ * @hook
+ * @version 1.0.0
+ */
+
+import { useState, useCallback, useEffect } from 'react'
+import {
+  getOverduePayments,
+  recordReminderSent,
+  renderReminderMessage,
+  buildReminderLink,
+  REMINDER_CONFIG
+} from '../services/reminderService.js'
+import { handleError } from '../utils/errorHandler.js'
+
+/**
+ * Storage key for the instructor's grace period
+ * @constant
+ */
+const GRACE_STORAGE_KEY = 'sportclub_reminder_grace_days'
+
+/**
+ * Read the saved grace period
+ * @function getStoredGraceDays
+ * @returns {number} Grace period in days
+ */
+const getStoredGraceDays = () => {
+  try {
+    const stored = parseInt(localStorage.getItem(GRACE_STORAGE_KEY))
+    if (Number.isInteger(stored) && stored >= 0 && stored <= REMINDER_CONFIG.MAX_GRACE_PERIOD_DAYS) {
+      return stored
+    }
+  } catch (error) {
+    console.warn('⚠️ Failed to read grace period:', error.message)
+  }
+  return REMINDER_CONFIG.GRACE_PERIOD_DAYS
+}
+
+/**
+ * Whether the device offers a share sheet
+ * @constant
+ */
+export const CAN_SHARE = typeof navigator !== 'undefined' && typeof navigator.share === 'function'
+
+/**
+ * Custom hook for overdue payments and reminders
+ * @function usePaymentReminders
+ * @param {string} period - Billing month (YYYY-MM)
+ * @param {Object} [options] - Hook options
+ * @param {boolean} [options.enabled=true] - Load the queue
+ * @param {string|null} [options.instructorId=null] - Instructor sending reminders
+ * @returns {Object} Reminder queue, grace period and send operation
+ *
+ * @example
+ * const { queue, sendReminder } = usePaymentReminders('2025-01', { instructorId })
+ * await sendReminder(queue[0], 'sms')
+ */
+export const usePaymentReminders = (period, options = {}) => {
+  const { enabled = true, instructorId = null } = options
+
+  const [queue, setQueue] = useState([])
+  const [graceDays, setGraceDaysState] = useState(getStoredGraceDays)
+  const [isLoading, setIsLoading] = useState(false)
+  const [sendingId, setSendingId] = useState(null)
+  const [error, setError] = useState(null)
+
+  /**
+   * Load the overdue queue for the month
+   * @function loadQueue
+   * @returns {Promise<void>}
+   */
+  const loadQueue = useCallback(async () => {
+    if (!enabled || !period) return
+
+    try {
+      setIsLoading(true)
+      setError(null)
+
+      const result = await getOverduePayments(period, { graceDays })
+      if (result.success) {
+        setQueue(result.data.queue)
+      } else {
+        setError(result)
+      }
+
+    } catch (err) {
+      setError(handleError(err, 'loadOverduePayments'))
+    } finally {
+      setIsLoading(false)
+    }
+  }, [enabled, period, graceDays])
+
+  /**
+   * Change and remember the grace period
+   * @function setGraceDays
+   * @param {number} days - Days after the due date
+   */
+  const setGraceDays = useCallback((days) => {
+    const value = Math.min(Math.max(parseInt(days) || 0, 0), REMINDER_CONFIG.MAX_GRACE_PERIOD_DAYS)
+    setGraceDaysState(value)
+    try {
+      localStorage.setItem(GRACE_STORAGE_KEY, String(value))
+    } catch (error) {
+      console.warn('⚠️ Failed to store grace period:', error.message)
+    }
+  }, [])
+
+  /**
+   * Send one reminder and record it in the activity log
+   * The share sheet reports cancellation, so nothing is recorded then; SMS and
+   * email hand over to another app and are recorded once opened
+   * @function sendReminder
+   * @param {Object} item - Reminder queue item
+   * @param {string} channel - One of REMINDER_CONFIG.CHANNELS
+   * @param {string} [templateId] - Template to use, defaults to the suggested one
+   * @returns {Promise<Object>} Send result
+   */
+  const sendReminder = useCallback(async (item, channel, templateId = item.templateId) => {
+    const message = renderReminderMessage(templateId, item)
+
+    try {
+      setSendingId(item.student.$id)
+      setError(null)
+
+      if (channel === REMINDER_CONFIG.CHANNELS.SHARE) {
+        try {
+          await navigator.share({ title: message.subject, text: message.body })
+        } catch (shareError) {
+          if (shareError.name === 'AbortError') {
+            return { success: false, cancelled: true, message: 'Reminder not sent' }
+          }
+          throw shareError
+        }
+      } else {
+        const link = buildReminderLink(channel, item.student, message)
+        if (!link) {
+          return {
+            success: false,
+            message: channel === REMINDER_CONFIG.CHANNELS.SMS ? 'No phone number on file' : 'No email address on file'
+          }
+        }
+        window.location.href = link
+      }
+
+      const result = await recordReminderSent({
+        student_id: item.student.$id,
+        period: item.period,
+        channel,
+        template: templateId,
+        outstanding: item.outstanding
+      }, instructorId)
+
+      if (result.success) {
+        setQueue(prev => prev.map(entry => entry.student.$id === item.student.$id
+          ? {
+              ...entry,
+              remindersSent: entry.remindersSent + 1,
+              lastRemindedAt: result.data.sentAt,
+              lastChannel: channel
+            }
+          : entry
+        ))
+      } else {
+        setError(result)
+      }
+
+      return result
+
+    } catch (err) {
+      const enhancedError = handleError(err, 'sendReminder')
+      setError(enhancedError)
+      return enhancedError
+    } finally {
+      setSendingId(null)
+    }
+  }, [instructorId])
+
+  useEffect(() => {
+    loadQueue()
+  }, [loadQueue])
+
+  return {
+    queue,
+    outstanding: queue.reduce((sum, item) => sum + item.outstanding, 0),
+    graceDays,
+    setGraceDays,
+    isLoading,
+    sendingId,
+    error,
+    sendReminder,
+    refresh: loadQueue
+  }
+}
+
+export default usePaymentReminders
@@ -0,0 +1,109 @@
+/**
+ * usePaymentStats Hook
+ *
+ * Computes live fee collection figures for one billing month from the
+ * payments collection, with deltas against the previous month and
+ * real-time refresh.
+ *
+ * @hook
+ * @version 1.0.0
+ */
+
+import { useState, useCallback, useEffect } from 'react'
+import { getMonthlyCollection, PaymentUtils } from '../services/paymentService.js'
+import { realtimeManager } from '../services/appwrite.js'
+import { handleError } from '../utils/errorHandler.js'
+
+/**
+ * Custom hook for live payment statistics
+ * @function usePaymentStats
+ * @param {string} period - Billing month (YYYY-MM)
+ * @param {Object} [options] - Hook options
+ * @param {boolean} [options.enableRealtime=true] - Refresh when payments change
+ * @returns {Object} Current and previous month figures and loading state
+ *
+ * @example
+ * const { current, previous, previousPeriod, isLoading } = usePaymentStats('2025-01')
+ */
+export const usePaymentStats = (period, options = {}) => {
+  const { enableRealtime = true } = options
+
+  const [current, setCurrent] = useState(null)
+  const [previous, setPrevious] = useState(null)
+  const [isLoading, setIsLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  const previousPeriod = period ? PaymentUtils.getPreviousPeriod(period) : null
+
+  /**
+   * Load collection figures for the selected and previous month
+   * @function loadStats
+   * @returns {Promise<void>}
+   */
+  const loadStats = useCallback(async () => {
+    if (!period) return
+
+    try {
+      setIsLoading(true)
+      setError(null)
+
+      const [currentResult, previousResult] = await Promise.all([
+        getMonthlyCollection(period),
+        getMonthlyCollection(PaymentUtils.getPreviousPeriod(period))
+      ])
+
+      if (!currentResult.success) {
+        setError(currentResult)
+        return
+      }
+
+      setCurrent(currentResult.data)
+      setPrevious(previousResult.success ? previousResult.data : null)
+
+    } catch (err) {
+      setError(handleError(err, 'loadPaymentStats'))
+    } finally {
+      setIsLoading(false)
+    }
+  }, [period])
+
+  // Load whenever the month changes
+  useEffect(() => {
+    loadStats()
+  }, [loadStats])
+
+  // Refresh when a payment is recorded for either month
+  useEffect(() => {
+    if (!enableRealtime || !period) return
+
+    let unsubscribe = null
+    try {
+      unsubscribe = realtimeManager.subscribe('payments', (event) => {
+        const record = event.document || {}
+        if (!record.month || !record.year) return
+
+        const recordPeriod = PaymentUtils.toPeriod(record.month, record.year)
+        if (recordPeriod === period || recordPeriod === previousPeriod) {
+          loadStats()
+        }
+      })
+    } catch (err) {
+      console.warn('Failed to setup payment real-time updates:', err)
+    }
+
+    return () => {
+      if (unsubscribe) unsubscribe()
+    }
+  }, [enableRealtime, period, previousPeriod, loadStats])
+
+  return {
+    current,
+    previous,
+    previousPeriod,
+    isLoading,
+    error,
+    refresh: loadStats
+  }
+}
+
+export default usePaymentStats
@@ -0,0 +1,203 @@
+/**
+ * usePayments Hooks
+ *
+ * React hooks for fee plans and per-student balances backed by
+ * paymentService.
+ *
+ * @hook
+ * @version 1.0.0
+ */
+
+import { useState, useCallback, useEffect } from 'react'
+import {
+  getFeePlans,
+  saveFeePlan,
+  getStudentBalance,
+  recordPayment
+} from '../services/paymentService.js'
+import { handleError } from '../utils/errorHandler.js'
+
+/**
+ * Custom hook for fee plan management
+ * @function useFeePlans
+ * @param {Object} [options] - Hook options
+ * @param {boolean} [options.enabled=true] - Load plans (e.g. only while the editor is open)
+ * @param {string|null} [options.instructorId=null] - Instructor saving plans (for activity log)
+ * @returns {Object} Fee plans keyed by batch and save operation
+ *
+ * @example
+ * const { plansByBatch, savePlan, isSaving } = useFeePlans({ instructorId })
+ */
+export const useFeePlans = (options = {}) => {
+  const { enabled = true, instructorId = null } = options
+
+  const [feePlans, setFeePlans] = useState([])
+  const [isLoading, setIsLoading] = useState(false)
+  const [isSaving, setIsSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  /**
+   * Load active fee plans
+   * @function loadFeePlans
+   * @returns {Promise<Object>} Load result
+   */
+  const loadFeePlans = useCallback(async () => {
+    if (!enabled) return null
+
+    try {
+      setIsLoading(true)
+      setError(null)
+
+      const result = await getFeePlans()
+      if (result.success) {
+        setFeePlans(result.data.feePlans)
+      } else {
+        setError(result)
+      }
+
+      return result
+
+    } catch (err) {
+      const enhancedError = handleError(err, 'loadFeePlans')
+      setError(enhancedError)
+      return enhancedError
+    } finally {
+      setIsLoading(false)
+    }
+  }, [enabled])
+
+  /**
+   * Save the fee plan for a batch
+   * @function savePlan
+   * @param {Object} plan - Fee plan data
+   * @returns {Promise<Object>} Save result
+   */
+  const savePlan = useCallback(async (plan) => {
+    try {
+      setIsSaving(true)
+      setError(null)
+
+      const result = await saveFeePlan(plan, instructorId)
+      if (result.success) {
+        await loadFeePlans()
+      } else {
+        setError(result)
+      }
+
+      return result
+
+    } catch (err) {
+      const enhancedError = handleError(err, 'saveFeePlan')
+      setError(enhancedError)
+      return enhancedError
+    } finally {
+      setIsSaving(false)
+    }
+  }, [instructorId, loadFeePlans])
+
+  useEffect(() => {
+    loadFeePlans()
+  }, [loadFeePlans])
+
+  return {
+    feePlans,
+    plansByBatch: Object.fromEntries(feePlans.map(plan => [plan.batch_name, plan])),
+    isLoading,
+    isSaving,
+    error,
+    savePlan,
+    refresh: loadFeePlans
+  }
+}
+
+/**
+ * Custom hook for one student's outstanding balance and recording payments
+ * @function useStudentBalance
+ * @param {string|null} studentId - Student document ID
+ * @param {Object} [options] - Hook options
+ * @param {boolean} [options.enabled=true] - Load the balance
+ * @param {string|null} [options.instructorId=null] - Instructor recording payments
+ * @returns {Object} Balance breakdown and record operation
+ *
+ * @example
+ * const { balance, addPayment } = useStudentBalance(studentId, { instructorId })
+ */
+export const useStudentBalance = (studentId, options = {}) => {
+  const { enabled = true, instructorId = null } = options
+
+  const [balance, setBalance] = useState(null)
+  const [isLoading, setIsLoading] = useState(false)
+  const [isSaving, setIsSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  /**
+   * Load the balance for the selected student
+   * @function loadBalance
+   * @returns {Promise<void>}
+   */
+  const loadBalance = useCallback(async () => {
+    if (!enabled || !studentId) {
+      setBalance(null)
+      return
+    }
+
+    try {
+      setIsLoading(true)
+      setError(null)
+
+      const result = await getStudentBalance(studentId)
+      if (result.success) {
+        setBalance(result.data)
+      } else {
+        setError(result)
+      }
+
+    } catch (err) {
+      setError(handleError(err, 'loadStudentBalance'))
+    } finally {
+      setIsLoading(false)
+    }
+  }, [enabled, studentId])
+
+  /**
+   * Record a payment and refresh the balance
+   * @function addPayment
+   * @param {Object} payment - Payment data (see recordPayment)
+   * @returns {Promise<Object>} Record result
+   */
+  const addPayment = useCallback(async (payment) => {
+    try {
+      setIsSaving(true)
+      setError(null)
+
+      const result = await recordPayment(payment, instructorId)
+      if (result.success) {
+        await loadBalance()
+      }
+
+      return result
+
+    } catch (err) {
+      const enhancedError = handleError(err, 'recordPayment')
+      setError(enhancedError)
+      return enhancedError
+    } finally {
+      setIsSaving(false)
+    }
+  }, [instructorId, loadBalance])
+
+  useEffect(() => {
+    loadBalance()
+  }, [loadBalance])
+
+  return {
+    balance,
+    isLoading,
+    isSaving,
+    error,
+    addPayment,
+    refresh: loadBalance
+  }
+}
+
+export default useFeePlans
@@ -0,0 +1,327 @@
+/**
+ * useRollCall Hook
+ *
+ * Loads the roster for a scheduled class and keeps per-student roll call
+ * state so a whole class can be marked and saved in one submit, with
+ * optional notes, per-row error reporting and retry of rows that failed.
+ * Duplicate records for a student, left by older versions or by two
+ * devices marking the class offline, are merged when the roll call loads.
+ *
+ * @hook
+ * @version 1.0.0
+ */
+
+import { useState, useCallback, useEffect, useMemo } from 'react'
+import {
+  getScheduledClasses,
+  getStudentsByBatch,
+  getAttendanceByDate,
+  saveRollCall,
+  mergeDuplicateAttendance,
+  getAttendanceStatus,
+  ATTENDANCE_STATUS
+} from '../services/databaseService.js'
+import { SCHEDULING_CONFIG } from '../services/schedulingService.js'
+import { handleError } from '../utils/errorHandler.js'
+
+/**
+ * Build a student -> row map from the latest record per student
+ * @function mapLatestRows
+ * @param {Array} records - Attendance documents for one class
+ * @returns {Object} Status, notes and check-in time keyed by student ID
+ */
+const mapLatestRows = (records = []) => {
+  const latest = {}
+  records.forEach(record => {
+    const existing = latest[record.student_id]
+    if (!existing || (record.created_at || '') > (existing.created_at || '')) {
+      latest[record.student_id] = record
+    }
+  })
+
+  return Object.fromEntries(
+    Object.entries(latest).map(([studentId, record]) => [studentId, toRow(record)])
+  )
+}
+
+/**
+ * Whether a class's attendance has more than one record for a student
+ * @function hasDuplicateRecords
+ * @param {Array} records - Attendance documents for one batch and date
+ * @returns {boolean} True when a student appears twice
+ */
+const hasDuplicateRecords = (records = []) => {
+  return new Set(records.map(record => record.student_id)).size < records.length
+}
+
+/**
+ * Convert an attendance document into roll call row state
+ * @function toRow
+ * @param {Object} record - Attendance document
+ * @returns {Object} Row status, notes and check-in time
+ */
+const toRow = (record) => ({
+  status: getAttendanceStatus(record),
+  notes: record.notes || '',
+  checkedInAt: record.checked_in_at || null
+})
+
+/**
+ * Pick one field from every row
+ * @function pluckRows
+ * @param {Object} rows - Rows keyed by student ID
+ * @param {string} field - Field to pick
+ * @returns {Object} Field values keyed by student ID
+ */
+const pluckRows = (rows, field) => {
+  return Object.fromEntries(Object.entries(rows).map(([studentId, row]) => [studentId, row[field]]))
+}
+
+/**
+ * Custom hook for batch roll call
+ * @function useRollCall
+ * @param {string} batchName - Batch name as stored on class and attendance records
+ * @param {string} date - Class date (YYYY-MM-DD)
+ * @param {Object} [options] - Hook options
+ * @param {boolean} [options.enabled=true] - Load data (e.g. only while the roll call is open)
+ * @param {string|null} [options.instructorId=null] - Instructor marking attendance
+ * @returns {Object} Classes, roster, row state and roll call operations
+ *
+ * @example
+ * const { roster, statuses, setStudentStatus, submitRollCall } = useRollCall('Morning Batch', '2025-01-15', { instructorId })
+ */
+export const useRollCall = (batchName, date, options = {}) => {
+  const { enabled = true, instructorId = null } = options
+
+  const [classes, setClasses] = useState([])
+  const [selectedClassId, setSelectedClassId] = useState(null)
+  const [roster, setRoster] = useState([])
+  const [statuses, setStatuses] = useState({})
+  const [notes, setNotes] = useState({})
+  const [checkIns, setCheckIns] = useState({})
+  const [savedRows, setSavedRows] = useState({})
+  const [rowErrors, setRowErrors] = useState({})
+  const [isLoading, setIsLoading] = useState(false)
+  const [isSaving, setIsSaving] = useState(false)
+  const [error, setError] = useState(null)
+  const [lastResult, setLastResult] = useState(null)
+
+  /**
+   * Load scheduled classes, roster and existing attendance
+   * @function loadRollCall
+   * @returns {Promise<void>}
+   */
+  const loadRollCall = useCallback(async () => {
+    if (!enabled || !batchName || !date) return
+
+    try {
+      setIsLoading(true)
+      setError(null)
+      setRowErrors({})
+      setLastResult(null)
+
+      const [classesResult, rosterResult, attendanceResult] = await Promise.all([
+        getScheduledClasses(date, date),
+        getStudentsByBatch(batchName, { status: 'active', limit: 100 }),
+        getAttendanceByDate(date, batchName)
+      ])
+
+      const failed = [classesResult, rosterResult, attendanceResult].find(result => !result.success)
+      if (failed) {
+        setError(failed)
+        return
+      }
+
+      const batchClasses = classesResult.data.classes.filter(classItem =>
+        classItem.batch_name === batchName &&
+        classItem.status !== SCHEDULING_CONFIG.STATUS.CANCELLED
+      )
+      setClasses(batchClasses)
+      setSelectedClassId(batchClasses[0]?.$id || null)
+
+      const students = [...rosterResult.data.students].sort((a, b) => a.name.localeCompare(b.name))
+      setRoster(students)
+
+      let attendance = attendanceResult.data.attendance
+      if (hasDuplicateRecords(attendance)) {
+        const merged = await mergeDuplicateAttendance({ batchName, startDate: date, endDate: date }, instructorId)
+        const reloaded = merged.success ? await getAttendanceByDate(date, batchName) : null
+        if (reloaded?.success) attendance = reloaded.data.attendance
+      }
+
+      const existing = mapLatestRows(attendance)
+      setStatuses(pluckRows(existing, 'status'))
+      setNotes(pluckRows(existing, 'notes'))
+      setCheckIns(pluckRows(existing, 'checkedInAt'))
+      setSavedRows(existing)
+
+    } catch (err) {
+      setError(handleError(err, 'loadRollCall'))
+    } finally {
+      setIsLoading(false)
+    }
+  }, [enabled, batchName, date, instructorId])
+
+  useEffect(() => {
+    loadRollCall()
+  }, [loadRollCall])
+
+  /**
+   * Set the status for one student
+   * @function setStudentStatus
+   * @param {string} studentId - Student document ID
+   * @param {string} status - Attendance status
+   */
+  const setStudentStatus = useCallback((studentId, status) => {
+    setStatuses(prev => ({ ...prev, [studentId]: status }))
+    setRowErrors(prev => {
+      if (!prev[studentId]) return prev
+      const { [studentId]: _removed, ...rest } = prev
+      return rest
+    })
+  }, [])
+
+  /**
+   * Set the notes for one student
+   * @function setStudentNotes
+   * @param {string} studentId - Student document ID
+   * @param {string} value - Notes text
+   */
+  const setStudentNotes = useCallback((studentId, value) => {
+    setNotes(prev => ({ ...prev, [studentId]: value }))
+  }, [])
+
+  /**
+   * Set a status for every student that has not been marked yet
+   * @function markRemaining
+   * @param {string} [status=ATTENDANCE_STATUS.PRESENT] - Status to apply
+   */
+  const markRemaining = useCallback((status = ATTENDANCE_STATUS.PRESENT) => {
+    setStatuses(prev => {
+      const next = { ...prev }
+      roster.forEach(student => {
+        if (!next[student.$id]) next[student.$id] = status
+      })
+      return next
+    })
+  }, [roster])
+
+  // Rows whose status or notes differ from what is stored, including rows that failed to save
+  const pendingEntries = useMemo(() => {
+    return roster
+      .filter(student => {
+        const saved = savedRows[student.$id]
+        return statuses[student.$id] && (
+          !saved ||
+          statuses[student.$id] !== saved.status ||
+          (notes[student.$id] || '') !== saved.notes
+        )
+      })
+      .map(student => ({
+        student_id: student.$id,
+        status: statuses[student.$id],
+        notes: notes[student.$id] || ''
+      }))
+  }, [roster, statuses, notes, savedRows])
+
+  /**
+   * Save all pending rows in one submit
+   * @function submitRollCall
+   * @returns {Promise<Object>} Save result
+   */
+  const submitRollCall = useCallback(async () => {
+    const classItem = classes.find(item => item.$id === selectedClassId)
+
+    if (!classItem) {
+      const validationError = {
+        success: false,
+        message: 'Select a scheduled class before saving'
+      }
+      setError(validationError)
+      return validationError
+    }
+
+    if (pendingEntries.length === 0) {
+      return { success: true, message: 'Nothing to save', data: { saved: 0, failed: [] } }
+    }
+
+    try {
+      setIsSaving(true)
+      setError(null)
+
+      const result = await saveRollCall({
+        class_id: classItem.$id,
+        batch_name: classItem.batch_name,
+        date: classItem.date,
+        entries: pendingEntries
+      }, instructorId)
+
+      const failedRows = result.success ? result.data.failed : result.context?.failed || []
+      const failedIds = new Set(failedRows.map(row => row.student_id))
+
+      // Rows that were not reported as failed are now stored
+      if (result.success) {
+        const savedRecords = Object.fromEntries(
+          result.data.records.map(record => [record.student_id, toRow(record)])
+        )
+        setSavedRows(prev => {
+          const next = { ...prev }
+          pendingEntries.forEach(entry => {
+            if (!failedIds.has(entry.student_id)) {
+              next[entry.student_id] = savedRecords[entry.student_id] || { status: entry.status, notes: entry.notes }
+            }
+          })
+          return next
+        })
+        setCheckIns(prev => ({ ...prev, ...pluckRows(savedRecords, 'checkedInAt') }))
+      }
+      setRowErrors(Object.fromEntries(failedRows.map(row => [row.student_id, row.error])))
+
+      if (!result.success) setError(result)
+      setLastResult(result)
+
+      return result
+
+    } catch (err) {
+      const enhancedError = handleError(err, 'submitRollCall')
+      setError(enhancedError)
+      return enhancedError
+    } finally {
+      setIsSaving(false)
+    }
+  }, [classes, selectedClassId, pendingEntries, instructorId])
+
+  const markedCount = roster.filter(student => statuses[student.$id]).length
+
+  return {
+    // Class selection
+    classes,
+    selectedClassId,
+    setSelectedClassId,
+
+    // Roster state
+    roster,
+    statuses,
+    notes,
+    checkIns,
+    rowErrors,
+    markedCount,
+    pendingCount: pendingEntries.length,
+    failedCount: Object.keys(rowErrors).length,
+
+    // Status
+    isLoading,
+    isSaving,
+    error,
+    lastResult,
+
+    // Operations
+    setStudentStatus,
+    setStudentNotes,
+    markRemaining,
+    submitRollCall,
+    refresh: loadRollCall
+  }
+}
+
+export default useRollCall
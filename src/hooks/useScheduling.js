@@ -12,13 +12,31 @@ import { useState, useCallback, useRef, useEffect } from 'react'
 import { 
   scheduleClasses, 
   cancelClasses, 
+  rescheduleClasses,
+  previewSchedule,
+  resumeBulkScheduling,
   getScheduledClasses,
   getClassStatistics,
   checkSchedulingConflicts,
   SCHEDULING_CONFIG 
 } from '../services/schedulingService.js'
+import {
+  createClassSeries,
+  extendClassSeries,
+  updateOccurrence,
+  cancelOccurrence,
+  updateSeriesFrom,
+  cancelSeriesFrom
+} from '../services/seriesService.js'
+import {
+  rollbackBulkOperation,
+  getBulkOperations,
+  clearBulkOperation
+} from '../services/bulkOperationService.js'
+import { undoChangeset } from '../services/changesetService.js'
 import { realtimeManager } from '../services/appwrite.js'
 import { handleError, createSuccessResponse } from '../utils/errorHandler.js'
+import { today, getDateParts, getMonthRange } from '../utils/dates.js'
 
 /**
  * Hook state interface
@@ -26,6 +44,9 @@ import { handleError, createSuccessResponse } from '../utils/errorHandler.js'
  * @property {boolean} isLoading - Whether any operation is in progress
  * @property {boolean} isScheduling - Whether scheduling operation is in progress
  * @property {boolean} isCancelling - Whether cancellation operation is in progress
+ * @property {boolean} isRescheduling - Whether reschedule operation is in progress
+ * @property {boolean} isUpdatingSeries - Whether a repeating class change is in progress
+ * @property {boolean} isRecovering - Whether a bulk operation is being resumed or rolled back
  * @property {boolean} isLoadingClasses - Whether classes are being loaded
  * @property {boolean} isLoadingStats - Whether statistics are being loaded
  * @property {Object|null} error - Current error object
@@ -34,6 +55,8 @@ import { handleError, createSuccessResponse } from '../utils/errorHandler.js'
  * @property {Object|null} lastOperation - Result of last operation
  * @property {Array} conflicts - Current scheduling conflicts
  * @property {boolean} hasConflicts - Whether there are conflicts
+ * @property {Object|null} bulkProgress - Progress of the running bulk operation ({ phase, total, done, failed })
+ * @property {Array} unfinishedOperations - Interrupted or partly failed bulk operations
  */
 
 /**
@@ -45,6 +68,7 @@ import { handleError, createSuccessResponse } from '../utils/errorHandler.js'
  * @param {boolean} [options.enableRealtime=false] - Enable real-time updates
  * @param {Function} [options.onScheduled] - Callback when classes are scheduled
  * @param {Function} [options.onCancelled] - Callback when classes are cancelled
+ * @param {Function} [options.onRescheduled] - Callback when classes are rescheduled
  * @param {Function} [options.onError] - Callback when errors occur
  * @returns {Object} Scheduling operations and state
  * 
@@ -68,6 +92,7 @@ export const useScheduling = (options = {}) => {
     enableRealtime = false,
     onScheduled,
     onCancelled,
+    onRescheduled,
     onError
   } = options
 
@@ -76,6 +101,9 @@ export const useScheduling = (options = {}) => {
     isLoading: false,
     isScheduling: false,
     isCancelling: false,
+    isRescheduling: false,
+    isUpdatingSeries: false,
+    isRecovering: false,
     isLoadingClasses: false,
     isLoadingStats: false,
     error: null,
@@ -83,7 +111,9 @@ export const useScheduling = (options = {}) => {
     statistics: null,
     lastOperation: null,
     conflicts: [],
-    hasConflicts: false
+    hasConflicts: false,
+    bulkProgress: null,
+    unfinishedOperations: getBulkOperations({ unfinishedOnly: true })
   })
 
   // Refs for cleanup and caching
@@ -137,6 +167,9 @@ export const useScheduling = (options = {}) => {
       isLoading: false,
       isScheduling: false,
       isCancelling: false,
+      isRescheduling: false,
+      isUpdatingSeries: false,
+      isRecovering: false,
       isLoadingClasses: false,
       isLoadingStats: false
     })
@@ -148,6 +181,15 @@ export const useScheduling = (options = {}) => {
     console.error(`Scheduling ${operation} error:`, enhancedError)
   }, [updateState, onError])
 
+  /**
+   * Show progress of the running bulk operation
+   * @function handleBulkProgress
+   * @param {Object} progress - Progress event from bulkOperationService
+   */
+  const handleBulkProgress = useCallback((progress) => {
+    updateState({ bulkProgress: progress })
+  }, [updateState])
+
   /**
    * Schedule classes with validation and conflict checking
    * @function scheduleClassesOperation
@@ -157,7 +199,7 @@ export const useScheduling = (options = {}) => {
   const scheduleClassesOperation = useCallback(async (request) => {
     try {
       setLoadingState('isScheduling', true)
-      updateState({ error: null, lastOperation: null })
+      updateState({ error: null, lastOperation: null, bulkProgress: null })
 
       // Abort any previous operation
       if (abortControllerRef.current) {
@@ -165,12 +207,13 @@ export const useScheduling = (options = {}) => {
       }
       abortControllerRef.current = new AbortController()
 
-      const result = await scheduleClasses(request)
+      const result = await scheduleClasses(request, { onProgress: handleBulkProgress })
       
       updateState({ 
         lastOperation: result,
         isLoading: false,
-        isScheduling: false
+        isScheduling: false,
+        unfinishedOperations: getBulkOperations({ unfinishedOnly: true })
       })
 
       if (result.success) {
@@ -189,7 +232,7 @@ export const useScheduling = (options = {}) => {
       handleOperationError(error, 'scheduleClasses')
       return handleError(error, 'scheduleClasses')
     }
-  }, [autoRefresh, onScheduled, setLoadingState, updateState, handleOperationError])
+  }, [autoRefresh, onScheduled, setLoadingState, updateState, handleOperationError, handleBulkProgress])
 
   /**
    * Cancel classes with validation
@@ -200,7 +243,7 @@ export const useScheduling = (options = {}) => {
   const cancelClassesOperation = useCallback(async (request) => {
     try {
       setLoadingState('isCancelling', true)
-      updateState({ error: null, lastOperation: null })
+      updateState({ error: null, lastOperation: null, bulkProgress: null })
 
       // Abort any previous operation
       if (abortControllerRef.current) {
@@ -208,12 +251,13 @@ export const useScheduling = (options = {}) => {
       }
       abortControllerRef.current = new AbortController()
 
-      const result = await cancelClasses(request)
+      const result = await cancelClasses(request, { onProgress: handleBulkProgress })
       
       updateState({ 
         lastOperation: result,
         isLoading: false,
-        isCancelling: false
+        isCancelling: false,
+        unfinishedOperations: getBulkOperations({ unfinishedOnly: true })
       })
 
       if (result.success) {
@@ -232,18 +276,19 @@ export const useScheduling = (options = {}) => {
       handleOperationError(error, 'cancelClasses')
       return handleError(error, 'cancelClasses')
     }
-  }, [autoRefresh, onCancelled, setLoadingState, updateState, handleOperationError])
+  }, [autoRefresh, onCancelled, setLoadingState, updateState, handleOperationError, handleBulkProgress])
 
   /**
    * Check for scheduling conflicts
    * @function checkConflicts
    * @param {Array} dates - Dates to check
    * @param {Array} batches - Batches to check
+   * @param {Object} [options] - Start time and class IDs to ignore
    * @returns {Promise<Object>} Conflict check result
    */
-  const checkConflicts = useCallback(async (dates, batches) => {
+  const checkConflicts = useCallback(async (dates, batches, options = {}) => {
     try {
-      const result = await checkSchedulingConflicts(dates, batches)
+      const result = await checkSchedulingConflicts(dates, batches, options)
       
       updateState({
         conflicts: result.success ? result.data.conflicts : [],
@@ -258,6 +303,20 @@ export const useScheduling = (options = {}) => {
     }
   }, [updateState, handleOperationError])
 
+  /**
+   * List the classes a scheduling request would create
+   * @function previewScheduleOperation
+   * @param {Object} request - Scheduling request
+   * @returns {Promise<Object>} Preview result
+   */
+  const previewScheduleOperation = useCallback(async (request) => {
+    try {
+      return await previewSchedule(request)
+    } catch (error) {
+      return handleError(error, 'previewSchedule')
+    }
+  }, [])
+
   /**
    * Refresh scheduled classes
    * @function refreshClassesOperation
@@ -279,9 +338,10 @@ export const useScheduling = (options = {}) => {
 
       // Default date range - current month
       if (!startDate || !endDate) {
-        const now = new Date()
-        startDate = new Date(now.getFullYear(), now.getMonth(), 1).toISOString().split('T')[0]
-        endDate = new Date(now.getFullYear(), now.getMonth() + 1, 0).toISOString().split('T')[0]
+        const { year, monthIndex } = getDateParts(today())
+        const currentMonth = getMonthRange(year, monthIndex)
+        startDate = currentMonth.startDate
+        endDate = currentMonth.endDate
       }
 
       const result = await getScheduledClasses(startDate, endDate, batches, statuses)
@@ -304,6 +364,253 @@ export const useScheduling = (options = {}) => {
     }
   }, [setLoadingState, updateState, handleOperationError])
 
+  /**
+   * Move classes to a new date or time
+   * @function rescheduleClassesOperation
+   * @param {Object} request - Reschedule request
+   * @returns {Promise<Object>} Operation result
+   */
+  const rescheduleClassesOperation = useCallback(async (request) => {
+    try {
+      setLoadingState('isRescheduling', true)
+      updateState({ error: null, lastOperation: null })
+
+      // Abort any previous operation
+      if (abortControllerRef.current) {
+        abortControllerRef.current.abort()
+      }
+      abortControllerRef.current = new AbortController()
+
+      const result = await rescheduleClasses(request)
+      
+      updateState({ 
+        lastOperation: result,
+        isLoading: false,
+        isRescheduling: false
+      })
+
+      if (result.success) {
+        if (onRescheduled) {
+          onRescheduled(result)
+        }
+        
+        if (autoRefresh) {
+          await refreshClassesOperation()
+        }
+      }
+
+      return result
+
+    } catch (error) {
+      handleOperationError(error, 'rescheduleClasses')
+      return handleError(error, 'rescheduleClasses')
+    }
+  }, [autoRefresh, onRescheduled, setLoadingState, updateState, handleOperationError, refreshClassesOperation])
+
+  /**
+   * Create repeating classes from a recurrence rule
+   * @function scheduleSeriesOperation
+   * @param {Object} request - Series request (see createClassSeries)
+   * @returns {Promise<Object>} Operation result
+   */
+  const scheduleSeriesOperation = useCallback(async (request) => {
+    try {
+      setLoadingState('isScheduling', true)
+      updateState({ error: null, lastOperation: null })
+
+      const result = await createClassSeries(request)
+
+      updateState({
+        lastOperation: result,
+        isLoading: false,
+        isScheduling: false
+      })
+
+      if (result.success) {
+        if (onScheduled) {
+          onScheduled(result)
+        }
+
+        if (autoRefresh) {
+          await refreshClassesOperation()
+        }
+      }
+
+      return result
+
+    } catch (error) {
+      handleOperationError(error, 'scheduleSeries')
+      return handleError(error, 'scheduleSeries')
+    }
+  }, [autoRefresh, onScheduled, setLoadingState, updateState, handleOperationError, refreshClassesOperation])
+
+  /**
+   * Run a change to one class or a whole series
+   * @function runSeriesOperation
+   * @param {Function} operation - Series service call
+   * @param {string} operationName - Operation name for error handling
+   * @returns {Promise<Object>} Operation result
+   */
+  const runSeriesOperation = useCallback(async (operation, operationName) => {
+    try {
+      setLoadingState('isUpdatingSeries', true)
+      updateState({ error: null, lastOperation: null })
+
+      const result = await operation()
+
+      updateState({
+        lastOperation: result,
+        isLoading: false,
+        isUpdatingSeries: false
+      })
+
+      if (result.success && autoRefresh) {
+        await refreshClassesOperation()
+      }
+
+      return result
+
+    } catch (error) {
+      handleOperationError(error, operationName)
+      return handleError(error, operationName)
+    }
+  }, [autoRefresh, setLoadingState, updateState, handleOperationError, refreshClassesOperation])
+
+  /**
+   * Change the date, time or notes of one class
+   * @function updateOccurrenceOperation
+   * @param {string} classId - Class document ID
+   * @param {Object} changes - New date, time or notes
+   * @returns {Promise<Object>} Operation result
+   */
+  const updateOccurrenceOperation = useCallback(
+    (classId, changes) => runSeriesOperation(() => updateOccurrence(classId, changes), 'updateOccurrence'),
+    [runSeriesOperation]
+  )
+
+  /**
+   * Cancel one class of a series
+   * @function cancelOccurrenceOperation
+   * @param {string} classId - Class document ID
+   * @param {string} [reason] - Cancellation reason
+   * @returns {Promise<Object>} Operation result
+   */
+  const cancelOccurrenceOperation = useCallback(
+    (classId, reason) => runSeriesOperation(() => cancelOccurrence(classId, reason), 'cancelOccurrence'),
+    [runSeriesOperation]
+  )
+
+  /**
+   * Change a series from one of its classes onwards
+   * @function updateSeriesFromOperation
+   * @param {string} classId - First class to change
+   * @param {Object} changes - New rule, time or notes
+   * @returns {Promise<Object>} Operation result
+   */
+  const updateSeriesFromOperation = useCallback(
+    (classId, changes) => runSeriesOperation(() => updateSeriesFrom(classId, changes), 'updateSeriesFrom'),
+    [runSeriesOperation]
+  )
+
+  /**
+   * Cancel a series from one of its classes onwards
+   * @function cancelSeriesFromOperation
+   * @param {string} classId - First class to cancel
+   * @param {string} [reason] - Cancellation reason
+   * @returns {Promise<Object>} Operation result
+   */
+  const cancelSeriesFromOperation = useCallback(
+    (classId, reason) => runSeriesOperation(() => cancelSeriesFrom(classId, reason), 'cancelSeriesFrom'),
+    [runSeriesOperation]
+  )
+
+  /**
+   * Generate repeating classes up to the scheduling horizon
+   * @function extendSeriesOperation
+   * @returns {Promise<Object>} Operation result
+   */
+  const extendSeriesOperation = useCallback(
+    () => runSeriesOperation(extendClassSeries, 'extendSeries'),
+    [runSeriesOperation]
+  )
+
+  /**
+   * Resume, roll back or undo a bulk operation
+   * @function recoverBulkOperation
+   * @param {Function} operation - Bulk service call, given the run options
+   * @param {string} operationName - Operation name for error handling
+   * @returns {Promise<Object>} Operation result
+   */
+  const recoverBulkOperation = useCallback(async (operation, operationName) => {
+    try {
+      setLoadingState('isRecovering', true)
+      updateState({ error: null, lastOperation: null, bulkProgress: null })
+
+      const result = await operation({ onProgress: handleBulkProgress })
+
+      updateState({
+        lastOperation: result,
+        isLoading: false,
+        isRecovering: false,
+        unfinishedOperations: getBulkOperations({ unfinishedOnly: true })
+      })
+
+      if (result.success && autoRefresh) {
+        await refreshClassesOperation()
+      }
+
+      return result
+
+    } catch (error) {
+      handleOperationError(error, operationName)
+      return handleError(error, operationName)
+    }
+  }, [autoRefresh, setLoadingState, updateState, handleOperationError, handleBulkProgress, refreshClassesOperation])
+
+  /**
+   * Run the outstanding items of an interrupted bulk operation
+   * @function resumeOperation
+   * @param {string} operationId - Bulk operation ID
+   * @returns {Promise<Object>} Operation result
+   */
+  const resumeOperation = useCallback(
+    (operationId) => recoverBulkOperation(options => resumeBulkScheduling(operationId, options), 'resumeBulkScheduling'),
+    [recoverBulkOperation]
+  )
+
+  /**
+   * Undo the completed items of a bulk operation
+   * @function rollbackOperation
+   * @param {string} operationId - Bulk operation ID
+   * @returns {Promise<Object>} Operation result
+   */
+  const rollbackOperation = useCallback(
+    (operationId) => recoverBulkOperation(options => rollbackBulkOperation(operationId, options), 'rollbackBulkOperation'),
+    [recoverBulkOperation]
+  )
+
+  /**
+   * Undo a recorded bulk schedule or cancel
+   * Classes edited since the operation are left as they are.
+   * @function undoChanges
+   * @param {string} changesetId - Changeset ID from the operation result or activity log
+   * @returns {Promise<Object>} Undo result
+   */
+  const undoChanges = useCallback(
+    (changesetId) => recoverBulkOperation(() => undoChangeset(changesetId), 'undoChangeset'),
+    [recoverBulkOperation]
+  )
+
+  /**
+   * Forget an unfinished bulk operation without resuming it
+   * @function dismissOperation
+   * @param {string} operationId - Bulk operation ID
+   */
+  const dismissOperation = useCallback((operationId) => {
+    clearBulkOperation(operationId)
+    updateState({ unfinishedOperations: getBulkOperations({ unfinishedOnly: true }) })
+  }, [updateState])
+
   /**
    * Load class statistics
    * @function loadStatistics
@@ -467,6 +774,18 @@ export const useScheduling = (options = {}) => {
     // Operations
     scheduleClasses: scheduleClassesOperation,
     cancelClasses: cancelClassesOperation,
+    rescheduleClasses: rescheduleClassesOperation,
+    scheduleSeries: scheduleSeriesOperation,
+    updateOccurrence: updateOccurrenceOperation,
+    cancelOccurrence: cancelOccurrenceOperation,
+    updateSeriesFrom: updateSeriesFromOperation,
+    cancelSeriesFrom: cancelSeriesFromOperation,
+    extendSeries: extendSeriesOperation,
+    resumeOperation,
+    rollbackOperation,
+    dismissOperation,
+    undoChanges,
+    previewSchedule: previewScheduleOperation,
     checkConflicts,
     refreshClasses: refreshClassesOperation,
     loadStatistics,
@@ -488,6 +807,9 @@ export const useScheduling = (options = {}) => {
         isLoading: false,
         isScheduling: false,
         isCancelling: false,
+        isRescheduling: false,
+        isUpdatingSeries: false,
+        isRecovering: false,
         isLoadingClasses: false,
         isLoadingStats: false,
         error: null,
@@ -495,7 +817,9 @@ export const useScheduling = (options = {}) => {
         statistics: null,
         lastOperation: null,
         conflicts: [],
-        hasConflicts: false
+        hasConflicts: false,
+        bulkProgress: null,
+        unfinishedOperations: getBulkOperations({ unfinishedOnly: true })
       })
     }
   }
@@ -542,9 +866,26 @@ export const useSimpleScheduling = () => {
     }
   }, [])
   
+  const reschedule = useCallback(async (request) => {
+    setIsLoading(true)
+    setError(null)
+    
+    try {
+      const result = await rescheduleClasses(request)
+      setIsLoading(false)
+      return result
+    } catch (err) {
+      const error = handleError(err, 'simpleReschedule')
+      setError(error)
+      setIsLoading(false)
+      return error
+    }
+  }, [])
+  
   return {
     schedule,
     cancel,
+    reschedule,
     isLoading,
     error,
     clearError: () => setError(null)
@@ -0,0 +1,240 @@
+/**
+ * useStudentAttendance Hook
+ *
+ * Loads one student's attendance: a paginated history list plus the full
+ * record set used for per-batch percentages, streaks, consecutive-absence
+ * warnings and the monthly heatmap.
+ *
+ * @hook
+ * @version 1.0.0
+ */
+
+import { useState, useCallback, useEffect, useMemo } from 'react'
+import {
+  getAttendanceByStudent,
+  getAllAttendanceByStudent,
+  getAttendanceStatus,
+  isAttendedStatus,
+  EXCUSED_STATUSES
+} from '../services/databaseService.js'
+import { groupByDate } from '../utils/calendar.js'
+import { handleError } from '../utils/errorHandler.js'
+
+/**
+ * Consecutive absences in one batch before a warning is shown
+ * @constant
+ */
+export const ABSENCE_WARNING_THRESHOLD = 3
+
+/**
+ * Compute attendance percentages, streaks and absence warnings for a student
+ * Excused and injured sessions neither break nor extend a streak
+ * @function analyzeStudentAttendance
+ * @param {Array} records - All attendance documents for one student
+ * @returns {Object} Overall and per-batch statistics
+ */
+export const analyzeStudentAttendance = (records = []) => {
+  // Keep the latest record per batch and date so legacy duplicates count once
+  const latestBySession = new Map()
+  records.forEach(record => {
+    const key = `${record.batch_name}|${record.date}`
+    const existing = latestBySession.get(key)
+    if (!existing || (record.created_at || '') > (existing.created_at || '')) {
+      latestBySession.set(key, record)
+    }
+  })
+
+  const sessions = Array.from(latestBySession.values())
+    .map(record => ({ date: record.date, batchName: record.batch_name, status: getAttendanceStatus(record) }))
+    .sort((a, b) => a.date.localeCompare(b.date) || a.batchName.localeCompare(b.batchName))
+
+  const batchStats = {}
+  let currentStreak = 0
+  let longestStreak = 0
+  let consecutiveAbsences = 0
+
+  sessions.forEach(session => {
+    if (!batchStats[session.batchName]) {
+      batchStats[session.batchName] = {
+        batchName: session.batchName,
+        sessions: 0,
+        attended: 0,
+        excused: 0,
+        consecutiveAbsences: 0,
+        absentSince: null
+      }
+    }
+    const batch = batchStats[session.batchName]
+    batch.sessions += 1
+
+    if (EXCUSED_STATUSES.includes(session.status)) {
+      batch.excused += 1
+      return
+    }
+
+    if (isAttendedStatus(session.status)) {
+      batch.attended += 1
+      batch.consecutiveAbsences = 0
+      batch.absentSince = null
+      currentStreak += 1
+      longestStreak = Math.max(longestStreak, currentStreak)
+      consecutiveAbsences = 0
+    } else {
+      batch.consecutiveAbsences += 1
+      if (batch.consecutiveAbsences === 1) batch.absentSince = session.date
+      currentStreak = 0
+      consecutiveAbsences += 1
+    }
+  })
+
+  const getRate = (attended, counted) => (counted > 0 ? Math.round((attended / counted) * 100) : 0)
+
+  const batches = Object.values(batchStats).map(batch => ({
+    ...batch,
+    rate: getRate(batch.attended, batch.sessions - batch.excused)
+  }))
+
+  const attended = batches.reduce((sum, batch) => sum + batch.attended, 0)
+  const excused = batches.reduce((sum, batch) => sum + batch.excused, 0)
+
+  return {
+    sessions: sessions.length,
+    attended,
+    excused,
+    rate: getRate(attended, sessions.length - excused),
+    currentStreak,
+    longestStreak,
+    consecutiveAbsences,
+    lastAttendedDate: [...sessions].reverse().find(session => isAttendedStatus(session.status))?.date || null,
+    batches,
+    warnings: batches
+      .filter(batch => batch.consecutiveAbsences >= ABSENCE_WARNING_THRESHOLD)
+      .map(batch => ({
+        batchName: batch.batchName,
+        count: batch.consecutiveAbsences,
+        since: batch.absentSince
+      }))
+  }
+}
+
+/**
+ * Custom hook for one student's attendance history and statistics
+ * @function useStudentAttendance
+ * @param {string|null} studentId - Student document ID
+ * @param {Object} [options] - Hook options
+ * @param {number} [options.pageSize=20] - History rows per page
+ * @param {boolean} [options.enabled=true] - Load data (e.g. only while the detail view is open)
+ * @returns {Object} History page, summary statistics and records grouped by date
+ *
+ * @example
+ * const { history, summary, recordsByDate, page, setPage } = useStudentAttendance(student.$id)
+ */
+export const useStudentAttendance = (studentId, options = {}) => {
+  const { pageSize = 20, enabled = true } = options
+
+  const [history, setHistory] = useState([])
+  const [total, setTotal] = useState(0)
+  const [page, setPage] = useState(1)
+  const [records, setRecords] = useState([])
+  const [isLoadingHistory, setIsLoadingHistory] = useState(false)
+  const [isLoadingSummary, setIsLoadingSummary] = useState(false)
+  const [error, setError] = useState(null)
+
+  const totalPages = Math.max(1, Math.ceil(total / pageSize))
+
+  // Start from the first page when switching students
+  useEffect(() => {
+    setPage(1)
+  }, [studentId])
+
+  /**
+   * Load the current history page
+   * @function loadHistory
+   * @returns {Promise<void>}
+   */
+  const loadHistory = useCallback(async () => {
+    if (!enabled || !studentId) return
+
+    try {
+      setIsLoadingHistory(true)
+
+      const result = await getAttendanceByStudent(studentId, {
+        limit: pageSize,
+        offset: (page - 1) * pageSize
+      })
+
+      if (result.success) {
+        setHistory(result.data.attendance)
+        setTotal(result.data.total)
+      } else {
+        setError(result)
+      }
+
+    } catch (err) {
+      setError(handleError(err, 'loadStudentAttendanceHistory'))
+    } finally {
+      setIsLoadingHistory(false)
+    }
+  }, [enabled, studentId, page, pageSize])
+
+  /**
+   * Load the complete history used for statistics and the heatmap
+   * @function loadSummary
+   * @returns {Promise<void>}
+   */
+  const loadSummary = useCallback(async () => {
+    if (!enabled || !studentId) return
+
+    try {
+      setIsLoadingSummary(true)
+      setError(null)
+
+      const result = await getAllAttendanceByStudent(studentId)
+
+      if (result.success) {
+        setRecords(result.data.attendance)
+      } else {
+        setError(result)
+      }
+
+    } catch (err) {
+      setError(handleError(err, 'loadStudentAttendanceSummary'))
+    } finally {
+      setIsLoadingSummary(false)
+    }
+  }, [enabled, studentId])
+
+  useEffect(() => {
+    loadHistory()
+  }, [loadHistory])
+
+  useEffect(() => {
+    loadSummary()
+  }, [loadSummary])
+
+  const summary = useMemo(() => analyzeStudentAttendance(records), [records])
+  const recordsByDate = useMemo(() => groupByDate(records), [records])
+
+  return {
+    // History
+    history,
+    total,
+    page,
+    totalPages,
+    setPage,
+
+    // Statistics
+    summary,
+    recordsByDate,
+
+    // Status
+    isLoadingHistory,
+    isLoadingSummary,
+    error,
+
+    // Operations
+    refresh: () => Promise.all([loadHistory(), loadSummary()])
+  }
+}
+
+export default useStudentAttendance
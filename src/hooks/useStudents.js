@@ -0,0 +1,230 @@
+/**
+ * useStudents Hook
+ *
+ * Custom React hook for the student roster: paginated loading with search
+ * and batch/status filters, plus create, edit and activate/deactivate
+ * operations backed by databaseService.
+ *
+ * @hook
+ * @version 1.0.0
+ */
+
+import { useState, useCallback, useEffect } from 'react'
+import {
+  getStudents,
+  createStudent,
+  updateStudent
+} from '../services/databaseService.js'
+import { handleError } from '../utils/errorHandler.js'
+
+/**
+ * Student status values stored on student documents
+ * @constant
+ */
+export const STUDENT_STATUS = {
+  ACTIVE: 'active',
+  INACTIVE: 'inactive'
+}
+
+/**
+ * Custom hook for student roster management
+ * @function useStudents
+ * @param {Object} [options] - Hook configuration options
+ * @param {number} [options.pageSize=10] - Number of students per page
+ * @param {string|null} [options.instructorId=null] - Instructor performing changes (for activity log)
+ * @param {string} [options.initialStatus=''] - Status filter to start with
+ * @param {boolean} [options.enabled=true] - Load the roster (e.g. only while a picker is open)
+ * @returns {Object} Roster state, filters and operations
+ *
+ * @example
+ * const {
+ *   students,
+ *   total,
+ *   page,
+ *   setPage,
+ *   setSearch,
+ *   addStudent
+ * } = useStudents({ pageSize: 10, instructorId })
+ */
+export const useStudents = (options = {}) => {
+  const { pageSize = 10, instructorId = null, initialStatus = '', enabled = true } = options
+
+  // Roster state
+  const [students, setStudents] = useState([])
+  const [total, setTotal] = useState(0)
+  const [isLoading, setIsLoading] = useState(false)
+  const [isSaving, setIsSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  // Filters and pagination
+  const [page, setPage] = useState(1)
+  const [search, setSearchState] = useState('')
+  const [batch, setBatchState] = useState('')
+  const [status, setStatusState] = useState(initialStatus)
+
+  const totalPages = Math.max(1, Math.ceil(total / pageSize))
+
+  /**
+   * Load the current page of students
+   * @function loadStudents
+   * @returns {Promise<Object>} Load result
+   */
+  const loadStudents = useCallback(async () => {
+    if (!enabled) return null
+
+    try {
+      setIsLoading(true)
+      setError(null)
+
+      const result = await getStudents({
+        limit: pageSize,
+        offset: (page - 1) * pageSize,
+        search,
+        batch: batch || null,
+        status: status || null
+      })
+
+      if (result.success) {
+        setStudents(result.data.students)
+        setTotal(result.data.total)
+      } else {
+        setError(result)
+      }
+
+      return result
+
+    } catch (err) {
+      const enhancedError = handleError(err, 'loadStudents')
+      setError(enhancedError)
+      return enhancedError
+    } finally {
+      setIsLoading(false)
+    }
+  }, [enabled, page, pageSize, search, batch, status])
+
+  /**
+   * Run a save operation and refresh the roster on success
+   * @function runSave
+   * @param {Function} operation - Async service call returning a response object
+   * @param {string} operationName - Operation name for error handling
+   * @returns {Promise<Object>} Operation result
+   */
+  const runSave = useCallback(async (operation, operationName) => {
+    try {
+      setIsSaving(true)
+      setError(null)
+
+      const result = await operation()
+
+      if (result.success) {
+        await loadStudents()
+      } else {
+        setError(result)
+      }
+
+      return result
+
+    } catch (err) {
+      const enhancedError = handleError(err, operationName)
+      setError(enhancedError)
+      return enhancedError
+    } finally {
+      setIsSaving(false)
+    }
+  }, [loadStudents])
+
+  /**
+   * Create a new student
+   * @function addStudent
+   * @param {Object} data - Student form data
+   * @returns {Promise<Object>} Create result
+   */
+  const addStudent = useCallback((data) => {
+    return runSave(() => createStudent(data, instructorId), 'addStudent')
+  }, [runSave, instructorId])
+
+  /**
+   * Update an existing student
+   * @function editStudent
+   * @param {string} studentId - Student document ID
+   * @param {Object} data - Fields to update
+   * @returns {Promise<Object>} Update result
+   */
+  const editStudent = useCallback((studentId, data) => {
+    return runSave(() => updateStudent(studentId, data, instructorId), 'editStudent')
+  }, [runSave, instructorId])
+
+  /**
+   * Toggle a student between active and inactive
+   * @function toggleStudentStatus
+   * @param {Object} student - Student document
+   * @returns {Promise<Object>} Update result
+   */
+  const toggleStudentStatus = useCallback((student) => {
+    const nextStatus = student.status === STUDENT_STATUS.INACTIVE
+      ? STUDENT_STATUS.ACTIVE
+      : STUDENT_STATUS.INACTIVE
+
+    return runSave(
+      () => updateStudent(student.$id, { status: nextStatus }, instructorId),
+      'toggleStudentStatus'
+    )
+  }, [runSave, instructorId])
+
+  /**
+   * Filter setters reset pagination to the first page
+   */
+  const setSearch = useCallback((value) => {
+    setSearchState(value)
+    setPage(1)
+  }, [])
+
+  const setBatch = useCallback((value) => {
+    setBatchState(value)
+    setPage(1)
+  }, [])
+
+  const setStatus = useCallback((value) => {
+    setStatusState(value)
+    setPage(1)
+  }, [])
+
+  // Reload whenever page or filters change
+  useEffect(() => {
+    loadStudents()
+  }, [loadStudents])
+
+  return {
+    // State
+    students,
+    total,
+    isLoading,
+    isSaving,
+    error,
+
+    // Pagination
+    page,
+    pageSize,
+    totalPages,
+    setPage,
+    hasNextPage: page < totalPages,
+    hasPreviousPage: page > 1,
+
+    // Filters
+    search,
+    batch,
+    status,
+    setSearch,
+    setBatch,
+    setStatus,
+
+    // Operations
+    refreshStudents: loadStudents,
+    addStudent,
+    editStudent,
+    toggleStudentStatus,
+    clearError: () => setError(null)
+  }
+}
+
+export default useStudents
@@ -0,0 +1,176 @@
+/**
+ * useSubstitutes Hook
+ *
+ * Open substitute requests for a date range, and the operations to assign
+ * instructors to classes, ask for cover, claim cover and withdraw a request
+ * through instructorService.
+ *
+ * @hook
+ * @version 1.0.0
+ */
+
+import { useState, useCallback, useEffect, useMemo } from 'react'
+import {
+  assignInstructors,
+  getSubstituteRequests,
+  requestSubstitute,
+  claimSubstitute,
+  withdrawSubstituteRequest,
+  onSubstitutesChanged
+} from '../services/instructorService.js'
+import { handleError } from '../utils/errorHandler.js'
+
+/**
+ * Custom hook for instructor assignments and substitute requests
+ * @function useSubstitutes
+ * @param {Object} [options] - Hook options
+ * @param {boolean} [options.enabled=true] - Load requests
+ * @param {string} [options.startDate] - First class date (YYYY-MM-DD), defaults to today
+ * @param {string|null} [options.endDate=null] - Last class date (YYYY-MM-DD)
+ * @param {string|null} [options.instructorId=null] - Signed-in instructor
+ * @param {Function} [options.onChange] - Called after any successful change
+ * @returns {Object} Requests, requests keyed by class and operations
+ *
+ * @example
+ * const { requests, claim } = useSubstitutes({ instructorId })
+ * await claim(requests[0].$id)
+ */
+export const useSubstitutes = (options = {}) => {
+  const { enabled = true, startDate, endDate = null, instructorId = null, onChange } = options
+
+  const [requests, setRequests] = useState([])
+  const [isLoading, setIsLoading] = useState(false)
+  const [isSaving, setIsSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  /**
+   * Load open requests
+   * @function loadRequests
+   * @returns {Promise<Object>} Load result
+   */
+  const loadRequests = useCallback(async () => {
+    if (!enabled) return null
+
+    try {
+      setIsLoading(true)
+
+      const result = await getSubstituteRequests({ startDate, endDate })
+      if (result.success) {
+        setRequests(result.data.requests)
+      } else {
+        setError(result)
+      }
+
+      return result
+
+    } catch (err) {
+      const enhancedError = handleError(err, 'loadSubstituteRequests')
+      setError(enhancedError)
+      return enhancedError
+    } finally {
+      setIsLoading(false)
+    }
+  }, [enabled, startDate, endDate])
+
+  /**
+   * Run a change; the change notification reloads every request list
+   * @function save
+   * @param {Function} operation - Service call
+   * @param {string} operationName - Operation name for error handling
+   * @returns {Promise<Object>} Save result
+   */
+  const save = useCallback(async (operation, operationName) => {
+    try {
+      setIsSaving(true)
+      setError(null)
+
+      const result = await operation()
+      if (result.success) {
+        if (onChange) onChange(result)
+      } else {
+        setError(result)
+      }
+
+      return result
+
+    } catch (err) {
+      const enhancedError = handleError(err, operationName)
+      setError(enhancedError)
+      return enhancedError
+    } finally {
+      setIsSaving(false)
+    }
+  }, [onChange])
+
+  /**
+   * Set the instructors of a class
+   * @function assign
+   * @param {string} classId - Class document ID
+   * @param {Array<string>} instructorIds - Instructor document IDs
+   * @returns {Promise<Object>} Save result
+   */
+  const assign = useCallback((classId, instructorIds) => {
+    return save(() => assignInstructors(classId, instructorIds, instructorId), 'assignInstructors')
+  }, [save, instructorId])
+
+  /**
+   * Mark the signed-in instructor unavailable and ask for cover
+   * @function requestCover
+   * @param {string} classId - Class document ID
+   * @param {string} [reason] - Why
+   * @returns {Promise<Object>} Save result
+   */
+  const requestCover = useCallback((classId, reason) => {
+    return save(() => requestSubstitute(classId, instructorId, reason), 'requestSubstitute')
+  }, [save, instructorId])
+
+  /**
+   * Take over a class as its substitute
+   * @function claim
+   * @param {string} requestId - Substitute request ID
+   * @returns {Promise<Object>} Save result
+   */
+  const claim = useCallback((requestId) => {
+    return save(() => claimSubstitute(requestId, instructorId), 'claimSubstitute')
+  }, [save, instructorId])
+
+  /**
+   * Withdraw a request for cover
+   * @function withdraw
+   * @param {string} requestId - Substitute request ID
+   * @returns {Promise<Object>} Save result
+   */
+  const withdraw = useCallback((requestId) => {
+    return save(() => withdrawSubstituteRequest(requestId, instructorId), 'withdrawSubstituteRequest')
+  }, [save, instructorId])
+
+  useEffect(() => {
+    loadRequests()
+  }, [loadRequests])
+
+  // Reload after a change anywhere in the app
+  useEffect(() => {
+    if (!enabled) return
+    return onSubstitutesChanged(() => loadRequests())
+  }, [enabled, loadRequests])
+
+  const requestsByClass = useMemo(() => requests.reduce((byClass, request) => {
+    byClass[request.class_id] = [...(byClass[request.class_id] || []), request]
+    return byClass
+  }, {}), [requests])
+
+  return {
+    requests,
+    requestsByClass,
+    isLoading,
+    isSaving,
+    error,
+    assign,
+    requestCover,
+    claim,
+    withdraw,
+    refresh: loadRequests
+  }
+}
+
+export default useSubstitutes
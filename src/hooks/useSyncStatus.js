@@ -0,0 +1,142 @@
+/**
+ * useSyncStatus Hook
+ *
+ * Changes made offline that have not reached Appwrite yet, split into
+ * pending, failed and conflicting writes, and the operations to send,
+ * retry, discard or settle them through offlineService.
+ *
+ * @hook
+ * @version 1.0.0
+ */
+
+import { useState, useCallback, useEffect, useMemo } from 'react'
+import {
+  OFFLINE_CONFIG,
+  getQueuedWrites,
+  onSyncChanged,
+  replayQueue,
+  retryWrite,
+  discardWrite,
+  resolveConflict
+} from '../services/offlineService.js'
+import { handleError } from '../utils/errorHandler.js'
+
+const { QUEUE_STATUS } = OFFLINE_CONFIG
+
+/**
+ * Custom hook for the offline write queue
+ * @function useSyncStatus
+ * @returns {Object} Queued writes by status, counts and operations
+ *
+ * @example
+ * const { failed, retry } = useSyncStatus()
+ * await retry(failed[0].id)
+ */
+export const useSyncStatus = () => {
+  const [writes, setWrites] = useState([])
+  const [isLoading, setIsLoading] = useState(false)
+  const [isSaving, setIsSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  /**
+   * Load the queue
+   * @function loadWrites
+   */
+  const loadWrites = useCallback(async () => {
+    try {
+      setIsLoading(true)
+      setWrites(await getQueuedWrites())
+    } catch (err) {
+      setError(handleError(err, 'loadQueuedWrites'))
+    } finally {
+      setIsLoading(false)
+    }
+  }, [])
+
+  /**
+   * Run a queue operation; the change notification reloads the queue
+   * @function save
+   * @param {Function} operation - Service call
+   * @param {string} operationName - Operation name for error handling
+   * @returns {Promise<Object>} Operation result
+   */
+  const save = useCallback(async (operation, operationName) => {
+    try {
+      setIsSaving(true)
+      setError(null)
+
+      const result = await operation()
+      if (!result.success) setError(result)
+
+      return result
+
+    } catch (err) {
+      const enhancedError = handleError(err, operationName)
+      setError(enhancedError)
+      return enhancedError
+    } finally {
+      setIsSaving(false)
+    }
+  }, [])
+
+  /**
+   * Send every pending change now
+   * @function syncNow
+   * @returns {Promise<Object>} Replay result
+   */
+  const syncNow = useCallback(() => save(replayQueue, 'replayQueue'), [save])
+
+  /**
+   * Send a failed change again
+   * @function retry
+   * @param {number} writeId - Queued write ID
+   * @returns {Promise<Object>} Retry result
+   */
+  const retry = useCallback((writeId) => save(() => retryWrite(writeId), 'retryWrite'), [save])
+
+  /**
+   * Drop a change
+   * @function discard
+   * @param {number} writeId - Queued write ID
+   * @returns {Promise<Object>} Discard result
+   */
+  const discard = useCallback((writeId) => save(() => discardWrite(writeId), 'discardWrite'), [save])
+
+  /**
+   * Keep the local change or the server copy of a conflict
+   * @function resolve
+   * @param {number} writeId - Queued write ID
+   * @param {string} keep - 'local' or 'server'
+   * @returns {Promise<Object>} Resolution result
+   */
+  const resolve = useCallback((writeId, keep) => (
+    save(() => resolveConflict(writeId, keep), 'resolveConflict')
+  ), [save])
+
+  useEffect(() => {
+    loadWrites()
+    return onSyncChanged(() => loadWrites())
+  }, [loadWrites])
+
+  const byStatus = useMemo(() => ({
+    pending: writes.filter(write => write.status === QUEUE_STATUS.PENDING),
+    failed: writes.filter(write => write.status === QUEUE_STATUS.FAILED),
+    conflicts: writes.filter(write => write.status === QUEUE_STATUS.CONFLICT)
+  }), [writes])
+
+  return {
+    ...byStatus,
+    total: writes.length,
+    needsAttention: byStatus.failed.length + byStatus.conflicts.length,
+    isLoading,
+    isSaving,
+    error,
+    syncNow,
+    retry,
+    discard,
+    resolve,
+    refresh: loadWrites
+  }
+}
+
+export default useSyncStatus
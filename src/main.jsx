@@ -2,6 +2,11 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { initializeStorage } from './services/storageService.js'
+
+initializeStorage().catch(error => {
+  console.error('Failed to initialize storage:', error)
+})
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
@@ -8,75 +8,116 @@
  * @version 1.0.0
  */
 
-import { useState, useCallback } from 'react'
-import { Calendar, Users, CheckCircle, XCircle, Clock } from 'lucide-react'
-import { useAuth } from '../contexts/AuthContext.jsx'
+import { useState, useCallback, useEffect } from 'react'
+import { Calendar, Users, CheckCircle, XCircle, Clock, Layers } from 'lucide-react'
 import Card from '../components/Card.jsx'
 import Button from '../components/Button.jsx'
+import RollCallModal from '../components/Attendance/RollCallModal.jsx'
+import BatchesModal from '../components/Batches/BatchesModal.jsx'
+import { useAuth } from '../contexts/AuthContext.jsx'
+import { useAttendanceStats } from '../hooks/useAttendanceStats.js'
+import { useBatches } from '../hooks/useBatches.js'
+import { BatchUtils } from '../services/batchService.js'
+import { today } from '../utils/dates.js'
+
+/**
+ * Format a stat delta against the previous class
+ * @function formatDelta
+ * @param {number} value - Current value
+ * @param {number|undefined} previousValue - Previous class value
+ * @param {string} [suffix=''] - Unit suffix
+ * @returns {string} Signed delta, or an empty string when there is no previous class
+ */
+const formatDelta = (value, previousValue, suffix = '') => {
+  if (previousValue === undefined || previousValue === null) return ''
+  const delta = value - previousValue
+  return `${delta >= 0 ? '+' : ''}${delta}${suffix}`
+}
 
 /**
  * Attendance stats component
  * @function AttendanceStats
+ * @param {Object} props - Component props
+ * @param {string} props.batchName - Selected batch name
+ * @param {string} props.date - Selected class date (YYYY-MM-DD)
+ * @param {Object} props.stats - Result of useAttendanceStats for the batch and date
  * @returns {JSX.Element} Attendance statistics cards
  */
-const AttendanceStats = () => {
+const AttendanceStats = ({ batchName, date, stats: attendanceStats }) => {
+  const { current, previous, previousDate, isLoading, error } = attendanceStats
+
+  const values = current || { attended: 0, late: 0, absent: 0, excused: 0, injured: 0, unmarked: 0, rate: 0 }
+
   const stats = [
     {
-      title: 'Present Today',
-      value: '45',
-      change: '+8',
-      changeType: 'increase',
+      title: 'Present',
+      value: String(values.attended),
+      change: formatDelta(values.attended, previous?.attended),
+      changeType: values.attended >= (previous?.attended ?? 0) ? 'increase' : 'decrease',
       icon: CheckCircle,
       color: 'text-green-600 bg-green-50'
     },
     {
-      title: 'Absent Today',
-      value: '12',
-      change: '-3',
-      changeType: 'decrease',
+      title: 'Absent',
+      value: String(values.absent),
+      change: formatDelta(values.absent, previous?.absent),
+      // Fewer absences is an improvement
+      changeType: values.absent <= (previous?.absent ?? 0) ? 'increase' : 'decrease',
       icon: XCircle,
       color: 'text-red-600 bg-red-50'
     },
     {
-      title: 'On Time',
-      value: '38',
-      change: '+5',
-      changeType: 'increase',
+      title: 'Not Marked',
+      value: String(values.unmarked),
+      change: formatDelta(values.unmarked, previous?.unmarked),
+      changeType: values.unmarked <= (previous?.unmarked ?? 0) ? 'increase' : 'decrease',
       icon: Clock,
       color: 'text-blue-600 bg-blue-50'
     },
     {
       title: 'Attendance Rate',
-      value: '79%',
-      change: '+5%',
-      changeType: 'increase',
+      value: `${values.rate}%`,
+      change: formatDelta(values.rate, previous?.rate, '%'),
+      changeType: values.rate >= (previous?.rate ?? 0) ? 'increase' : 'decrease',
       icon: Users,
       color: 'text-purple-600 bg-purple-50'
     }
   ]
 
   return (
-    <div className="grid grid-cols-2 lg:grid-cols-4 gap-4 mb-8">
-      {stats.map((stat, index) => (
-        <Card key={index} className="p-4">
-          <div className="flex items-center">
-            <div className={`p-2 rounded-lg mr-3 ${stat.color}`}>
-              <stat.icon size={20} />
-            </div>
-            <div className="flex-1 min-w-0">
-              <h3 className="text-sm font-medium text-gray-500 truncate">{stat.title}</h3>
-              <div className="flex items-center mt-1">
-                <span className="text-xl font-bold text-gray-900">{stat.value}</span>
-                <span className={`ml-2 text-xs font-medium ${
-                  stat.changeType === 'increase' ? 'text-green-600' : 'text-red-600'
-                }`}>
-                  {stat.change}
-                </span>
+    <div className="mb-8">
+      <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+        {stats.map((stat, index) => (
+          <Card key={index} className={`p-4 ${isLoading ? 'opacity-60' : ''}`} hover={false}>
+            <div className="flex items-center">
+              <div className={`p-2 rounded-lg mr-3 ${stat.color}`}>
+                <stat.icon size={20} />
+              </div>
+              <div className="flex-1 min-w-0">
+                <h3 className="text-sm font-medium text-gray-500 truncate">{stat.title}</h3>
+                <div className="flex items-center mt-1">
+                  <span className="text-xl font-bold text-gray-900">{stat.value}</span>
+                  {stat.change && (
+                    <span className={`ml-2 text-xs font-medium ${
+                      stat.changeType === 'increase' ? 'text-green-600' : 'text-red-600'
+                    }`}>
+                      {stat.change}
+                    </span>
+                  )}
+                </div>
               </div>
             </div>
-          </div>
-        </Card>
-      ))}
+          </Card>
+        ))}
+      </div>
+      <p className="mt-2 text-xs text-gray-500">
+        {!error && `${values.late} late • ${values.excused} excused • ${values.injured} injured • `}
+        {error
+          ? error.message
+          : previousDate
+            ? `${batchName} on ${date}, compared with the previous class on ${previousDate}`
+            : `${batchName} on ${date}, no previous class to compare with`}
+      </p>
     </div>
   )
 }
@@ -84,21 +125,25 @@ const AttendanceStats = () => {
 /**
  * Quick attendance actions component
  * @function QuickActions
+ * @param {Object} props - Component props
+ * @param {Array} props.batches - Active batches
+ * @param {string} props.selectedBatch - Selected batch name
+ * @param {Function} props.onBatchChange - Batch change handler
+ * @param {string} props.selectedDate - Selected class date (YYYY-MM-DD)
+ * @param {Function} props.onDateChange - Date change handler
+ * @param {Function} props.onTakeAttendance - Opens the roll call for the selected class
+ * @param {Function} props.onManageBatches - Opens batch management
  * @returns {JSX.Element} Quick attendance action buttons
  */
-const QuickActions = () => {
-  const [selectedBatch, setSelectedBatch] = useState('morning-batch')
-  
-  const batches = [
-    { id: 'morning-batch', name: 'Morning Batch', time: '6:00 AM - 8:00 AM' },
-    { id: 'evening-batch', name: 'Evening Batch', time: '6:00 PM - 8:00 PM' },
-    { id: 'weekend-batch', name: 'Weekend Batch', time: '9:00 AM - 11:00 AM' }
-  ]
-
-  const handleBatchChange = useCallback((batchId) => {
-    setSelectedBatch(batchId)
-  }, [])
-
+const QuickActions = ({
+  batches,
+  selectedBatch,
+  onBatchChange,
+  selectedDate,
+  onDateChange,
+  onTakeAttendance,
+  onManageBatches
+}) => {
   const handleQuickAction = useCallback((action) => {
     console.log(`${action} for batch: ${selectedBatch}`)
     // TODO: Implement actual attendance actions
@@ -107,30 +152,46 @@ const QuickActions = () => {
 
   return (
     <Card title="Quick Actions" subtitle="Manage attendance for your batches">
-      {/* Batch Selector */}
-      <div className="mb-6">
-        <label htmlFor="batch-select" className="block text-sm font-medium text-gray-700 mb-2">
-          Select Batch
-        </label>
-        <select
-          id="batch-select"
-          value={selectedBatch}
-          onChange={(e) => handleBatchChange(e.target.value)}
-          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-        >
-          {batches.map((batch) => (
-            <option key={batch.id} value={batch.id}>
-              {batch.name} ({batch.time})
-            </option>
-          ))}
-        </select>
+      {/* Batch and Date Selectors */}
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-6">
+        <div>
+          <label htmlFor="batch-select" className="block text-sm font-medium text-gray-700 mb-2">
+            Select Batch
+          </label>
+          <select
+            id="batch-select"
+            value={selectedBatch}
+            onChange={(e) => onBatchChange(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            {batches.length === 0 && <option value="">No batches yet</option>}
+            {batches.map((batch) => (
+              <option key={batch.$id} value={batch.name}>
+                {batch.name} ({BatchUtils.formatTimeWindow(batch)})
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="date-select" className="block text-sm font-medium text-gray-700 mb-2">
+            Class Date
+          </label>
+          <input
+            type="date"
+            id="date-select"
+            value={selectedDate}
+            onChange={(e) => onDateChange(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+        </div>
       </div>
 
       {/* Action Buttons */}
       <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
         <Button
           variant="primary"
-          onClick={() => handleQuickAction('Mark Attendance')}
+          onClick={onTakeAttendance}
+          disabled={!selectedBatch}
           className="w-full"
         >
           <CheckCircle size={16} className="mr-2" />
@@ -156,10 +217,11 @@ const QuickActions = () => {
         
         <Button
           variant="ghost"
-          onClick={() => handleQuickAction('Settings')}
+          onClick={onManageBatches}
           className="w-full"
         >
-          Settings
+          <Layers size={16} className="mr-2" />
+          Manage Batches
         </Button>
       </div>
     </Card>
@@ -211,6 +273,8 @@ const RecentActivity = () => {
         return 'bg-red-100 text-red-800'
       case 'late':
         return 'bg-yellow-100 text-yellow-800'
+      case 'injured':
+        return 'bg-orange-100 text-orange-800'
       default:
         return 'bg-gray-100 text-gray-800'
     }
@@ -264,7 +328,20 @@ const RecentActivity = () => {
  * @returns {JSX.Element} Attendance page content
  */
 const Attendance = () => {
-  const { instructor } = useAuth()
+  const [selectedBatch, setSelectedBatch] = useState('')
+  const [selectedDate, setSelectedDate] = useState(today)
+  const [isRollCallOpen, setIsRollCallOpen] = useState(false)
+  const [isBatchesOpen, setIsBatchesOpen] = useState(false)
+  const { instructorId } = useAuth()
+  const { batches } = useBatches()
+  const attendanceStats = useAttendanceStats(selectedBatch || null, selectedDate)
+
+  // Select the first batch once batches load, or again if the selected one is archived
+  useEffect(() => {
+    if (batches.length > 0 && !batches.some(batch => batch.name === selectedBatch)) {
+      setSelectedBatch(batches[0].name)
+    }
+  }, [batches, selectedBatch])
 
   return (
     <div className="max-w-7xl mx-auto px-4 py-6 sm:px-6 lg:px-8">
@@ -279,13 +356,21 @@ const Attendance = () => {
       </div>
 
       {/* Attendance Stats */}
-      <AttendanceStats />
+      <AttendanceStats batchName={selectedBatch} date={selectedDate} stats={attendanceStats} />
 
       {/* Main Content Grid */}
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
         {/* Left Column - Quick Actions */}
         <div className="lg:col-span-2">
-          <QuickActions />
+          <QuickActions
+            batches={batches}
+            selectedBatch={selectedBatch}
+            onBatchChange={setSelectedBatch}
+            selectedDate={selectedDate}
+            onDateChange={setSelectedDate}
+            onTakeAttendance={() => setIsRollCallOpen(true)}
+            onManageBatches={() => setIsBatchesOpen(true)}
+          />
         </div>
 
         {/* Right Column - Recent Activity */}
@@ -309,6 +394,21 @@ const Attendance = () => {
           </div>
         </Card>
       </div>
+
+      <RollCallModal
+        isOpen={isRollCallOpen}
+        onClose={() => setIsRollCallOpen(false)}
+        batchName={selectedBatch}
+        date={selectedDate}
+        instructorId={instructorId}
+        onSaved={attendanceStats.refresh}
+      />
+
+      <BatchesModal
+        isOpen={isBatchesOpen}
+        onClose={() => setIsBatchesOpen(false)}
+        instructorId={instructorId}
+      />
     </div>
   )
 }
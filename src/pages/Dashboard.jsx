@@ -8,7 +8,7 @@
  * @version 3.0.0
  */
 
-import { useCallback, useState } from 'react'
+import { useCallback, useEffect, useState } from 'react'
 import { useAuth } from '../contexts/AuthContext.jsx'
 import Card from '../components/Card.jsx'
 import Button from '../components/Button.jsx'
@@ -17,8 +17,12 @@ import GreetingSection from '../components/Dashboard/GreetingSection.jsx'
 import ScheduleButton from '../components/Dashboard/ScheduleButton.jsx'
 import Calendar from '../components/Dashboard/Calendar.jsx'
 import SchedulingModal from '../components/Dashboard/SchedulingModal.jsx'
+import RecentActivity from '../components/Dashboard/RecentActivity.jsx'
+import CoverRequests from '../components/Dashboard/CoverRequests.jsx'
+import ClosuresModal from '../components/Closures/ClosuresModal.jsx'
 import { useScheduling } from '../hooks/useScheduling.js'
 import { SCHEDULING_CONFIG } from '../services/schedulingService.js'
+import { getWeekday, addDays, today } from '../utils/dates.js'
 
 /**
  * Dashboard stats component
@@ -104,9 +108,11 @@ const DashboardStats = () => {
 /**
  * Quick actions component
  * @function QuickActions
+ * @param {Object} props - Component props
+ * @param {Function} props.onManageClosures - Open the holidays and closures list
  * @returns {JSX.Element} Quick action buttons
  */
-const QuickActions = () => {
+const QuickActions = ({ onManageClosures }) => {
   const actions = [
     {
       title: 'Mark Attendance',
@@ -147,6 +153,16 @@ const QuickActions = () => {
         </svg>
       ),
       action: () => alert('Navigate to payment management page')
+    },
+    {
+      title: 'Holidays & Closures',
+      description: 'Block out public holidays and venue closures',
+      icon: (
+        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2zm5-6l4 4m0-4l-4 4" />
+        </svg>
+      ),
+      action: onManageClosures
     }
   ]
 
@@ -177,19 +193,33 @@ const QuickActions = () => {
  * @returns {JSX.Element} Dashboard page content
  */
 const Dashboard = () => {
-  const { instructor, user } = useAuth()
+  const { instructor, instructorId, user } = useAuth()
   
   // Scheduling state
   const [isSchedulingModalOpen, setIsSchedulingModalOpen] = useState(false)
   const [schedulingDefaultValues, setSchedulingDefaultValues] = useState({})
+  const [isClosuresOpen, setIsClosuresOpen] = useState(false)
   
   // Use scheduling hook for real-time data and operations
   const {
     scheduleClasses,
     cancelClasses,
+    rescheduleClasses,
+    scheduleSeries,
+    extendSeries,
     statistics,
     isScheduling,
     isCancelling,
+    isRescheduling,
+    isRecovering,
+    bulkProgress,
+    unfinishedOperations,
+    resumeOperation,
+    rollbackOperation,
+    dismissOperation,
+    undoChanges,
+    previewSchedule,
+    lastOperation,
     error: schedulingError,
     clearError
   } = useScheduling({
@@ -197,6 +227,11 @@ const Dashboard = () => {
     autoRefresh: true
   })
 
+  // Generate repeating classes that have come within the scheduling window
+  useEffect(() => {
+    extendSeries()
+  }, [extendSeries])
+
   /**
    * Open scheduling modal
    * @function openSchedulingModal
@@ -230,22 +265,28 @@ const Dashboard = () => {
     }
 
     // Set default date range based on option
-    const today = new Date()
-    const tomorrow = new Date(today)
-    tomorrow.setDate(today.getDate() + 1)
-    const nextWeek = new Date(today)
-    nextWeek.setDate(today.getDate() + 7)
+    const tomorrow = addDays(today(), 1)
 
     switch (option.id) {
       case 'schedule-new':
-        defaultValues.startDate = tomorrow.toISOString().split('T')[0]
-        defaultValues.endDate = tomorrow.toISOString().split('T')[0]
+        defaultValues.startDate = tomorrow
+        defaultValues.endDate = tomorrow
         break
-      case 'schedule-recurring':
-        defaultValues.startDate = tomorrow.toISOString().split('T')[0]
-        defaultValues.endDate = nextWeek.toISOString().split('T')[0]
-        defaultValues.excludeWeekends = true
+      case 'schedule-recurring': {
+        const startDate = tomorrow
+        defaultValues.startDate = startDate
+        defaultValues.repeat = true
+        defaultValues.repeatDays = [getWeekday(startDate)]
+        defaultValues.repeatUntil = addDays(startDate, 4 * 7 - 1)
         break
+      }
+      case 'reschedule': {
+        defaultValues.action = SCHEDULING_CONFIG.ACTIONS.RESCHEDULE
+        defaultValues.startDate = tomorrow
+        defaultValues.endDate = tomorrow
+        defaultValues.targetDate = addDays(tomorrow, 1)
+        break
+      }
       default:
         break
     }
@@ -263,16 +304,12 @@ const Dashboard = () => {
     
     const defaultValues = {
       action: SCHEDULING_CONFIG.ACTIONS.CANCEL,
-      batches: ['morning', 'evening'] // Default to common batches
+      batches: [] // Let user choose
     }
 
     // Set default date range for cancellation
-    const today = new Date()
-    const nextWeek = new Date(today)
-    nextWeek.setDate(today.getDate() + 7)
-
-    defaultValues.startDate = today.toISOString().split('T')[0]
-    defaultValues.endDate = nextWeek.toISOString().split('T')[0]
+    defaultValues.startDate = today()
+    defaultValues.endDate = addDays(defaultValues.startDate, 7)
 
     openSchedulingModal(defaultValues)
   }, [openSchedulingModal])
@@ -316,7 +353,15 @@ const Dashboard = () => {
     try {
       let result
       
-      if (formData.action === SCHEDULING_CONFIG.ACTIONS.SCHEDULE) {
+      if (formData.action === SCHEDULING_CONFIG.ACTIONS.SCHEDULE && formData.recurrence) {
+        result = await scheduleSeries({
+          startDate: formData.startDate,
+          batches: formData.batches,
+          rule: formData.recurrence,
+          skipConflicts: formData.skipConflicts || false,
+          notes: formData.notes || ''
+        })
+      } else if (formData.action === SCHEDULING_CONFIG.ACTIONS.SCHEDULE) {
         result = await scheduleClasses({
           startDate: formData.startDate,
           endDate: formData.endDate,
@@ -332,6 +377,16 @@ const Dashboard = () => {
           batches: formData.batches,
           reason: formData.reason || ''
         })
+      } else if (formData.action === SCHEDULING_CONFIG.ACTIONS.RESCHEDULE) {
+        result = await rescheduleClasses({
+          startDate: formData.startDate,
+          endDate: formData.endDate,
+          batches: formData.batches,
+          targetDate: formData.targetDate,
+          targetTime: formData.targetTime || '',
+          skipConflicts: formData.skipConflicts || false,
+          reason: formData.reason || ''
+        })
       }
 
       return result
@@ -343,7 +398,7 @@ const Dashboard = () => {
         message: error.message || 'An unexpected error occurred'
       }
     }
-  }, [scheduleClasses, cancelClasses])
+  }, [scheduleClasses, cancelClasses, rescheduleClasses, scheduleSeries])
 
   return (
     <div className="max-w-7xl mx-auto px-4 py-6 sm:px-6 lg:px-8">
@@ -390,31 +445,18 @@ const Dashboard = () => {
         {/* Left Column - Quick Actions */}
         <div className="lg:col-span-2">
           <Card title="Quick Actions" subtitle="Common tasks and operations">
-            <QuickActions />
+            <QuickActions onManageClosures={() => setIsClosuresOpen(true)} />
           </Card>
         </div>
 
         {/* Right Column - Recent Activity */}
         <div>
           <Card title="Recent Activity" subtitle="Latest system activity">
-            <div className="space-y-3">
-              {[
-                { action: 'Student registered', time: '2 hours ago', type: 'success' },
-                { action: 'Class scheduled', time: '3 hours ago', type: 'info' },
-                { action: 'Payment received', time: '5 hours ago', type: 'success' },
-                { action: 'Attendance marked', time: '1 day ago', type: 'info' }
-              ].map((activity, index) => (
-                <div key={index} className="flex items-center space-x-3 p-2 rounded-lg hover:bg-gray-50">
-                  <div className={`w-2 h-2 rounded-full ${
-                    activity.type === 'success' ? 'bg-green-500' : 'bg-blue-500'
-                  }`} />
-                  <div className="flex-1 min-w-0">
-                    <p className="text-sm font-medium text-gray-900">{activity.action}</p>
-                    <p className="text-xs text-gray-500">{activity.time}</p>
-                  </div>
-                </div>
-              ))}
-            </div>
+            <RecentActivity onUndo={undoChanges} refreshKey={lastOperation} />
+          </Card>
+
+          <Card title="Cover Requests" subtitle="Classes that need a substitute" className="mt-8">
+            <CoverRequests instructorId={instructorId} />
           </Card>
         </div>
       </div>
@@ -431,8 +473,22 @@ const Dashboard = () => {
         isOpen={isSchedulingModalOpen}
         onClose={closeSchedulingModal}
         onSubmit={handleSchedulingSubmit}
-        isLoading={isScheduling || isCancelling}
+        isLoading={isScheduling || isCancelling || isRescheduling || isRecovering}
         defaultValues={schedulingDefaultValues}
+        progress={bulkProgress}
+        unfinishedOperations={unfinishedOperations}
+        onResumeOperation={resumeOperation}
+        onRollbackOperation={rollbackOperation}
+        onDismissOperation={dismissOperation}
+        onUndoChanges={undoChanges}
+        onPreview={previewSchedule}
+      />
+
+      {/* Holidays & Closures Modal */}
+      <ClosuresModal
+        isOpen={isClosuresOpen}
+        onClose={() => setIsClosuresOpen(false)}
+        instructorId={instructorId}
       />
     </div>
   )
@@ -9,74 +9,119 @@
  */
 
 import { useState, useCallback } from 'react'
-import { CreditCard, DollarSign, TrendingUp, AlertCircle, Calendar } from 'lucide-react'
+import { CreditCard, DollarSign, TrendingUp, AlertCircle, Calendar, Settings } from 'lucide-react'
 import { useAuth } from '../contexts/AuthContext.jsx'
 import Card from '../components/Card.jsx'
 import Button from '../components/Button.jsx'
+import RecordPaymentModal from '../components/Payments/RecordPaymentModal.jsx'
+import FeePlansModal from '../components/Payments/FeePlansModal.jsx'
+import InvoiceModal from '../components/Payments/InvoiceModal.jsx'
+import RemindersModal from '../components/Payments/RemindersModal.jsx'
+import { usePaymentStats } from '../hooks/usePaymentStats.js'
+import { usePaymentReminders } from '../hooks/usePaymentReminders.js'
+import { PaymentUtils } from '../services/paymentService.js'
+import { today } from '../utils/dates.js'
+
+/**
+ * Overdue students listed in the Pending Payments card
+ * @constant
+ */
+const MAX_PENDING_SHOWN = 5
+
+/**
+ * Format the change from the previous month
+ * @function formatDelta
+ * @param {number} value - Current value
+ * @param {number|undefined} previousValue - Previous month value
+ * @param {Function} [format=String] - Formats the absolute delta
+ * @returns {string} Signed delta, or an empty string when there is no previous month
+ */
+const formatDelta = (value, previousValue, format = String) => {
+  if (previousValue === undefined || previousValue === null) return ''
+  const delta = value - previousValue
+  return `${delta >= 0 ? '+' : '-'}${format(Math.abs(delta))}`
+}
 
 /**
  * Payment stats component
  * @function PaymentStats
+ * @param {Object} props - Component props
+ * @param {string} props.period - Selected billing month (YYYY-MM)
+ * @param {Object} props.stats - Result of usePaymentStats for the selected month
  * @returns {JSX.Element} Payment statistics cards
  */
-const PaymentStats = () => {
+const PaymentStats = ({ period, stats: paymentStats }) => {
+  const { current, previous, previousPeriod, isLoading, error } = paymentStats
+
+  const values = current || { revenue: 0, paidCount: 0, partialCount: 0, pendingAmount: 0, expected: 0, collectionRate: 0 }
+
   const stats = [
     {
       title: 'Monthly Revenue',
-      value: '₹45,600',
-      change: '+12%',
-      changeType: 'increase',
+      value: PaymentUtils.formatCurrency(values.revenue),
+      change: formatDelta(values.revenue, previous?.revenue, PaymentUtils.formatCurrency),
+      changeType: values.revenue >= (previous?.revenue ?? 0) ? 'increase' : 'decrease',
       icon: TrendingUp,
       color: 'text-green-600 bg-green-50'
     },
     {
       title: 'Paid This Month',
-      value: '38',
-      change: '+5',
-      changeType: 'increase',
+      value: String(values.paidCount),
+      change: formatDelta(values.paidCount, previous?.paidCount),
+      changeType: values.paidCount >= (previous?.paidCount ?? 0) ? 'increase' : 'decrease',
       icon: CreditCard,
       color: 'text-blue-600 bg-blue-50'
     },
     {
       title: 'Pending Payments',
-      value: '₹18,500',
-      change: '-₹2,300',
-      changeType: 'decrease',
+      value: PaymentUtils.formatCurrency(values.pendingAmount),
+      change: formatDelta(values.pendingAmount, previous?.pendingAmount, PaymentUtils.formatCurrency),
+      // Less outstanding is an improvement
+      changeType: values.pendingAmount <= (previous?.pendingAmount ?? 0) ? 'increase' : 'decrease',
       icon: AlertCircle,
       color: 'text-orange-600 bg-orange-50'
     },
     {
       title: 'Collection Rate',
-      value: '85%',
-      change: '+3%',
-      changeType: 'increase',
+      value: `${values.collectionRate}%`,
+      change: formatDelta(values.collectionRate, previous?.collectionRate, (delta) => `${delta}%`),
+      changeType: values.collectionRate >= (previous?.collectionRate ?? 0) ? 'increase' : 'decrease',
       icon: DollarSign,
       color: 'text-purple-600 bg-purple-50'
     }
   ]
 
   return (
-    <div className="grid grid-cols-2 lg:grid-cols-4 gap-4 mb-8">
-      {stats.map((stat, index) => (
-        <Card key={index} className="p-4">
-          <div className="flex items-center">
-            <div className={`p-2 rounded-lg mr-3 ${stat.color}`}>
-              <stat.icon size={20} />
-            </div>
-            <div className="flex-1 min-w-0">
-              <h3 className="text-sm font-medium text-gray-500 truncate">{stat.title}</h3>
-              <div className="flex items-center mt-1">
-                <span className="text-xl font-bold text-gray-900">{stat.value}</span>
-                <span className={`ml-2 text-xs font-medium ${
-                  stat.changeType === 'increase' ? 'text-green-600' : 'text-red-600'
-                }`}>
-                  {stat.change}
-                </span>
+    <div className="mb-8">
+      <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+        {stats.map((stat, index) => (
+          <Card key={index} className={`p-4 ${isLoading ? 'opacity-60' : ''}`}>
+            <div className="flex items-center">
+              <div className={`p-2 rounded-lg mr-3 ${stat.color}`}>
+                <stat.icon size={20} />
+              </div>
+              <div className="flex-1 min-w-0">
+                <h3 className="text-sm font-medium text-gray-500 truncate">{stat.title}</h3>
+                <div className="flex items-center mt-1">
+                  <span className="text-xl font-bold text-gray-900">{stat.value}</span>
+                  {stat.change && (
+                    <span className={`ml-2 text-xs font-medium ${
+                      stat.changeType === 'increase' ? 'text-green-600' : 'text-red-600'
+                    }`}>
+                      {stat.change}
+                    </span>
+                  )}
+                </div>
               </div>
             </div>
-          </div>
-        </Card>
-      ))}
+          </Card>
+        ))}
+      </div>
+      <p className="mt-2 text-xs text-gray-500">
+        {error
+          ? error.message
+          : `${PaymentUtils.formatPeriod(period)}: ${values.partialCount} partially paid • ${PaymentUtils.formatCurrency(values.expected)} expected • compared with ${PaymentUtils.formatPeriod(previousPeriod)}`}
+      </p>
     </div>
   )
 }
@@ -84,15 +129,23 @@ const PaymentStats = () => {
 /**
  * Payment management actions component
  * @function PaymentActions
+ * @param {Object} props - Component props
+ * @param {string} props.selectedMonth - Selected billing month (YYYY-MM)
+ * @param {Function} props.onMonthChange - Month change handler
+ * @param {Function} props.onRecordPayment - Opens the record payment form
+ * @param {Function} props.onGenerateInvoice - Opens invoices and receipts
+ * @param {Function} props.onSendReminders - Opens the reminder queue
+ * @param {Function} props.onManageFeePlans - Opens the fee plan editor
  * @returns {JSX.Element} Payment management action buttons
  */
-const PaymentActions = () => {
-  const [selectedMonth, setSelectedMonth] = useState(new Date().toISOString().slice(0, 7))
-  
-  const handleMonthChange = useCallback((month) => {
-    setSelectedMonth(month)
-  }, [])
-
+const PaymentActions = ({
+  selectedMonth,
+  onMonthChange,
+  onRecordPayment,
+  onGenerateInvoice,
+  onSendReminders,
+  onManageFeePlans
+}) => {
   const handlePaymentAction = useCallback((action) => {
     console.log(`${action} for month: ${selectedMonth}`)
     // TODO: Implement actual payment actions
@@ -110,7 +163,7 @@ const PaymentActions = () => {
           type="month"
           id="month-select"
           value={selectedMonth}
-          onChange={(e) => handleMonthChange(e.target.value)}
+          onChange={(e) => onMonthChange(e.target.value)}
           className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
         />
       </div>
@@ -119,7 +172,7 @@ const PaymentActions = () => {
       <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
         <Button
           variant="primary"
-          onClick={() => handlePaymentAction('Record Payment')}
+          onClick={onRecordPayment}
           className="w-full"
         >
           <CreditCard size={16} className="mr-2" />
@@ -128,7 +181,7 @@ const PaymentActions = () => {
         
         <Button
           variant="outline"
-          onClick={() => handlePaymentAction('Generate Invoice')}
+          onClick={onGenerateInvoice}
           className="w-full"
         >
           <Calendar size={16} className="mr-2" />
@@ -146,13 +199,20 @@ const PaymentActions = () => {
         
         <Button
           variant="ghost"
-          onClick={() => handlePaymentAction('Send Reminders')}
+          onClick={onSendReminders}
           className="w-full"
         >
           <AlertCircle size={16} className="mr-2" />
           Send Reminders
         </Button>
       </div>
+
+      <div className="mt-4 pt-4 border-t border-gray-200">
+        <Button variant="ghost" size="sm" onClick={onManageFeePlans} className="w-full">
+          <Settings size={14} className="mr-2" />
+          Fee Plans
+        </Button>
+      </div>
     </Card>
   )
 }
@@ -277,15 +337,13 @@ const RecentTransactions = () => {
 /**
  * Pending payments summary component
  * @function PendingPayments
+ * @param {Object} props - Component props
+ * @param {Object} props.reminders - Result of usePaymentReminders for the selected month
+ * @param {Function} props.onSendReminders - Opens the reminder queue
  * @returns {JSX.Element} Pending payments overview
  */
-const PendingPayments = () => {
-  const pendingPayments = [
-    { student: 'Alex Brown', amount: '₹1,200', daysOverdue: 5 },
-    { student: 'Emma Davis', amount: '₹2,400', daysOverdue: 12 },
-    { student: 'Chris Wilson', amount: '₹1,200', daysOverdue: 2 },
-    { student: 'Lisa Garcia', amount: '₹3,600', daysOverdue: 18 }
-  ]
+const PendingPayments = ({ reminders, onSendReminders }) => {
+  const { queue, graceDays, isLoading, error } = reminders
 
   const getPriorityColor = (days) => {
     if (days >= 15) return 'text-red-600 bg-red-50'
@@ -294,30 +352,39 @@ const PendingPayments = () => {
   }
 
   return (
-    <Card title="Pending Payments" subtitle="Students with outstanding fees">
-      <div className="space-y-3">
-        {pendingPayments.map((payment, index) => (
-          <div key={index} className="flex items-center justify-between p-3 border border-gray-200 rounded-lg">
+    <Card title="Pending Payments" subtitle={`Unpaid ${graceDays} days after the due date`}>
+      <div className={`space-y-3 ${isLoading ? 'opacity-60' : ''}`}>
+        {error && <p className="text-sm text-red-600">{error.message}</p>}
+        {!error && queue.length === 0 && (
+          <p className="text-sm text-gray-500">
+            {isLoading ? 'Checking payments...' : 'No overdue payments for this month'}
+          </p>
+        )}
+        {queue.slice(0, MAX_PENDING_SHOWN).map((item) => (
+          <div key={item.student.$id} className="flex items-center justify-between p-3 border border-gray-200 rounded-lg">
             <div className="flex-1">
               <p className="text-sm font-medium text-gray-900">
-                {payment.student}
+                {item.student.name}
               </p>
               <p className="text-xs text-gray-500">
-                {payment.daysOverdue} days overdue
+                {item.daysOverdue} days overdue{item.remindersSent > 0 && ` • reminded ${item.remindersSent}×`}
               </p>
             </div>
             <div className="flex items-center space-x-2">
               <span className="text-sm font-semibold text-gray-900">
-                {payment.amount}
+                {PaymentUtils.formatCurrency(item.outstanding)}
               </span>
-              <div className={`w-3 h-3 rounded-full ${getPriorityColor(payment.daysOverdue)}`} />
+              <div className={`w-3 h-3 rounded-full ${getPriorityColor(item.daysOverdue)}`} />
             </div>
           </div>
         ))}
+        {queue.length > MAX_PENDING_SHOWN && (
+          <p className="text-xs text-gray-500">and {queue.length - MAX_PENDING_SHOWN} more</p>
+        )}
       </div>
       
       <div className="mt-4 pt-4 border-t border-gray-200">
-        <Button variant="outline" size="sm" className="w-full">
+        <Button variant="outline" size="sm" className="w-full" onClick={onSendReminders} disabled={queue.length === 0}>
           <AlertCircle size={14} className="mr-2" />
           Send Payment Reminders
         </Button>
@@ -332,7 +399,14 @@ const PendingPayments = () => {
  * @returns {JSX.Element} Payments page content
  */
 const Payments = () => {
-  const { instructor } = useAuth()
+  const { instructorId } = useAuth()
+  const [selectedMonth, setSelectedMonth] = useState(() => today().slice(0, 7))
+  const [isRecordOpen, setIsRecordOpen] = useState(false)
+  const [isFeePlansOpen, setIsFeePlansOpen] = useState(false)
+  const [isInvoiceOpen, setIsInvoiceOpen] = useState(false)
+  const [isRemindersOpen, setIsRemindersOpen] = useState(false)
+  const paymentStats = usePaymentStats(selectedMonth)
+  const reminders = usePaymentReminders(selectedMonth, { instructorId })
 
   return (
     <div className="max-w-7xl mx-auto px-4 py-6 sm:px-6 lg:px-8">
@@ -347,19 +421,26 @@ const Payments = () => {
       </div>
 
       {/* Payment Stats */}
-      <PaymentStats />
+      <PaymentStats period={selectedMonth} stats={paymentStats} />
 
       {/* Main Content Grid */}
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
         {/* Left Column - Payment Actions */}
         <div className="lg:col-span-2 space-y-6">
-          <PaymentActions />
+          <PaymentActions
+            selectedMonth={selectedMonth}
+            onMonthChange={setSelectedMonth}
+            onRecordPayment={() => setIsRecordOpen(true)}
+            onGenerateInvoice={() => setIsInvoiceOpen(true)}
+            onSendReminders={() => setIsRemindersOpen(true)}
+            onManageFeePlans={() => setIsFeePlansOpen(true)}
+          />
           <RecentTransactions />
         </div>
 
         {/* Right Column - Pending Payments */}
         <div>
-          <PendingPayments />
+          <PendingPayments reminders={reminders} onSendReminders={() => setIsRemindersOpen(true)} />
         </div>
       </div>
 
@@ -378,6 +459,37 @@ const Payments = () => {
           </div>
         </Card>
       </div>
+
+      <RecordPaymentModal
+        isOpen={isRecordOpen}
+        onClose={() => setIsRecordOpen(false)}
+        defaultPeriod={selectedMonth}
+        instructorId={instructorId}
+        onRecorded={() => {
+          paymentStats.refresh()
+          reminders.refresh()
+        }}
+      />
+
+      <InvoiceModal
+        isOpen={isInvoiceOpen}
+        onClose={() => setIsInvoiceOpen(false)}
+        defaultPeriod={selectedMonth}
+        instructorId={instructorId}
+      />
+
+      <RemindersModal
+        isOpen={isRemindersOpen}
+        onClose={() => setIsRemindersOpen(false)}
+        period={selectedMonth}
+        reminders={reminders}
+      />
+
+      <FeePlansModal
+        isOpen={isFeePlansOpen}
+        onClose={() => setIsFeePlansOpen(false)}
+        instructorId={instructorId}
+      />
     </div>
   )
 }
@@ -0,0 +1,365 @@
+/**
+ * Students Page Component
+ *
+ * Student roster tab with search, batch and status filters, pagination,
+ * create/edit forms, activate/deactivate actions and per-student
+ * attendance detail.
+ *
+ * @component
+ * @version 1.0.0
+ */
+
+import { useState, useCallback, useEffect } from 'react'
+import {
+  Search,
+  UserPlus,
+  Pencil,
+  UserCheck,
+  UserX,
+  ChevronLeft,
+  ChevronRight,
+  GraduationCap,
+  History
+} from 'lucide-react'
+import { useAuth } from '../contexts/AuthContext.jsx'
+import Card from '../components/Card.jsx'
+import Button from '../components/Button.jsx'
+import StudentFormModal from '../components/Students/StudentFormModal.jsx'
+import StudentDetailModal from '../components/Students/StudentDetailModal.jsx'
+import { useStudents, STUDENT_STATUS } from '../hooks/useStudents.js'
+import { useBatches } from '../hooks/useBatches.js'
+
+/**
+ * Delay before a typed search term is sent to the server
+ * @constant
+ */
+const SEARCH_DEBOUNCE_MS = 300
+
+/**
+ * Roster filter bar component
+ * @function RosterFilters
+ * @param {Object} props - Component props
+ * @param {string} props.batch - Selected batch filter
+ * @param {string} props.status - Selected status filter
+ * @param {Function} props.onSearchChange - Debounced search handler
+ * @param {Function} props.onBatchChange - Batch filter handler
+ * @param {Function} props.onStatusChange - Status filter handler
+ * @returns {JSX.Element} Filter controls
+ */
+const RosterFilters = ({ batch, status, onSearchChange, onBatchChange, onStatusChange }) => {
+  const [searchInput, setSearchInput] = useState('')
+  const { batches } = useBatches({ includeArchived: true })
+
+  // Debounce search input before querying
+  useEffect(() => {
+    const timeoutId = setTimeout(() => onSearchChange(searchInput), SEARCH_DEBOUNCE_MS)
+    return () => clearTimeout(timeoutId)
+  }, [searchInput, onSearchChange])
+
+  return (
+    <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 mb-6">
+      <div className="relative sm:col-span-1">
+        <Search className="absolute left-3 top-3 text-gray-400 pointer-events-none" size={18} />
+        <input
+          type="search"
+          value={searchInput}
+          onChange={(e) => setSearchInput(e.target.value)}
+          placeholder="Search by name"
+          aria-label="Search students"
+          className="w-full pl-10 pr-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        />
+      </div>
+
+      <select
+        value={batch}
+        onChange={(e) => onBatchChange(e.target.value)}
+        aria-label="Filter by batch"
+        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+      >
+        <option value="">All batches</option>
+        {batches.map((batchConfig) => (
+          <option key={batchConfig.$id} value={batchConfig.name}>
+            {batchConfig.name}{batchConfig.active === false ? ' (archived)' : ''}
+          </option>
+        ))}
+      </select>
+
+      <select
+        value={status}
+        onChange={(e) => onStatusChange(e.target.value)}
+        aria-label="Filter by status"
+        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+      >
+        <option value="">All statuses</option>
+        <option value={STUDENT_STATUS.ACTIVE}>Active</option>
+        <option value={STUDENT_STATUS.INACTIVE}>Inactive</option>
+      </select>
+    </div>
+  )
+}
+
+/**
+ * Single roster row component
+ * @function StudentRow
+ * @param {Object} props - Component props
+ * @param {Object} props.student - Student document
+ * @param {boolean} props.disabled - Whether actions are disabled
+ * @param {Function} props.onView - Attendance detail handler
+ * @param {Function} props.onEdit - Edit handler
+ * @param {Function} props.onToggleStatus - Activate/deactivate handler
+ * @returns {JSX.Element} Student row
+ */
+const StudentRow = ({ student, disabled, onView, onEdit, onToggleStatus }) => {
+  const isActive = student.status !== STUDENT_STATUS.INACTIVE
+
+  return (
+    <div className={`flex items-center justify-between p-3 rounded-lg ${isActive ? 'bg-gray-50' : 'bg-gray-100 opacity-75'}`}>
+      <div className="flex items-center space-x-3 flex-1 min-w-0">
+        <div className="flex-shrink-0 w-8 h-8 bg-blue-100 rounded-full flex items-center justify-center">
+          <span className="text-xs font-medium text-blue-600">
+            {student.name.split(' ').map(n => n[0]).join('').slice(0, 2)}
+          </span>
+        </div>
+        <div className="flex-1 min-w-0">
+          <p className="text-sm font-medium text-gray-900 truncate">
+            {student.name}
+          </p>
+          <p className="text-xs text-gray-500 truncate">
+            {student.contact} • {(student.batches || []).join(', ') || 'No batch'}
+          </p>
+        </div>
+      </div>
+
+      <div className="flex items-center space-x-2 flex-shrink-0">
+        <span className={`px-2 py-1 text-xs font-medium rounded-full ${
+          isActive ? 'bg-green-100 text-green-800' : 'bg-gray-200 text-gray-700'
+        }`}>
+          {isActive ? 'Active' : 'Inactive'}
+        </span>
+        <button
+          type="button"
+          onClick={() => onView(student)}
+          className="p-2 rounded-lg text-gray-600 hover:text-purple-600 hover:bg-purple-50 transition-colors"
+          aria-label={`Attendance for ${student.name}`}
+        >
+          <History size={16} />
+        </button>
+        <button
+          type="button"
+          onClick={() => onEdit(student)}
+          disabled={disabled}
+          className="p-2 rounded-lg text-gray-600 hover:text-blue-600 hover:bg-blue-50 transition-colors disabled:opacity-50"
+          aria-label={`Edit ${student.name}`}
+        >
+          <Pencil size={16} />
+        </button>
+        <button
+          type="button"
+          onClick={() => onToggleStatus(student)}
+          disabled={disabled}
+          className={`p-2 rounded-lg transition-colors disabled:opacity-50 ${
+            isActive
+              ? 'text-gray-600 hover:text-red-600 hover:bg-red-50'
+              : 'text-gray-600 hover:text-green-600 hover:bg-green-50'
+          }`}
+          aria-label={`${isActive ? 'Deactivate' : 'Activate'} ${student.name}`}
+        >
+          {isActive ? <UserX size={16} /> : <UserCheck size={16} />}
+        </button>
+      </div>
+    </div>
+  )
+}
+
+/**
+ * Pagination controls component
+ * @function Pagination
+ * @param {Object} props - Component props
+ * @param {number} props.page - Current page (1-based)
+ * @param {number} props.totalPages - Total page count
+ * @param {number} props.total - Total matching students
+ * @param {Function} props.onPageChange - Page change handler
+ * @returns {JSX.Element} Pagination controls
+ */
+const Pagination = ({ page, totalPages, total, onPageChange }) => (
+  <div className="flex items-center justify-between mt-4 pt-4 border-t border-gray-200">
+    <p className="text-sm text-gray-600">
+      {total} student{total === 1 ? '' : 's'} • Page {page} of {totalPages}
+    </p>
+    <div className="flex items-center space-x-2">
+      <button
+        type="button"
+        onClick={() => onPageChange(page - 1)}
+        disabled={page <= 1}
+        className="p-2 hover:bg-gray-100 rounded-lg transition-colors disabled:opacity-40"
+        aria-label="Previous page"
+      >
+        <ChevronLeft size={18} />
+      </button>
+      <button
+        type="button"
+        onClick={() => onPageChange(page + 1)}
+        disabled={page >= totalPages}
+        className="p-2 hover:bg-gray-100 rounded-lg transition-colors disabled:opacity-40"
+        aria-label="Next page"
+      >
+        <ChevronRight size={18} />
+      </button>
+    </div>
+  </div>
+)
+
+/**
+ * Main students page component
+ * @function Students
+ * @returns {JSX.Element} Students page content
+ */
+const Students = () => {
+  const { instructorId } = useAuth()
+  const [isFormOpen, setIsFormOpen] = useState(false)
+  const [editingStudent, setEditingStudent] = useState(null)
+  const [viewingStudent, setViewingStudent] = useState(null)
+
+  const {
+    students,
+    total,
+    isLoading,
+    isSaving,
+    error,
+    page,
+    totalPages,
+    setPage,
+    batch,
+    status,
+    setSearch,
+    setBatch,
+    setStatus,
+    refreshStudents,
+    addStudent,
+    editStudent,
+    toggleStudentStatus
+  } = useStudents({ pageSize: 10, instructorId })
+
+  /**
+   * Open the form for a new or existing student
+   * @function openForm
+   * @param {Object|null} student - Student to edit, or null to create
+   */
+  const openForm = useCallback((student = null) => {
+    setEditingStudent(student)
+    setIsFormOpen(true)
+  }, [])
+
+  /**
+   * Close the student form
+   * @function closeForm
+   */
+  const closeForm = useCallback(() => {
+    setIsFormOpen(false)
+    setEditingStudent(null)
+  }, [])
+
+  /**
+   * Save form data through the roster hook
+   * @function handleSave
+   * @param {Object} data - Student form data
+   * @returns {Promise<Object>} Save result
+   */
+  const handleSave = useCallback((data) => {
+    return editingStudent
+      ? editStudent(editingStudent.$id, data)
+      : addStudent(data)
+  }, [editingStudent, editStudent, addStudent])
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 py-6 sm:px-6 lg:px-8">
+      {/* Page Header */}
+      <div className="mb-8 flex items-start justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">
+            Students
+          </h1>
+          <p className="text-gray-600 mt-1">
+            Manage the club roster and batch assignments
+          </p>
+        </div>
+        <Button variant="primary" onClick={() => openForm()}>
+          <UserPlus size={16} className="mr-2" />
+          Add Student
+        </Button>
+      </div>
+
+      <Card title="Roster" subtitle="Search, filter and update students" hover={false}>
+        <RosterFilters
+          batch={batch}
+          status={status}
+          onSearchChange={setSearch}
+          onBatchChange={setBatch}
+          onStatusChange={setStatus}
+        />
+
+        {/* Error Display */}
+        {error && (
+          <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+            <p className="text-sm text-red-800">{error.message}</p>
+            <button
+              onClick={refreshStudents}
+              className="mt-2 text-xs text-red-600 hover:text-red-800 underline"
+            >
+              Try again
+            </button>
+          </div>
+        )}
+
+        {/* Roster List */}
+        {isLoading && students.length === 0 ? (
+          <div className="flex items-center justify-center py-12 text-sm text-gray-500 space-x-2">
+            <div className="animate-spin w-4 h-4 border-2 border-blue-500 border-t-transparent rounded-full"></div>
+            <span>Loading students...</span>
+          </div>
+        ) : students.length === 0 ? (
+          <div className="text-center py-12 text-gray-500">
+            <GraduationCap size={48} className="mx-auto mb-4 text-gray-300" />
+            <p>No students match these filters</p>
+          </div>
+        ) : (
+          <div className={`space-y-3 ${isLoading ? 'opacity-60' : ''}`}>
+            {students.map((student) => (
+              <StudentRow
+                key={student.$id}
+                student={student}
+                disabled={isSaving}
+                onView={setViewingStudent}
+                onEdit={openForm}
+                onToggleStatus={toggleStudentStatus}
+              />
+            ))}
+          </div>
+        )}
+
+        <Pagination
+          page={page}
+          totalPages={totalPages}
+          total={total}
+          onPageChange={setPage}
+        />
+      </Card>
+
+      <StudentFormModal
+        isOpen={isFormOpen}
+        student={editingStudent}
+        onClose={closeForm}
+        onSubmit={handleSave}
+        isLoading={isSaving}
+      />
+
+      <StudentDetailModal
+        isOpen={Boolean(viewingStudent)}
+        student={viewingStudent}
+        onClose={() => setViewingStudent(null)}
+      />
+    </div>
+  )
+}
+
+export default Students
@@ -22,7 +22,15 @@ const APPWRITE_CONFIG = {
     attendance: 'attendance',
     payments: 'payments',
     classes: 'classes',
-    activity_log: 'activity_log'
+    activity_log: 'activity_log',
+    fee_plans: 'fee_plans',
+    invoices: 'invoices',
+    batches: 'batches',
+    class_series: 'class_series',
+    closures: 'closures',
+    changesets: 'changesets',
+    bookings: 'bookings',
+    substitute_requests: 'substitute_requests'
   }
 }
 
@@ -162,14 +170,28 @@ const initializeAppwrite = async () => {
 
 /**
  * Real-time subscription manager for Appwrite collections
+ * Events come from the Appwrite client unless another source is set, e.g.
+ * the memory adapter, which sends the same events for its own writes.
  * @class RealtimeManager
  */
 class RealtimeManager {
-  constructor() {
+  /**
+   * @param {Object} [source=client] - Anything with Appwrite's subscribe(channels, callback)
+   */
+  constructor(source = client) {
+    this.source = source
     this.subscriptions = new Map()
     this.listeners = new Map()
   }
 
+  /**
+   * Take events from another source from the next subscription on
+   * @param {Object} source - Anything with Appwrite's subscribe(channels, callback)
+   */
+  setSource(source) {
+    this.source = source
+  }
+
   /**
    * Subscribe to real-time updates for a specific collection
    * @param {string} collectionName - Name of the collection to subscribe to
@@ -188,7 +210,7 @@ class RealtimeManager {
       
       console.log(`📡 Subscribing to real-time updates for ${collectionName}`)
       
-      const unsubscribe = client.subscribe(channel, (response) => {
+      const unsubscribe = this.source.subscribe(channel, (response) => {
         try {
           const eventType = response.events[0]?.split('.').pop()
           
@@ -276,22 +298,6 @@ class RealtimeManager {
 // Global realtime manager instance
 const realtimeManager = new RealtimeManager()
 
-/**
- * Get current user session information
- * @returns {Promise<Object>} Current session or null
- */
-const getCurrentSession = async () => {
-  try {
-    const session = await account.getSession('current')
-    return createSuccessResponse(session, 'Session retrieved successfully')
-  } catch (error) {
-    if (error.code === 401) {
-      return createSuccessResponse(null, 'No active session')
-    }
-    return handleAppwriteError(error, 'getCurrentSession')
-  }
-}
-
 /**
  * Check if Appwrite services are available
  * @returns {Promise<boolean>} Service availability status
@@ -369,14 +375,8 @@ export {
   ID,
   testConnection,
   initializeAppwrite,
-  getCurrentSession,
   isServiceAvailable,
   realtimeManager,
   retryOperation,
   RealtimeManager
-}
-
-// Auto-initialize when module is imported
-initializeAppwrite().catch(error => {
-  console.error('Failed to auto-initialize Appwrite:', error)
-})
\ No newline at end of file
+}
\ No newline at end of file
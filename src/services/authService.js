@@ -3,18 +3,19 @@
  * 
  * Handles user authentication using Appwrite with comprehensive error handling,
  * instructor collection validation, session management, and security features.
+ * With the memory storage backend, the demo instructors sign in locally
+ * instead (see storageService.authAccount).
  * 
  * @module AuthService
  * @version 1.0.0
  */
 
 import { 
-  account, 
-  databases, 
   APPWRITE_CONFIG, 
   Query,
   retryOperation 
 } from './appwrite.js'
+import { storage, authAccount } from './storageService.js'
 import { 
   handleError, 
   handleAuthError, 
@@ -75,7 +76,7 @@ export const login = async (email, password, options = {}) => {
     
     // Step 1: Create email session with Appwrite (with retry for network resilience)
     const session = await retryOperation(
-      () => account.createEmailPasswordSession(normalizedEmail, password),
+      () => authAccount.createEmailPasswordSession(normalizedEmail, password),
       'create_session',
       3,
       1000
@@ -84,7 +85,7 @@ export const login = async (email, password, options = {}) => {
     
     // Step 2: Get user account information
     const user = await retryOperation(
-      () => account.get(),
+      () => authAccount.get(),
       'get_user_account',
       2,
       500
@@ -99,7 +100,7 @@ export const login = async (email, password, options = {}) => {
       if (!instructorInfo.success) {
         // User authenticated but not in instructors collection - clean up session
         try {
-          await account.deleteSession('current')
+          await authAccount.deleteSession('current')
         } catch (cleanupError) {
           console.warn('⚠️ Failed to cleanup session after instructor validation failure:', cleanupError)
         }
@@ -212,7 +213,7 @@ export const logout = async (options = {}) => {
     
     if (logActivity) {
       try {
-        currentUser = await account.get()
+        currentUser = await authAccount.get()
         instructorInfo = getCachedInstructorInfo()
       } catch (getUserError) {
         console.warn('⚠️ Could not get user info for activity logging:', getUserError.message)
@@ -223,9 +224,9 @@ export const logout = async (options = {}) => {
     try {
       if (clearAllSessions) {
         console.log('🧹 Clearing all sessions across devices...')
-        await account.deleteSessions()
+        await authAccount.deleteSessions()
       } else {
-        await account.deleteSession('current')
+        await authAccount.deleteSession('current')
       }
       console.log('✅ Server session(s) cleared successfully')
     } catch (sessionError) {
@@ -314,7 +315,7 @@ export const logout = async (options = {}) => {
  */
 export const getCurrentUser = async () => {
   try {
-    const user = await account.get()
+    const user = await authAccount.get()
     console.log('👤 Current user retrieved:', user.email)
     
     return createSuccessResponse(user, 'User information retrieved')
@@ -324,7 +325,23 @@ export const getCurrentUser = async () => {
       return createSuccessResponse(null, 'No authenticated user')
     }
     
-    return handleAppwriteError(error, 'getCurrentUser')
+    return handleError(error, 'getCurrentUser')
+  }
+}
+
+/**
+ * Get the current session
+ * @returns {Promise<Object>} Current session or null
+ */
+export const getCurrentSession = async () => {
+  try {
+    const session = await authAccount.getSession('current')
+    return createSuccessResponse(session, 'Session retrieved successfully')
+  } catch (error) {
+    if (error.code === 401) {
+      return createSuccessResponse(null, 'No active session')
+    }
+    return handleError(error, 'getCurrentSession')
   }
 }
 
@@ -342,7 +359,7 @@ export const getInstructorInfo = async (email) => {
     }
     
     // Query instructors collection by email
-    const response = await databases.listDocuments(
+    const response = await storage.listDocuments(
       APPWRITE_CONFIG.databaseId,
       APPWRITE_CONFIG.collections.instructors,
       [
@@ -353,7 +370,7 @@ export const getInstructorInfo = async (email) => {
     
     if (response.documents.length === 0) {
       console.warn('⚠️ Instructor not found in database:', email)
-      return handleAppwriteError(
+      return handleError(
         { code: 404, message: 'Instructor not found in database' },
         'getInstructorInfo'
       )
@@ -374,7 +391,7 @@ export const getInstructorInfo = async (email) => {
     
   } catch (error) {
     console.error('❌ Error fetching instructor info:', error.message)
-    return handleAppwriteError(error, 'getInstructorInfo')
+    return handleError(error, 'getInstructorInfo')
   }
 }
 
@@ -527,7 +544,8 @@ const getCachedSessionInfo = () => {
  */
 export const getCachedInstructorInfo = () => {
   try {
-    const cachedInfo = localStorage.getItem('instructorInfo')
+    // Persistent sessions cache it in localStorage, others in sessionStorage
+    const cachedInfo = localStorage.getItem('instructorInfo') || sessionStorage.getItem('instructorInfo')
     return cachedInfo ? JSON.parse(cachedInfo) : null
   } catch (error) {
     console.error('❌ Error reading cached instructor info:', error.message)
@@ -535,6 +553,23 @@ export const getCachedInstructorInfo = () => {
   }
 }
 
+/**
+ * Email of the signed-in instructor, for audit fields such as scheduled_by
+ * Uses the instructor cached at sign-in, so it needs no network and works
+ * offline; Appwrite is asked only when nothing is cached.
+ * @function getCurrentActor
+ * @returns {Promise<string>} Email, or 'system' when no one can be found
+ */
+export const getCurrentActor = async () => {
+  const cachedInstructor = getCachedInstructorInfo()
+  if (cachedInstructor?.email) {
+    return cachedInstructor.email
+  }
+
+  const currentUser = await getCurrentUser()
+  return currentUser.success && currentUser.data ? currentUser.data.email : 'system'
+}
+
 /**
  * Refresh instructor information and update cache
  * @returns {Promise<Object>} Updated instructor information
@@ -557,7 +592,7 @@ export const refreshInstructorInfo = async () => {
     
   } catch (error) {
     console.error('❌ Error refreshing instructor info:', error.message)
-    return handleAppwriteError(error, 'refreshInstructorInfo')
+    return handleError(error, 'refreshInstructorInfo')
   }
 }
 
@@ -579,7 +614,7 @@ export const changePassword = async (currentPassword, newPassword) => {
       throw new Error('New password must be at least 8 characters long')
     }
     
-    await account.updatePassword(newPassword, currentPassword)
+    await authAccount.updatePassword(newPassword, currentPassword)
     
     console.log('✅ Password changed successfully')
     
@@ -587,7 +622,7 @@ export const changePassword = async (currentPassword, newPassword) => {
     
   } catch (error) {
     console.error('❌ Password change failed:', error.message)
-    return handleAppwriteError(error, 'changePassword')
+    return handleError(error, 'changePassword')
   }
 }
 
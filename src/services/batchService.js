@@ -0,0 +1,541 @@
+/**
+ * Batch Service
+ *
+ * Batches (name, time window, days of week, capacity, color, venue and
+ * assigned instructors) stored in the Appwrite batches collection. Scheduling,
+ * attendance, students, fee plans and the calendar all read batches from here.
+ *
+ * Other collections refer to a batch by its name (students.batches,
+ * classes.batch_name, attendance.batch_name, fee_plans.batch_name), so a
+ * batch's name is fixed once it is created; retire a batch by archiving it.
+ *
+ * @service
+ * @version 1.0.0
+ */
+
+import { APPWRITE_CONFIG, Query, ID, retryOperation } from './appwrite.js'
+import { storage } from './storageService.js'
+import { handleError, handleValidationError, createSuccessResponse } from '../utils/errorHandler.js'
+import { listAllDocuments, logActivity } from './databaseService.js'
+import { DAYS_OF_WEEK } from '../utils/calendar.js'
+import { getWeekday } from '../utils/dates.js'
+
+const DATABASE_ID = APPWRITE_CONFIG.databaseId
+const BATCHES_COLLECTION = APPWRITE_CONFIG.collections.batches
+const INSTRUCTORS_COLLECTION = APPWRITE_CONFIG.collections.instructors
+
+/**
+ * Batch constants
+ * @constant
+ */
+export const BATCH_CONFIG = {
+  // Tailwind classes are spelled out so they survive the production build
+  COLORS: {
+    orange: { dot: 'bg-orange-500', indicator: 'bg-orange-400', label: 'Orange' },
+    purple: { dot: 'bg-purple-500', indicator: 'bg-purple-400', label: 'Purple' },
+    blue: { dot: 'bg-blue-500', indicator: 'bg-blue-400', label: 'Blue' },
+    green: { dot: 'bg-green-500', indicator: 'bg-green-400', label: 'Green' },
+    red: { dot: 'bg-red-500', indicator: 'bg-red-400', label: 'Red' },
+    pink: { dot: 'bg-pink-500', indicator: 'bg-pink-400', label: 'Pink' },
+    teal: { dot: 'bg-teal-500', indicator: 'bg-teal-400', label: 'Teal' },
+    yellow: { dot: 'bg-yellow-500', indicator: 'bg-yellow-400', label: 'Yellow' }
+  },
+
+  DEFAULT_COLOR: 'blue',
+  DEFAULT_CAPACITY: 15,
+
+  // How long a loaded batch list is reused before asking Appwrite again
+  CACHE_TTL_MS: 60 * 1000,
+
+  VALIDATION: {
+    MAX_NAME_LENGTH: 20,         // batch_name is stored in 20 characters elsewhere
+    MAX_VENUE_LENGTH: 100,
+    MAX_CAPACITY: 50
+  },
+
+  // Starting set offered when the collection is empty
+  DEFAULT_BATCHES: [
+    { name: 'Morning Batch', start_time: '06:00', end_time: '08:00', days_of_week: [1, 2, 3, 4, 5], capacity: 15, color: 'orange' },
+    { name: 'Evening Batch', start_time: '18:00', end_time: '20:00', days_of_week: [1, 2, 3, 4, 5], capacity: 12, color: 'purple' },
+    { name: 'Weekend Batch', start_time: '09:00', end_time: '11:00', days_of_week: [0, 6], capacity: 20, color: 'blue' }
+  ]
+}
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/
+
+/**
+ * Batch display helpers
+ */
+export const BatchUtils = {
+  /**
+   * Format a 24-hour time for display
+   * @function formatTime
+   * @param {string} time - Time (HH:MM)
+   * @returns {string} Time such as "6:00 AM"
+   */
+  formatTime: (time) => {
+    if (!time || !TIME_PATTERN.test(time)) return time || ''
+    const [hours, minutes] = time.split(':').map(Number)
+    const suffix = hours >= 12 ? 'PM' : 'AM'
+    return `${hours % 12 || 12}:${String(minutes).padStart(2, '0')} ${suffix}`
+  },
+
+  /**
+   * Format a batch's time window
+   * @function formatTimeWindow
+   * @param {Object} batch - Batch document
+   * @returns {string} Window such as "6:00 AM - 8:00 AM"
+   */
+  formatTimeWindow: (batch) => {
+    if (!batch?.start_time) return ''
+    const start = BatchUtils.formatTime(batch.start_time)
+    return batch.end_time ? `${start} - ${BatchUtils.formatTime(batch.end_time)}` : start
+  },
+
+  /**
+   * Format the days a batch meets
+   * @function formatDays
+   * @param {Array<number>} days - Days of week (0=Sunday)
+   * @returns {string} Days such as "Mon-Fri" or "Sat, Sun"
+   */
+  formatDays: (days = []) => {
+    const sorted = [...new Set(days)].sort((a, b) => a - b)
+    if (sorted.length === 0) return 'No days set'
+    if (sorted.length === 7) return 'Every day'
+
+    const isRun = sorted.length > 2 && sorted.every((day, index) => index === 0 || day === sorted[index - 1] + 1)
+    if (isRun) {
+      return `${DAYS_OF_WEEK[sorted[0]]}-${DAYS_OF_WEEK[sorted[sorted.length - 1]]}`
+    }
+
+    // Show the weekend as Sat, Sun rather than Sun, Sat
+    const ordered = sorted[0] === 0 ? [...sorted.slice(1), 0] : sorted
+    return ordered.map(day => DAYS_OF_WEEK[day]).join(', ')
+  },
+
+  /**
+   * Check whether a batch meets on a date's weekday
+   * @function runsOn
+   * @param {Object} batch - Batch document
+   * @param {string} date - Date to check (YYYY-MM-DD)
+   * @returns {boolean} Whether the batch meets that day
+   */
+  runsOn: (batch, date) => {
+    if (!batch?.days_of_week?.length) return true
+    return batch.days_of_week.includes(getWeekday(date))
+  },
+
+  /**
+   * Tailwind classes for a batch color
+   * @function getColorClasses
+   * @param {string} color - One of BATCH_CONFIG.COLORS
+   * @returns {Object} dot and indicator classes
+   */
+  getColorClasses: (color) => BATCH_CONFIG.COLORS[color] || BATCH_CONFIG.COLORS[BATCH_CONFIG.DEFAULT_COLOR]
+}
+
+/**
+ * Validate batch data before saving
+ * @function validateBatch
+ * @param {Object} batch - Batch data
+ * @param {Array} [existingBatches=[]] - Other batches, for the unique name check
+ * @returns {Object} Validation result with field errors
+ */
+export const validateBatch = (batch, existingBatches = []) => {
+  const fieldErrors = {}
+  const name = (batch.name || '').trim()
+
+  if (!name) {
+    fieldErrors.name = 'Batch name is required'
+  } else if (name.length > BATCH_CONFIG.VALIDATION.MAX_NAME_LENGTH) {
+    fieldErrors.name = `Use at most ${BATCH_CONFIG.VALIDATION.MAX_NAME_LENGTH} characters`
+  } else if (existingBatches.some(other => other.$id !== batch.$id && other.name.toLowerCase() === name.toLowerCase())) {
+    fieldErrors.name = 'Another batch already uses this name'
+  }
+
+  if (!TIME_PATTERN.test(batch.start_time || '')) {
+    fieldErrors.start_time = 'Start time is required'
+  }
+
+  if (!TIME_PATTERN.test(batch.end_time || '')) {
+    fieldErrors.end_time = 'End time is required'
+  } else if (!fieldErrors.start_time && batch.end_time <= batch.start_time) {
+    fieldErrors.end_time = 'End time must be after the start time'
+  }
+
+  const days = batch.days_of_week || []
+  if (days.length === 0) {
+    fieldErrors.days_of_week = 'Select at least one day'
+  } else if (days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+    fieldErrors.days_of_week = 'Days must be between Sunday and Saturday'
+  }
+
+  const capacity = Number(batch.capacity)
+  if (!Number.isInteger(capacity) || capacity < 1 || capacity > BATCH_CONFIG.VALIDATION.MAX_CAPACITY) {
+    fieldErrors.capacity = `Capacity must be between 1 and ${BATCH_CONFIG.VALIDATION.MAX_CAPACITY}`
+  }
+
+  if (batch.color && !BATCH_CONFIG.COLORS[batch.color]) {
+    fieldErrors.color = 'Choose one of the listed colors'
+  }
+
+  if ((batch.venue || '').length > BATCH_CONFIG.VALIDATION.MAX_VENUE_LENGTH) {
+    fieldErrors.venue = `Use at most ${BATCH_CONFIG.VALIDATION.MAX_VENUE_LENGTH} characters`
+  }
+
+  return { valid: Object.keys(fieldErrors).length === 0, fieldErrors }
+}
+
+/**
+ * Build the stored fields from form data
+ * @function toBatchData
+ * @param {Object} batch - Batch form data
+ * @returns {Object} Batch attributes
+ */
+const toBatchData = (batch) => ({
+  name: batch.name.trim(),
+  start_time: batch.start_time,
+  end_time: batch.end_time,
+  days_of_week: [...new Set(batch.days_of_week)].sort((a, b) => a - b),
+  capacity: Number(batch.capacity),
+  color: batch.color || BATCH_CONFIG.DEFAULT_COLOR,
+  venue: (batch.venue || '').trim(),
+  instructor_ids: batch.instructor_ids || []
+})
+
+// Every batch, active or archived, shared by all callers until it expires
+let batchCache = { batches: null, loadedAt: 0, pending: null }
+const changeListeners = new Set()
+
+/**
+ * Forget the cached batch list so the next read goes to Appwrite
+ * @function clearBatchCache
+ */
+export const clearBatchCache = () => {
+  batchCache = { batches: null, loadedAt: 0, pending: null }
+}
+
+/**
+ * Listen for batches saved from this app
+ * @function onBatchesChanged
+ * @param {Function} listener - Called after a batch is created, updated or archived
+ * @returns {Function} Unsubscribe function
+ */
+export const onBatchesChanged = (listener) => {
+  changeListeners.add(listener)
+  return () => changeListeners.delete(listener)
+}
+
+/**
+ * Drop the cache and tell listeners the batches changed
+ * @function notifyBatchesChanged
+ */
+const notifyBatchesChanged = () => {
+  clearBatchCache()
+  changeListeners.forEach(listener => {
+    try {
+      listener()
+    } catch (error) {
+      console.warn('⚠️ Batch change listener failed:', error.message)
+    }
+  })
+}
+
+/**
+ * Load every batch, reusing a recent result
+ * @function loadAllBatches
+ * @param {boolean} force - Ignore the cache
+ * @returns {Promise<Array>} Batch documents ordered by start time
+ */
+const loadAllBatches = async (force) => {
+  const isFresh = batchCache.batches && Date.now() - batchCache.loadedAt < BATCH_CONFIG.CACHE_TTL_MS
+  if (!force && isFresh) return batchCache.batches
+  if (!force && batchCache.pending) return batchCache.pending
+
+  const pending = listAllDocuments(BATCHES_COLLECTION, [Query.orderAsc('start_time')], 'getBatches')
+  batchCache.pending = pending
+
+  try {
+    const batches = await pending
+    if (batchCache.pending === pending) {
+      batchCache = { batches, loadedAt: Date.now(), pending: null }
+    }
+    return batches
+  } catch (error) {
+    if (batchCache.pending === pending) batchCache.pending = null
+    throw error
+  }
+}
+
+/**
+ * Get batches
+ * @function getBatches
+ * @param {Object} [options] - Query options
+ * @param {boolean} [options.activeOnly=true] - Leave out archived batches
+ * @param {boolean} [options.force=false] - Skip the cache
+ * @returns {Promise<Object>} Batches ordered by start time
+ *
+ * @example
+ * const result = await getBatches()
+ * const names = result.data.batches.map(batch => batch.name)
+ */
+export const getBatches = async (options = {}) => {
+  try {
+    const { activeOnly = true, force = false } = options
+
+    const allBatches = await loadAllBatches(force)
+    const batches = activeOnly ? allBatches.filter(batch => batch.active !== false) : allBatches
+
+    return createSuccessResponse({ batches, total: batches.length }, 'Batches retrieved')
+
+  } catch (error) {
+    if (error.success === false) return error
+    return handleError(error, 'getBatches')
+  }
+}
+
+/**
+ * Look up batches by document ID
+ * @function getBatchesByIds
+ * @param {Array<string>} batchIds - Batch document IDs
+ * @returns {Promise<Object>} Batches in the order requested
+ */
+export const getBatchesByIds = async (batchIds = []) => {
+  try {
+    const result = await getBatches({ activeOnly: false })
+    if (!result.success) return result
+
+    const byId = Object.fromEntries(result.data.batches.map(batch => [batch.$id, batch]))
+    const missing = batchIds.filter(batchId => !byId[batchId])
+
+    if (missing.length > 0) {
+      throw handleValidationError(new Error('Unknown batches'), 'getBatchesByIds', {
+        batches: `Unknown batches: ${missing.join(', ')}`
+      })
+    }
+
+    return createSuccessResponse({ batches: batchIds.map(batchId => byId[batchId]) }, 'Batches retrieved')
+
+  } catch (error) {
+    if (error.success === false) return error
+    return handleError(error, 'getBatchesByIds')
+  }
+}
+
+/**
+ * Create a batch
+ * @function createBatch
+ * @param {Object} batch - Batch data
+ * @param {string} batch.name - Unique batch name
+ * @param {string} batch.start_time - Start time (HH:MM)
+ * @param {string} batch.end_time - End time (HH:MM)
+ * @param {Array<number>} batch.days_of_week - Days the batch meets (0=Sunday)
+ * @param {number} batch.capacity - Maximum students per class
+ * @param {string} [batch.color] - One of BATCH_CONFIG.COLORS
+ * @param {string} [batch.venue] - Where the batch meets
+ * @param {Array<string>} [batch.instructor_ids] - Assigned instructor IDs
+ * @param {string|null} [createdBy=null] - Instructor creating the batch
+ * @returns {Promise<Object>} Created batch
+ */
+export const createBatch = async (batch, createdBy = null) => {
+  try {
+    const existing = await getBatches({ activeOnly: false, force: true })
+    if (!existing.success) return existing
+
+    const validation = validateBatch(batch, existing.data.batches)
+    if (!validation.valid) {
+      throw handleValidationError(new Error('Invalid batch'), 'createBatch', validation.fieldErrors)
+    }
+
+    const now = new Date().toISOString()
+    const created = await retryOperation(
+      () => storage.createDocument(DATABASE_ID, BATCHES_COLLECTION, ID.unique(), {
+        ...toBatchData(batch),
+        active: true,
+        created_at: now,
+        created_by: createdBy,
+        updated_at: now,
+        updated_by: createdBy
+      }),
+      'createBatch'
+    )
+
+    notifyBatchesChanged()
+
+    await logActivity('batch_created', createdBy, {
+      batch_id: created.$id,
+      batch_name: created.name
+    })
+
+    return createSuccessResponse(created, `${created.name} created`)
+
+  } catch (error) {
+    if (error.success === false) return error
+    return handleError(error, 'createBatch')
+  }
+}
+
+/**
+ * Update a batch
+ * The name cannot change because other collections store it
+ * @function updateBatch
+ * @param {string} batchId - Batch document ID
+ * @param {Object} batch - Complete batch data (see createBatch)
+ * @param {string|null} [updatedBy=null] - Instructor updating the batch
+ * @returns {Promise<Object>} Updated batch
+ */
+export const updateBatch = async (batchId, batch, updatedBy = null) => {
+  try {
+    const existing = await getBatches({ activeOnly: false, force: true })
+    if (!existing.success) return existing
+
+    const current = existing.data.batches.find(other => other.$id === batchId)
+    if (!current) {
+      throw handleValidationError(new Error('Batch not found'), 'updateBatch', {
+        batchId: 'Batch not found'
+      })
+    }
+
+    const validation = validateBatch({ ...batch, $id: batchId }, existing.data.batches)
+    if (validation.valid && batch.name.trim() !== current.name) {
+      validation.valid = false
+      validation.fieldErrors.name = 'Batch names cannot be changed; create a new batch instead'
+    }
+    if (!validation.valid) {
+      throw handleValidationError(new Error('Invalid batch'), 'updateBatch', validation.fieldErrors)
+    }
+
+    const batchData = toBatchData(batch)
+    const updated = await retryOperation(
+      () => storage.updateDocument(DATABASE_ID, BATCHES_COLLECTION, batchId, {
+        ...batchData,
+        updated_at: new Date().toISOString(),
+        updated_by: updatedBy
+      }),
+      'updateBatch'
+    )
+
+    notifyBatchesChanged()
+
+    await logActivity('batch_updated', updatedBy, {
+      batch_id: batchId,
+      batch_name: updated.name,
+      fields: Object.keys(batchData).filter(field =>
+        JSON.stringify(batchData[field]) !== JSON.stringify(current[field] ?? null)
+      )
+    })
+
+    return createSuccessResponse(updated, `${updated.name} updated`)
+
+  } catch (error) {
+    if (error.success === false) return error
+    return handleError(error, 'updateBatch')
+  }
+}
+
+/**
+ * Archive or restore a batch
+ * Archived batches drop out of pickers but keep their history
+ * @function setBatchActive
+ * @param {string} batchId - Batch document ID
+ * @param {boolean} active - Whether the batch is in use
+ * @param {string|null} [updatedBy=null] - Instructor making the change
+ * @returns {Promise<Object>} Updated batch
+ */
+export const setBatchActive = async (batchId, active, updatedBy = null) => {
+  try {
+    if (!batchId) {
+      throw handleValidationError(new Error('Batch ID required'), 'setBatchActive', {
+        batchId: 'Batch ID is required'
+      })
+    }
+
+    const updated = await retryOperation(
+      () => storage.updateDocument(DATABASE_ID, BATCHES_COLLECTION, batchId, {
+        active,
+        updated_at: new Date().toISOString(),
+        updated_by: updatedBy
+      }),
+      'setBatchActive'
+    )
+
+    notifyBatchesChanged()
+
+    await logActivity(active ? 'batch_restored' : 'batch_archived', updatedBy, {
+      batch_id: batchId,
+      batch_name: updated.name
+    })
+
+    return createSuccessResponse(updated, `${updated.name} ${active ? 'restored' : 'archived'}`)
+
+  } catch (error) {
+    if (error.success === false) return error
+    return handleError(error, 'setBatchActive')
+  }
+}
+
+/**
+ * Create the starting batches when the collection is empty
+ * @function createDefaultBatches
+ * @param {string|null} [createdBy=null] - Instructor creating the batches
+ * @returns {Promise<Object>} Created batches
+ */
+export const createDefaultBatches = async (createdBy = null) => {
+  try {
+    const existing = await getBatches({ activeOnly: false, force: true })
+    if (!existing.success) return existing
+
+    if (existing.data.batches.length > 0) {
+      return createSuccessResponse({ batches: [] }, 'Batches already exist')
+    }
+
+    const batches = []
+    for (const batch of BATCH_CONFIG.DEFAULT_BATCHES) {
+      const result = await createBatch(batch, createdBy)
+      if (!result.success) return result
+      batches.push(result.data)
+    }
+
+    return createSuccessResponse({ batches }, `Created ${batches.length} batches`)
+
+  } catch (error) {
+    if (error.success === false) return error
+    return handleError(error, 'createDefaultBatches')
+  }
+}
+
+/**
+ * Get instructors who can be assigned to batches
+ * @function getInstructors
+ * @returns {Promise<Object>} Instructors ordered by name
+ */
+export const getInstructors = async () => {
+  try {
+    const instructors = await listAllDocuments(
+      INSTRUCTORS_COLLECTION,
+      [Query.orderAsc('name')],
+      'getInstructors'
+    )
+
+    return createSuccessResponse({ instructors, total: instructors.length }, 'Instructors retrieved')
+
+  } catch (error) {
+    if (error.success === false) return error
+    return handleError(error, 'getInstructors')
+  }
+}
+
+export default {
+  getBatches,
+  getBatchesByIds,
+  createBatch,
+  updateBatch,
+  setBatchActive,
+  createDefaultBatches,
+  getInstructors,
+  validateBatch,
+  clearBatchCache,
+  onBatchesChanged,
+  BatchUtils,
+  BATCH_CONFIG
+}
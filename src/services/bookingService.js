@@ -0,0 +1,420 @@
+/**
+ * Booking Service
+ *
+ * Per-class bookings of students in the Appwrite bookings collection.
+ * A class takes bookings up to its max_students; later bookings join a
+ * waitlist and are promoted in the order they joined when a place frees
+ * up. Every change recounts the class and stores booked_count and
+ * waitlist_count on the class document, so the calendar can show fill
+ * levels without loading bookings.
+ *
+ * @service
+ * @version 1.0.0
+ */
+
+import { APPWRITE_CONFIG, Query, ID, retryOperation } from './appwrite.js'
+import { storage } from './storageService.js'
+import {
+  handleError,
+  handleValidationError,
+  createSuccessResponse
+} from '../utils/errorHandler.js'
+import { getCurrentActor } from './authService.js'
+import { listAllDocuments, logActivity } from './databaseService.js'
+import { SCHEDULING_CONFIG } from './schedulingService.js'
+
+const DATABASE_ID = APPWRITE_CONFIG.databaseId
+const BOOKINGS_COLLECTION = APPWRITE_CONFIG.collections.bookings
+const CLASSES_COLLECTION = APPWRITE_CONFIG.collections.classes
+
+/**
+ * Booking constants
+ * @constant
+ */
+export const BOOKING_CONFIG = {
+  STATUS: {
+    BOOKED: 'booked',
+    WAITLISTED: 'waitlisted',
+    CANCELLED: 'cancelled'
+  },
+
+  // Share of places taken from which a class shows as nearly full
+  NEARLY_FULL_RATIO: 0.8,
+
+  FILL_LEVEL: {
+    OPEN: 'open',
+    NEARLY_FULL: 'nearly_full',
+    FULL: 'full',
+    UNLIMITED: 'unlimited'
+  }
+}
+
+/**
+ * Booking helpers
+ */
+export const BookingUtils = {
+  /**
+   * How full a class is, from the counts stored on the class document
+   * @function getFillLevel
+   * @param {Object} classDoc - Class document
+   * @returns {Object} { booked, waitlisted, capacity, available, ratio, level }
+   *
+   * @example
+   * BookingUtils.getFillLevel({ max_students: 20, booked_count: 17 })
+   * // { booked: 17, waitlisted: 0, capacity: 20, available: 3, ratio: 0.85, level: 'nearly_full' }
+   */
+  getFillLevel: (classDoc) => {
+    const booked = classDoc.booked_count || 0
+    const waitlisted = classDoc.waitlist_count || 0
+    const capacity = classDoc.max_students || 0
+
+    if (capacity <= 0) {
+      return { booked, waitlisted, capacity, available: null, ratio: 0, level: BOOKING_CONFIG.FILL_LEVEL.UNLIMITED }
+    }
+
+    const ratio = booked / capacity
+    let level = BOOKING_CONFIG.FILL_LEVEL.OPEN
+    if (booked >= capacity) {
+      level = BOOKING_CONFIG.FILL_LEVEL.FULL
+    } else if (ratio >= BOOKING_CONFIG.NEARLY_FULL_RATIO) {
+      level = BOOKING_CONFIG.FILL_LEVEL.NEARLY_FULL
+    }
+
+    return { booked, waitlisted, capacity, available: Math.max(capacity - booked, 0), ratio, level }
+  },
+
+  /**
+   * Whether a class takes new bookings
+   * @function isBookable
+   * @param {Object} classDoc - Class document
+   * @returns {boolean} True for scheduled classes
+   */
+  isBookable: (classDoc) => classDoc.status === SCHEDULING_CONFIG.STATUS.SCHEDULED
+}
+
+/**
+ * Load a class document
+ * @function loadClass
+ * @param {string} classId - Class document ID
+ * @returns {Promise<Object>} Class document
+ */
+const loadClass = (classId) => retryOperation(
+  () => storage.getDocument(DATABASE_ID, CLASSES_COLLECTION, classId),
+  'getClass'
+)
+
+/**
+ * Active bookings of a class, oldest first
+ * @function loadActiveBookings
+ * @param {string} classId - Class document ID
+ * @returns {Promise<Object>} { booked, waitlist }
+ */
+const loadActiveBookings = async (classId) => {
+  const bookings = await listAllDocuments(BOOKINGS_COLLECTION, [
+    Query.equal('class_id', classId),
+    Query.equal('status', [BOOKING_CONFIG.STATUS.BOOKED, BOOKING_CONFIG.STATUS.WAITLISTED]),
+    Query.orderAsc('booked_at')
+  ], 'load_class_bookings')
+
+  return {
+    booked: bookings.filter(booking => booking.status === BOOKING_CONFIG.STATUS.BOOKED),
+    waitlist: bookings.filter(booking => booking.status === BOOKING_CONFIG.STATUS.WAITLISTED)
+  }
+}
+
+/**
+ * Set the status of a booking
+ * @function setBookingStatus
+ * @param {string} bookingId - Booking document ID
+ * @param {Object} data - Fields to update
+ * @returns {Promise<Object>} Updated booking
+ */
+const setBookingStatus = (bookingId, data) => retryOperation(
+  () => storage.updateDocument(DATABASE_ID, BOOKINGS_COLLECTION, bookingId, data),
+  'updateBooking'
+)
+
+/**
+ * Bring a class's bookings in line with its capacity and store the counts
+ * Bookings made at the same moment can both pass the capacity check, so
+ * the latest bookings over capacity go back to the waitlist. Free places
+ * are filled from the front of the waitlist.
+ * @function settleClass
+ * @param {Object} classDoc - Class document
+ * @returns {Promise<Object>} { booked, waitlist, promoted, demoted }
+ */
+const settleClass = async (classDoc) => {
+  const { booked, waitlist } = await loadActiveBookings(classDoc.$id)
+  const capacity = classDoc.max_students || 0
+  const promoted = []
+  const demoted = []
+
+  if (capacity > 0) {
+    while (booked.length > capacity) {
+      const booking = booked.pop()
+      demoted.push(await setBookingStatus(booking.$id, { status: BOOKING_CONFIG.STATUS.WAITLISTED }))
+    }
+    // Keep the waitlist in the order students joined
+    waitlist.unshift(...demoted)
+    waitlist.sort((a, b) => a.booked_at.localeCompare(b.booked_at))
+  }
+
+  while (waitlist.length > 0 && (capacity <= 0 || booked.length < capacity)) {
+    const booking = await setBookingStatus(waitlist.shift().$id, {
+      status: BOOKING_CONFIG.STATUS.BOOKED,
+      promoted_at: new Date().toISOString()
+    })
+    booked.push(booking)
+    promoted.push(booking)
+  }
+
+  await retryOperation(
+    () => storage.updateDocument(DATABASE_ID, CLASSES_COLLECTION, classDoc.$id, {
+      booked_count: booked.length,
+      waitlist_count: waitlist.length
+    }),
+    'update_class_counts'
+  )
+
+  return { booked, waitlist, promoted, demoted }
+}
+
+/**
+ * Log students moved off the waitlist
+ * @function logPromotions
+ * @param {Object} classDoc - Class document
+ * @param {Array<Object>} promoted - Promoted bookings
+ * @param {string} performedBy - Instructor whose change freed the places
+ */
+const logPromotions = async (classDoc, promoted, performedBy) => {
+  for (const booking of promoted) {
+    await logActivity('waitlist_promoted', performedBy, {
+      class_id: classDoc.$id,
+      booking_id: booking.$id,
+      student_id: booking.student_id,
+      label: `${booking.student_name} • ${classDoc.batch_name} ${classDoc.date}`
+    })
+  }
+}
+
+/**
+ * Get the bookings and waitlist of a class
+ * @function getClassBookings
+ * @param {string} classId - Class document ID
+ * @returns {Promise<Object>} { booked, waitlist, capacity, available }
+ *
+ * @example
+ * const result = await getClassBookings(classId)
+ * result.data.waitlist[0].student_name // next in line
+ */
+export const getClassBookings = async (classId) => {
+  try {
+    if (!classId) {
+      throw handleValidationError(new Error('Class ID required'), 'getClassBookings', {
+        classId: 'Class ID is required'
+      })
+    }
+
+    const classDoc = await loadClass(classId)
+    const { booked, waitlist } = await loadActiveBookings(classId)
+    const capacity = classDoc.max_students || 0
+
+    return createSuccessResponse({
+      booked,
+      waitlist,
+      capacity,
+      available: capacity > 0 ? Math.max(capacity - booked.length, 0) : null
+    }, 'Bookings retrieved successfully')
+
+  } catch (error) {
+    if (error.success === false) return error
+    return handleError(error, 'getClassBookings')
+  }
+}
+
+/**
+ * Book a student into a class
+ * When the class is full the student joins the waitlist instead.
+ * @function bookStudent
+ * @param {string} classId - Class document ID
+ * @param {Object} student - Student document, or { $id, name }
+ * @param {string|null} [bookedBy=null] - Instructor making the booking; defaults to the signed-in user
+ * @returns {Promise<Object>} { booking, waitlisted, position }
+ *
+ * @example
+ * const result = await bookStudent(classId, student)
+ * if (result.data.waitlisted) console.log(`Waitlist position ${result.data.position}`)
+ */
+export const bookStudent = async (classId, student, bookedBy = null) => {
+  try {
+    if (!classId || !student?.$id) {
+      throw handleValidationError(new Error('Class and student required'), 'bookStudent', {
+        classId: !classId ? 'Class ID is required' : undefined,
+        student: !student?.$id ? 'Student is required' : undefined
+      })
+    }
+
+    const classDoc = await loadClass(classId)
+    if (!BookingUtils.isBookable(classDoc)) {
+      throw handleValidationError(new Error(`Bookings are closed for ${classDoc.status} classes`), 'bookStudent')
+    }
+
+    const { booked, waitlist } = await loadActiveBookings(classId)
+    const existing = [...booked, ...waitlist].find(booking => booking.student_id === student.$id)
+    if (existing) {
+      throw handleValidationError(new Error(
+        existing.status === BOOKING_CONFIG.STATUS.BOOKED
+          ? `${existing.student_name} is already booked`
+          : `${existing.student_name} is already on the waitlist`
+      ), 'bookStudent')
+    }
+
+    const capacity = classDoc.max_students || 0
+    const hasPlace = capacity <= 0 || booked.length < capacity
+    const performedBy = bookedBy || await getCurrentActor()
+
+    const created = await retryOperation(
+      () => storage.createDocument(DATABASE_ID, BOOKINGS_COLLECTION, ID.unique(), {
+        class_id: classId,
+        student_id: student.$id,
+        student_name: student.name,
+        status: hasPlace ? BOOKING_CONFIG.STATUS.BOOKED : BOOKING_CONFIG.STATUS.WAITLISTED,
+        booked_at: new Date().toISOString(),
+        booked_by: performedBy,
+        promoted_at: null,
+        cancelled_at: null,
+        cancelled_by: null
+      }),
+      'createBooking'
+    )
+
+    const settled = await settleClass(classDoc)
+    await logPromotions(classDoc, settled.promoted.filter(booking => booking.$id !== created.$id), performedBy)
+
+    const waitlistIndex = settled.waitlist.findIndex(booking => booking.$id === created.$id)
+    const booking = settled.booked.find(entry => entry.$id === created.$id) || settled.waitlist[waitlistIndex] || created
+    const waitlisted = waitlistIndex !== -1
+
+    await logActivity(waitlisted ? 'class_waitlisted' : 'class_booked', performedBy, {
+      class_id: classId,
+      booking_id: created.$id,
+      student_id: student.$id,
+      label: `${student.name} • ${classDoc.batch_name} ${classDoc.date}`
+    })
+
+    return createSuccessResponse(
+      { booking, waitlisted, position: waitlisted ? waitlistIndex + 1 : null },
+      waitlisted
+        ? `Class is full; ${student.name} is number ${waitlistIndex + 1} on the waitlist`
+        : `${student.name} booked`
+    )
+
+  } catch (error) {
+    if (error.success === false) return error
+    return handleError(error, 'bookStudent')
+  }
+}
+
+/**
+ * Cancel a booking or leave the waitlist
+ * A freed place goes to the student who has waited longest.
+ * @function cancelBooking
+ * @param {string} bookingId - Booking document ID
+ * @param {string|null} [cancelledBy=null] - Instructor cancelling; defaults to the signed-in user
+ * @returns {Promise<Object>} { booking, promoted }
+ *
+ * @example
+ * const result = await cancelBooking(bookingId)
+ * result.data.promoted // bookings moved off the waitlist
+ */
+export const cancelBooking = async (bookingId, cancelledBy = null) => {
+  try {
+    if (!bookingId) {
+      throw handleValidationError(new Error('Booking ID required'), 'cancelBooking', {
+        bookingId: 'Booking ID is required'
+      })
+    }
+
+    const existing = await retryOperation(
+      () => storage.getDocument(DATABASE_ID, BOOKINGS_COLLECTION, bookingId),
+      'getBooking'
+    )
+    if (existing.status === BOOKING_CONFIG.STATUS.CANCELLED) {
+      throw handleValidationError(new Error('Booking is already cancelled'), 'cancelBooking')
+    }
+
+    const performedBy = cancelledBy || await getCurrentActor()
+    const booking = await setBookingStatus(bookingId, {
+      status: BOOKING_CONFIG.STATUS.CANCELLED,
+      cancelled_at: new Date().toISOString(),
+      cancelled_by: performedBy
+    })
+
+    const classDoc = await loadClass(existing.class_id)
+    const { promoted } = await settleClass(classDoc)
+
+    await logActivity('booking_cancelled', performedBy, {
+      class_id: classDoc.$id,
+      booking_id: bookingId,
+      student_id: existing.student_id,
+      label: `${existing.student_name} • ${classDoc.batch_name} ${classDoc.date}`
+    })
+    await logPromotions(classDoc, promoted, performedBy)
+
+    return createSuccessResponse(
+      { booking, promoted },
+      promoted.length > 0
+        ? `Booking cancelled; ${promoted.map(entry => entry.student_name).join(', ')} moved off the waitlist`
+        : 'Booking cancelled'
+    )
+
+  } catch (error) {
+    if (error.success === false) return error
+    return handleError(error, 'cancelBooking')
+  }
+}
+
+/**
+ * Move a class's bookings and waitlist to another class
+ * Used when a class is rescheduled. Bookings keep their status and
+ * booked_at, so the waitlist order carries over, and both classes are
+ * recounted.
+ * @function moveClassBookings
+ * @param {string} fromClassId - Class the bookings are on
+ * @param {string} toClassId - Class to move them to
+ * @returns {Promise<Object>} { moved, promoted, demoted }
+ *
+ * @example
+ * await moveClassBookings(classDoc.$id, newClass.$id)
+ */
+export const moveClassBookings = async (fromClassId, toClassId) => {
+  try {
+    const { booked, waitlist } = await loadActiveBookings(fromClassId)
+    const moved = []
+
+    for (const booking of [...booked, ...waitlist]) {
+      moved.push(await setBookingStatus(booking.$id, { class_id: toClassId }))
+    }
+
+    await settleClass(await loadClass(fromClassId))
+    const { promoted, demoted } = await settleClass(await loadClass(toClassId))
+
+    return createSuccessResponse(
+      { moved, promoted, demoted },
+      `Moved ${moved.length} bookings`
+    )
+
+  } catch (error) {
+    if (error.success === false) return error
+    return handleError(error, 'moveClassBookings')
+  }
+}
+
+export default {
+  getClassBookings,
+  bookStudent,
+  cancelBooking,
+  moveClassBookings,
+  BookingUtils,
+  BOOKING_CONFIG
+}
@@ -0,0 +1,456 @@
+/**
+ * Bulk Operation Service
+ *
+ * Runs bulk writes such as scheduling or cancelling many classes a few at a
+ * time, reports progress after every item, and keeps each operation's state
+ * in localStorage. Large operations run as a sequence of chunks, and the
+ * state is saved after each chunk. An operation interrupted by a closed tab or lost
+ * connection can be resumed, and a finished or partial one can be rolled
+ * back.
+ *
+ * Operation types register a handler with registerBulkHandler(): run(item)
+ * performs one write and undo(item) reverses it. Both must be safe to call
+ * again for an item that may already have been written, because the chunk in
+ * flight when the page closed is run again on resume.
+ *
+ * @service
+ * @version 1.0.0
+ */
+
+import { ID } from './appwrite.js'
+import {
+  handleError,
+  handleValidationError,
+  createSuccessResponse
+} from '../utils/errorHandler.js'
+
+/**
+ * Bulk operation constants
+ * @constant
+ */
+export const BULK_CONFIG = {
+  // Writes in flight at once; keeps well inside Appwrite rate limits
+  DEFAULT_CONCURRENCY: 4,
+
+  // Items per chunk; the operation's state is saved after each chunk
+  DEFAULT_CHUNK_SIZE: 50,
+
+  // Finished operations kept for rollback, newest first
+  MAX_STORED_OPERATIONS: 10,
+
+  STORAGE_KEY: 'bulkOperations',
+
+  STATUS: {
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    PARTIAL: 'partial',
+    ROLLING_BACK: 'rolling_back',
+    ROLLED_BACK: 'rolled_back'
+  },
+
+  ITEM_STATUS: {
+    PENDING: 'pending',
+    DONE: 'done',
+    FAILED: 'failed',
+    UNDONE: 'undone'
+  }
+}
+
+const handlers = new Map()
+
+// Operations running in this tab; a stored running operation that isn't here was interrupted
+const activeOperations = new Set()
+
+/**
+ * Register how to run and undo items of an operation type
+ * @function registerBulkHandler
+ * @param {string} type - Operation type, e.g. 'schedule_classes'
+ * @param {Object} handler - Handler
+ * @param {Function} handler.run - async (item, { key }) => result; key is unique to the item and stable across resumes
+ * @param {Function} handler.undo - async (item, { key }) => void
+ *
+ * @example
+ * registerBulkHandler('cancel_classes', {
+ *   run: (item) => cancelOne(item.classId),
+ *   undo: (item) => restoreOne(item.classId)
+ * })
+ */
+export const registerBulkHandler = (type, handler) => {
+  handlers.set(type, handler)
+}
+
+/**
+ * Read stored operations
+ * @function readOperations
+ * @returns {Array<Object>} Stored operations, newest first
+ */
+const readOperations = () => {
+  try {
+    return JSON.parse(localStorage.getItem(BULK_CONFIG.STORAGE_KEY)) || []
+  } catch {
+    return []
+  }
+}
+
+/**
+ * Store an operation, replacing any earlier copy
+ * @function saveOperation
+ * @param {Object} operation - Operation state
+ */
+const saveOperation = (operation) => {
+  const others = readOperations().filter(stored => stored.id !== operation.id)
+  const operations = [{ ...operation, updatedAt: new Date().toISOString() }, ...others]
+    .slice(0, BULK_CONFIG.MAX_STORED_OPERATIONS)
+
+  try {
+    localStorage.setItem(BULK_CONFIG.STORAGE_KEY, JSON.stringify(operations))
+  } catch (error) {
+    console.warn('Failed to save bulk operation state:', error)
+  }
+}
+
+/**
+ * Count items by status
+ * @function summarize
+ * @param {Object} operation - Operation state
+ * @returns {Object} { total, done, failed, pending, undone }
+ */
+const summarize = (operation) => {
+  const counts = { total: operation.items.length, done: 0, failed: 0, pending: 0, undone: 0 }
+  operation.items.forEach(item => {
+    counts[item.status] = (counts[item.status] || 0) + 1
+  })
+  return counts
+}
+
+/**
+ * Item key passed to handlers; usable as an Appwrite document ID
+ * @function getItemKey
+ * @param {Object} operation - Operation state
+ * @param {number} index - Item index
+ * @returns {string} Key
+ */
+const getItemKey = (operation, index) => `${operation.id}_${index}`
+
+/**
+ * Run a function over items with a bounded number in flight
+ * @function runPool
+ * @param {Array<number>} indexes - Item indexes to process
+ * @param {number} concurrency - Items in flight at once
+ * @param {Function} worker - async (index) => void
+ * @returns {Promise<void>} Resolves when every item has been processed
+ */
+const runPool = async (indexes, concurrency, worker) => {
+  let next = 0
+  const lanes = Array.from({ length: Math.min(concurrency, indexes.length) }, async () => {
+    while (next < indexes.length) {
+      const index = indexes[next++]
+      await worker(index)
+    }
+  })
+  await Promise.all(lanes)
+}
+
+/**
+ * Run the outstanding items of an operation
+ * @function processOperation
+ * @param {Object} operation - Operation state
+ * @param {Object} options - Run options
+ * @returns {Promise<Object>} Results and { item, error } failures of this run, with the operation's counts
+ */
+const processOperation = async (operation, options = {}) => {
+  const {
+    concurrency = BULK_CONFIG.DEFAULT_CONCURRENCY,
+    chunkSize = BULK_CONFIG.DEFAULT_CHUNK_SIZE,
+    onProgress
+  } = options
+  const handler = handlers.get(operation.type)
+  const results = []
+  const completed = []
+  const failures = []
+
+  const outstanding = [BULK_CONFIG.ITEM_STATUS.PENDING, BULK_CONFIG.ITEM_STATUS.FAILED]
+  const indexes = operation.items
+    .map((item, index) => (outstanding.includes(item.status) ? index : null))
+    .filter(index => index !== null)
+
+  const chunks = []
+  for (let start = 0; start < indexes.length; start += chunkSize) {
+    chunks.push(indexes.slice(start, start + chunkSize))
+  }
+
+  activeOperations.add(operation.id)
+  operation.status = BULK_CONFIG.STATUS.RUNNING
+  saveOperation(operation)
+
+  const report = (index, chunk) => {
+    if (onProgress) {
+      onProgress({
+        operationId: operation.id,
+        type: operation.type,
+        phase: 'run',
+        ...summarize(operation),
+        chunk: chunk + 1,
+        chunks: chunks.length,
+        item: operation.items[index].data,
+        itemStatus: operation.items[index].status
+      })
+    }
+  }
+
+  try {
+    for (const [chunk, chunkIndexes] of chunks.entries()) {
+      await runPool(chunkIndexes, concurrency, async (index) => {
+        const item = operation.items[index]
+
+        try {
+          const result = await handler.run(item.data, { key: getItemKey(operation, index) })
+          item.status = BULK_CONFIG.ITEM_STATUS.DONE
+          item.error = null
+          results.push(result)
+          completed.push({ item: item.data, result })
+        } catch (error) {
+          item.status = BULK_CONFIG.ITEM_STATUS.FAILED
+          item.error = error.message || 'Failed'
+          failures.push({ item: item.data, error: item.error })
+        }
+
+        report(index, chunk)
+      })
+
+      saveOperation(operation)
+    }
+  } finally {
+    activeOperations.delete(operation.id)
+  }
+
+  operation.status = failures.length > 0 ? BULK_CONFIG.STATUS.PARTIAL : BULK_CONFIG.STATUS.COMPLETED
+  saveOperation(operation)
+
+  return {
+    operationId: operation.id,
+    type: operation.type,
+    label: operation.label,
+    status: operation.status,
+    results,
+    completed,
+    failures,
+    ...summarize(operation)
+  }
+}
+
+/**
+ * Run a bulk operation
+ * Failed items don't stop the others; they are reported and can be retried
+ * with resumeBulkOperation().
+ * @function runBulkOperation
+ * @param {string} type - Registered operation type
+ * @param {Array<Object>} items - JSON-serializable items passed to the handler
+ * @param {Object} [options] - Run options
+ * @param {string} [options.label] - Description shown when offering resume or rollback
+ * @param {number} [options.concurrency=4] - Items in flight at once
+ * @param {number} [options.chunkSize=50] - Items per chunk; state is saved after each chunk
+ * @param {Function} [options.onProgress] - Called after every item with counts and the current chunk
+ * @returns {Promise<Object>} Operation ID, status, handler results, completed { item, result } pairs,
+ *   failures as { item, error } pairs and the total, done and failed counts
+ *
+ * @example
+ * const result = await runBulkOperation('schedule_classes', items, {
+ *   label: 'Schedule 24 classes',
+ *   onProgress: ({ done, failed, total }) => setProgress((done + failed) / total)
+ * })
+ */
+export const runBulkOperation = async (type, items, options = {}) => {
+  try {
+    if (!handlers.has(type)) {
+      throw handleValidationError(new Error(`Unknown bulk operation: ${type}`), 'runBulkOperation')
+    }
+
+    const operation = {
+      id: ID.unique(),
+      type,
+      label: options.label || `${items.length} items`,
+      createdAt: new Date().toISOString(),
+      status: BULK_CONFIG.STATUS.RUNNING,
+      items: items.map(data => ({ data, status: BULK_CONFIG.ITEM_STATUS.PENDING, error: null }))
+    }
+
+    const result = await processOperation(operation, options)
+    return createSuccessResponse(result, `${result.done} of ${result.total} done`)
+
+  } catch (error) {
+    if (error.success === false) return error
+    return handleError(error, 'runBulkOperation')
+  }
+}
+
+/**
+ * Find a stored operation
+ * @function loadOperation
+ * @param {string} operationId - Operation ID
+ * @param {string} operationName - Operation name for errors
+ * @returns {Object} Operation state
+ * @throws {Object} Validation error when the operation is unknown or busy
+ */
+const loadOperation = (operationId, operationName) => {
+  const operation = readOperations().find(stored => stored.id === operationId)
+
+  if (!operation) {
+    throw handleValidationError(new Error('This operation is no longer available'), operationName)
+  }
+
+  if (activeOperations.has(operationId)) {
+    throw handleValidationError(new Error('This operation is still running'), operationName)
+  }
+
+  if (!handlers.has(operation.type)) {
+    throw handleValidationError(new Error(`Unknown bulk operation: ${operation.type}`), operationName)
+  }
+
+  return operation
+}
+
+/**
+ * Resume an interrupted or partly failed operation
+ * Pending and failed items are run again.
+ * @function resumeBulkOperation
+ * @param {string} operationId - Operation ID
+ * @param {Object} [options] - Run options (concurrency, chunkSize, onProgress)
+ * @returns {Promise<Object>} Results of this run
+ */
+export const resumeBulkOperation = async (operationId, options = {}) => {
+  try {
+    const operation = loadOperation(operationId, 'resumeBulkOperation')
+
+    if (operation.items.some(item => item.status === BULK_CONFIG.ITEM_STATUS.UNDONE)) {
+      throw handleValidationError(new Error('This operation was rolled back'), 'resumeBulkOperation')
+    }
+
+    const result = await processOperation(operation, options)
+    return createSuccessResponse(result, `${result.done} of ${result.total} done`)
+
+  } catch (error) {
+    if (error.success === false) return error
+    return handleError(error, 'resumeBulkOperation')
+  }
+}
+
+/**
+ * Undo the completed items of an operation
+ * Items that fail to undo stay done so the rollback can be tried again.
+ * @function rollbackBulkOperation
+ * @param {string} operationId - Operation ID
+ * @param {Object} [options] - Run options (concurrency, onProgress)
+ * @returns {Promise<Object>} Undone and failed counts
+ */
+export const rollbackBulkOperation = async (operationId, options = {}) => {
+  try {
+    const { concurrency = BULK_CONFIG.DEFAULT_CONCURRENCY, onProgress } = options
+    const operation = loadOperation(operationId, 'rollbackBulkOperation')
+    const handler = handlers.get(operation.type)
+    const failed = []
+
+    const indexes = operation.items
+      .map((item, index) => (item.status === BULK_CONFIG.ITEM_STATUS.DONE ? index : null))
+      .filter(index => index !== null)
+
+    activeOperations.add(operation.id)
+    operation.status = BULK_CONFIG.STATUS.ROLLING_BACK
+    saveOperation(operation)
+
+    let processed = 0
+    try {
+      await runPool(indexes, concurrency, async (index) => {
+        const item = operation.items[index]
+
+        try {
+          await handler.undo(item.data, { key: getItemKey(operation, index) })
+          item.status = BULK_CONFIG.ITEM_STATUS.UNDONE
+        } catch (error) {
+          failed.push({ item: item.data, error: error.message || 'Failed' })
+        }
+
+        processed++
+        saveOperation(operation)
+
+        if (onProgress) {
+          onProgress({
+            operationId: operation.id,
+            type: operation.type,
+            phase: 'rollback',
+            total: indexes.length,
+            done: processed - failed.length,
+            failed: failed.length,
+            item: item.data,
+            itemStatus: item.status
+          })
+        }
+      })
+    } finally {
+      activeOperations.delete(operation.id)
+    }
+
+    operation.status = failed.length > 0 ? BULK_CONFIG.STATUS.PARTIAL : BULK_CONFIG.STATUS.ROLLED_BACK
+    saveOperation(operation)
+
+    return createSuccessResponse(
+      { operationId, status: operation.status, undone: indexes.length - failed.length, failed },
+      `Rolled back ${indexes.length - failed.length} of ${indexes.length}`
+    )
+
+  } catch (error) {
+    if (error.success === false) return error
+    return handleError(error, 'rollbackBulkOperation')
+  }
+}
+
+/**
+ * Stored operations that can be resumed or rolled back
+ * An operation counts as interrupted when it is stored as running but isn't
+ * running in this tab.
+ * @function getBulkOperations
+ * @param {Object} [options] - Filter options
+ * @param {boolean} [options.unfinishedOnly=false] - Only interrupted and partial operations
+ * @returns {Array<Object>} Operations: { id, type, label, status, interrupted, createdAt, total, done, failed, pending }
+ */
+export const getBulkOperations = (options = {}) => {
+  const { unfinishedOnly = false } = options
+
+  return readOperations()
+    .map(operation => {
+      const interrupted = !activeOperations.has(operation.id) && [
+        BULK_CONFIG.STATUS.RUNNING,
+        BULK_CONFIG.STATUS.ROLLING_BACK
+      ].includes(operation.status)
+
+      const { items, ...details } = operation
+      return { ...details, ...summarize({ items }), interrupted }
+    })
+    .filter(operation => !unfinishedOnly || operation.interrupted || operation.status === BULK_CONFIG.STATUS.PARTIAL)
+}
+
+/**
+ * Forget a stored operation
+ * @function clearBulkOperation
+ * @param {string} operationId - Operation ID
+ */
+export const clearBulkOperation = (operationId) => {
+  try {
+    localStorage.setItem(
+      BULK_CONFIG.STORAGE_KEY,
+      JSON.stringify(readOperations().filter(operation => operation.id !== operationId))
+    )
+  } catch (error) {
+    console.warn('Failed to clear bulk operation:', error)
+  }
+}
+
+export default {
+  registerBulkHandler,
+  runBulkOperation,
+  resumeBulkOperation,
+  rollbackBulkOperation,
+  getBulkOperations,
+  clearBulkOperation,
+  BULK_CONFIG
+}
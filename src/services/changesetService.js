@@ -0,0 +1,363 @@
+/**
+ * Changeset Service
+ *
+ * Records every bulk schedule or cancel as a changeset in the Appwrite
+ * changesets collection: the classes it created, and the fields it
+ * overwrote with their previous values. A changeset can be undone for a
+ * limited time. Classes edited since the operation are left as they are,
+ * so undo never throws away later work.
+ *
+ * @service
+ * @version 1.0.0
+ */
+
+import { APPWRITE_CONFIG, Query, ID, retryOperation } from './appwrite.js'
+import { storage } from './storageService.js'
+import {
+  handleError,
+  handleValidationError,
+  createSuccessResponse,
+  ErrorTypes
+} from '../utils/errorHandler.js'
+import { getCurrentActor } from './authService.js'
+import { listAllDocuments, logActivity } from './databaseService.js'
+
+const DATABASE_ID = APPWRITE_CONFIG.databaseId
+const CHANGESETS_COLLECTION = APPWRITE_CONFIG.collections.changesets
+const CLASSES_COLLECTION = APPWRITE_CONFIG.collections.classes
+
+/**
+ * Changeset constants
+ * @constant
+ */
+export const CHANGESET_CONFIG = {
+  // How long after an operation it can be undone
+  UNDO_WINDOW_HOURS: 24,
+
+  STATUS: {
+    ACTIVE: 'active',
+    PARTIAL: 'partially_undone',
+    UNDONE: 'undone'
+  },
+
+  // What an operation did to one class
+  CHANGE: {
+    CREATED: 'created',
+    UPDATED: 'updated'
+  },
+
+  // Class IDs per lookup query; Appwrite accepts up to 100 values
+  LOOKUP_CHUNK_SIZE: 100
+}
+
+/**
+ * Changeset helpers
+ */
+export const ChangesetUtils = {
+  /**
+   * Time after which a changeset can no longer be undone
+   * @function getUndoDeadline
+   * @param {Object} changeset - Changeset, or anything with created_at
+   * @returns {Date} Deadline
+   */
+  getUndoDeadline: (changeset) => new Date(
+    new Date(changeset.created_at).getTime() + CHANGESET_CONFIG.UNDO_WINDOW_HOURS * 60 * 60 * 1000
+  ),
+
+  /**
+   * Whether a changeset can still be undone
+   * @function canUndo
+   * @param {Object} changeset - Changeset
+   * @param {Date} [now=new Date()] - Current time
+   * @returns {boolean} True while inside the undo window and not fully undone
+   */
+  canUndo: (changeset, now = new Date()) => (
+    changeset.status !== CHANGESET_CONFIG.STATUS.UNDONE &&
+    now < ChangesetUtils.getUndoDeadline(changeset)
+  )
+}
+
+/**
+ * Read the stored changes of a changeset document
+ * @function parseChangeset
+ * @param {Object} document - Changeset document
+ * @returns {Object} Changeset with changes as an array
+ */
+const parseChangeset = (document) => {
+  let changes = []
+  try {
+    changes = JSON.parse(document.changes || '[]')
+  } catch {
+    changes = []
+  }
+  return { ...document, changes }
+}
+
+/**
+ * Fields that identify a change in results and messages
+ * @function describeChange
+ * @param {Object} change - Stored change
+ * @returns {Object} { classId, date, batch }
+ */
+const describeChange = (change) => ({
+  classId: change.class_id,
+  date: change.date,
+  batch: change.batch_name
+})
+
+/**
+ * Load the current version of classes by ID
+ * @function loadClasses
+ * @param {Array<string>} classIds - Class document IDs
+ * @returns {Promise<Map>} Classes keyed by ID; deleted classes are missing
+ */
+const loadClasses = async (classIds) => {
+  const classes = new Map()
+
+  for (let index = 0; index < classIds.length; index += CHANGESET_CONFIG.LOOKUP_CHUNK_SIZE) {
+    const chunk = classIds.slice(index, index + CHANGESET_CONFIG.LOOKUP_CHUNK_SIZE)
+    const documents = await listAllDocuments(CLASSES_COLLECTION, [
+      Query.equal('$id', chunk)
+    ], 'load_changeset_classes')
+    documents.forEach(classDoc => classes.set(classDoc.$id, classDoc))
+  }
+
+  return classes
+}
+
+/**
+ * Record the changes made by an operation
+ * Recording again with the same ID adds the new changes, so an operation
+ * that was resumed keeps a single changeset.
+ * @function recordChangeset
+ * @param {Object} changeset - Changeset data
+ * @param {string} [changeset.id] - Changeset ID, e.g. the bulk operation ID
+ * @param {string} changeset.type - Operation type
+ * @param {string} changeset.label - Description shown with the undo action
+ * @param {Array<Object>} changeset.changes - { class_id, date, batch_name, kind, before, updated_at }
+ * @param {string|null} [createdBy=null] - Instructor who made the changes
+ * @returns {Promise<Object>} Recorded changeset, or null data when there was nothing to record
+ *
+ * @example
+ * await recordChangeset({
+ *   id: operationId,
+ *   type: 'cancel_classes',
+ *   label: 'Cancel 12 classes, 2025-12-20 to 2025-12-25',
+ *   changes: [{ class_id, date, batch_name, kind: 'updated', before: { status: 'scheduled' }, updated_at }]
+ * }, 'coach@club.com')
+ */
+export const recordChangeset = async (changeset, createdBy = null) => {
+  try {
+    const { id = ID.unique(), type, label, changes = [] } = changeset
+    if (changes.length === 0) {
+      return createSuccessResponse(null, 'No changes to record')
+    }
+
+    const entries = changes.map(change => ({ ...change, reverted: false }))
+
+    try {
+      const created = await retryOperation(
+        () => storage.createDocument(DATABASE_ID, CHANGESETS_COLLECTION, id, {
+          type,
+          label,
+          changes: JSON.stringify(entries),
+          status: CHANGESET_CONFIG.STATUS.ACTIVE,
+          created_at: new Date().toISOString(),
+          created_by: createdBy,
+          undone_at: null,
+          undone_by: null
+        }),
+        'recordChangeset'
+      )
+      return createSuccessResponse(parseChangeset(created), 'Changeset recorded')
+
+    } catch (error) {
+      if (error.type !== ErrorTypes.CONFLICT) throw error
+    }
+
+    // Add to the changeset recorded by an earlier run of the same operation
+    const existing = parseChangeset(await retryOperation(
+      () => storage.getDocument(DATABASE_ID, CHANGESETS_COLLECTION, id),
+      'getChangeset'
+    ))
+    const recorded = new Set(existing.changes.map(change => change.class_id))
+
+    const updated = await retryOperation(
+      () => storage.updateDocument(DATABASE_ID, CHANGESETS_COLLECTION, id, {
+        changes: JSON.stringify([
+          ...existing.changes,
+          ...entries.filter(change => !recorded.has(change.class_id))
+        ]),
+        // New changes can be undone even if the earlier ones already were
+        status: existing.status === CHANGESET_CONFIG.STATUS.UNDONE
+          ? CHANGESET_CONFIG.STATUS.PARTIAL
+          : existing.status
+      }),
+      'recordChangeset'
+    )
+
+    return createSuccessResponse(parseChangeset(updated), 'Changeset updated')
+
+  } catch (error) {
+    if (error.success === false) return error
+    return handleError(error, 'recordChangeset')
+  }
+}
+
+/**
+ * Get a changeset
+ * @function getChangeset
+ * @param {string} changesetId - Changeset ID
+ * @returns {Promise<Object>} Changeset with parsed changes and canUndo
+ */
+export const getChangeset = async (changesetId) => {
+  try {
+    const changeset = parseChangeset(await retryOperation(
+      () => storage.getDocument(DATABASE_ID, CHANGESETS_COLLECTION, changesetId),
+      'getChangeset'
+    ))
+
+    return createSuccessResponse(
+      { ...changeset, canUndo: ChangesetUtils.canUndo(changeset) },
+      'Changeset retrieved'
+    )
+
+  } catch (error) {
+    return handleError(error, 'getChangeset')
+  }
+}
+
+/**
+ * Undo a changeset
+ * Created classes are deleted and updated classes get their previous values
+ * back. A class whose $updatedAt no longer matches the one recorded was
+ * edited after the operation and is skipped. Undoing again retries changes
+ * that failed.
+ * @function undoChangeset
+ * @param {string} changesetId - Changeset ID
+ * @returns {Promise<Object>} { changesetId, status, reverted, skipped, failed }
+ *
+ * @example
+ * const result = await undoChangeset(result.data.changesetId)
+ * result.data.skipped // [{ classId, date, batch, reason: 'edited' }]
+ */
+export const undoChangeset = async (changesetId) => {
+  try {
+    const changeset = parseChangeset(await retryOperation(
+      () => storage.getDocument(DATABASE_ID, CHANGESETS_COLLECTION, changesetId),
+      'getChangeset'
+    ))
+
+    if (changeset.status === CHANGESET_CONFIG.STATUS.UNDONE) {
+      throw handleValidationError(new Error('These changes have already been undone'), 'undoChangeset')
+    }
+
+    if (!ChangesetUtils.canUndo(changeset)) {
+      throw handleValidationError(
+        new Error(`Changes can only be undone within ${CHANGESET_CONFIG.UNDO_WINDOW_HOURS} hours`),
+        'undoChangeset'
+      )
+    }
+
+    const undoneBy = await getCurrentActor()
+
+    const outstanding = changeset.changes.filter(change => !change.reverted)
+    const current = await loadClasses(outstanding.map(change => change.class_id))
+    const skipped = []
+    const failed = []
+    let reverted = 0
+
+    for (const change of outstanding) {
+      const classDoc = current.get(change.class_id)
+
+      if (!classDoc) {
+        // A created class that is already gone needs nothing more
+        if (change.kind === CHANGESET_CONFIG.CHANGE.CREATED) {
+          change.reverted = true
+          reverted++
+        } else {
+          skipped.push({ ...describeChange(change), reason: 'deleted' })
+        }
+        continue
+      }
+
+      if (classDoc.$updatedAt !== change.updated_at) {
+        skipped.push({ ...describeChange(change), reason: 'edited' })
+        continue
+      }
+
+      try {
+        if (change.kind === CHANGESET_CONFIG.CHANGE.CREATED) {
+          await retryOperation(
+            () => storage.deleteDocument(DATABASE_ID, CLASSES_COLLECTION, change.class_id),
+            'undo_created_class'
+          )
+        } else {
+          await retryOperation(
+            () => storage.updateDocument(DATABASE_ID, CLASSES_COLLECTION, change.class_id, {
+              ...change.before,
+              updated_at: new Date().toISOString()
+            }),
+            'undo_updated_class'
+          )
+        }
+        change.reverted = true
+        reverted++
+      } catch (error) {
+        if (error.type === ErrorTypes.NOT_FOUND && change.kind === CHANGESET_CONFIG.CHANGE.CREATED) {
+          change.reverted = true
+          reverted++
+        } else {
+          failed.push({ ...describeChange(change), error: error.message || 'Failed' })
+        }
+      }
+    }
+
+    const status = changeset.changes.every(change => change.reverted)
+      ? CHANGESET_CONFIG.STATUS.UNDONE
+      : CHANGESET_CONFIG.STATUS.PARTIAL
+
+    await retryOperation(
+      () => storage.updateDocument(DATABASE_ID, CHANGESETS_COLLECTION, changesetId, {
+        changes: JSON.stringify(changeset.changes),
+        status,
+        undone_at: new Date().toISOString(),
+        undone_by: undoneBy
+      }),
+      'updateChangeset'
+    )
+
+    await logActivity('Changes Undone', undoneBy, {
+      changeset_id: changesetId,
+      label: changeset.label,
+      reverted,
+      skipped: skipped.length,
+      failed: failed.length
+    })
+
+    const result = { changesetId, status, reverted, skipped, failed }
+
+    if (reverted === 0 && failed.length > 0) {
+      return handleError(new Error('No changes were undone'), 'undoChangeset', { failed })
+    }
+
+    return createSuccessResponse(
+      result,
+      `Undid ${reverted} of ${outstanding.length} changes` +
+        (skipped.length > 0 ? `; ${skipped.length} classes changed since were left as they are` : '') +
+        (failed.length > 0 ? `; ${failed.length} could not be undone` : '')
+    )
+
+  } catch (error) {
+    if (error.success === false) return error
+    return handleError(error, 'undoChangeset')
+  }
+}
+
+export default {
+  recordChangeset,
+  getChangeset,
+  undoChangeset,
+  ChangesetUtils,
+  CHANGESET_CONFIG
+}
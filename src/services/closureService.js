@@ -0,0 +1,423 @@
+/**
+ * Closure Service
+ *
+ * Public holidays and venue closures stored in the Appwrite closures
+ * collection. A closure covers one or more days and either happens once or
+ * repeats on the same dates every year. Scheduling skips closed dates and
+ * the calendar shades them.
+ *
+ * @service
+ * @version 1.0.0
+ */
+
+import { APPWRITE_CONFIG, Query, ID, retryOperation } from './appwrite.js'
+import { storage } from './storageService.js'
+import { handleError, handleValidationError, createSuccessResponse } from '../utils/errorHandler.js'
+import { listAllDocuments, logActivity } from './databaseService.js'
+import { addDays, daysBetween } from '../utils/dates.js'
+import { parseICalEvents } from '../utils/ical.js'
+
+const DATABASE_ID = APPWRITE_CONFIG.databaseId
+const CLOSURES_COLLECTION = APPWRITE_CONFIG.collections.closures
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+/**
+ * Closure constants
+ * @constant
+ */
+export const CLOSURE_CONFIG = {
+  REPEAT: {
+    NONE: 'none',
+    YEARLY: 'yearly'
+  },
+
+  // How long a loaded closure list is reused before asking Appwrite again
+  CACHE_TTL_MS: 60 * 1000,
+
+  VALIDATION: {
+    MAX_NAME_LENGTH: 100,
+    MAX_DAYS: 60
+  }
+}
+
+/**
+ * Closure date helpers
+ */
+export const ClosureUtils = {
+  /**
+   * Number of days a closure covers
+   * @function getLength
+   * @param {Object} closure - Closure document
+   * @returns {number} Days, at least 1
+   */
+  getLength: (closure) => Math.max(1, daysBetween(closure.start_date, closure.end_date || closure.start_date) + 1),
+
+  /**
+   * Closed dates within a range, with the closure for each
+   * Yearly closures are moved to every year the range touches; a closure on
+   * 29 February falls on 28 February in other years.
+   * @function getClosedDates
+   * @param {Array} closures - Closure documents
+   * @param {string} startDate - First date (YYYY-MM-DD)
+   * @param {string} endDate - Last date (YYYY-MM-DD)
+   * @returns {Object} Closure documents keyed by date
+   *
+   * @example
+   * ClosureUtils.getClosedDates(closures, '2025-12-01', '2025-12-31')
+   * // { '2025-12-25': { name: 'Christmas Day', ... } }
+   */
+  getClosedDates: (closures = [], startDate, endDate) => {
+    const closedDates = {}
+
+    closures.forEach(closure => {
+      const length = ClosureUtils.getLength(closure)
+      const starts = []
+
+      if (closure.repeat === CLOSURE_CONFIG.REPEAT.YEARLY) {
+        const monthDay = closure.start_date.slice(5)
+        // Start a year early so closures spanning New Year are included
+        const firstYear = Math.max(Number(startDate.slice(0, 4)) - 1, Number(closure.start_date.slice(0, 4)))
+        for (let year = firstYear; year <= Number(endDate.slice(0, 4)); year++) {
+          const isLeapYear = new Date(Date.UTC(year, 1, 29)).getUTCMonth() === 1
+          starts.push(`${year}-${monthDay === '02-29' && !isLeapYear ? '02-28' : monthDay}`)
+        }
+      } else {
+        starts.push(closure.start_date)
+      }
+
+      starts.forEach(start => {
+        for (let offset = 0; offset < length; offset++) {
+          const date = addDays(start, offset)
+          if (date >= startDate && date <= endDate && !closedDates[date]) {
+            closedDates[date] = closure
+          }
+        }
+      })
+    })
+
+    return closedDates
+  }
+}
+
+/**
+ * Validate closure data before saving
+ * @function validateClosure
+ * @param {Object} closure - Closure data
+ * @returns {Object} Validation result with field errors
+ */
+export const validateClosure = (closure) => {
+  const fieldErrors = {}
+  const name = (closure.name || '').trim()
+
+  if (!name) {
+    fieldErrors.name = 'Name is required'
+  } else if (name.length > CLOSURE_CONFIG.VALIDATION.MAX_NAME_LENGTH) {
+    fieldErrors.name = `Name must be ${CLOSURE_CONFIG.VALIDATION.MAX_NAME_LENGTH} characters or less`
+  }
+
+  if (!DATE_PATTERN.test(closure.start_date || '')) {
+    fieldErrors.start_date = 'Start date is required'
+  }
+
+  if (closure.end_date && !DATE_PATTERN.test(closure.end_date)) {
+    fieldErrors.end_date = 'End date is not valid'
+  } else if (closure.end_date && closure.end_date < closure.start_date) {
+    fieldErrors.end_date = 'End date must be on or after the start date'
+  } else if (!fieldErrors.start_date && ClosureUtils.getLength(closure) > CLOSURE_CONFIG.VALIDATION.MAX_DAYS) {
+    fieldErrors.end_date = `A closure can cover at most ${CLOSURE_CONFIG.VALIDATION.MAX_DAYS} days`
+  }
+
+  if (closure.repeat && !Object.values(CLOSURE_CONFIG.REPEAT).includes(closure.repeat)) {
+    fieldErrors.repeat = 'Repeat must be none or yearly'
+  }
+
+  return {
+    valid: Object.keys(fieldErrors).length === 0,
+    fieldErrors
+  }
+}
+
+/**
+ * Closure fields stored in Appwrite
+ * @function toClosureData
+ * @param {Object} closure - Closure form data
+ * @returns {Object} Document fields
+ */
+const toClosureData = (closure) => ({
+  name: closure.name.trim(),
+  start_date: closure.start_date,
+  end_date: closure.end_date || closure.start_date,
+  repeat: closure.repeat || CLOSURE_CONFIG.REPEAT.NONE,
+  notes: (closure.notes || '').trim()
+})
+
+// Shared across screens so scheduling and the calendar load closures once
+let closureCache = { closures: null, loadedAt: 0, pending: null }
+const changeListeners = new Set()
+
+/**
+ * Forget loaded closures so the next read goes to Appwrite
+ * @function clearClosureCache
+ */
+export const clearClosureCache = () => {
+  closureCache = { closures: null, loadedAt: 0, pending: null }
+}
+
+/**
+ * Listen for closures being created or removed in this app
+ * @function onClosuresChanged
+ * @param {Function} listener - Called after every change
+ * @returns {Function} Unsubscribe
+ */
+export const onClosuresChanged = (listener) => {
+  changeListeners.add(listener)
+  return () => changeListeners.delete(listener)
+}
+
+/**
+ * Drop the cache and tell listeners closures changed
+ * @function notifyClosuresChanged
+ */
+const notifyClosuresChanged = () => {
+  clearClosureCache()
+  changeListeners.forEach(listener => {
+    try {
+      listener()
+    } catch (error) {
+      console.warn('Closure change listener failed:', error)
+    }
+  })
+}
+
+/**
+ * Load every closure, reusing a recent result
+ * @function loadAllClosures
+ * @param {boolean} force - Ignore the cache
+ * @returns {Promise<Array>} Closure documents ordered by start date
+ */
+const loadAllClosures = async (force) => {
+  const isFresh = closureCache.closures && Date.now() - closureCache.loadedAt < CLOSURE_CONFIG.CACHE_TTL_MS
+  if (!force && isFresh) return closureCache.closures
+  if (!force && closureCache.pending) return closureCache.pending
+
+  const pending = listAllDocuments(CLOSURES_COLLECTION, [Query.orderAsc('start_date')], 'getClosures')
+  closureCache.pending = pending
+
+  try {
+    const closures = await pending
+    if (closureCache.pending === pending) {
+      closureCache = { closures, loadedAt: Date.now(), pending: null }
+    }
+    return closures
+  } catch (error) {
+    if (closureCache.pending === pending) closureCache.pending = null
+    throw error
+  }
+}
+
+/**
+ * Get closures
+ * @function getClosures
+ * @param {Object} [options] - Query options
+ * @param {boolean} [options.force=false] - Skip the cache
+ * @returns {Promise<Object>} Closures ordered by start date
+ */
+export const getClosures = async (options = {}) => {
+  try {
+    const closures = await loadAllClosures(options.force === true)
+    return createSuccessResponse({ closures, total: closures.length }, 'Closures retrieved')
+
+  } catch (error) {
+    if (error.success === false) return error
+    return handleError(error, 'getClosures')
+  }
+}
+
+/**
+ * Get the closed dates within a range
+ * @function getClosedDates
+ * @param {string} startDate - First date (YYYY-MM-DD)
+ * @param {string} endDate - Last date (YYYY-MM-DD)
+ * @returns {Promise<Object>} Closure documents keyed by date
+ *
+ * @example
+ * const result = await getClosedDates('2025-12-01', '2025-12-31')
+ * const isClosed = Boolean(result.data.closedDates['2025-12-25'])
+ */
+export const getClosedDates = async (startDate, endDate) => {
+  try {
+    const closures = await loadAllClosures(false)
+    return createSuccessResponse(
+      { closedDates: ClosureUtils.getClosedDates(closures, startDate, endDate) },
+      'Closed dates retrieved'
+    )
+
+  } catch (error) {
+    if (error.success === false) return error
+    return handleError(error, 'getClosedDates')
+  }
+}
+
+/**
+ * Create a closure
+ * @function createClosure
+ * @param {Object} closure - Closure data
+ * @param {string} closure.name - e.g. "Diwali" or "Court resurfacing"
+ * @param {string} closure.start_date - First closed day (YYYY-MM-DD)
+ * @param {string} [closure.end_date] - Last closed day, defaults to start_date
+ * @param {string} [closure.repeat='none'] - 'none' or 'yearly'
+ * @param {string} [closure.notes] - Optional notes
+ * @param {string|null} [createdBy=null] - Instructor creating the closure
+ * @returns {Promise<Object>} Created closure
+ */
+export const createClosure = async (closure, createdBy = null) => {
+  try {
+    const validation = validateClosure(closure)
+    if (!validation.valid) {
+      throw handleValidationError(new Error('Invalid closure'), 'createClosure', validation.fieldErrors)
+    }
+
+    const created = await retryOperation(
+      () => storage.createDocument(DATABASE_ID, CLOSURES_COLLECTION, ID.unique(), {
+        ...toClosureData(closure),
+        source: closure.source || 'manual',
+        created_at: new Date().toISOString(),
+        created_by: createdBy
+      }),
+      'createClosure'
+    )
+
+    notifyClosuresChanged()
+
+    await logActivity('closure_created', createdBy, {
+      closure_id: created.$id,
+      name: created.name,
+      start_date: created.start_date,
+      end_date: created.end_date,
+      repeat: created.repeat
+    })
+
+    return createSuccessResponse(created, `${created.name} added`)
+
+  } catch (error) {
+    if (error.success === false) return error
+    return handleError(error, 'createClosure')
+  }
+}
+
+/**
+ * Delete a closure
+ * @function deleteClosure
+ * @param {string} closureId - Closure document ID
+ * @param {string|null} [deletedBy=null] - Instructor deleting the closure
+ * @returns {Promise<Object>} Deletion result
+ */
+export const deleteClosure = async (closureId, deletedBy = null) => {
+  try {
+    await retryOperation(
+      () => storage.deleteDocument(DATABASE_ID, CLOSURES_COLLECTION, closureId),
+      'deleteClosure'
+    )
+
+    notifyClosuresChanged()
+
+    await logActivity('closure_deleted', deletedBy, { closure_id: closureId })
+
+    return createSuccessResponse({ closureId }, 'Closure removed')
+
+  } catch (error) {
+    if (error.success === false) return error
+    return handleError(error, 'deleteClosure')
+  }
+}
+
+/**
+ * Import closures from an iCal (.ics) holiday list
+ * Events that match an existing closure by name and start date are skipped,
+ * so the same file can be imported again safely.
+ * @function importClosuresFromICal
+ * @param {string} icsText - Contents of the .ics file
+ * @param {string|null} [createdBy=null] - Instructor importing the file
+ * @returns {Promise<Object>} Imported, skipped and failed events
+ */
+export const importClosuresFromICal = async (icsText, createdBy = null) => {
+  try {
+    const events = parseICalEvents(icsText)
+    if (events.length === 0) {
+      throw handleValidationError(new Error('No events found'), 'importClosuresFromICal', {
+        file: 'No events found in this file'
+      })
+    }
+
+    const existing = await loadAllClosures(true)
+    const existingKeys = new Set(existing.map(closure => `${closure.name.toLowerCase()}|${closure.start_date}`))
+
+    const imported = []
+    const skipped = []
+    const failed = []
+
+    for (const event of events) {
+      const key = `${event.name.toLowerCase()}|${event.start_date}`
+      const validation = validateClosure(event)
+
+      if (existingKeys.has(key)) {
+        skipped.push(event)
+        continue
+      }
+
+      if (!validation.valid) {
+        failed.push({ ...event, error: Object.values(validation.fieldErrors).join(', ') })
+        continue
+      }
+
+      try {
+        const created = await retryOperation(
+          () => storage.createDocument(DATABASE_ID, CLOSURES_COLLECTION, ID.unique(), {
+            ...toClosureData(event),
+            source: 'ical',
+            created_at: new Date().toISOString(),
+            created_by: createdBy
+          }),
+          'importClosure'
+        )
+        imported.push(created)
+        existingKeys.add(key)
+      } catch (error) {
+        failed.push({ ...event, error: error.message })
+      }
+    }
+
+    if (imported.length > 0) {
+      notifyClosuresChanged()
+
+      await logActivity('closures_imported', createdBy, {
+        imported: imported.length,
+        skipped: skipped.length,
+        failed: failed.length
+      })
+    }
+
+    return createSuccessResponse(
+      { imported, skipped, failed },
+      `Imported ${imported.length} closures${skipped.length > 0 ? `, ${skipped.length} already added` : ''}`
+    )
+
+  } catch (error) {
+    if (error.success === false) return error
+    return handleError(error, 'importClosuresFromICal')
+  }
+}
+
+export default {
+  getClosures,
+  getClosedDates,
+  createClosure,
+  deleteClosure,
+  importClosuresFromICal,
+  validateClosure,
+  clearClosureCache,
+  onClosuresChanged,
+  ClosureUtils,
+  CLOSURE_CONFIG
+}
@@ -1,15 +1,19 @@
 /**
  * Database Service for SportClubApp
  * Essential database operations with enhanced error handling
+ * Reads and writes go through offlineStorage (storageService), so on
+ * Appwrite students, attendance, payments and classes can be read offline
+ * and writes are queued
  */
 
 import { 
-  databases, 
   APPWRITE_CONFIG, 
   Query, 
   ID,
   retryOperation 
 } from './appwrite.js'
+import { offlineStorage } from './storageService.js'
+import { BULK_CONFIG } from './bulkOperationService.js'
 import { 
   handleError, 
   handleValidationError, 
@@ -36,6 +40,30 @@ const validateRequiredFields = (data, requiredFields, operation) => {
   }
 }
 
+/**
+ * List every document matching the queries, one page at a time
+ */
+export const listAllDocuments = async (collectionId, queries, operation, pageSize = 100) => {
+  const documents = []
+  let total = 0
+  
+  do {
+    const response = await retryOperation(
+      () => offlineStorage.listDocuments(DATABASE_ID, collectionId, [
+        ...queries,
+        Query.limit(pageSize),
+        Query.offset(documents.length)
+      ]),
+      operation
+    )
+    total = response.total
+    documents.push(...response.documents)
+    if (response.documents.length === 0) break
+  } while (documents.length < total)
+  
+  return documents
+}
+
 /**
  * Log an activity/action in the system
  */
@@ -50,7 +78,7 @@ export const logActivity = async (action, instructorId = null, details = {}) =>
       timestamp: new Date().toISOString()
     }
     
-    const activity = await databases.createDocument(DATABASE_ID, COLLECTIONS.activity_log, ID.unique(), activityData)
+    const activity = await offlineStorage.createDocument(DATABASE_ID, COLLECTIONS.activity_log, ID.unique(), activityData)
     return createSuccessResponse(activity, 'Activity logged successfully')
     
   } catch (error) {
@@ -65,7 +93,7 @@ export const logActivity = async (action, instructorId = null, details = {}) =>
 export const getRecentActivity = async (limit = 50) => {
   try {
     const response = await retryOperation(
-      () => databases.listDocuments(DATABASE_ID, COLLECTIONS.activity_log, [
+      () => offlineStorage.listDocuments(DATABASE_ID, COLLECTIONS.activity_log, [
         Query.limit(Math.min(limit, 100)),
         Query.orderDesc('timestamp')
       ]),
@@ -92,16 +120,23 @@ export const getRecentActivity = async (limit = 50) => {
 
 /**
  * Get students with filtering options
+ * Supports batch, status and name search filters plus offset pagination
  */
 export const getStudents = async (options = {}) => {
   try {
-    const { limit = 50, batch = null } = options
+    const { limit = 50, offset = 0, batch = null, status = null, search = '' } = options
     
-    const queries = [Query.limit(Math.min(limit, 100)), Query.orderDesc('created_at')]
+    const queries = [
+      Query.limit(Math.min(limit, 100)),
+      Query.offset(Math.max(offset, 0)),
+      Query.orderDesc('created_at')
+    ]
     if (batch) queries.push(Query.contains('batches', batch))
+    if (status) queries.push(Query.equal('status', status))
+    if (search && search.trim()) queries.push(Query.contains('name', sanitizeString(search, 100)))
     
     const response = await retryOperation(
-      () => databases.listDocuments(DATABASE_ID, COLLECTIONS.students, queries),
+      () => offlineStorage.listDocuments(DATABASE_ID, COLLECTIONS.students, queries),
       'getStudents'
     )
     
@@ -140,7 +175,7 @@ export const createStudent = async (studentData, createdBy = null) => {
     }
     
     const student = await retryOperation(
-      () => databases.createDocument(DATABASE_ID, COLLECTIONS.students, ID.unique(), sanitizedData),
+      () => offlineStorage.createDocument(DATABASE_ID, COLLECTIONS.students, ID.unique(), sanitizedData),
       'createStudent'
     )
     
@@ -178,11 +213,15 @@ export const updateStudent = async (studentId, updateData, updatedBy = null) =>
     }
     
     const updatedStudent = await retryOperation(
-      () => databases.updateDocument(DATABASE_ID, COLLECTIONS.students, studentId, sanitizedData),
+      () => offlineStorage.updateDocument(DATABASE_ID, COLLECTIONS.students, studentId, sanitizedData),
       'updateStudent'
     )
     
-    await logActivity('student_updated', updatedBy, { student_id: studentId })
+    await logActivity('student_updated', updatedBy, {
+      student_id: studentId,
+      fields: Object.keys(sanitizedData).filter(field => field !== 'updated_at'),
+      status: sanitizedData.status
+    })
     
     return createSuccessResponse(updatedStudent, 'Student updated successfully')
     
@@ -212,34 +251,273 @@ export const getStudentsByBatch = async (batchName, options = {}) => {
 }
 
 // Attendance functions
+export const ATTENDANCE_STATUS = {
+  PRESENT: 'present',
+  ABSENT: 'absent',
+  LATE: 'late',
+  EXCUSED: 'excused',
+  INJURED: 'injured'
+}
+
+// Statuses that count as attending the class
+export const ATTENDED_STATUSES = [ATTENDANCE_STATUS.PRESENT, ATTENDANCE_STATUS.LATE]
+
+// Statuses that do not count against a student's attendance rate
+export const EXCUSED_STATUSES = [ATTENDANCE_STATUS.EXCUSED, ATTENDANCE_STATUS.INJURED]
+
+const ATTENDANCE_NOTES_MAX_LENGTH = 500
+
+export const isAttendedStatus = (status) => ATTENDED_STATUSES.includes(status)
+
+/**
+ * Resolve the status of an attendance record
+ * Older records only carry the boolean present flag and map onto present/absent
+ */
+export const getAttendanceStatus = (record) => {
+  if (Object.values(ATTENDANCE_STATUS).includes(record.status)) return record.status
+  return record.present ? ATTENDANCE_STATUS.PRESENT : ATTENDANCE_STATUS.ABSENT
+}
+
+/**
+ * Normalize status, present flag, check-in time and notes for a write
+ * Accepts either a status or the legacy present boolean
+ */
+const normalizeAttendanceStatus = (data, operation) => {
+  const status = data.status ?? (data.present === undefined || data.present === null
+    ? undefined
+    : data.present ? ATTENDANCE_STATUS.PRESENT : ATTENDANCE_STATUS.ABSENT)
+  
+  if (!Object.values(ATTENDANCE_STATUS).includes(status)) {
+    throw handleValidationError(new Error('Invalid attendance status'), operation, {
+      status: `status must be one of ${Object.values(ATTENDANCE_STATUS).join(', ')}`
+    })
+  }
+  
+  return {
+    status,
+    present: isAttendedStatus(status),
+    checked_in_at: data.checked_in_at || null,
+    notes: data.notes === undefined ? undefined : sanitizeString(data.notes, ATTENDANCE_NOTES_MAX_LENGTH) || null
+  }
+}
+
+/**
+ * Parse the change history stored on an attendance record
+ */
+export const parseAttendanceHistory = (record) => {
+  try {
+    const history = record?.history ? JSON.parse(record.history) : []
+    return Array.isArray(history) ? history : []
+  } catch {
+    return []
+  }
+}
+
+// Oldest history entries are dropped beyond this so the attribute stays small
+const MAX_ATTENDANCE_HISTORY = 50
+
+const serializeAttendanceHistory = (history) => {
+  return JSON.stringify(history.slice(-MAX_ATTENDANCE_HISTORY))
+}
+
+const getAttendanceKey = (record) => `${record.student_id}|${record.batch_name}|${record.date}`
+
+/**
+ * Create or update the single attendance record for a student, batch and date
+ * Status changes are appended to the record history
+ */
+const upsertAttendanceRecord = async (attendanceData, markedBy, operation) => {
+  const { student_id, batch_name, date, status, notes } = attendanceData
+  const now = new Date().toISOString()
+  const attended = isAttendedStatus(status)
+  
+  const existing = await retryOperation(
+    () => offlineStorage.listDocuments(DATABASE_ID, COLLECTIONS.attendance, [
+      Query.equal('student_id', student_id),
+      Query.equal('batch_name', batch_name),
+      Query.equal('date', date),
+      Query.orderDesc('created_at'),
+      Query.limit(1)
+    ]),
+    operation
+  )
+  
+  const current = existing.documents[0]
+  
+  if (!current) {
+    const record = await retryOperation(
+      () => offlineStorage.createDocument(DATABASE_ID, COLLECTIONS.attendance, ID.unique(), {
+        ...attendanceData,
+        checked_in_at: attended ? attendanceData.checked_in_at || now : null,
+        notes: notes || null,
+        created_at: now,
+        marked_by: markedBy,
+        history: serializeAttendanceHistory([])
+      }),
+      operation
+    )
+    return { record, created: true, changed: true, previousStatus: null }
+  }
+  
+  const previousStatus = getAttendanceStatus(current)
+  const classId = attendanceData.class_id || current.class_id || null
+  const nextNotes = notes === undefined ? current.notes || null : notes
+  
+  // Keep the first check-in while the student stays checked in
+  const checkedInAt = attended
+    ? attendanceData.checked_in_at || (isAttendedStatus(previousStatus) && current.checked_in_at) || now
+    : null
+  
+  if (
+    previousStatus === status &&
+    current.status === status &&
+    (current.class_id || null) === classId &&
+    (current.notes || null) === nextNotes &&
+    (current.checked_in_at || null) === checkedInAt
+  ) {
+    return { record: current, created: false, changed: false, previousStatus }
+  }
+  
+  const history = previousStatus === status
+    ? parseAttendanceHistory(current)
+    : [...parseAttendanceHistory(current), { from: previousStatus, to: status, changed_by: markedBy, changed_at: now }]
+  
+  const record = await retryOperation(
+    () => offlineStorage.updateDocument(DATABASE_ID, COLLECTIONS.attendance, current.$id, {
+      status,
+      present: attendanceData.present,
+      class_id: classId,
+      checked_in_at: checkedInAt,
+      notes: nextNotes,
+      updated_at: now,
+      updated_by: markedBy,
+      history: serializeAttendanceHistory(history)
+    }),
+    operation
+  )
+  
+  return { record, created: false, changed: previousStatus !== status, previousStatus }
+}
+
+/**
+ * Mark attendance for one student
+ * Marking the same student, batch and date again updates the existing record
+ */
 export const markAttendance = async (attendanceData, markedBy = null) => {
   try {
-    validateRequiredFields(attendanceData, ['student_id', 'batch_name', 'date', 'present'], 'markAttendance')
+    validateRequiredFields(attendanceData, ['student_id', 'batch_name', 'date'], 'markAttendance')
     
-    const sanitizedData = {
+    const { record, created, changed, previousStatus } = await upsertAttendanceRecord({
       student_id: attendanceData.student_id,
       batch_name: sanitizeString(attendanceData.batch_name, 20),
       date: attendanceData.date,
-      present: Boolean(attendanceData.present),
-      created_at: new Date().toISOString(),
-      marked_by: markedBy
+      ...normalizeAttendanceStatus(attendanceData, 'markAttendance')
+    }, markedBy, 'markAttendance')
+    
+    if (created) {
+      await logActivity('attendance_marked', markedBy, { 
+        student_id: attendanceData.student_id, 
+        date: attendanceData.date,
+        status: record.status
+      })
+    } else if (changed) {
+      await logActivity('attendance_changed', markedBy, {
+        student_id: attendanceData.student_id,
+        date: attendanceData.date,
+        from: previousStatus,
+        to: getAttendanceStatus(record)
+      })
     }
     
-    const attendance = await retryOperation(
-      () => databases.createDocument(DATABASE_ID, COLLECTIONS.attendance, ID.unique(), sanitizedData),
-      'markAttendance'
-    )
+    return createSuccessResponse(record, created ? 'Attendance marked successfully' : 'Attendance updated successfully')
     
-    await logActivity('attendance_marked', markedBy, { 
-      student_id: attendanceData.student_id, 
-      date: attendanceData.date 
+  } catch (error) {
+    if (error.success === false) return error
+    return handleError(error, 'markAttendance')
+  }
+}
+
+/**
+ * Save a whole class roll call in one submit
+ * Each row is written independently so one failure does not block the rest.
+ * Rows are written a few at a time, as bulk operations are, to stay inside
+ * Appwrite rate limits
+ */
+export const saveRollCall = async (rollCall, markedBy = null) => {
+  try {
+    validateRequiredFields(rollCall, ['batch_name', 'date', 'entries'], 'saveRollCall')
+    
+    if (!Array.isArray(rollCall.entries) || rollCall.entries.length === 0) {
+      throw handleValidationError(new Error('No students to mark'), 'saveRollCall', {
+        entries: 'At least one student must be marked'
+      })
+    }
+    
+    const batchName = sanitizeString(rollCall.batch_name, 20)
+    
+    const saveEntry = async (entry) => {
+      try {
+        if (!entry.student_id) {
+          throw new Error('Roll call entry is missing a student')
+        }
+        
+        const upserted = await upsertAttendanceRecord({
+          student_id: entry.student_id,
+          batch_name: batchName,
+          date: rollCall.date,
+          class_id: rollCall.class_id || null,
+          ...normalizeAttendanceStatus({ ...entry, present: undefined }, 'saveRollCall')
+        }, markedBy, 'saveRollCall')
+        
+        return { student_id: entry.student_id, success: true, ...upserted }
+        
+      } catch (error) {
+        return {
+          student_id: entry.student_id,
+          success: false,
+          error: error.message || 'Failed to save attendance'
+        }
+      }
+    }
+    
+    const results = []
+    for (let start = 0; start < rollCall.entries.length; start += BULK_CONFIG.DEFAULT_CONCURRENCY) {
+      const chunk = rollCall.entries.slice(start, start + BULK_CONFIG.DEFAULT_CONCURRENCY)
+      results.push(...await Promise.all(chunk.map(saveEntry)))
+    }
+    
+    const saved = results.filter(result => result.success)
+    const failed = results
+      .filter(result => !result.success)
+      .map(({ student_id, error }) => ({ student_id, error }))
+    
+    await logActivity('roll_call_saved', markedBy, {
+      class_id: rollCall.class_id || null,
+      batch_name: batchName,
+      date: rollCall.date,
+      saved: saved.length,
+      changed: saved
+        .filter(result => !result.created && result.changed)
+        .map(result => ({ student_id: result.student_id, from: result.previousStatus, to: result.record.status })),
+      failed: failed.length
     })
     
-    return createSuccessResponse(attendance, 'Attendance marked successfully')
+    const data = { saved: saved.length, failed, records: saved.map(result => result.record) }
+    
+    if (saved.length === 0) {
+      return handleError(new Error('No attendance records were saved'), 'saveRollCall', { failed })
+    }
+    
+    return createSuccessResponse(
+      data,
+      failed.length > 0
+        ? `Saved ${saved.length} of ${results.length} students, ${failed.length} failed`
+        : `Attendance saved for ${saved.length} students`
+    )
     
   } catch (error) {
     if (error.success === false) return error
-    return handleError(error, 'markAttendance')
+    return handleError(error, 'saveRollCall')
   }
 }
 
@@ -247,11 +525,11 @@ export const getAttendanceByDate = async (date, batchName = null) => {
   try {
     if (!date) throw handleValidationError(new Error('Date required'), 'getAttendanceByDate', { date: 'Date is required' })
     
-    const queries = [Query.equal('date', date)]
+    const queries = [Query.equal('date', date), Query.limit(100)]
     if (batchName) queries.push(Query.equal('batch_name', batchName))
     
     const response = await retryOperation(
-      () => databases.listDocuments(DATABASE_ID, COLLECTIONS.attendance, queries),
+      () => offlineStorage.listDocuments(DATABASE_ID, COLLECTIONS.attendance, queries),
       'getAttendanceByDate'
     )
     
@@ -263,14 +541,66 @@ export const getAttendanceByDate = async (date, batchName = null) => {
   }
 }
 
-export const getAttendanceByStudent = async (studentId) => {
+/**
+ * Get the most recent earlier date with attendance recorded for a batch
+ */
+export const getPreviousAttendanceDate = async (batchName, beforeDate) => {
+  try {
+    if (!batchName || !beforeDate) {
+      throw handleValidationError(new Error('Missing required parameters'), 'getPreviousAttendanceDate', {
+        batchName: !batchName ? 'Batch name is required' : undefined,
+        beforeDate: !beforeDate ? 'Date is required' : undefined
+      })
+    }
+    
+    const response = await retryOperation(
+      () => offlineStorage.listDocuments(DATABASE_ID, COLLECTIONS.attendance, [
+        Query.equal('batch_name', batchName),
+        Query.lessThan('date', beforeDate),
+        Query.orderDesc('date'),
+        Query.limit(1)
+      ]),
+      'getPreviousAttendanceDate'
+    )
+    
+    const previousDate = response.documents.length > 0 ? response.documents[0].date : null
+    
+    return createSuccessResponse({ date: previousDate }, previousDate ? 'Previous class found' : 'No previous class found')
+    
+  } catch (error) {
+    if (error.success === false) return error
+    return handleError(error, 'getPreviousAttendanceDate')
+  }
+}
+
+const buildStudentAttendanceQueries = (studentId, options = {}) => {
+  const { batch = null, startDate = null, endDate = null } = options
+  
+  const queries = [Query.equal('student_id', studentId), Query.orderDesc('date')]
+  if (batch) queries.push(Query.equal('batch_name', sanitizeString(batch, 20)))
+  if (startDate) queries.push(Query.greaterThanEqual('date', startDate))
+  if (endDate) queries.push(Query.lessThanEqual('date', endDate))
+  
+  return queries
+}
+
+/**
+ * Get one page of a student's attendance history, newest first
+ */
+export const getAttendanceByStudent = async (studentId, options = {}) => {
   try {
     if (!studentId) throw handleValidationError(new Error('Student ID required'), 'getAttendanceByStudent', { studentId: 'Student ID is required' })
     
-    const queries = [Query.equal('student_id', studentId), Query.limit(100)]
+    const { limit = 50, offset = 0 } = options
+    
+    const queries = [
+      ...buildStudentAttendanceQueries(studentId, options),
+      Query.limit(Math.min(limit, 100)),
+      Query.offset(Math.max(offset, 0))
+    ]
     
     const response = await retryOperation(
-      () => databases.listDocuments(DATABASE_ID, COLLECTIONS.attendance, queries),
+      () => offlineStorage.listDocuments(DATABASE_ID, COLLECTIONS.attendance, queries),
       'getAttendanceByStudent'
     )
     
@@ -282,6 +612,114 @@ export const getAttendanceByStudent = async (studentId) => {
   }
 }
 
+/**
+ * Get a student's complete attendance history for statistics, newest first
+ */
+export const getAllAttendanceByStudent = async (studentId, options = {}) => {
+  try {
+    if (!studentId) throw handleValidationError(new Error('Student ID required'), 'getAllAttendanceByStudent', { studentId: 'Student ID is required' })
+    
+    const attendance = await listAllDocuments(
+      COLLECTIONS.attendance,
+      buildStudentAttendanceQueries(studentId, options),
+      'getAllAttendanceByStudent'
+    )
+    
+    return createSuccessResponse({ attendance, total: attendance.length }, 'Student attendance history retrieved')
+    
+  } catch (error) {
+    if (error.success === false) return error
+    return handleError(error, 'getAllAttendanceByStudent')
+  }
+}
+
+/**
+ * One-off cleanup that merges duplicate attendance records
+ * Keeps the most recent record for each student, batch and date, folds the
+ * older records into its history and deletes them
+ */
+export const mergeDuplicateAttendance = async (options = {}, performedBy = null) => {
+  try {
+    const { batchName = null, startDate = null, endDate = null } = options
+    
+    const queries = [Query.orderAsc('created_at')]
+    if (batchName) queries.push(Query.equal('batch_name', sanitizeString(batchName, 20)))
+    if (startDate) queries.push(Query.greaterThanEqual('date', startDate))
+    if (endDate) queries.push(Query.lessThanEqual('date', endDate))
+    
+    // Load every matching record before changing anything so paging is stable
+    const records = await listAllDocuments(COLLECTIONS.attendance, queries, 'mergeDuplicateAttendance')
+    
+    const groups = new Map()
+    records.forEach(record => {
+      const key = getAttendanceKey(record)
+      if (!groups.has(key)) groups.set(key, [])
+      groups.get(key).push(record)
+    })
+    
+    const duplicateGroups = Array.from(groups.values()).filter(group => group.length > 1)
+    const failed = []
+    let deleted = 0
+    
+    // Sequential on purpose: cleanup is rare and should not flood the API
+    for (const group of duplicateGroups) {
+      const ordered = [...group].sort((a, b) => (a.created_at || '').localeCompare(b.created_at || ''))
+      const keeper = ordered[ordered.length - 1]
+      
+      const history = ordered.flatMap(record => parseAttendanceHistory(record))
+      ordered.slice(1).forEach((record, index) => {
+        const from = getAttendanceStatus(ordered[index])
+        const to = getAttendanceStatus(record)
+        if (from !== to) {
+          history.push({ from, to, changed_by: record.marked_by || null, changed_at: record.created_at, merged: true })
+        }
+      })
+      history.sort((a, b) => (a.changed_at || '').localeCompare(b.changed_at || ''))
+      
+      try {
+        await retryOperation(
+          () => offlineStorage.updateDocument(DATABASE_ID, COLLECTIONS.attendance, keeper.$id, {
+            status: getAttendanceStatus(keeper),
+            history: serializeAttendanceHistory(history),
+            updated_at: new Date().toISOString(),
+            updated_by: performedBy
+          }),
+          'mergeDuplicateAttendance'
+        )
+        
+        for (const record of ordered.slice(0, -1)) {
+          await retryOperation(
+            () => offlineStorage.deleteDocument(DATABASE_ID, COLLECTIONS.attendance, record.$id),
+            'mergeDuplicateAttendance'
+          )
+          deleted++
+        }
+      } catch (error) {
+        failed.push({ key: getAttendanceKey(keeper), error: error.message || 'Failed to merge duplicates' })
+      }
+    }
+    
+    await logActivity('attendance_duplicates_merged', performedBy, {
+      batch_name: batchName,
+      start_date: startDate,
+      end_date: endDate,
+      scanned: records.length,
+      groups: duplicateGroups.length,
+      deleted,
+      failed: failed.length
+    })
+    
+    return createSuccessResponse(
+      { scanned: records.length, groups: duplicateGroups.length, deleted, failed },
+      `Merged ${duplicateGroups.length - failed.length} duplicate groups, removed ${deleted} records`
+    )
+    
+  } catch (error) {
+    if (error.success === false) return error
+    return handleError(error, 'mergeDuplicateAttendance')
+  }
+}
+
 // Payment functions
 export const markPayment = async (paymentData, markedBy = null) => {
   try {
@@ -297,7 +735,7 @@ export const markPayment = async (paymentData, markedBy = null) => {
     }
     
     const payment = await retryOperation(
-      () => databases.createDocument(DATABASE_ID, COLLECTIONS.payments, ID.unique(), sanitizedData),
+      () => offlineStorage.createDocument(DATABASE_ID, COLLECTIONS.payments, ID.unique(), sanitizedData),
       'markPayment'
     )
     
@@ -326,10 +764,11 @@ export const getPaymentStatus = async (studentId, month, year) => {
     }
     
     const response = await retryOperation(
-      () => databases.listDocuments(DATABASE_ID, COLLECTIONS.payments, [
+      () => offlineStorage.listDocuments(DATABASE_ID, COLLECTIONS.payments, [
         Query.equal('student_id', studentId),
         Query.equal('month', month),
         Query.equal('year', parseInt(year)),
+        Query.orderDesc('created_at'),
         Query.limit(1)
       ]),
       'getPaymentStatus'
@@ -360,12 +799,9 @@ export const getMonthlyPayments = async (month, year) => {
     
     const queries = [Query.equal('month', month), Query.equal('year', parseInt(year))]
     
-    const response = await retryOperation(
-      () => databases.listDocuments(DATABASE_ID, COLLECTIONS.payments, queries),
-      'getMonthlyPayments'
-    )
+    const payments = await listAllDocuments(COLLECTIONS.payments, queries, 'getMonthlyPayments')
     
-    return createSuccessResponse({ payments: response.documents, total: response.total }, 'Monthly payments retrieved')
+    return createSuccessResponse({ payments, total: payments.length }, 'Monthly payments retrieved')
     
   } catch (error) {
     if (error.success === false) return error
@@ -391,7 +827,7 @@ export const scheduleClasses = async (classData, scheduledBy = null) => {
             scheduled_by: scheduledBy
           }
           
-          const classRecord = await databases.createDocument(DATABASE_ID, COLLECTIONS.classes, ID.unique(), sanitizedData)
+          const classRecord = await offlineStorage.createDocument(DATABASE_ID, COLLECTIONS.classes, ID.unique(), sanitizedData)
           createdClasses.push(classRecord)
         } catch (error) {
           console.error(`Failed to create class for ${batchName} on ${date}:`, error)
@@ -425,7 +861,7 @@ export const getScheduledClasses = async (startDate, endDate) => {
     ]
     
     const response = await retryOperation(
-      () => databases.listDocuments(DATABASE_ID, COLLECTIONS.classes, queries),
+      () => offlineStorage.listDocuments(DATABASE_ID, COLLECTIONS.classes, queries),
       'getScheduledClasses'
     )
     
@@ -447,7 +883,7 @@ export const updateClassStatus = async (date, batchName, status, updatedBy = nul
       })
     }
     
-    const existingClass = await databases.listDocuments(DATABASE_ID, COLLECTIONS.classes, [
+    const existingClass = await offlineStorage.listDocuments(DATABASE_ID, COLLECTIONS.classes, [
       Query.equal('date', date),
       Query.equal('batch_name', batchName),
       Query.limit(1)
@@ -467,7 +903,7 @@ export const updateClassStatus = async (date, batchName, status, updatedBy = nul
     }
     
     const updatedClass = await retryOperation(
-      () => databases.updateDocument(DATABASE_ID, COLLECTIONS.classes, classRecord.$id, updateData),
+      () => offlineStorage.updateDocument(DATABASE_ID, COLLECTIONS.classes, classRecord.$id, updateData),
       'updateClassStatus'
     )
     
@@ -0,0 +1,174 @@
+/**
+ * Demo Data
+ *
+ * A small club to load into the memory storage adapter: two instructors,
+ * two batches with their fee plans, a handful of students, this fortnight's
+ * classes, attendance for the classes already held and this month's
+ * payments. Dates are worked out from today, so the calendar and the
+ * dashboards always have something current to show.
+ *
+ * @service
+ * @version 1.0.0
+ */
+
+import { APPWRITE_CONFIG } from './appwrite.js'
+import { today, addDays, eachDate, getWeekday, getClubTimezone } from '../utils/dates.js'
+
+const COLLECTIONS = APPWRITE_CONFIG.collections
+
+// Instructor accounts the demo data belongs to, and their sign-in password
+export const DEMO_INSTRUCTORS = [
+  { $id: 'demo-instructor-1', name: 'Priya Sharma', email: 'priya@demo.sportclub.app', role: 'admin', status: 'active' },
+  { $id: 'demo-instructor-2', name: 'Arjun Rao', email: 'arjun@demo.sportclub.app', role: 'instructor', status: 'active' }
+]
+
+export const DEMO_PASSWORD = 'demo-club'
+
+const DEMO_BATCHES = [
+  {
+    $id: 'demo-batch-morning',
+    name: 'Morning Batch',
+    start_time: '06:00',
+    end_time: '08:00',
+    days_of_week: [1, 3, 5],
+    capacity: 15,
+    color: 'orange',
+    venue: 'Main Ground',
+    instructor_ids: ['demo-instructor-1'],
+    active: true
+  },
+  {
+    $id: 'demo-batch-evening',
+    name: 'Evening Batch',
+    start_time: '18:00',
+    end_time: '20:00',
+    days_of_week: [2, 4, 6],
+    capacity: 12,
+    color: 'purple',
+    venue: 'Indoor Hall',
+    instructor_ids: ['demo-instructor-2'],
+    active: true
+  }
+]
+
+const DEMO_STUDENTS = [
+  { name: 'Aarav Patel', contact: '9800000001', batches: ['Morning Batch'] },
+  { name: 'Diya Menon', contact: '9800000002', batches: ['Morning Batch'] },
+  { name: 'Kabir Singh', contact: '9800000003', batches: ['Morning Batch', 'Evening Batch'] },
+  { name: 'Meera Iyer', contact: '9800000004', batches: ['Evening Batch'] },
+  { name: 'Rohan Das', contact: '9800000005', batches: ['Evening Batch'] },
+  { name: 'Sara Khan', contact: '9800000006', batches: ['Evening Batch'] }
+]
+
+// Attendance cycles through these for classes already held
+const ATTENDANCE_PATTERN = ['present', 'present', 'late', 'present', 'absent', 'excused']
+
+/**
+ * Build the demo documents around today's date
+ * @function createDemoData
+ * @returns {Object} Documents keyed by collection ID, ready to seed an adapter
+ *
+ * @example
+ * const storage = createMemoryAdapter(createDemoData())
+ */
+export const createDemoData = () => {
+  const todayKey = today()
+  const createdAt = `${addDays(todayKey, -60)}T00:00:00.000Z`
+  const [admin] = DEMO_INSTRUCTORS
+
+  const students = DEMO_STUDENTS.map((student, index) => ({
+    $id: `demo-student-${index + 1}`,
+    ...student,
+    email: null,
+    status: 'active',
+    payment_status: index % 3 === 2 ? 'pending' : 'paid',
+    created_at: createdAt,
+    created_by: admin.$id
+  }))
+
+  const classes = eachDate(addDays(todayKey, -7), addDays(todayKey, 7)).flatMap(date => (
+    DEMO_BATCHES
+      .filter(batch => batch.days_of_week.includes(getWeekday(date)))
+      .map(batch => ({
+        $id: `demo-class-${batch.$id.replace('demo-batch-', '')}-${date}`,
+        date,
+        batch_id: batch.$id,
+        batch_name: batch.name,
+        time: batch.start_time,
+        status: date < todayKey ? 'completed' : 'scheduled',
+        max_students: batch.capacity,
+        instructor_ids: batch.instructor_ids,
+        timezone: getClubTimezone(),
+        scheduled_by: admin.$id,
+        notes: '',
+        created_at: createdAt,
+        updated_at: createdAt
+      }))
+  ))
+
+  const attendance = classes
+    .filter(classDoc => classDoc.date < todayKey)
+    .flatMap(classDoc => students
+      .filter(student => student.batches.includes(classDoc.batch_name))
+      .map((student, index) => {
+        const status = ATTENDANCE_PATTERN[(index + Number(classDoc.date.slice(8))) % ATTENDANCE_PATTERN.length]
+        return {
+          $id: `demo-attendance-${student.$id.replace('demo-student-', '')}-${classDoc.$id.replace('demo-class-', '')}`,
+          student_id: student.$id,
+          batch_name: classDoc.batch_name,
+          date: classDoc.date,
+          status,
+          present: status === 'present' || status === 'late',
+          checked_in_at: null,
+          notes: null,
+          created_at: `${classDoc.date}T12:00:00.000Z`,
+          marked_by: classDoc.instructor_ids[0],
+          history: '[]'
+        }
+      }))
+
+  const feePlans = DEMO_BATCHES.map(batch => ({
+    $id: `demo-fee-${batch.$id.replace('demo-batch-', '')}`,
+    batch_name: batch.name,
+    name: `${batch.name} Monthly Fee`,
+    amount: 1500,
+    due_day: 5,
+    active: true,
+    created_at: createdAt,
+    created_by: admin.$id,
+    updated_at: createdAt,
+    updated_by: admin.$id
+  }))
+
+  const [year, month] = todayKey.split('-')
+  const payments = students
+    .filter(student => student.payment_status === 'paid')
+    .map(student => ({
+      $id: `demo-payment-${student.$id.replace('demo-student-', '')}-${year}${month}`,
+      student_id: student.$id,
+      month,
+      year: Number(year),
+      amount: 1500 * student.batches.length,
+      amount_due: 1500 * student.batches.length,
+      method: 'UPI',
+      reference: `DEMO${student.$id.slice(-1)}${month}`,
+      paid_date: `${year}-${month}-01`,
+      notes: null,
+      status: 'paid',
+      paid: true,
+      created_at: `${year}-${month}-01T10:00:00.000Z`,
+      marked_by: admin.$id
+    }))
+
+  return {
+    [COLLECTIONS.instructors]: DEMO_INSTRUCTORS,
+    [COLLECTIONS.batches]: DEMO_BATCHES,
+    [COLLECTIONS.students]: students,
+    [COLLECTIONS.classes]: classes,
+    [COLLECTIONS.attendance]: attendance,
+    [COLLECTIONS.fee_plans]: feePlans,
+    [COLLECTIONS.payments]: payments
+  }
+}
+
+export default createDemoData
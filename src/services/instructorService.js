@@ -0,0 +1,477 @@
+/**
+ * Instructor Service
+ *
+ * Instructors assigned to classes, and cover for classes an instructor
+ * can't teach. An instructor marks themselves unavailable for a class,
+ * which opens a substitute request in the Appwrite substitute_requests
+ * collection; another instructor who is free at that time claims it and
+ * takes their place on the class. Assignments and every step of a request
+ * are written to the activity log.
+ *
+ * @service
+ * @version 1.0.0
+ */
+
+import { APPWRITE_CONFIG, Query, ID, retryOperation } from './appwrite.js'
+import { storage } from './storageService.js'
+import {
+  handleError,
+  handleValidationError,
+  createSuccessResponse
+} from '../utils/errorHandler.js'
+import { listAllDocuments, logActivity } from './databaseService.js'
+import { getBatchesByIds, getInstructors } from './batchService.js'
+import {
+  checkInstructorAvailability,
+  getClassInstructorIds,
+  SCHEDULING_CONFIG,
+  DateUtils
+} from './schedulingService.js'
+
+const DATABASE_ID = APPWRITE_CONFIG.databaseId
+const CLASSES_COLLECTION = APPWRITE_CONFIG.collections.classes
+const REQUESTS_COLLECTION = APPWRITE_CONFIG.collections.substitute_requests
+
+/**
+ * Instructor assignment constants
+ * @constant
+ */
+export const INSTRUCTOR_CONFIG = {
+  SUBSTITUTE_STATUS: {
+    OPEN: 'open',
+    CLAIMED: 'claimed',
+    WITHDRAWN: 'withdrawn'
+  },
+
+  MAX_REASON_LENGTH: 200
+}
+
+// Listeners told when assignments or substitute requests change
+const changeListeners = new Set()
+
+/**
+ * Listen for assignments and substitute requests changing in this app
+ * @function onSubstitutesChanged
+ * @param {Function} listener - Called after every change
+ * @returns {Function} Unsubscribe
+ */
+export const onSubstitutesChanged = (listener) => {
+  changeListeners.add(listener)
+  return () => changeListeners.delete(listener)
+}
+
+/**
+ * Tell listeners assignments or substitute requests changed
+ * @function notifySubstitutesChanged
+ */
+const notifySubstitutesChanged = () => {
+  changeListeners.forEach(listener => {
+    try {
+      listener()
+    } catch (error) {
+      console.warn('Substitute change listener failed:', error)
+    }
+  })
+}
+
+/**
+ * Load a class with the instructors assigned to it
+ * @function loadClass
+ * @param {string} classId - Class document ID
+ * @returns {Promise<Object>} { classDoc, instructorIds }
+ */
+const loadClass = async (classId) => {
+  const classDoc = await retryOperation(
+    () => storage.getDocument(DATABASE_ID, CLASSES_COLLECTION, classId),
+    'getClass'
+  )
+
+  let batch = null
+  if (!classDoc.instructor_ids?.length && classDoc.batch_id) {
+    const lookup = await getBatchesByIds([classDoc.batch_id])
+    batch = lookup.success ? lookup.data.batches[0] : null
+  }
+
+  return { classDoc, instructorIds: getClassInstructorIds(classDoc, batch) }
+}
+
+/**
+ * Instructor documents keyed by ID
+ * @function loadInstructorsById
+ * @returns {Promise<Object>} Instructors keyed by document ID
+ */
+const loadInstructorsById = async () => {
+  const result = await getInstructors()
+  if (!result.success) throw result
+  return Object.fromEntries(result.data.instructors.map(instructor => [instructor.$id, instructor]))
+}
+
+/**
+ * Refuse changes to classes that are not upcoming scheduled classes
+ * @function assertUpcoming
+ * @param {Object} classDoc - Class document
+ * @param {string} operation - Operation name
+ */
+const assertUpcoming = (classDoc, operation) => {
+  if (classDoc.status !== SCHEDULING_CONFIG.STATUS.SCHEDULED) {
+    throw handleValidationError(new Error(`This class is ${classDoc.status}`), operation)
+  }
+  if (classDoc.date < DateUtils.formatDateForStorage(new Date())) {
+    throw handleValidationError(new Error('This class has already taken place'), operation)
+  }
+}
+
+/**
+ * Refuse instructors who are teaching another class at the same time
+ * @function assertAvailable
+ * @param {Array<string>} instructorIds - Instructors to check
+ * @param {Object} classDoc - Class document
+ * @param {Object} instructorsById - Instructors keyed by ID
+ * @param {string} operation - Operation name
+ */
+const assertAvailable = async (instructorIds, classDoc, instructorsById, operation) => {
+  const availability = await checkInstructorAvailability(instructorIds, classDoc, {
+    ignoreIds: new Set([classDoc.$id])
+  })
+  if (!availability.success) throw availability
+
+  if (!availability.data.available) {
+    const busy = availability.data.conflicts.map(({ instructorId, existingClass }) =>
+      `${instructorsById[instructorId]?.name || instructorId} (${existingClass.batch_name} at ${existingClass.time || 'the same time'})`
+    )
+    throw handleValidationError(
+      new Error(`Already teaching then: ${[...new Set(busy)].join(', ')}`),
+      operation
+    )
+  }
+}
+
+/**
+ * Label for a class in the activity log
+ * @function describeClass
+ * @param {Object} classDoc - Class document
+ * @returns {string} e.g. "Morning Batch 2025-03-04 06:00"
+ */
+const describeClass = (classDoc) => `${classDoc.batch_name} ${classDoc.date}${classDoc.time ? ` ${classDoc.time}` : ''}`
+
+/**
+ * Assign instructors to a class
+ * Instructors being added must be free at the class's time. Open
+ * substitute requests of instructors taken off the class are withdrawn.
+ * @function assignInstructors
+ * @param {string} classId - Class document ID
+ * @param {Array<string>} instructorIds - Instructor document IDs
+ * @param {string|null} [assignedBy=null] - Instructor making the change
+ * @returns {Promise<Object>} Updated class
+ *
+ * @example
+ * const result = await assignInstructors(classId, [headCoachId, assistantId], instructorId)
+ */
+export const assignInstructors = async (classId, instructorIds, assignedBy = null) => {
+  try {
+    if (!classId || !Array.isArray(instructorIds)) {
+      throw handleValidationError(new Error('Class and instructors required'), 'assignInstructors', {
+        classId: !classId ? 'Class ID is required' : undefined,
+        instructorIds: !Array.isArray(instructorIds) ? 'Instructors must be a list' : undefined
+      })
+    }
+
+    const ids = [...new Set(instructorIds)]
+    const { classDoc, instructorIds: currentIds } = await loadClass(classId)
+    assertUpcoming(classDoc, 'assignInstructors')
+
+    const instructorsById = await loadInstructorsById()
+    const unknown = ids.filter(id => !instructorsById[id])
+    if (unknown.length > 0) {
+      throw handleValidationError(new Error(`Unknown instructors: ${unknown.join(', ')}`), 'assignInstructors')
+    }
+
+    const added = ids.filter(id => !currentIds.includes(id))
+    const removed = currentIds.filter(id => !ids.includes(id))
+    await assertAvailable(added, classDoc, instructorsById, 'assignInstructors')
+
+    const updated = await retryOperation(
+      () => storage.updateDocument(DATABASE_ID, CLASSES_COLLECTION, classId, {
+        instructor_ids: ids,
+        updated_at: new Date().toISOString()
+      }),
+      'assign_instructors'
+    )
+
+    if (removed.length > 0) {
+      const stale = await listAllDocuments(REQUESTS_COLLECTION, [
+        Query.equal('class_id', classId),
+        Query.equal('instructor_id', removed),
+        Query.equal('status', INSTRUCTOR_CONFIG.SUBSTITUTE_STATUS.OPEN)
+      ], 'load_stale_substitute_requests')
+
+      for (const request of stale) {
+        await retryOperation(
+          () => storage.updateDocument(DATABASE_ID, REQUESTS_COLLECTION, request.$id, {
+            status: INSTRUCTOR_CONFIG.SUBSTITUTE_STATUS.WITHDRAWN
+          }),
+          'withdraw_substitute_request'
+        )
+      }
+    }
+
+    notifySubstitutesChanged()
+
+    await logActivity('instructors_assigned', assignedBy, {
+      class_id: classId,
+      label: `${describeClass(classDoc)}: ${ids.map(id => instructorsById[id].name).join(', ') || 'no instructors'}`,
+      instructor_ids: ids
+    })
+
+    return createSuccessResponse(updated, 'Instructors updated')
+
+  } catch (error) {
+    if (error.success === false) return error
+    return handleError(error, 'assignInstructors')
+  }
+}
+
+/**
+ * Get substitute requests for classes in a date range
+ * @function getSubstituteRequests
+ * @param {Object} [options] - Query options
+ * @param {string} [options.startDate] - First class date (YYYY-MM-DD), defaults to today
+ * @param {string} [options.endDate] - Last class date (YYYY-MM-DD)
+ * @param {string} [options.status='open'] - Request status
+ * @returns {Promise<Object>} { requests } ordered by class date and time
+ */
+export const getSubstituteRequests = async (options = {}) => {
+  try {
+    const {
+      startDate = DateUtils.formatDateForStorage(new Date()),
+      endDate = null,
+      status = INSTRUCTOR_CONFIG.SUBSTITUTE_STATUS.OPEN
+    } = options
+
+    const queries = [
+      Query.greaterThanEqual('class_date', startDate),
+      Query.equal('status', status),
+      Query.orderAsc('class_date'),
+      Query.orderAsc('class_time')
+    ]
+    if (endDate) queries.push(Query.lessThanEqual('class_date', endDate))
+
+    const requests = await listAllDocuments(REQUESTS_COLLECTION, queries, 'getSubstituteRequests')
+
+    return createSuccessResponse({ requests, total: requests.length }, 'Substitute requests retrieved')
+
+  } catch (error) {
+    if (error.success === false) return error
+    return handleError(error, 'getSubstituteRequests')
+  }
+}
+
+/**
+ * Mark an instructor unavailable for a class and ask for cover
+ * The instructor stays on the class until someone claims the request.
+ * @function requestSubstitute
+ * @param {string} classId - Class document ID
+ * @param {string} instructorId - Instructor who can't teach the class
+ * @param {string} [reason=''] - Why, shown to other instructors
+ * @returns {Promise<Object>} Created substitute request
+ *
+ * @example
+ * await requestSubstitute(classItem.$id, instructorId, 'Tournament away')
+ */
+export const requestSubstitute = async (classId, instructorId, reason = '') => {
+  try {
+    if (!classId || !instructorId) {
+      throw handleValidationError(new Error('Class and instructor required'), 'requestSubstitute', {
+        classId: !classId ? 'Class ID is required' : undefined,
+        instructorId: !instructorId ? 'Instructor is required' : undefined
+      })
+    }
+
+    const { classDoc, instructorIds } = await loadClass(classId)
+    assertUpcoming(classDoc, 'requestSubstitute')
+
+    if (!instructorIds.includes(instructorId)) {
+      throw handleValidationError(new Error('Only an instructor assigned to this class can ask for cover'), 'requestSubstitute')
+    }
+
+    const existing = await listAllDocuments(REQUESTS_COLLECTION, [
+      Query.equal('class_id', classId),
+      Query.equal('instructor_id', instructorId),
+      Query.equal('status', INSTRUCTOR_CONFIG.SUBSTITUTE_STATUS.OPEN)
+    ], 'find_substitute_request')
+    if (existing.length > 0) {
+      throw handleValidationError(new Error('Cover has already been requested for this class'), 'requestSubstitute')
+    }
+
+    const instructorsById = await loadInstructorsById()
+
+    const request = await retryOperation(
+      () => storage.createDocument(DATABASE_ID, REQUESTS_COLLECTION, ID.unique(), {
+        class_id: classId,
+        class_date: classDoc.date,
+        class_time: classDoc.time || '',
+        batch_name: classDoc.batch_name,
+        instructor_id: instructorId,
+        instructor_name: instructorsById[instructorId]?.name || '',
+        reason: (reason || '').trim().slice(0, INSTRUCTOR_CONFIG.MAX_REASON_LENGTH),
+        status: INSTRUCTOR_CONFIG.SUBSTITUTE_STATUS.OPEN,
+        requested_at: new Date().toISOString(),
+        claimed_by: null,
+        claimed_by_name: null,
+        claimed_at: null
+      }),
+      'createSubstituteRequest'
+    )
+
+    notifySubstitutesChanged()
+
+    await logActivity('substitute_requested', instructorId, {
+      class_id: classId,
+      request_id: request.$id,
+      label: describeClass(classDoc),
+      reason: request.reason
+    })
+
+    return createSuccessResponse(request, 'Cover requested; other instructors can now claim this class')
+
+  } catch (error) {
+    if (error.success === false) return error
+    return handleError(error, 'requestSubstitute')
+  }
+}
+
+/**
+ * Claim a substitute request and take over the class
+ * @function claimSubstitute
+ * @param {string} requestId - Substitute request ID
+ * @param {string} instructorId - Instructor taking the class
+ * @returns {Promise<Object>} { request, classDoc }
+ *
+ * @example
+ * const result = await claimSubstitute(request.$id, instructorId)
+ */
+export const claimSubstitute = async (requestId, instructorId) => {
+  try {
+    if (!requestId || !instructorId) {
+      throw handleValidationError(new Error('Request and instructor required'), 'claimSubstitute', {
+        requestId: !requestId ? 'Request ID is required' : undefined,
+        instructorId: !instructorId ? 'Instructor is required' : undefined
+      })
+    }
+
+    const request = await retryOperation(
+      () => storage.getDocument(DATABASE_ID, REQUESTS_COLLECTION, requestId),
+      'getSubstituteRequest'
+    )
+    if (request.status !== INSTRUCTOR_CONFIG.SUBSTITUTE_STATUS.OPEN) {
+      throw handleValidationError(new Error(
+        request.status === INSTRUCTOR_CONFIG.SUBSTITUTE_STATUS.CLAIMED
+          ? `${request.claimed_by_name || 'Another instructor'} has already taken this class`
+          : 'This request has been withdrawn'
+      ), 'claimSubstitute')
+    }
+
+    const { classDoc, instructorIds } = await loadClass(request.class_id)
+    assertUpcoming(classDoc, 'claimSubstitute')
+
+    if (instructorIds.includes(instructorId)) {
+      throw handleValidationError(new Error('You are already teaching this class'), 'claimSubstitute')
+    }
+
+    const instructorsById = await loadInstructorsById()
+    await assertAvailable([instructorId], classDoc, instructorsById, 'claimSubstitute')
+
+    const now = new Date().toISOString()
+    const updatedRequest = await retryOperation(
+      () => storage.updateDocument(DATABASE_ID, REQUESTS_COLLECTION, requestId, {
+        status: INSTRUCTOR_CONFIG.SUBSTITUTE_STATUS.CLAIMED,
+        claimed_by: instructorId,
+        claimed_by_name: instructorsById[instructorId]?.name || '',
+        claimed_at: now
+      }),
+      'claimSubstituteRequest'
+    )
+
+    const updatedClass = await retryOperation(
+      () => storage.updateDocument(DATABASE_ID, CLASSES_COLLECTION, classDoc.$id, {
+        instructor_ids: [...instructorIds.filter(id => id !== request.instructor_id), instructorId],
+        updated_at: now
+      }),
+      'assign_substitute'
+    )
+
+    notifySubstitutesChanged()
+
+    await logActivity('substitute_claimed', instructorId, {
+      class_id: classDoc.$id,
+      request_id: requestId,
+      label: `${describeClass(classDoc)}, covering ${request.instructor_name || request.instructor_id}`,
+      replaced_instructor_id: request.instructor_id
+    })
+
+    return createSuccessResponse(
+      { request: updatedRequest, classDoc: updatedClass },
+      `You are now teaching ${describeClass(classDoc)}`
+    )
+
+  } catch (error) {
+    if (error.success === false) return error
+    return handleError(error, 'claimSubstitute')
+  }
+}
+
+/**
+ * Withdraw a substitute request that has not been claimed
+ * @function withdrawSubstituteRequest
+ * @param {string} requestId - Substitute request ID
+ * @param {string|null} [withdrawnBy=null] - Instructor withdrawing the request
+ * @returns {Promise<Object>} Updated request
+ */
+export const withdrawSubstituteRequest = async (requestId, withdrawnBy = null) => {
+  try {
+    if (!requestId) {
+      throw handleValidationError(new Error('Request ID required'), 'withdrawSubstituteRequest', {
+        requestId: 'Request ID is required'
+      })
+    }
+
+    const request = await retryOperation(
+      () => storage.getDocument(DATABASE_ID, REQUESTS_COLLECTION, requestId),
+      'getSubstituteRequest'
+    )
+    if (request.status !== INSTRUCTOR_CONFIG.SUBSTITUTE_STATUS.OPEN) {
+      throw handleValidationError(new Error('Only open requests can be withdrawn'), 'withdrawSubstituteRequest')
+    }
+
+    const updated = await retryOperation(
+      () => storage.updateDocument(DATABASE_ID, REQUESTS_COLLECTION, requestId, {
+        status: INSTRUCTOR_CONFIG.SUBSTITUTE_STATUS.WITHDRAWN
+      }),
+      'withdrawSubstituteRequest'
+    )
+
+    notifySubstitutesChanged()
+
+    await logActivity('substitute_withdrawn', withdrawnBy, {
+      class_id: request.class_id,
+      request_id: requestId,
+      label: `${request.batch_name} ${request.class_date}`
+    })
+
+    return createSuccessResponse(updated, 'Cover request withdrawn')
+
+  } catch (error) {
+    if (error.success === false) return error
+    return handleError(error, 'withdrawSubstituteRequest')
+  }
+}
+
+export default {
+  assignInstructors,
+  getSubstituteRequests,
+  requestSubstitute,
+  claimSubstitute,
+  withdrawSubstituteRequest,
+  onSubstitutesChanged,
+  INSTRUCTOR_CONFIG
+}
@@ -0,0 +1,402 @@
+/**
+ * Invoice Service
+ *
+ * Issues invoices and payment receipts with sequential numbers stored in
+ * Appwrite. Documents keep a snapshot of their line items so they can be
+ * printed or saved as PDF later, including offline.
+ *
+ * Numbers are taken from the invoices already on the server, so on Appwrite
+ * documents are only issued and listed online; invoices are not mirrored
+ * or queued by offlineService. canIssueDocuments tells the UI when to offer
+ * them. A local adapter has no such limit.
+ *
+ * @service
+ * @version 1.0.0
+ */
+
+import { APPWRITE_CONFIG, Query, retryOperation } from './appwrite.js'
+import { storage, isLocalStorage } from './storageService.js'
+import { isOffline } from './offlineService.js'
+import {
+  handleError,
+  handleValidationError,
+  handleNetworkError,
+  createSuccessResponse,
+  ErrorTypes
+} from '../utils/errorHandler.js'
+import { logActivity, listAllDocuments } from './databaseService.js'
+import {
+  PaymentUtils,
+  getStudentBalance,
+  summarizePeriodPayments
+} from './paymentService.js'
+import { toDateKey } from '../utils/dates.js'
+
+const DATABASE_ID = APPWRITE_CONFIG.databaseId
+const INVOICES_COLLECTION = APPWRITE_CONFIG.collections.invoices
+const PAYMENTS_COLLECTION = APPWRITE_CONFIG.collections.payments
+const STUDENTS_COLLECTION = APPWRITE_CONFIG.collections.students
+
+/**
+ * Invoice constants and club branding
+ * @constant
+ */
+export const INVOICE_CONFIG = {
+  // Club details printed on every document; empty lines are skipped
+  BRANDING: {
+    name: 'SportClub',
+    tagline: 'Sports Club Management',
+    address: [],
+    phone: '',
+    email: '',
+    website: '',
+    accentColor: '#3b82f6',
+    footer: 'Thank you for training with us.'
+  },
+
+  // Kinds of document issued
+  TYPES: {
+    INVOICE: 'invoice',
+    RECEIPT: 'receipt'
+  },
+
+  // Number prefix per document type, e.g. INV-2025-00042
+  PREFIXES: {
+    invoice: 'INV',
+    receipt: 'RCT'
+  },
+
+  // Digits in the yearly sequence
+  SEQUENCE_DIGITS: 5,
+
+  // Attempts to claim a number when another device takes the same one first
+  MAX_NUMBER_ATTEMPTS: 5,
+
+  // Shown instead of issuing or listing documents without a connection
+  OFFLINE_MESSAGE: 'Invoices and receipts are numbered by the server, so they can only be issued and viewed online'
+}
+
+/**
+ * Whether invoices and receipts can be issued and listed now
+ * @function canIssueDocuments
+ * @returns {boolean} True online, or always with a local adapter
+ */
+export const canIssueDocuments = () => isLocalStorage() || !isOffline()
+
+/**
+ * Error returned when documents are needed without a connection
+ * @function createOfflineError
+ * @param {string} operation - Operation name
+ * @returns {Object} Network error with INVOICE_CONFIG.OFFLINE_MESSAGE
+ * @private
+ */
+const createOfflineError = (operation) => ({
+  ...handleNetworkError(new Error('Invoices need a connection'), operation),
+  message: INVOICE_CONFIG.OFFLINE_MESSAGE
+})
+
+/**
+ * Format a document number
+ * @function formatDocumentNumber
+ * @param {string} type - One of INVOICE_CONFIG.TYPES
+ * @param {number} year - Year the sequence belongs to
+ * @param {number} sequence - Position in the yearly sequence
+ * @returns {string} Document number such as INV-2025-00042
+ */
+export const formatDocumentNumber = (type, year, sequence) => {
+  return `${INVOICE_CONFIG.PREFIXES[type]}-${year}-${String(sequence).padStart(INVOICE_CONFIG.SEQUENCE_DIGITS, '0')}`
+}
+
+/**
+ * Parse the stored line items of an invoice document
+ * @function parseInvoice
+ * @param {Object} doc - Invoice document
+ * @returns {Object} Invoice with line_items as an array
+ */
+export const parseInvoice = (doc) => {
+  let lineItems = []
+  try {
+    lineItems = JSON.parse(doc.line_items || '[]')
+  } catch {
+    lineItems = []
+  }
+  return { ...doc, line_items: Array.isArray(lineItems) ? lineItems : [] }
+}
+
+/**
+ * Claim the next number in a type's yearly sequence and create the document
+ * The number doubles as the document ID, so two devices claiming the same
+ * number get a conflict and the loser moves on to the next one
+ * @function createNumberedDocument
+ * @param {string} type - One of INVOICE_CONFIG.TYPES
+ * @param {Object} data - Invoice document data
+ * @param {string} operation - Operation name for error handling
+ * @returns {Promise<Object>} Created invoice document
+ * @private
+ */
+const createNumberedDocument = async (type, data, operation) => {
+  // The year at the club, not on the device
+  const year = Number(toDateKey(data.issued_at).slice(0, 4))
+
+  const latest = await retryOperation(
+    () => storage.listDocuments(DATABASE_ID, INVOICES_COLLECTION, [
+      Query.equal('type', type),
+      Query.equal('year', year),
+      Query.orderDesc('sequence'),
+      Query.limit(1)
+    ]),
+    operation
+  )
+
+  let sequence = (latest.documents[0]?.sequence || 0) + 1
+
+  for (let attempt = 1; attempt <= INVOICE_CONFIG.MAX_NUMBER_ATTEMPTS; attempt++) {
+    const number = formatDocumentNumber(type, year, sequence)
+
+    try {
+      return await retryOperation(
+        () => storage.createDocument(DATABASE_ID, INVOICES_COLLECTION, number.toLowerCase(), {
+          ...data,
+          type,
+          year,
+          sequence,
+          number
+        }),
+        operation
+      )
+    } catch (error) {
+      if (error.type !== ErrorTypes.CONFLICT || attempt === INVOICE_CONFIG.MAX_NUMBER_ATTEMPTS) throw error
+      sequence += 1
+    }
+  }
+}
+
+/**
+ * Get invoices and receipts issued to a student
+ * @function getStudentInvoices
+ * @param {string} studentId - Student document ID
+ * @returns {Promise<Object>} Documents, newest first, with parsed line items
+ */
+export const getStudentInvoices = async (studentId) => {
+  try {
+    if (!studentId) {
+      throw handleValidationError(new Error('Student ID required'), 'getStudentInvoices', {
+        studentId: 'Student ID is required'
+      })
+    }
+
+    if (!canIssueDocuments()) {
+      return createOfflineError('getStudentInvoices')
+    }
+
+    const documents = await listAllDocuments(
+      INVOICES_COLLECTION,
+      [Query.equal('student_id', studentId), Query.orderDesc('issued_at')],
+      'getStudentInvoices'
+    )
+
+    return createSuccessResponse(
+      { invoices: documents.map(parseInvoice), total: documents.length },
+      'Student invoices retrieved'
+    )
+
+  } catch (error) {
+    if (error.success === false) return error
+    return handleError(error, 'getStudentInvoices')
+  }
+}
+
+/**
+ * Issue an invoice for the fees due over a range of billing months
+ * @function generateInvoice
+ * @param {Object} request - Invoice request
+ * @param {string} request.student_id - Student document ID
+ * @param {string} request.fromPeriod - First billing month (YYYY-MM)
+ * @param {string} request.toPeriod - Last billing month (YYYY-MM)
+ * @param {string|null} [issuedBy=null] - Instructor issuing the invoice
+ * @returns {Promise<Object>} Invoice with parsed line items
+ */
+export const generateInvoice = async (request, issuedBy = null) => {
+  try {
+    const { student_id: studentId, fromPeriod, toPeriod } = request
+    const fieldErrors = {}
+
+    if (!studentId) fieldErrors.student_id = 'Student is required'
+    if (!/^\d{4}-\d{2}$/.test(fromPeriod || '')) fieldErrors.fromPeriod = 'Start month is required'
+    if (!/^\d{4}-\d{2}$/.test(toPeriod || '')) fieldErrors.toPeriod = 'End month is required'
+    if (!fieldErrors.fromPeriod && !fieldErrors.toPeriod && fromPeriod > toPeriod) {
+      fieldErrors.toPeriod = 'End month must not be before the start month'
+    }
+
+    if (Object.keys(fieldErrors).length > 0) {
+      throw handleValidationError(new Error('Invalid invoice request'), 'generateInvoice', fieldErrors)
+    }
+
+    if (!canIssueDocuments()) {
+      return createOfflineError('generateInvoice')
+    }
+
+    const balanceResult = await getStudentBalance(studentId, { fromPeriod, toPeriod })
+    if (!balanceResult.success) return balanceResult
+
+    const { student, periods } = balanceResult.data
+    const billed = periods.filter(period => period.due > 0)
+
+    if (billed.length === 0) {
+      throw handleValidationError(new Error('Nothing to invoice'), 'generateInvoice', {
+        toPeriod: 'No fees are due for these months'
+      })
+    }
+
+    const batches = (student.batches || []).join(', ')
+    const lineItems = billed.map(period => ({
+      description: `${batches ? `${batches} fee` : 'Monthly fee'} - ${PaymentUtils.formatPeriod(period.period)}`,
+      period: period.period,
+      amount: period.due,
+      paid: period.paid
+    }))
+
+    const total = billed.reduce((sum, period) => sum + period.due, 0)
+    const amountPaid = billed.reduce((sum, period) => sum + Math.min(period.paid, period.due), 0)
+
+    const invoice = await createNumberedDocument(INVOICE_CONFIG.TYPES.INVOICE, {
+      student_id: studentId,
+      student_name: student.name,
+      student_contact: student.contact || null,
+      period_from: fromPeriod,
+      period_to: toPeriod,
+      payment_id: null,
+      line_items: JSON.stringify(lineItems),
+      total,
+      amount_paid: amountPaid,
+      balance_due: total - amountPaid,
+      issued_at: new Date().toISOString(),
+      issued_by: issuedBy
+    }, 'generateInvoice')
+
+    await logActivity('invoice_issued', issuedBy, {
+      invoice_id: invoice.$id,
+      number: invoice.number,
+      student_id: studentId,
+      total
+    })
+
+    return createSuccessResponse(parseInvoice(invoice), `Invoice ${invoice.number} issued`)
+
+  } catch (error) {
+    if (error.success === false) return error
+    return handleError(error, 'generateInvoice')
+  }
+}
+
+/**
+ * Issue a receipt for a recorded payment
+ * Each payment gets at most one receipt; asking again returns the existing one
+ * @function generateReceipt
+ * @param {string} paymentId - Payment document ID
+ * @param {string|null} [issuedBy=null] - Instructor issuing the receipt
+ * @returns {Promise<Object>} Receipt with parsed line items
+ */
+export const generateReceipt = async (paymentId, issuedBy = null) => {
+  try {
+    if (!paymentId) {
+      throw handleValidationError(new Error('Payment ID required'), 'generateReceipt', {
+        payment_id: 'Select a payment'
+      })
+    }
+
+    if (!canIssueDocuments()) {
+      return createOfflineError('generateReceipt')
+    }
+
+    const existing = await retryOperation(
+      () => storage.listDocuments(DATABASE_ID, INVOICES_COLLECTION, [
+        Query.equal('type', INVOICE_CONFIG.TYPES.RECEIPT),
+        Query.equal('payment_id', paymentId),
+        Query.limit(1)
+      ]),
+      'generateReceipt'
+    )
+
+    if (existing.documents[0]) {
+      const receipt = parseInvoice(existing.documents[0])
+      return createSuccessResponse(receipt, `Receipt ${receipt.number} was already issued`)
+    }
+
+    const payment = await retryOperation(
+      () => storage.getDocument(DATABASE_ID, PAYMENTS_COLLECTION, paymentId),
+      'generateReceipt'
+    )
+
+    if (typeof payment.amount !== 'number') {
+      throw handleValidationError(new Error('Payment has no amount'), 'generateReceipt', {
+        payment_id: 'This payment was recorded without an amount'
+      })
+    }
+
+    const [student, periodPayments] = await Promise.all([
+      retryOperation(
+        () => storage.getDocument(DATABASE_ID, STUDENTS_COLLECTION, payment.student_id),
+        'generateReceipt'
+      ),
+      listAllDocuments(PAYMENTS_COLLECTION, [
+        Query.equal('student_id', payment.student_id),
+        Query.equal('month', payment.month),
+        Query.equal('year', payment.year)
+      ], 'generateReceipt')
+    ])
+
+    // Balance for the month as it stood once this payment was received
+    const upToPayment = periodPayments.filter(doc => (doc.created_at || '') <= (payment.created_at || ''))
+    const summary = summarizePeriodPayments(upToPayment, payment.amount_due || 0)
+    const period = PaymentUtils.toPeriod(payment.month, payment.year)
+
+    const lineItems = [{
+      description: `Fee payment - ${PaymentUtils.formatPeriod(period)}`,
+      period,
+      amount: payment.amount,
+      method: payment.method || null,
+      reference: payment.reference || null,
+      paid_date: payment.paid_date || null
+    }]
+
+    const receipt = await createNumberedDocument(INVOICE_CONFIG.TYPES.RECEIPT, {
+      student_id: payment.student_id,
+      student_name: student.name,
+      student_contact: student.contact || null,
+      period_from: period,
+      period_to: period,
+      payment_id: paymentId,
+      line_items: JSON.stringify(lineItems),
+      total: payment.amount,
+      amount_paid: payment.amount,
+      balance_due: summary.outstanding,
+      issued_at: new Date().toISOString(),
+      issued_by: issuedBy
+    }, 'generateReceipt')
+
+    await logActivity('receipt_issued', issuedBy, {
+      invoice_id: receipt.$id,
+      number: receipt.number,
+      student_id: payment.student_id,
+      payment_id: paymentId,
+      amount: payment.amount
+    })
+
+    return createSuccessResponse(parseInvoice(receipt), `Receipt ${receipt.number} issued`)
+
+  } catch (error) {
+    if (error.success === false) return error
+    return handleError(error, 'generateReceipt')
+  }
+}
+
+export default {
+  getStudentInvoices,
+  generateInvoice,
+  generateReceipt,
+  canIssueDocuments,
+  formatDocumentNumber,
+  parseInvoice,
+  INVOICE_CONFIG
+}
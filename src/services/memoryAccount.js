@@ -0,0 +1,129 @@
+/**
+ * Memory Account
+ *
+ * Stand-in for Appwrite's Account API when the memory storage backend is
+ * in use, so the app can be signed in to with no network. Users are the
+ * given instructors, all sharing one password, and the session lives only
+ * as long as the tab, like the documents in the memory adapter.
+ *
+ * Errors are AppwriteException with Appwrite's codes (401 for a wrong
+ * password or no session), so authService handles them like the cloud.
+ *
+ * @service
+ * @version 1.0.0
+ */
+
+import { AppwriteException } from 'appwrite'
+import { ID } from './appwrite.js'
+
+/**
+ * The Account methods authService uses
+ * @constant
+ */
+export const ACCOUNT_METHODS = [
+  'createEmailPasswordSession',
+  'get',
+  'getSession',
+  'deleteSession',
+  'deleteSessions',
+  'updatePassword'
+]
+
+// Sessions last as long as Appwrite's default, one year
+const SESSION_LENGTH_MS = 365 * 24 * 60 * 60 * 1000
+
+/**
+ * Account kept in memory
+ * @function createMemoryAccount
+ * @param {Array<Object>} instructors - Instructor documents to sign in as ({ $id, name, email })
+ * @param {string} password - Password for every instructor
+ * @returns {Object} Object with ACCOUNT_METHODS
+ *
+ * @example
+ * const account = createMemoryAccount(DEMO_INSTRUCTORS, DEMO_PASSWORD)
+ * await account.createEmailPasswordSession('priya@demo.sportclub.app', DEMO_PASSWORD)
+ */
+export const createMemoryAccount = (instructors, password) => {
+  const passwords = new Map(instructors.map(instructor => [instructor.email.toLowerCase(), password]))
+  let session = null
+
+  /**
+   * The signed-in instructor
+   * @returns {Object} Instructor
+   * @throws {AppwriteException} 401 when no one is signed in
+   */
+  const getSignedIn = () => {
+    if (!session) {
+      throw new AppwriteException('User (role: guests) missing scope (account)', 401, 'general_unauthorized_scope')
+    }
+    return instructors.find(instructor => instructor.$id === session.userId)
+  }
+
+  return {
+    createEmailPasswordSession: async (email, attempt) => {
+      const normalizedEmail = email.trim().toLowerCase()
+      const instructor = instructors.find(candidate => candidate.email.toLowerCase() === normalizedEmail)
+
+      if (!instructor || passwords.get(normalizedEmail) !== attempt) {
+        throw new AppwriteException(
+          'Invalid credentials. Please check the email and password.',
+          401,
+          'user_invalid_credentials'
+        )
+      }
+
+      const now = new Date()
+      session = {
+        $id: ID.unique(),
+        $createdAt: now.toISOString(),
+        userId: instructor.$id,
+        provider: 'email',
+        expire: new Date(now.getTime() + SESSION_LENGTH_MS).toISOString(),
+        current: true
+      }
+      return { ...session }
+    },
+
+    get: async () => {
+      const instructor = getSignedIn()
+      return {
+        $id: instructor.$id,
+        $createdAt: instructor.created_at || session.$createdAt,
+        name: instructor.name,
+        email: instructor.email,
+        emailVerification: true,
+        status: true,
+        prefs: {}
+      }
+    },
+
+    getSession: async () => {
+      getSignedIn()
+      return { ...session }
+    },
+
+    deleteSession: async () => {
+      getSignedIn()
+      session = null
+      return {}
+    },
+
+    deleteSessions: async () => {
+      getSignedIn()
+      session = null
+      return {}
+    },
+
+    updatePassword: async (newPassword, oldPassword) => {
+      const instructor = getSignedIn()
+      const email = instructor.email.toLowerCase()
+
+      if (passwords.get(email) !== oldPassword) {
+        throw new AppwriteException('Invalid credentials. Please check the email and password.', 401, 'user_invalid_credentials')
+      }
+
+      passwords.set(email, newPassword)
+      return { $id: instructor.$id, email: instructor.email }
+    }
+  }
+}
@@ -0,0 +1,752 @@
+/**
+ * Offline Service
+ *
+ * Keeps an IndexedDB mirror of students, classes, attendance, payments and
+ * fee plans, and queues writes made without a connection. offlineDatabases
+ * has the same methods as Appwrite's Databases: online it calls Appwrite and
+ * copies what comes back into the mirror; offline, reads of mirrored
+ * collections run their queries against the mirror, and writes are applied
+ * to the mirror and queued.
+ *
+ * The queue replays in order when the connection returns. A queued update
+ * or delete remembers the document's $updatedAt when it was made; if the
+ * server copy has changed since, the write is held as a conflict until
+ * someone picks which copy to keep.
+ *
+ * Queued attendance and payments also ask for a Background Sync, so the
+ * service worker (public/sw-sync.js) can send them with the app closed.
+ * Without Background Sync they are sent the next time the app starts.
+ *
+ * @service
+ * @version 1.0.0
+ */
+
+import { APPWRITE_CONFIG, ID } from './appwrite.js'
+import { appwriteAdapter as cloudDatabases } from './storageAdapter.js'
+import { handleError, handleValidationError, createSuccessResponse } from '../utils/errorHandler.js'
+import { openDatabase, requestToPromise, transactionDone } from '../utils/idb.js'
+import { runQueries, getFilterQueries, isPaged, matchesQuery } from '../utils/queries.js'
+
+const COLLECTIONS = APPWRITE_CONFIG.collections
+
+/**
+ * Offline constants
+ * @constant
+ */
+export const OFFLINE_CONFIG = {
+  DB_NAME: 'sportclub-offline',
+  DB_VERSION: 3,
+  QUEUE_STORE: 'write_queue',
+
+  // Connection settings the service worker needs to reach Appwrite
+  META_STORE: 'meta',
+
+  // Collections copied into IndexedDB and readable offline
+  MIRRORED_COLLECTIONS: [
+    COLLECTIONS.students,
+    COLLECTIONS.classes,
+    COLLECTIONS.attendance,
+    COLLECTIONS.payments,
+    COLLECTIONS.fee_plans
+  ],
+
+  ACTIONS: {
+    CREATE: 'create',
+    UPDATE: 'update',
+    DELETE: 'delete'
+  },
+
+  QUEUE_STATUS: {
+    PENDING: 'pending',
+    FAILED: 'failed',
+    CONFLICT: 'conflict'
+  },
+
+  // Must match the constants in public/sw-sync.js
+  BACKGROUND_SYNC: {
+    TAG: 'sportclub-write-queue',
+    LOCK: 'sportclub-sync',
+    MESSAGE: 'SYNC_RESULT',
+    // Written by markAttendance and paymentService.recordPayment
+    COLLECTIONS: [COLLECTIONS.attendance, COLLECTIONS.payments]
+  }
+}
+
+const { ACTIONS, QUEUE_STATUS, BACKGROUND_SYNC } = OFFLINE_CONFIG
+
+const changeListeners = new Set()
+const completeListeners = new Set()
+let dbPromise = null
+let replaying = null
+
+/**
+ * Subscribe to queue changes
+ * @function onSyncChanged
+ * @param {Function} listener - Called after writes are queued, replayed or resolved
+ * @returns {Function} Unsubscribe
+ */
+export const onSyncChanged = (listener) => {
+  changeListeners.add(listener)
+  return () => changeListeners.delete(listener)
+}
+
+/**
+ * Tell listeners the queue changed
+ * @function notifySyncChanged
+ */
+const notifySyncChanged = () => {
+  changeListeners.forEach(listener => {
+    try {
+      listener()
+    } catch (error) {
+      console.warn('Sync change listener failed:', error)
+    }
+  })
+}
+
+/**
+ * Subscribe to finished replays, from the app or the service worker
+ * @function onSyncComplete
+ * @param {Function} listener - Called with { synced, failed, conflicts, source }
+ * @returns {Function} Unsubscribe
+ */
+export const onSyncComplete = (listener) => {
+  completeListeners.add(listener)
+  return () => completeListeners.delete(listener)
+}
+
+/**
+ * Tell listeners a replay sent or held back some writes
+ * @function notifySyncComplete
+ * @param {Object} summary - Replay summary
+ */
+const notifySyncComplete = (summary) => {
+  if (summary.synced + summary.failed + summary.conflicts === 0) return
+  completeListeners.forEach(listener => {
+    try {
+      listener(summary)
+    } catch (error) {
+      console.warn('Sync complete listener failed:', error)
+    }
+  })
+}
+
+/**
+ * Describe a replay for the user
+ * @function describeSyncResult
+ * @param {Object} summary - { synced, failed, conflicts }
+ * @returns {string} e.g. '3 changes synced' or '2 changes synced, 1 conflict'
+ */
+export const describeSyncResult = ({ synced = 0, failed = 0, conflicts = 0 }) => {
+  const parts = [`${synced} ${synced === 1 ? 'change' : 'changes'} synced`]
+  if (failed > 0) parts.push(`${failed} failed`)
+  if (conflicts > 0) parts.push(`${conflicts} ${conflicts === 1 ? 'conflict' : 'conflicts'}`)
+  return parts.join(', ')
+}
+
+/**
+ * Whether the browser reports no connection
+ * @function isOffline
+ * @returns {boolean} True when offline
+ */
+export const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false
+
+/**
+ * Whether an error means Appwrite could not be reached
+ * fetch rejects with a TypeError when the request never got a response.
+ * @function isNetworkError
+ * @param {*} error - Error thrown by an Appwrite call
+ * @returns {boolean} True for connection failures
+ */
+export const isNetworkError = (error) => (
+  isOffline() ||
+  error instanceof TypeError ||
+  error?.name === 'NetworkError' ||
+  [502, 503, 504].includes(error?.code)
+)
+
+/**
+ * Whether a collection is mirrored
+ * @function isMirrored
+ * @param {string} collectionId - Collection ID
+ * @returns {boolean} True when it is kept in IndexedDB
+ */
+const isMirrored = (collectionId) => OFFLINE_CONFIG.MIRRORED_COLLECTIONS.includes(collectionId)
+
+/**
+ * Open the offline database once
+ * @function getDb
+ * @returns {Promise<IDBDatabase>} Database
+ */
+const getDb = () => {
+  if (!dbPromise) {
+    dbPromise = openDatabase(OFFLINE_CONFIG.DB_NAME, OFFLINE_CONFIG.DB_VERSION, (db) => {
+      OFFLINE_CONFIG.MIRRORED_COLLECTIONS.forEach(collectionId => {
+        if (!db.objectStoreNames.contains(collectionId)) {
+          db.createObjectStore(collectionId, { keyPath: '$id' })
+        }
+      })
+      if (!db.objectStoreNames.contains(OFFLINE_CONFIG.QUEUE_STORE)) {
+        db.createObjectStore(OFFLINE_CONFIG.QUEUE_STORE, { keyPath: 'id', autoIncrement: true })
+      }
+      if (!db.objectStoreNames.contains(OFFLINE_CONFIG.META_STORE)) {
+        db.createObjectStore(OFFLINE_CONFIG.META_STORE, { keyPath: 'id' })
+      }
+    }).catch(error => {
+      dbPromise = null
+      throw error
+    })
+  }
+  return dbPromise
+}
+
+/**
+ * Every mirrored document of a collection
+ * @function readMirror
+ * @param {string} collectionId - Collection ID
+ * @returns {Promise<Array<Object>>} Documents
+ */
+const readMirror = async (collectionId) => {
+  const db = await getDb()
+  return requestToPromise(db.transaction(collectionId).objectStore(collectionId).getAll())
+}
+
+/**
+ * Store documents in the mirror and drop others
+ * @function writeMirror
+ * @param {string} collectionId - Collection ID
+ * @param {Array<Object>} documents - Documents to store
+ * @param {Array<string>} [removeIds=[]] - Document IDs to remove
+ */
+const writeMirror = async (collectionId, documents, removeIds = []) => {
+  const db = await getDb()
+  const transaction = db.transaction(collectionId, 'readwrite')
+  const store = transaction.objectStore(collectionId)
+  documents.forEach(document => store.put(document))
+  removeIds.forEach(documentId => store.delete(documentId))
+  await transactionDone(transaction)
+}
+
+/**
+ * Copy a list response into the mirror
+ * When the response holds every match, mirrored documents that match the
+ * same filters but were not returned have been removed on the server.
+ * Documents with queued writes are left alone.
+ * @function mirrorList
+ * @param {string} collectionId - Collection ID
+ * @param {Array<string>} queries - Queries the list was made with
+ * @param {Object} response - listDocuments response
+ */
+const mirrorList = async (collectionId, queries, response) => {
+  let removeIds = []
+
+  if (!isPaged(queries) && response.documents.length === response.total) {
+    const returned = new Set(response.documents.map(document => document.$id))
+    const queued = new Set((await getQueuedWrites()).map(write => write.documentId))
+    const filters = getFilterQueries(queries)
+    removeIds = (await readMirror(collectionId))
+      .filter(document => !returned.has(document.$id) && !queued.has(document.$id))
+      .filter(document => filters.every(query => matchesQuery(document, query)))
+      .map(document => document.$id)
+  }
+
+  await writeMirror(collectionId, response.documents, removeIds)
+}
+
+/**
+ * Run a mirror update without letting it fail the caller
+ * @function keepMirror
+ * @param {Function} update - Mirror update
+ */
+const keepMirror = async (update) => {
+  try {
+    await update()
+  } catch (error) {
+    console.warn('Failed to update the offline copy:', error)
+  }
+}
+
+/**
+ * Every queued write, oldest first
+ * @function getQueuedWrites
+ * @returns {Promise<Array<Object>>} Queued writes
+ */
+export const getQueuedWrites = async () => {
+  const db = await getDb()
+  return requestToPromise(
+    db.transaction(OFFLINE_CONFIG.QUEUE_STORE).objectStore(OFFLINE_CONFIG.QUEUE_STORE).getAll()
+  )
+}
+
+/**
+ * Store a queued write and tell listeners
+ * @function saveQueuedWrite
+ * @param {Object} write - Queued write; without an id a new one is added
+ */
+const saveQueuedWrite = async (write) => {
+  const db = await getDb()
+  const transaction = db.transaction(OFFLINE_CONFIG.QUEUE_STORE, 'readwrite')
+  transaction.objectStore(OFFLINE_CONFIG.QUEUE_STORE).put(write)
+  await transactionDone(transaction)
+  notifySyncChanged()
+}
+
+/**
+ * Remove a queued write and tell listeners
+ * @function removeQueuedWrite
+ * @param {number} writeId - Queued write ID
+ */
+const removeQueuedWrite = async (writeId) => {
+  const db = await getDb()
+  const transaction = db.transaction(OFFLINE_CONFIG.QUEUE_STORE, 'readwrite')
+  transaction.objectStore(OFFLINE_CONFIG.QUEUE_STORE).delete(writeId)
+  await transactionDone(transaction)
+  notifySyncChanged()
+}
+
+/**
+ * Ask the service worker to replay attendance and payments when it can
+ * The Appwrite session is shared through the stored settings, because a
+ * service worker can't read localStorage.
+ * @function requestBackgroundSync
+ */
+const requestBackgroundSync = async () => {
+  try {
+    if (typeof navigator === 'undefined' || !navigator.serviceWorker) return
+
+    const db = await getDb()
+    const transaction = db.transaction(OFFLINE_CONFIG.META_STORE, 'readwrite')
+    transaction.objectStore(OFFLINE_CONFIG.META_STORE).put({
+      id: 'connection',
+      endpoint: APPWRITE_CONFIG.endpoint,
+      projectId: APPWRITE_CONFIG.projectId,
+      fallbackCookies: localStorage.getItem('cookieFallback'),
+      collections: BACKGROUND_SYNC.COLLECTIONS
+    })
+    await transactionDone(transaction)
+
+    const registration = await navigator.serviceWorker.ready
+    if (registration.sync) await registration.sync.register(BACKGROUND_SYNC.TAG)
+  } catch (error) {
+    console.warn('Background Sync could not be requested:', error)
+  }
+}
+
+/**
+ * Queue a write, folding it into a pending write of the same document
+ * An update of a document created offline joins the create, and deleting
+ * it drops the create, so the replay never conflicts with itself.
+ * @function queueWrite
+ * @param {Object} write - { action, databaseId, collectionId, documentId, data, permissions, base }
+ */
+const queueWrite = async (write) => {
+  const earlier = (await getQueuedWrites()).find(queued =>
+    queued.status === QUEUE_STATUS.PENDING &&
+    queued.collectionId === write.collectionId &&
+    queued.documentId === write.documentId
+  )
+
+  // Not awaited: the service worker may never become ready
+  if (BACKGROUND_SYNC.COLLECTIONS.includes(write.collectionId)) requestBackgroundSync()
+
+  if (!earlier) {
+    await saveQueuedWrite({ ...write, status: QUEUE_STATUS.PENDING, attempts: 0, queuedAt: new Date().toISOString() })
+    return
+  }
+
+  if (write.action === ACTIONS.DELETE) {
+    if (earlier.action === ACTIONS.CREATE) {
+      await removeQueuedWrite(earlier.id)
+    } else {
+      await saveQueuedWrite({ ...earlier, action: ACTIONS.DELETE, data: null })
+    }
+    return
+  }
+
+  await saveQueuedWrite({ ...earlier, data: { ...earlier.data, ...write.data } })
+}
+
+/**
+ * Appwrite's Databases with an offline mirror and write queue
+ * storageService hands it out as offlineStorage on Appwrite. Errors are
+ * thrown the same way, so retryOperation and handleError treat them as before.
+ * @constant
+ */
+export const offlineDatabases = {
+  /**
+   * List documents, from the mirror when offline
+   * @param {string} databaseId - Database ID
+   * @param {string} collectionId - Collection ID
+   * @param {Array<string>} [queries=[]] - Queries
+   * @returns {Promise<Object>} { documents, total }
+   */
+  listDocuments: async (databaseId, collectionId, queries = []) => {
+    if (!isMirrored(collectionId)) return cloudDatabases.listDocuments(databaseId, collectionId, queries)
+
+    if (!isOffline()) {
+      try {
+        const response = await cloudDatabases.listDocuments(databaseId, collectionId, queries)
+        await keepMirror(() => mirrorList(collectionId, queries, response))
+        return response
+      } catch (error) {
+        if (!isNetworkError(error)) throw error
+      }
+    }
+
+    return runQueries(await readMirror(collectionId), queries)
+  },
+
+  /**
+   * Get one document, from the mirror when offline
+   * @param {string} databaseId - Database ID
+   * @param {string} collectionId - Collection ID
+   * @param {string} documentId - Document ID
+   * @param {Array<string>} [queries] - Queries
+   * @returns {Promise<Object>} Document
+   */
+  getDocument: async (databaseId, collectionId, documentId, queries) => {
+    if (!isMirrored(collectionId)) return cloudDatabases.getDocument(databaseId, collectionId, documentId, queries)
+
+    try {
+      if (isOffline()) throw new TypeError('Offline')
+      const document = await cloudDatabases.getDocument(databaseId, collectionId, documentId, queries)
+      await keepMirror(() => writeMirror(collectionId, [document]))
+      return document
+    } catch (error) {
+      if (!isNetworkError(error)) throw error
+      const mirrored = (await readMirror(collectionId)).find(document => document.$id === documentId)
+      if (!mirrored) throw error
+      return mirrored
+    }
+  },
+
+  /**
+   * Create a document, or queue it when offline
+   * @param {string} databaseId - Database ID
+   * @param {string} collectionId - Collection ID
+   * @param {string} documentId - Document ID, usually ID.unique()
+   * @param {Object} data - Attribute values
+   * @param {Array<string>} [permissions] - Permissions
+   * @returns {Promise<Object>} Created document, or its local copy
+   */
+  createDocument: async (databaseId, collectionId, documentId, data, permissions) => {
+    // The ID is fixed now so later offline writes and the replay use the same one
+    const $id = documentId === 'unique()' ? ID.unique() : documentId
+
+    if (!isOffline()) {
+      try {
+        const document = await cloudDatabases.createDocument(databaseId, collectionId, $id, data, permissions)
+        if (isMirrored(collectionId)) await keepMirror(() => writeMirror(collectionId, [document]))
+        return document
+      } catch (error) {
+        if (!isNetworkError(error)) throw error
+      }
+    }
+
+    const now = new Date().toISOString()
+    const document = { ...data, $id, $collectionId: collectionId, $databaseId: databaseId, $createdAt: now, $updatedAt: now, $permissions: permissions || [] }
+    if (isMirrored(collectionId)) await writeMirror(collectionId, [document])
+    await queueWrite({ action: ACTIONS.CREATE, databaseId, collectionId, documentId: $id, data, permissions: permissions || null, base: null })
+    return document
+  },
+
+  /**
+   * Update a document, or queue the change when offline
+   * @param {string} databaseId - Database ID
+   * @param {string} collectionId - Collection ID
+   * @param {string} documentId - Document ID
+   * @param {Object} [data={}] - Changed attribute values
+   * @param {Array<string>} [permissions] - Permissions
+   * @returns {Promise<Object>} Updated document, or its local copy
+   */
+  updateDocument: async (databaseId, collectionId, documentId, data = {}, permissions) => {
+    if (!isOffline()) {
+      try {
+        const document = await cloudDatabases.updateDocument(databaseId, collectionId, documentId, data, permissions)
+        if (isMirrored(collectionId)) await keepMirror(() => writeMirror(collectionId, [document]))
+        return document
+      } catch (error) {
+        if (!isNetworkError(error)) throw error
+      }
+    }
+
+    const mirrored = isMirrored(collectionId)
+      ? (await readMirror(collectionId)).find(document => document.$id === documentId)
+      : null
+    const document = { ...(mirrored || { $id: documentId, $collectionId: collectionId }), ...data, $updatedAt: new Date().toISOString() }
+    if (mirrored) await writeMirror(collectionId, [document])
+    await queueWrite({ action: ACTIONS.UPDATE, databaseId, collectionId, documentId, data, permissions: permissions || null, base: mirrored?.$updatedAt || null })
+    return document
+  },
+
+  /**
+   * Delete a document, or queue the delete when offline
+   * @param {string} databaseId - Database ID
+   * @param {string} collectionId - Collection ID
+   * @param {string} documentId - Document ID
+   * @returns {Promise<Object>} Empty response
+   */
+  deleteDocument: async (databaseId, collectionId, documentId) => {
+    if (!isOffline()) {
+      try {
+        const response = await cloudDatabases.deleteDocument(databaseId, collectionId, documentId)
+        if (isMirrored(collectionId)) await keepMirror(() => writeMirror(collectionId, [], [documentId]))
+        return response
+      } catch (error) {
+        if (!isNetworkError(error)) throw error
+      }
+    }
+
+    const mirrored = isMirrored(collectionId)
+      ? (await readMirror(collectionId)).find(document => document.$id === documentId)
+      : null
+    if (mirrored) await writeMirror(collectionId, [], [documentId])
+    await queueWrite({ action: ACTIONS.DELETE, databaseId, collectionId, documentId, data: null, permissions: null, base: mirrored?.$updatedAt || null })
+    return {}
+  }
+}
+
+/**
+ * Send one queued write to Appwrite
+ * @function replayWrite
+ * @param {Object} write - Queued write
+ * @returns {Promise<string>} 'synced' or 'conflict'
+ * @throws {Error} Appwrite error when the write is refused or can't be sent
+ */
+const replayWrite = async (write) => {
+  const { action, databaseId, collectionId, documentId, data, permissions, base } = write
+  const mirrored = isMirrored(collectionId)
+
+  if (action === ACTIONS.CREATE) {
+    let document
+    try {
+      document = await cloudDatabases.createDocument(databaseId, collectionId, documentId, data, permissions || undefined)
+    } catch (error) {
+      // Created by an earlier replay whose response never arrived
+      if (error?.code !== 409) throw error
+      document = await cloudDatabases.getDocument(databaseId, collectionId, documentId)
+    }
+    if (mirrored) await keepMirror(() => writeMirror(collectionId, [document]))
+    return 'synced'
+  }
+
+  if (base) {
+    let server = null
+    try {
+      server = await cloudDatabases.getDocument(databaseId, collectionId, documentId)
+    } catch (error) {
+      if (!(action === ACTIONS.DELETE && error?.code === 404)) throw error
+    }
+    if (server && server.$updatedAt !== base) {
+      await saveQueuedWrite({ ...write, status: QUEUE_STATUS.CONFLICT, server })
+      return 'conflict'
+    }
+  }
+
+  if (action === ACTIONS.UPDATE) {
+    const document = await cloudDatabases.updateDocument(databaseId, collectionId, documentId, data, permissions || undefined)
+    if (mirrored) await keepMirror(() => writeMirror(collectionId, [document]))
+    return 'synced'
+  }
+
+  try {
+    await cloudDatabases.deleteDocument(databaseId, collectionId, documentId)
+  } catch (error) {
+    if (error?.code !== 404) throw error
+  }
+  if (mirrored) await keepMirror(() => writeMirror(collectionId, [], [documentId]))
+  return 'synced'
+}
+
+/**
+ * Send pending writes in the order they were made
+ * Stops at the first connection failure and leaves the rest queued. A write
+ * Appwrite refuses is kept as failed with the reason, and the rest go on.
+ * @function runReplay
+ * @returns {Promise<Object>} Replay summary
+ */
+const runReplay = async () => {
+  try {
+    const pending = (await getQueuedWrites()).filter(write => write.status === QUEUE_STATUS.PENDING)
+    const summary = { synced: 0, failed: 0, conflicts: 0, remaining: 0 }
+
+    for (const [index, write] of pending.entries()) {
+      try {
+        const outcome = await replayWrite(write)
+        if (outcome === 'conflict') {
+          summary.conflicts++
+        } else {
+          await removeQueuedWrite(write.id)
+          summary.synced++
+        }
+      } catch (error) {
+        if (isNetworkError(error)) {
+          summary.remaining = pending.length - index
+          break
+        }
+        const { type, message, details } = handleError(error, 'replayQueuedWrite')
+        await saveQueuedWrite({
+          ...write,
+          status: QUEUE_STATUS.FAILED,
+          attempts: write.attempts + 1,
+          error: { type, message, details }
+        })
+        summary.failed++
+      }
+    }
+
+    notifySyncComplete({ ...summary, source: 'app' })
+
+    return createSuccessResponse(
+      summary,
+      pending.length > 0 ? describeSyncResult(summary) : 'Nothing to sync'
+    )
+
+  } catch (error) {
+    return handleError(error, 'replayQueue')
+  }
+}
+
+/**
+ * Replay the write queue; a replay already running is shared
+ * @function replayQueue
+ * @returns {Promise<Object>} { synced, failed, conflicts, remaining }
+ *
+ * @example
+ * const result = await replayQueue()
+ * if (result.success) console.log(result.message) // '3 changes synced'
+ */
+export const replayQueue = () => {
+  if (!replaying) {
+    // The lock keeps the app and the service worker from sending a write twice
+    const replay = typeof navigator !== 'undefined' && navigator.locks
+      ? navigator.locks.request(BACKGROUND_SYNC.LOCK, runReplay)
+      : runReplay()
+    replaying = replay.finally(() => {
+      replaying = null
+    })
+  }
+  return replaying
+}
+
+/**
+ * Settle a conflict by keeping the local change or the server copy
+ * Keeping the local change queues it again on top of the server copy.
+ * @function resolveConflict
+ * @param {number} writeId - Queued write ID
+ * @param {string} keep - 'local' or 'server'
+ * @returns {Promise<Object>} Resolution result
+ */
+export const resolveConflict = async (writeId, keep) => {
+  try {
+    const write = (await getQueuedWrites()).find(queued => queued.id === writeId)
+    if (!write || write.status !== QUEUE_STATUS.CONFLICT) {
+      throw handleValidationError(new Error('No conflict to resolve'), 'resolveConflict')
+    }
+    if (!['local', 'server'].includes(keep)) {
+      throw handleValidationError(new Error('Choose the local change or the server copy'), 'resolveConflict')
+    }
+
+    if (keep === 'server') {
+      if (isMirrored(write.collectionId)) await writeMirror(write.collectionId, [write.server])
+      await removeQueuedWrite(write.id)
+      return createSuccessResponse({ writeId }, 'Kept the server copy')
+    }
+
+    const { server, ...rest } = write
+    if (isMirrored(write.collectionId) && write.action === ACTIONS.UPDATE) {
+      await writeMirror(write.collectionId, [{ ...server, ...write.data }])
+    }
+    await saveQueuedWrite({ ...rest, status: QUEUE_STATUS.PENDING, base: server.$updatedAt })
+    if (!isOffline()) replayQueue()
+
+    return createSuccessResponse({ writeId }, 'Kept your change')
+
+  } catch (error) {
+    if (error.success === false) return error
+    return handleError(error, 'resolveConflict')
+  }
+}
+
+/**
+ * Send a failed write again
+ * @function retryWrite
+ * @param {number} writeId - Queued write ID
+ * @returns {Promise<Object>} Retry result; the replay result when online
+ */
+export const retryWrite = async (writeId) => {
+  try {
+    const write = (await getQueuedWrites()).find(queued => queued.id === writeId)
+    if (!write || write.status !== QUEUE_STATUS.FAILED) {
+      throw handleValidationError(new Error('No failed change to retry'), 'retryWrite')
+    }
+
+    await saveQueuedWrite({ ...write, status: QUEUE_STATUS.PENDING, error: null })
+
+    if (isOffline()) {
+      return createSuccessResponse({ writeId }, 'Will retry when back online')
+    }
+    return replayQueue()
+
+  } catch (error) {
+    if (error.success === false) return error
+    return handleError(error, 'retryWrite')
+  }
+}
+
+/**
+ * Drop a queued change and put the local copy back to the server's
+ * Without a connection the local copy keeps the change until the
+ * document is next read.
+ * @function discardWrite
+ * @param {number} writeId - Queued write ID
+ * @returns {Promise<Object>} Discard result
+ */
+export const discardWrite = async (writeId) => {
+  try {
+    const write = (await getQueuedWrites()).find(queued => queued.id === writeId)
+    if (!write) {
+      throw handleValidationError(new Error('The change has already been sent or discarded'), 'discardWrite')
+    }
+
+    await removeQueuedWrite(write.id)
+
+    if (isMirrored(write.collectionId)) {
+      const { databaseId, collectionId, documentId } = write
+      await keepMirror(async () => {
+        if (write.server) {
+          await writeMirror(collectionId, [write.server])
+        } else if (write.action === ACTIONS.CREATE) {
+          await writeMirror(collectionId, [], [documentId])
+        } else if (!isOffline()) {
+          try {
+            const document = await cloudDatabases.getDocument(databaseId, collectionId, documentId)
+            await writeMirror(collectionId, [document])
+          } catch (error) {
+            if (error?.code !== 404) throw error
+            await writeMirror(collectionId, [], [documentId])
+          }
+        }
+      })
+    }
+
+    return createSuccessResponse({ writeId }, 'Change discarded')
+
+  } catch (error) {
+    if (error.success === false) return error
+    return handleError(error, 'discardWrite')
+  }
+}
+
+// Replay whenever the connection comes back, and once at start up
+if (typeof window !== 'undefined') {
+  window.addEventListener('online', () => replayQueue())
+  if (!isOffline()) replayQueue()
+
+  // Results of replays the service worker ran in the background
+  navigator.serviceWorker?.addEventListener('message', (event) => {
+    if (event.data?.type !== BACKGROUND_SYNC.MESSAGE) return
+    notifySyncChanged()
+    notifySyncComplete({ ...event.data.summary, source: 'background' })
+  })
+}
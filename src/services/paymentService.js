@@ -0,0 +1,667 @@
+/**
+ * Payment Service
+ *
+ * Fee plans per batch, amount-aware payment records with partial payments,
+ * and outstanding balance calculation for SportClubApp. Students, fee plans
+ * and payments are all mirrored for offline use, so every read and write
+ * goes through offlineStorage (storageService) and works without a
+ * connection.
+ *
+ * @service
+ * @version 1.0.0
+ */
+
+import { APPWRITE_CONFIG, Query, ID, retryOperation } from './appwrite.js'
+import { offlineStorage } from './storageService.js'
+import {
+  handleError,
+  handleValidationError,
+  createSuccessResponse
+} from '../utils/errorHandler.js'
+import { logActivity, listAllDocuments, getMonthlyPayments } from './databaseService.js'
+import { isDateKey, toDateKey, today } from '../utils/dates.js'
+
+const DATABASE_ID = APPWRITE_CONFIG.databaseId
+const PAYMENTS_COLLECTION = APPWRITE_CONFIG.collections.payments
+const FEE_PLANS_COLLECTION = APPWRITE_CONFIG.collections.fee_plans
+const STUDENTS_COLLECTION = APPWRITE_CONFIG.collections.students
+
+/**
+ * Payment constants and configurations
+ * @constant
+ */
+export const PAYMENT_CONFIG = {
+  // Currency used for all fees
+  CURRENCY: {
+    code: 'INR',
+    symbol: '₹',
+    locale: 'en-IN'
+  },
+
+  // Accepted payment methods
+  METHODS: {
+    UPI: 'UPI',
+    CASH: 'Cash',
+    CARD: 'Card',
+    BANK_TRANSFER: 'Bank Transfer'
+  },
+
+  // Settlement status of a billing period
+  STATUS: {
+    PAID: 'paid',
+    PARTIAL: 'partial',
+    UNPAID: 'unpaid'
+  },
+
+  // Day of the month fees fall due when a plan does not set one
+  DEFAULT_DUE_DAY: 5,
+
+  // Validation rules
+  VALIDATION: {
+    MAX_AMOUNT: 1000000,         // Largest single payment or fee
+    MAX_DUE_DAY: 28,             // Keeps due dates valid in every month
+    REFERENCE_MAX_LENGTH: 50,
+    NOTES_MAX_LENGTH: 500
+  }
+}
+
+/**
+ * Utility functions for billing periods and amounts
+ * Periods are 'YYYY-MM' strings; payment documents store month ('MM') and year separately
+ */
+export const PaymentUtils = {
+  /**
+   * Build a period key from stored month and year
+   * @function toPeriod
+   * @param {string|number} month - Month (1-12)
+   * @param {string|number} year - Four digit year
+   * @returns {string} Period (YYYY-MM)
+   */
+  toPeriod: (month, year) => {
+    return `${year}-${String(month).padStart(2, '0')}`
+  },
+
+  /**
+   * Split a period into the month and year stored on payment documents
+   * @function parsePeriod
+   * @param {string} period - Period (YYYY-MM)
+   * @returns {Object} Month ('MM') and year (number)
+   */
+  parsePeriod: (period) => {
+    const [year, month] = period.split('-')
+    return { month, year: parseInt(year) }
+  },
+
+  /**
+   * Get the period for a date; moments fall in the club's month
+   * @function getPeriodForDate
+   * @param {Date|string} date - Club date (YYYY-MM-DD), Date or ISO string
+   * @returns {string} Period (YYYY-MM)
+   */
+  getPeriodForDate: (date) => {
+    return (isDateKey(date) ? date : toDateKey(date)).slice(0, 7)
+  },
+
+  /**
+   * List every period from start to end inclusive
+   * @function getPeriodsBetween
+   * @param {string} fromPeriod - First period (YYYY-MM)
+   * @param {string} toPeriod - Last period (YYYY-MM)
+   * @returns {Array<string>} Periods in ascending order
+   */
+  getPeriodsBetween: (fromPeriod, toPeriod) => {
+    const periods = []
+    let { month, year } = PaymentUtils.parsePeriod(fromPeriod)
+    let monthNumber = parseInt(month)
+
+    while (PaymentUtils.toPeriod(monthNumber, year) <= toPeriod) {
+      periods.push(PaymentUtils.toPeriod(monthNumber, year))
+      monthNumber += 1
+      if (monthNumber > 12) {
+        monthNumber = 1
+        year += 1
+      }
+    }
+
+    return periods
+  },
+
+  /**
+   * Get the period before the given one
+   * @function getPreviousPeriod
+   * @param {string} period - Period (YYYY-MM)
+   * @returns {string} Previous period (YYYY-MM)
+   */
+  getPreviousPeriod: (period) => {
+    const { month, year } = PaymentUtils.parsePeriod(period)
+    const monthNumber = parseInt(month)
+    return monthNumber === 1
+      ? PaymentUtils.toPeriod(12, year - 1)
+      : PaymentUtils.toPeriod(monthNumber - 1, year)
+  },
+
+  /**
+   * Format a period for display
+   * @function formatPeriod
+   * @param {string} period - Period (YYYY-MM)
+   * @returns {string} Month name and year
+   */
+  formatPeriod: (period) => {
+    const { month, year } = PaymentUtils.parsePeriod(period)
+    return new Date(year, parseInt(month) - 1, 1).toLocaleDateString('en-US', { month: 'long', year: 'numeric' })
+  },
+
+  /**
+   * Format an amount in the club currency
+   * @function formatCurrency
+   * @param {number} amount - Amount in rupees
+   * @returns {string} Formatted amount
+   */
+  formatCurrency: (amount) => {
+    return new Intl.NumberFormat(PAYMENT_CONFIG.CURRENCY.locale, {
+      style: 'currency',
+      currency: PAYMENT_CONFIG.CURRENCY.code,
+      maximumFractionDigits: 0
+    }).format(amount || 0)
+  }
+}
+
+/**
+ * Sum the active fee plans for the batches a student is enrolled in
+ * @function getFeeForBatches
+ * @param {Array} feePlans - Fee plan documents
+ * @param {Array<string>} batchNames - Batch names the student is enrolled in
+ * @returns {number} Monthly fee
+ */
+export const getFeeForBatches = (feePlans = [], batchNames = []) => {
+  return feePlans
+    .filter(plan => plan.active !== false && batchNames.includes(plan.batch_name))
+    .reduce((sum, plan) => sum + (plan.amount || 0), 0)
+}
+
+/**
+ * Summarize the payments made against one billing period
+ * Legacy records without an amount count as settling the period when marked paid
+ * @function summarizePeriodPayments
+ * @param {Array} payments - Payment documents for one student and period
+ * @param {number} amountDue - Fee due for the period
+ * @returns {Object} Due, paid and outstanding amounts with the period status
+ */
+export const summarizePeriodPayments = (payments = [], amountDue = 0) => {
+  const latest = [...payments].sort((a, b) => (b.created_at || '').localeCompare(a.created_at || ''))[0]
+  const due = typeof latest?.amount_due === 'number' ? latest.amount_due : amountDue
+
+  const paid = payments.reduce((sum, payment) => {
+    if (typeof payment.amount === 'number') return sum + payment.amount
+    return payment.paid ? sum + due : sum
+  }, 0)
+
+  const outstanding = Math.max(due - paid, 0)
+
+  return {
+    due,
+    paid,
+    outstanding,
+    status: due > 0 && outstanding === 0
+      ? PAYMENT_CONFIG.STATUS.PAID
+      : paid > 0
+        ? PAYMENT_CONFIG.STATUS.PARTIAL
+        : PAYMENT_CONFIG.STATUS.UNPAID
+  }
+}
+
+/**
+ * Calculate a student's balance for every period in a range
+ * @function calculateStudentBalance
+ * @param {Object} student - Student document
+ * @param {Array} feePlans - Active fee plan documents
+ * @param {Array} payments - All payment documents for the student
+ * @param {Object} range - Period range
+ * @param {string} range.fromPeriod - First period (YYYY-MM)
+ * @param {string} range.toPeriod - Last period (YYYY-MM)
+ * @returns {Object} Per-period breakdown with due, paid and outstanding totals
+ */
+export const calculateStudentBalance = (student, feePlans, payments, { fromPeriod, toPeriod }) => {
+  const monthlyFee = getFeeForBatches(feePlans, student.batches || [])
+
+  const paymentsByPeriod = {}
+  payments.forEach(payment => {
+    const period = PaymentUtils.toPeriod(payment.month, payment.year)
+    if (!paymentsByPeriod[period]) paymentsByPeriod[period] = []
+    paymentsByPeriod[period].push(payment)
+  })
+
+  const periods = PaymentUtils.getPeriodsBetween(fromPeriod, toPeriod).map(period => ({
+    period,
+    ...summarizePeriodPayments(paymentsByPeriod[period] || [], monthlyFee)
+  }))
+
+  return {
+    monthlyFee,
+    periods,
+    due: periods.reduce((sum, period) => sum + period.due, 0),
+    paid: periods.reduce((sum, period) => sum + period.paid, 0),
+    outstanding: periods.reduce((sum, period) => sum + period.outstanding, 0)
+  }
+}
+
+/**
+ * Summarize fee collection for one billing period across students
+ * Active students without a payment still count toward the amount expected
+ * @function summarizeMonthlyCollection
+ * @param {Array} students - Active student documents
+ * @param {Array} feePlans - Active fee plan documents
+ * @param {Array} payments - Payment documents for the period
+ * @returns {Object} Revenue, paid count, pending amount and collection rate
+ */
+export const summarizeMonthlyCollection = (students = [], feePlans = [], payments = []) => {
+  const paymentsByStudent = {}
+  payments.forEach(payment => {
+    if (!paymentsByStudent[payment.student_id]) paymentsByStudent[payment.student_id] = []
+    paymentsByStudent[payment.student_id].push(payment)
+  })
+
+  const feeByStudent = Object.fromEntries(
+    students.map(student => [student.$id, getFeeForBatches(feePlans, student.batches || [])])
+  )
+
+  const studentIds = new Set([...Object.keys(feeByStudent), ...Object.keys(paymentsByStudent)])
+  const summaries = Array.from(studentIds).map(studentId =>
+    summarizePeriodPayments(paymentsByStudent[studentId] || [], feeByStudent[studentId] || 0)
+  )
+
+  const expected = summaries.reduce((sum, summary) => sum + summary.due, 0)
+  const collectedTowardDue = summaries.reduce((sum, summary) => sum + Math.min(summary.paid, summary.due), 0)
+
+  return {
+    revenue: summaries.reduce((sum, summary) => sum + summary.paid, 0),
+    paidCount: summaries.filter(summary => summary.status === PAYMENT_CONFIG.STATUS.PAID).length,
+    partialCount: summaries.filter(summary => summary.status === PAYMENT_CONFIG.STATUS.PARTIAL).length,
+    pendingAmount: summaries.reduce((sum, summary) => sum + summary.outstanding, 0),
+    expected,
+    collectionRate: expected > 0 ? Math.round((collectedTowardDue / expected) * 100) : 0
+  }
+}
+
+/**
+ * Validate fee plan data
+ * @function validateFeePlan
+ * @param {Object} plan - Fee plan data
+ * @returns {Object} Validation result with field errors
+ * @private
+ */
+const validateFeePlan = (plan) => {
+  const fieldErrors = {}
+  const amount = Number(plan.amount)
+  const dueDay = Number(plan.due_day ?? PAYMENT_CONFIG.DEFAULT_DUE_DAY)
+
+  if (!plan.batch_name) {
+    fieldErrors.batch_name = 'Batch is required'
+  }
+
+  if (!Number.isFinite(amount) || amount <= 0 || amount > PAYMENT_CONFIG.VALIDATION.MAX_AMOUNT) {
+    fieldErrors.amount = 'Enter a fee greater than zero'
+  }
+
+  if (!Number.isInteger(dueDay) || dueDay < 1 || dueDay > PAYMENT_CONFIG.VALIDATION.MAX_DUE_DAY) {
+    fieldErrors.due_day = `Due day must be between 1 and ${PAYMENT_CONFIG.VALIDATION.MAX_DUE_DAY}`
+  }
+
+  return { valid: Object.keys(fieldErrors).length === 0, fieldErrors }
+}
+
+/**
+ * Validate payment data
+ * @function validatePayment
+ * @param {Object} payment - Payment data
+ * @returns {Object} Validation result with field errors
+ * @private
+ */
+const validatePayment = (payment) => {
+  const fieldErrors = {}
+  const amount = Number(payment.amount)
+
+  if (!payment.student_id) {
+    fieldErrors.student_id = 'Student is required'
+  }
+
+  if (!payment.period || !/^\d{4}-\d{2}$/.test(payment.period)) {
+    fieldErrors.period = 'Billing month is required'
+  }
+
+  if (!Number.isFinite(amount) || amount <= 0 || amount > PAYMENT_CONFIG.VALIDATION.MAX_AMOUNT) {
+    fieldErrors.amount = 'Enter an amount greater than zero'
+  }
+
+  if (!Object.values(PAYMENT_CONFIG.METHODS).includes(payment.method)) {
+    fieldErrors.method = 'Select a payment method'
+  }
+
+  if (payment.method && payment.method !== PAYMENT_CONFIG.METHODS.CASH && !payment.reference?.trim()) {
+    fieldErrors.reference = 'Reference number is required for non-cash payments'
+  }
+
+  return { valid: Object.keys(fieldErrors).length === 0, fieldErrors }
+}
+
+/**
+ * Get fee plans
+ * @function getFeePlans
+ * @param {Object} [options] - Query options
+ * @param {boolean} [options.activeOnly=true] - Only return active plans
+ * @returns {Promise<Object>} Fee plans
+ */
+export const getFeePlans = async (options = {}) => {
+  try {
+    const { activeOnly = true } = options
+
+    const queries = [Query.orderAsc('batch_name'), Query.limit(100)]
+    if (activeOnly) queries.push(Query.equal('active', true))
+
+    const response = await retryOperation(
+      () => offlineStorage.listDocuments(DATABASE_ID, FEE_PLANS_COLLECTION, queries),
+      'getFeePlans'
+    )
+
+    return createSuccessResponse({ feePlans: response.documents, total: response.total }, 'Fee plans retrieved')
+
+  } catch (error) {
+    if (error.success === false) return error
+    return handleError(error, 'getFeePlans')
+  }
+}
+
+/**
+ * Create or update the fee plan for a batch
+ * Each batch has at most one active plan; saving a plan for a batch that
+ * already has one updates it
+ * @function saveFeePlan
+ * @param {Object} plan - Fee plan data
+ * @param {string} plan.batch_name - Batch name
+ * @param {number} plan.amount - Monthly fee in rupees
+ * @param {number} [plan.due_day=5] - Day of the month the fee is due
+ * @param {string} [plan.name] - Display name
+ * @param {string|null} [savedBy=null] - Instructor saving the plan
+ * @returns {Promise<Object>} Saved fee plan
+ */
+export const saveFeePlan = async (plan, savedBy = null) => {
+  try {
+    const validation = validateFeePlan(plan)
+    if (!validation.valid) {
+      throw handleValidationError(new Error('Invalid fee plan'), 'saveFeePlan', validation.fieldErrors)
+    }
+
+    const now = new Date().toISOString()
+    const planData = {
+      batch_name: plan.batch_name.trim().slice(0, 20),
+      name: (plan.name || `${plan.batch_name} Monthly Fee`).trim().slice(0, 100),
+      amount: Number(plan.amount),
+      due_day: Number(plan.due_day ?? PAYMENT_CONFIG.DEFAULT_DUE_DAY),
+      active: true,
+      updated_at: now,
+      updated_by: savedBy
+    }
+
+    const existing = await retryOperation(
+      () => offlineStorage.listDocuments(DATABASE_ID, FEE_PLANS_COLLECTION, [
+        Query.equal('batch_name', planData.batch_name),
+        Query.equal('active', true),
+        Query.limit(1)
+      ]),
+      'saveFeePlan'
+    )
+
+    const currentPlan = existing.documents[0]
+    const feePlan = currentPlan
+      ? await retryOperation(
+          () => offlineStorage.updateDocument(DATABASE_ID, FEE_PLANS_COLLECTION, currentPlan.$id, planData),
+          'saveFeePlan'
+        )
+      : await retryOperation(
+          () => offlineStorage.createDocument(DATABASE_ID, FEE_PLANS_COLLECTION, ID.unique(), {
+            ...planData,
+            created_at: now,
+            created_by: savedBy
+          }),
+          'saveFeePlan'
+        )
+
+    await logActivity('fee_plan_saved', savedBy, {
+      fee_plan_id: feePlan.$id,
+      batch_name: planData.batch_name,
+      amount: planData.amount,
+      previous_amount: currentPlan?.amount ?? null
+    })
+
+    return createSuccessResponse(feePlan, currentPlan ? 'Fee plan updated' : 'Fee plan created')
+
+  } catch (error) {
+    if (error.success === false) return error
+    return handleError(error, 'saveFeePlan')
+  }
+}
+
+/**
+ * Get all payment documents for a student
+ * @function getStudentPayments
+ * @param {string} studentId - Student document ID
+ * @returns {Promise<Object>} Payments, newest first
+ */
+export const getStudentPayments = async (studentId) => {
+  try {
+    if (!studentId) {
+      throw handleValidationError(new Error('Student ID required'), 'getStudentPayments', {
+        studentId: 'Student ID is required'
+      })
+    }
+
+    const payments = await listAllDocuments(
+      PAYMENTS_COLLECTION,
+      [Query.equal('student_id', studentId), Query.orderDesc('created_at')],
+      'getStudentPayments'
+    )
+
+    return createSuccessResponse({ payments, total: payments.length }, 'Student payments retrieved')
+
+  } catch (error) {
+    if (error.success === false) return error
+    return handleError(error, 'getStudentPayments')
+  }
+}
+
+/**
+ * Calculate a student's outstanding balance
+ * @function getStudentBalance
+ * @param {string} studentId - Student document ID
+ * @param {Object} [options] - Range options
+ * @param {string} [options.fromPeriod] - First period (defaults to the month the student joined)
+ * @param {string} [options.toPeriod] - Last period (defaults to the current month)
+ * @returns {Promise<Object>} Student, balance breakdown and payments
+ */
+export const getStudentBalance = async (studentId, options = {}) => {
+  try {
+    if (!studentId) {
+      throw handleValidationError(new Error('Student ID required'), 'getStudentBalance', {
+        studentId: 'Student ID is required'
+      })
+    }
+
+    const [student, feePlansResult, paymentsResult] = await Promise.all([
+      retryOperation(
+        () => offlineStorage.getDocument(DATABASE_ID, STUDENTS_COLLECTION, studentId),
+        'getStudentBalance'
+      ),
+      getFeePlans(),
+      getStudentPayments(studentId)
+    ])
+
+    if (!feePlansResult.success) return feePlansResult
+    if (!paymentsResult.success) return paymentsResult
+
+    const toPeriod = options.toPeriod || PaymentUtils.getPeriodForDate(new Date())
+    const joinedPeriod = PaymentUtils.getPeriodForDate(student.created_at || student.$createdAt || new Date())
+    const fromPeriod = options.fromPeriod || (joinedPeriod < toPeriod ? joinedPeriod : toPeriod)
+
+    const balance = calculateStudentBalance(
+      student,
+      feePlansResult.data.feePlans,
+      paymentsResult.data.payments,
+      { fromPeriod, toPeriod }
+    )
+
+    return createSuccessResponse({
+      student,
+      ...balance,
+      payments: paymentsResult.data.payments
+    }, 'Student balance calculated')
+
+  } catch (error) {
+    if (error.success === false) return error
+    return handleError(error, 'getStudentBalance')
+  }
+}
+
+/**
+ * Get collection figures for a billing period
+ * @function getMonthlyCollection
+ * @param {string} period - Billing period (YYYY-MM)
+ * @returns {Promise<Object>} Collection summary (see summarizeMonthlyCollection)
+ */
+export const getMonthlyCollection = async (period) => {
+  try {
+    if (!period || !/^\d{4}-\d{2}$/.test(period)) {
+      throw handleValidationError(new Error('Billing period required'), 'getMonthlyCollection', {
+        period: 'Billing month is required'
+      })
+    }
+
+    const { month, year } = PaymentUtils.parsePeriod(period)
+
+    const [students, feePlansResult, paymentsResult] = await Promise.all([
+      listAllDocuments(STUDENTS_COLLECTION, [Query.equal('status', 'active')], 'getMonthlyCollection'),
+      getFeePlans(),
+      getMonthlyPayments(month, year)
+    ])
+
+    if (!feePlansResult.success) return feePlansResult
+    if (!paymentsResult.success) return paymentsResult
+
+    return createSuccessResponse(
+      summarizeMonthlyCollection(students, feePlansResult.data.feePlans, paymentsResult.data.payments),
+      `Collection for ${PaymentUtils.formatPeriod(period)}`
+    )
+
+  } catch (error) {
+    if (error.success === false) return error
+    return handleError(error, 'getMonthlyCollection')
+  }
+}
+
+/**
+ * Record a full or partial payment against a billing period
+ * @function recordPayment
+ * @param {Object} payment - Payment data
+ * @param {string} payment.student_id - Student document ID
+ * @param {string} payment.period - Billing period (YYYY-MM)
+ * @param {number} payment.amount - Amount received in rupees
+ * @param {string} payment.method - One of PAYMENT_CONFIG.METHODS
+ * @param {string} [payment.reference] - Transaction reference (required unless cash)
+ * @param {string} [payment.paid_date] - Date received (YYYY-MM-DD), defaults to today
+ * @param {string} [payment.notes] - Optional notes
+ * @param {string|null} [recordedBy=null] - Instructor recording the payment
+ * @returns {Promise<Object>} Payment document with the period summary
+ */
+export const recordPayment = async (payment, recordedBy = null) => {
+  try {
+    const validation = validatePayment(payment)
+    if (!validation.valid) {
+      throw handleValidationError(new Error('Invalid payment'), 'recordPayment', validation.fieldErrors)
+    }
+
+    const { month, year } = PaymentUtils.parsePeriod(payment.period)
+
+    const [student, feePlansResult, existing] = await Promise.all([
+      retryOperation(
+        () => offlineStorage.getDocument(DATABASE_ID, STUDENTS_COLLECTION, payment.student_id),
+        'recordPayment'
+      ),
+      getFeePlans(),
+      retryOperation(
+        () => offlineStorage.listDocuments(DATABASE_ID, PAYMENTS_COLLECTION, [
+          Query.equal('student_id', payment.student_id),
+          Query.equal('month', month),
+          Query.equal('year', year),
+          Query.limit(100)
+        ]),
+        'recordPayment'
+      )
+    ])
+
+    if (!feePlansResult.success) return feePlansResult
+
+    const before = summarizePeriodPayments(
+      existing.documents,
+      getFeeForBatches(feePlansResult.data.feePlans, student.batches || [])
+    )
+    const amount = Number(payment.amount)
+    const paidTotal = before.paid + amount
+
+    const paymentData = {
+      student_id: payment.student_id,
+      month,
+      year,
+      amount,
+      amount_due: before.due,
+      method: payment.method,
+      reference: payment.reference?.trim().slice(0, PAYMENT_CONFIG.VALIDATION.REFERENCE_MAX_LENGTH) || null,
+      paid_date: payment.paid_date || today(),
+      notes: payment.notes?.trim().slice(0, PAYMENT_CONFIG.VALIDATION.NOTES_MAX_LENGTH) || null,
+      status: paidTotal >= before.due ? PAYMENT_CONFIG.STATUS.PAID : PAYMENT_CONFIG.STATUS.PARTIAL,
+      paid: paidTotal >= before.due,
+      created_at: new Date().toISOString(),
+      marked_by: recordedBy
+    }
+
+    const record = await retryOperation(
+      () => offlineStorage.createDocument(DATABASE_ID, PAYMENTS_COLLECTION, ID.unique(), paymentData),
+      'recordPayment'
+    )
+
+    const summary = summarizePeriodPayments([...existing.documents, record], before.due)
+
+    await logActivity('payment_recorded', recordedBy, {
+      student_id: payment.student_id,
+      period: payment.period,
+      amount,
+      method: payment.method,
+      status: summary.status,
+      outstanding: summary.outstanding
+    })
+
+    return createSuccessResponse(
+      { payment: record, summary },
+      summary.outstanding > 0
+        ? `Recorded ${PaymentUtils.formatCurrency(amount)}, ${PaymentUtils.formatCurrency(summary.outstanding)} still due`
+        : `Recorded ${PaymentUtils.formatCurrency(amount)}, ${PaymentUtils.formatPeriod(payment.period)} is fully paid`
+    )
+
+  } catch (error) {
+    if (error.success === false) return error
+    return handleError(error, 'recordPayment')
+  }
+}
+
+export default {
+  getFeePlans,
+  saveFeePlan,
+  getStudentPayments,
+  getStudentBalance,
+  getMonthlyCollection,
+  recordPayment,
+  calculateStudentBalance,
+  summarizeMonthlyCollection,
+  summarizePeriodPayments,
+  getFeeForBatches,
+  PAYMENT_CONFIG,
+  PaymentUtils
+}
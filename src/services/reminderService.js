@@ -0,0 +1,384 @@
+/**
+ * Reminder Service
+ *
+ * Finds active students whose monthly fee is still unpaid once the grace
+ * period after the due date has passed, builds a reminder queue with
+ * message templates, and records reminders sent in the activity log.
+ *
+ * @service
+ * @version 1.0.0
+ */
+
+import { APPWRITE_CONFIG, Query } from './appwrite.js'
+import {
+  handleError,
+  handleValidationError,
+  createSuccessResponse
+} from '../utils/errorHandler.js'
+import {
+  getStudents,
+  getPaymentStatus,
+  logActivity,
+  listAllDocuments
+} from './databaseService.js'
+import {
+  PAYMENT_CONFIG,
+  PaymentUtils,
+  getFeePlans,
+  getFeeForBatches,
+  summarizePeriodPayments
+} from './paymentService.js'
+import { INVOICE_CONFIG } from './invoiceService.js'
+import { isDateKey, toDateKey, toInstant, daysBetween, formatDate } from '../utils/dates.js'
+
+const ACTIVITY_LOG_COLLECTION = APPWRITE_CONFIG.collections.activity_log
+const PAYMENTS_COLLECTION = APPWRITE_CONFIG.collections.payments
+
+/**
+ * Reminder constants and message templates
+ * Templates use {name}, {month}, {amount}, {dueDate}, {daysOverdue}, {batches} and {club}
+ * @constant
+ */
+export const REMINDER_CONFIG = {
+  // Days after the due date before a fee counts as overdue
+  GRACE_PERIOD_DAYS: 5,
+  MAX_GRACE_PERIOD_DAYS: 28,
+
+  // Payment status lookups run in groups of this size
+  STATUS_BATCH_SIZE: 10,
+
+  // Activity log action for a reminder
+  ACTION: 'payment_reminder_sent',
+
+  // Ways a reminder can be sent from the device
+  CHANNELS: {
+    SHARE: 'share',
+    SMS: 'sms',
+    EMAIL: 'email'
+  },
+
+  TEMPLATES: {
+    friendly: {
+      id: 'friendly',
+      label: 'Friendly reminder',
+      subject: '{club}: {month} fee reminder',
+      body: 'Hi {name}, a friendly reminder that the {month} fee of {amount} was due on {dueDate}. Please pay when you can. Thank you! - {club}'
+    },
+    overdue: {
+      id: 'overdue',
+      label: 'Overdue notice',
+      subject: '{club}: {month} fee overdue',
+      body: 'Hi {name}, the {month} fee of {amount} is now {daysOverdue} days overdue (due {dueDate}). Please clear it this week. - {club}'
+    },
+    final: {
+      id: 'final',
+      label: 'Final notice',
+      subject: '{club}: final notice for {month}',
+      body: 'Hi {name}, the {month} fee of {amount} is still unpaid {daysOverdue} days after the due date. Please pay before your next {batches} class to keep your place. - {club}'
+    }
+  },
+
+  // Days overdue at which the suggested template escalates
+  ESCALATION: [
+    { afterDays: 21, template: 'final' },
+    { afterDays: 10, template: 'overdue' },
+    { afterDays: 0, template: 'friendly' }
+  ]
+}
+
+/**
+ * Suggest a template for how late a payment is
+ * @function getTemplateForDays
+ * @param {number} daysOverdue - Days since the due date
+ * @returns {string} Template ID
+ */
+export const getTemplateForDays = (daysOverdue) => {
+  return REMINDER_CONFIG.ESCALATION.find(step => daysOverdue >= step.afterDays)?.template || 'friendly'
+}
+
+/**
+ * Fill a template with the values for one reminder
+ * @function renderReminderMessage
+ * @param {string} templateId - Template ID
+ * @param {Object} item - Reminder queue item
+ * @returns {Object} Subject and body
+ */
+export const renderReminderMessage = (templateId, item) => {
+  const template = REMINDER_CONFIG.TEMPLATES[templateId] || REMINDER_CONFIG.TEMPLATES.friendly
+  const values = {
+    name: item.student.name,
+    month: PaymentUtils.formatPeriod(item.period),
+    amount: PaymentUtils.formatCurrency(item.outstanding),
+    dueDate: formatDate(item.dueDate, { day: 'numeric', month: 'long' }, 'en-IN'),
+    daysOverdue: String(item.daysOverdue),
+    batches: (item.student.batches || []).join(', ') || 'training',
+    club: INVOICE_CONFIG.BRANDING.name
+  }
+  const fill = (text) => text.replace(/\{(\w+)\}/g, (match, key) => values[key] ?? match)
+
+  return { subject: fill(template.subject), body: fill(template.body) }
+}
+
+/**
+ * Build an sms: or mailto: link for a reminder
+ * @function buildReminderLink
+ * @param {string} channel - REMINDER_CONFIG.CHANNELS.SMS or EMAIL
+ * @param {Object} student - Student document
+ * @param {Object} message - Subject and body
+ * @returns {string|null} Link, or null when the student has no matching contact
+ */
+export const buildReminderLink = (channel, student, message) => {
+  if (channel === REMINDER_CONFIG.CHANNELS.SMS) {
+    const phone = (student.contact || '').replace(/[^\d+]/g, '')
+    return phone ? `sms:${phone}?body=${encodeURIComponent(message.body)}` : null
+  }
+
+  if (channel === REMINDER_CONFIG.CHANNELS.EMAIL) {
+    return student.email
+      ? `mailto:${student.email}?subject=${encodeURIComponent(message.subject)}&body=${encodeURIComponent(message.body)}`
+      : null
+  }
+
+  return null
+}
+
+/**
+ * Get the date a period's fee falls due for a student
+ * Uses the earliest due day among the student's batch fee plans
+ * @function getDueDate
+ * @param {string} period - Billing period (YYYY-MM)
+ * @param {Array} feePlans - Active fee plan documents
+ * @param {Array<string>} batchNames - Student's batches
+ * @returns {string} Due date (YYYY-MM-DD)
+ * @private
+ */
+const getDueDate = (period, feePlans, batchNames) => {
+  const dueDays = feePlans
+    .filter(plan => batchNames.includes(plan.batch_name))
+    .map(plan => plan.due_day || PAYMENT_CONFIG.DEFAULT_DUE_DAY)
+  const dueDay = dueDays.length > 0 ? Math.min(...dueDays) : PAYMENT_CONFIG.DEFAULT_DUE_DAY
+  return `${period}-${String(dueDay).padStart(2, '0')}`
+}
+
+/**
+ * Load every active student through getStudents pages
+ * @function getAllActiveStudents
+ * @returns {Promise<Array>} Student documents
+ * @private
+ */
+const getAllActiveStudents = async () => {
+  const students = []
+  let total = 0
+
+  do {
+    const result = await getStudents({ status: 'active', limit: 100, offset: students.length })
+    if (!result.success) throw result
+    students.push(...result.data.students)
+    total = result.data.total
+    if (result.data.students.length === 0) break
+  } while (students.length < total)
+
+  return students
+}
+
+/**
+ * Get reminders already sent for a period, grouped by student
+ * @function getReminderHistory
+ * @param {string} period - Billing period (YYYY-MM)
+ * @returns {Promise<Object>} Count and last reminder per student ID
+ */
+export const getReminderHistory = async (period) => {
+  try {
+    const activities = await listAllDocuments(ACTIVITY_LOG_COLLECTION, [
+      Query.equal('action', REMINDER_CONFIG.ACTION),
+      Query.greaterThanEqual('timestamp', toInstant(`${period}-01`).toISOString()),
+      Query.orderDesc('timestamp')
+    ], 'getReminderHistory')
+
+    const history = {}
+    activities.forEach(activity => {
+      let details = {}
+      try {
+        details = JSON.parse(activity.details || '{}')
+      } catch {
+        return
+      }
+      if (details.period !== period || !details.student_id) return
+
+      const entry = history[details.student_id] || { count: 0, lastSentAt: null, lastChannel: null }
+      entry.count += 1
+      if (!entry.lastSentAt) {
+        entry.lastSentAt = activity.timestamp
+        entry.lastChannel = details.channel || null
+      }
+      history[details.student_id] = entry
+    })
+
+    return createSuccessResponse(history, 'Reminder history retrieved')
+
+  } catch (error) {
+    if (error.success === false) return error
+    return handleError(error, 'getReminderHistory')
+  }
+}
+
+/**
+ * Find active students with an overdue fee for a period
+ * @function getOverduePayments
+ * @param {string} period - Billing period (YYYY-MM)
+ * @param {Object} [options] - Detection options
+ * @param {number} [options.graceDays=5] - Days after the due date before a fee is overdue
+ * @param {Date|string} [options.today=new Date()] - Moment or club date (YYYY-MM-DD) to measure from
+ * @returns {Promise<Object>} Reminder queue, most overdue first
+ */
+export const getOverduePayments = async (period, options = {}) => {
+  try {
+    const { graceDays = REMINDER_CONFIG.GRACE_PERIOD_DAYS, today = new Date() } = options
+
+    const fieldErrors = {}
+    if (!period || !/^\d{4}-\d{2}$/.test(period)) fieldErrors.period = 'Billing month is required'
+    if (!Number.isInteger(graceDays) || graceDays < 0 || graceDays > REMINDER_CONFIG.MAX_GRACE_PERIOD_DAYS) {
+      fieldErrors.graceDays = `Grace period must be between 0 and ${REMINDER_CONFIG.MAX_GRACE_PERIOD_DAYS} days`
+    }
+    if (Object.keys(fieldErrors).length > 0) {
+      throw handleValidationError(new Error('Invalid overdue check'), 'getOverduePayments', fieldErrors)
+    }
+
+    const { month, year } = PaymentUtils.parsePeriod(period)
+
+    const [students, feePlansResult, historyResult] = await Promise.all([
+      getAllActiveStudents(),
+      getFeePlans(),
+      getReminderHistory(period)
+    ])
+
+    if (!feePlansResult.success) return feePlansResult
+    const feePlans = feePlansResult.data.feePlans
+    const history = historyResult.success ? historyResult.data : {}
+    const todayKey = isDateKey(today) ? today : toDateKey(today)
+
+    // Students whose grace period has ended and who owe a fee for the period
+    const candidates = students
+      .map(student => {
+        const batches = student.batches || []
+        const dueDate = getDueDate(period, feePlans, batches)
+        return {
+          student,
+          dueDate,
+          fee: getFeeForBatches(feePlans, batches),
+          daysOverdue: daysBetween(dueDate, todayKey),
+          joinedAfterDue: toDateKey(student.created_at || student.$createdAt || 0) >= dueDate
+        }
+      })
+      .filter(candidate => candidate.fee > 0 && !candidate.joinedAfterDue && candidate.daysOverdue > graceDays)
+
+    const queue = []
+    for (let i = 0; i < candidates.length; i += REMINDER_CONFIG.STATUS_BATCH_SIZE) {
+      const group = candidates.slice(i, i + REMINDER_CONFIG.STATUS_BATCH_SIZE)
+
+      const items = await Promise.all(group.map(async (candidate) => {
+        const statusResult = await getPaymentStatus(candidate.student.$id, month, year)
+        if (!statusResult.success) throw statusResult
+        if (statusResult.data.paid) return null
+
+        // Partly paid months need every record to know what is left
+        const periodPayments = statusResult.data.exists
+          ? await listAllDocuments(PAYMENTS_COLLECTION, [
+              Query.equal('student_id', candidate.student.$id),
+              Query.equal('month', month),
+              Query.equal('year', year)
+            ], 'getOverduePayments')
+          : []
+        const summary = summarizePeriodPayments(periodPayments, candidate.fee)
+        if (summary.outstanding <= 0) return null
+
+        const reminders = history[candidate.student.$id] || { count: 0, lastSentAt: null, lastChannel: null }
+
+        return {
+          student: candidate.student,
+          period,
+          dueDate: candidate.dueDate,
+          daysOverdue: candidate.daysOverdue,
+          amountDue: summary.due,
+          paid: summary.paid,
+          outstanding: summary.outstanding,
+          templateId: getTemplateForDays(candidate.daysOverdue),
+          remindersSent: reminders.count,
+          lastRemindedAt: reminders.lastSentAt,
+          lastChannel: reminders.lastChannel
+        }
+      }))
+
+      queue.push(...items.filter(Boolean))
+    }
+
+    queue.sort((a, b) => b.daysOverdue - a.daysOverdue || b.outstanding - a.outstanding)
+
+    return createSuccessResponse({
+      queue,
+      total: queue.length,
+      outstanding: queue.reduce((sum, item) => sum + item.outstanding, 0),
+      graceDays
+    }, queue.length > 0 ? `${queue.length} overdue payments` : 'No overdue payments')
+
+  } catch (error) {
+    if (error.success === false) return error
+    return handleError(error, 'getOverduePayments')
+  }
+}
+
+/**
+ * Record that a reminder was sent
+ * @function recordReminderSent
+ * @param {Object} reminder - Reminder details
+ * @param {string} reminder.student_id - Student document ID
+ * @param {string} reminder.period - Billing period (YYYY-MM)
+ * @param {string} reminder.channel - One of REMINDER_CONFIG.CHANNELS
+ * @param {string} reminder.template - Template ID used
+ * @param {number} reminder.outstanding - Amount outstanding when sent
+ * @param {string|null} [sentBy=null] - Instructor sending the reminder
+ * @returns {Promise<Object>} Activity log result
+ */
+export const recordReminderSent = async (reminder, sentBy = null) => {
+  try {
+    if (!reminder.student_id || !reminder.period) {
+      throw handleValidationError(new Error('Reminder details required'), 'recordReminderSent', {
+        student_id: !reminder.student_id ? 'Student is required' : undefined,
+        period: !reminder.period ? 'Billing month is required' : undefined
+      })
+    }
+
+    if (!Object.values(REMINDER_CONFIG.CHANNELS).includes(reminder.channel)) {
+      throw handleValidationError(new Error('Invalid channel'), 'recordReminderSent', {
+        channel: 'Select how the reminder was sent'
+      })
+    }
+
+    const result = await logActivity(REMINDER_CONFIG.ACTION, sentBy, {
+      student_id: reminder.student_id,
+      period: reminder.period,
+      channel: reminder.channel,
+      template: reminder.template,
+      outstanding: reminder.outstanding
+    })
+
+    return createSuccessResponse(
+      { sentAt: result.data?.timestamp || new Date().toISOString() },
+      'Reminder recorded'
+    )
+
+  } catch (error) {
+    if (error.success === false) return error
+    return handleError(error, 'recordReminderSent')
+  }
+}
+
+export default {
+  getOverduePayments,
+  getReminderHistory,
+  recordReminderSent,
+  renderReminderMessage,
+  buildReminderLink,
+  getTemplateForDays,
+  REMINDER_CONFIG
+}
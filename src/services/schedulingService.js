@@ -3,20 +3,50 @@
  * 
  * Comprehensive service for class scheduling operations including bulk scheduling,
  * cancellation, conflict resolution, and Appwrite integration for SportClubApp.
+ * Requests name batches by their document ID in the batches collection.
+ * Dates covered by a closure (see closureService) are never scheduled.
+ * Bulk writes go through bulkOperationService, so they run a few at a time,
+ * report progress, and can be resumed or rolled back. Each bulk schedule or
+ * cancel is also recorded as a changeset (see changesetService) for undo.
+ * New classes are assigned their batch's instructors, and an instructor is
+ * never booked into two overlapping classes. Dates are the club's local
+ * calendar dates and times its wall-clock times (see utils/dates.js).
+ * Class reads and writes go through offlineStorage (storageService), so on
+ * Appwrite the calendar works offline and changes made there are queued
+ * until the connection returns.
  * 
  * @service
  * @version 1.0.0
  */
 
-import { databases, APPWRITE_CONFIG, Query, ID, retryOperation } from './appwrite.js'
+import { APPWRITE_CONFIG, Query, ID, retryOperation } from './appwrite.js'
+import { offlineStorage } from './storageService.js'
 import { 
   handleError, 
   handleValidationError, 
   createSuccessResponse, 
   ErrorTypes 
 } from '../utils/errorHandler.js'
-import { getCurrentUser } from './authService.js'
-import { logActivity } from './databaseService.js'
+import { getCurrentActor } from './authService.js'
+import { logActivity, listAllDocuments } from './databaseService.js'
+import { getBatches, getBatchesByIds, BatchUtils } from './batchService.js'
+import { getClosedDates } from './closureService.js'
+import { registerBulkHandler, runBulkOperation, resumeBulkOperation } from './bulkOperationService.js'
+import { recordChangeset, CHANGESET_CONFIG } from './changesetService.js'
+import { moveClassBookings } from './bookingService.js'
+import {
+  toDateKey,
+  toInstant,
+  today,
+  addDays,
+  daysBetween,
+  eachDate,
+  getWeekday,
+  getDateParts,
+  getMonthRange,
+  getClubTimezone,
+  isDateKey
+} from '../utils/dates.js'
 
 const DATABASE_ID = APPWRITE_CONFIG.databaseId
 const CLASSES_COLLECTION = APPWRITE_CONFIG.collections.classes
@@ -26,31 +56,6 @@ const CLASSES_COLLECTION = APPWRITE_CONFIG.collections.classes
  * @constant
  */
 export const SCHEDULING_CONFIG = {
-  // Available batches for scheduling
-  BATCHES: {
-    MORNING: {
-      id: 'morning',
-      name: 'Morning Batch',
-      defaultTime: '09:00',
-      color: 'orange',
-      maxStudents: 15
-    },
-    EVENING: {
-      id: 'evening', 
-      name: 'Evening Batch',
-      defaultTime: '18:00',
-      color: 'purple',
-      maxStudents: 12
-    },
-    WEEKEND: {
-      id: 'weekend',
-      name: 'Weekend Batch', 
-      defaultTime: '10:00',
-      color: 'blue',
-      maxStudents: 20
-    }
-  },
-
   // Class statuses
   STATUS: {
     SCHEDULED: 'scheduled',
@@ -68,10 +73,25 @@ export const SCHEDULING_CONFIG = {
 
   // Validation rules
   VALIDATION: {
-    MAX_ADVANCE_DAYS: 90,        // Maximum days in advance to schedule
+    MAX_ADVANCE_DAYS: 180,       // Maximum days in advance to schedule (a term, booked before it starts)
     MIN_ADVANCE_HOURS: 2,        // Minimum hours in advance to schedule
     MAX_BATCH_SIZE: 25,          // Maximum students per class
-    MAX_BULK_OPERATIONS: 50      // Maximum classes in bulk operation
+    MAX_CLASSES_PER_REQUEST: 600 // Maximum classes in one bulk request
+  },
+
+  // Classes per chunk of a bulk request; progress is saved after each chunk
+  BULK_CHUNK_SIZE: 50,
+
+  // Length assumed for a class whose batch has no end time
+  DEFAULT_CLASS_MINUTES: 60,
+
+  // Classes fetched per page by the conflict check; one page covers most ranges
+  CONFLICT_PAGE_SIZE: 500,
+
+  // Bulk operation types registered with bulkOperationService
+  BULK_OPERATIONS: {
+    SCHEDULE: 'schedule_classes',
+    CANCEL: 'cancel_classes'
   }
 }
 
@@ -81,58 +101,59 @@ export const SCHEDULING_CONFIG = {
 export const DateUtils = {
   /**
    * Format date for storage (YYYY-MM-DD)
+   * A Date is a moment in time and gives its date at the club; a date
+   * string is returned as it is.
    * @function formatDateForStorage
-   * @param {Date} date - Date to format
+   * @param {Date|string} date - Date to format
    * @returns {string} Formatted date string
    */
   formatDateForStorage: (date) => {
-    return date.toISOString().split('T')[0]
+    return typeof date === 'string' ? date : toDateKey(date)
   },
 
   /**
    * Parse date from storage format
+   * Gives the moment the date starts at the club.
    * @function parseDateFromStorage
-   * @param {string} dateString - Date string to parse
+   * @param {string} dateString - Date (YYYY-MM-DD)
    * @returns {Date} Parsed date
    */
   parseDateFromStorage: (dateString) => {
-    return new Date(dateString + 'T00:00:00.000Z')
+    return toInstant(dateString)
   },
 
   /**
    * Generate date range
    * @function generateDateRange
-   * @param {Date} startDate - Start date
-   * @param {Date} endDate - End date
+   * @param {string} startDate - Start date (YYYY-MM-DD)
+   * @param {string} endDate - End date (YYYY-MM-DD)
    * @param {Array} excludeDays - Days to exclude (0=Sunday, 6=Saturday)
-   * @returns {Array} Array of dates
+   * @param {Object} [closedDates={}] - Closures keyed by date (YYYY-MM-DD), skipped
+   * @returns {Array<string>} Dates (YYYY-MM-DD)
    */
-  generateDateRange: (startDate, endDate, excludeDays = []) => {
-    const dates = []
-    const currentDate = new Date(startDate)
-    
-    while (currentDate <= endDate) {
-      if (!excludeDays.includes(currentDate.getDay())) {
-        dates.push(new Date(currentDate))
-      }
-      currentDate.setDate(currentDate.getDate() + 1)
-    }
-    
-    return dates
+  generateDateRange: (startDate, endDate, excludeDays = [], closedDates = {}) => {
+    return eachDate(DateUtils.formatDateForStorage(startDate), DateUtils.formatDateForStorage(endDate))
+      .filter(date => !excludeDays.includes(getWeekday(date)) && !closedDates[date])
   },
 
   /**
    * Check if date is valid for scheduling
    * @function isValidSchedulingDate
-   * @param {Date} date - Date to validate
+   * @param {string} date - Date to validate (YYYY-MM-DD)
+   * @param {string} [time='00:00'] - Class start time (HH:MM) at the club
    * @returns {Object} Validation result
    */
-  isValidSchedulingDate: (date) => {
+  isValidSchedulingDate: (date, time = '00:00') => {
+    if (!isDateKey(date)) {
+      return { valid: false, reason: 'Date must be in YYYY-MM-DD format' }
+    }
+
     const now = new Date()
+    const start = toInstant(date, time)
     const minDate = new Date(now.getTime() + SCHEDULING_CONFIG.VALIDATION.MIN_ADVANCE_HOURS * 60 * 60 * 1000)
-    const maxDate = new Date(now.getTime() + SCHEDULING_CONFIG.VALIDATION.MAX_ADVANCE_DAYS * 24 * 60 * 60 * 1000)
+    const maxDate = addDays(today(), SCHEDULING_CONFIG.VALIDATION.MAX_ADVANCE_DAYS)
 
-    if (date < minDate) {
+    if (start < minDate) {
       return {
         valid: false,
         reason: `Classes must be scheduled at least ${SCHEDULING_CONFIG.VALIDATION.MIN_ADVANCE_HOURS} hours in advance`
@@ -152,12 +173,19 @@ export const DateUtils = {
 
 /**
  * Validate scheduling request
+ * Closed dates in the range are listed in the result; a range where every
+ * date is closed is rejected.
  * @function validateSchedulingRequest
  * @param {Object} request - Scheduling request data
+ * @param {Object} [closedDates={}] - Closures keyed by date (YYYY-MM-DD)
+ * @param {Object} [options] - Validation options
+ * @param {boolean} [options.advance=true] - Hold the dates to the advance window; false for a range of existing classes
  * @returns {Object} Validation result
  */
-const validateSchedulingRequest = (request) => {
+const validateSchedulingRequest = (request, closedDates = {}, options = {}) => {
+  const { advance = true } = options
   const errors = []
+  let closed = []
 
   // Validate required fields
   if (!request.startDate) {
@@ -178,87 +206,210 @@ const validateSchedulingRequest = (request) => {
 
   // Validate date range
   if (request.startDate && request.endDate) {
-    const startDate = new Date(request.startDate)
-    const endDate = new Date(request.endDate)
+    const { startDate, endDate } = request
 
     if (startDate > endDate) {
       errors.push('Start date must be before end date')
     }
 
     // Validate individual dates
-    const startValidation = DateUtils.isValidSchedulingDate(startDate)
+    const startValidation = advance
+      ? DateUtils.isValidSchedulingDate(startDate)
+      : { valid: isDateKey(startDate), reason: 'Date must be in YYYY-MM-DD format' }
     if (!startValidation.valid) {
       errors.push(`Start date: ${startValidation.reason}`)
     }
 
-    const endValidation = DateUtils.isValidSchedulingDate(endDate)
+    const endValidation = advance
+      ? DateUtils.isValidSchedulingDate(endDate)
+      : { valid: isDateKey(endDate), reason: 'Date must be in YYYY-MM-DD format' }
     if (!endValidation.valid) {
       errors.push(`End date: ${endValidation.reason}`)
     }
 
-    // Check date range size
-    const daysDiff = Math.ceil((endDate - startDate) / (1000 * 60 * 60 * 24))
-    const totalClasses = daysDiff * request.batches.length
+    // The class count limit is checked once the exact classes are known,
+    // after excludeDays, closures and batch meeting days are applied
 
-    if (totalClasses > SCHEDULING_CONFIG.VALIDATION.MAX_BULK_OPERATIONS) {
-      errors.push(`Maximum ${SCHEDULING_CONFIG.VALIDATION.MAX_BULK_OPERATIONS} classes can be scheduled at once`)
-    }
-  }
+    // Flag closures in the range
+    if (startDate <= endDate && Object.keys(closedDates).length > 0) {
+      const candidateDates = DateUtils.generateDateRange(startDate, endDate, request.excludeDays || [])
+      closed = candidateDates
+        .filter(date => closedDates[date])
+        .map(date => ({ date, closure: closedDates[date].name }))
 
-  // Validate batches
-  if (request.batches) {
-    const invalidBatches = request.batches.filter(
-      batch => !Object.keys(SCHEDULING_CONFIG.BATCHES).includes(batch.toUpperCase())
-    )
-    if (invalidBatches.length > 0) {
-      errors.push(`Invalid batches: ${invalidBatches.join(', ')}`)
+      if (candidateDates.length > 0 && closed.length === candidateDates.length) {
+        const closureNames = [...new Set(closed.map(item => item.closure))]
+        errors.push(`The club is closed on every date in this range (${closureNames.join(', ')})`)
+      }
     }
   }
 
   if (errors.length > 0) {
     return {
       valid: false,
-      errors
+      errors,
+      closed
     }
   }
 
-  return { valid: true }
+  return { valid: true, closed }
+}
+
+/**
+ * Convert HH:MM to minutes after midnight
+ * @function toMinutes
+ * @param {string} time - Time (HH:MM)
+ * @returns {number|null} Minutes, or null when the time is missing
+ */
+const toMinutes = (time) => {
+  if (!time || !/^\d{1,2}:\d{2}$/.test(time)) return null
+  const [hours, minutes] = time.split(':').map(Number)
+  return hours * 60 + minutes
+}
+
+/**
+ * Time window of a class, using its batch for the length
+ * @function getClassWindow
+ * @param {string} time - Class start time (HH:MM)
+ * @param {Object} [batch] - Batch document
+ * @returns {Object|null} { start, end } in minutes, or null when the time is unknown
+ */
+const getClassWindow = (time, batch) => {
+  const start = toMinutes(time || batch?.start_time)
+  if (start === null) return null
+
+  const batchStart = toMinutes(batch?.start_time)
+  const batchEnd = toMinutes(batch?.end_time)
+  const length = batchStart !== null && batchEnd !== null && batchEnd > batchStart
+    ? batchEnd - batchStart
+    : SCHEDULING_CONFIG.DEFAULT_CLASS_MINUTES
+
+  return { start, end: start + length }
+}
+
+/**
+ * Instructors assigned to a class
+ * Classes scheduled before instructors were assigned per class fall back to
+ * their batch's instructors.
+ * @function getClassInstructorIds
+ * @param {Object} classDoc - Class document
+ * @param {Object} [batch] - The class's batch document
+ * @returns {Array<string>} Instructor document IDs
+ */
+export const getClassInstructorIds = (classDoc, batch) => (
+  classDoc.instructor_ids?.length > 0 ? classDoc.instructor_ids : batch?.instructor_ids || []
+)
+
+/**
+ * Whether two batches could clash for a court or an instructor
+ * Batches clash unless both have a venue and the venues differ, or they
+ * share an instructor.
+ * @function sharesResources
+ * @param {Object} batch - Batch document
+ * @param {Object} [otherBatch] - Batch document
+ * @param {Array<string>} [otherInstructorIds] - Instructors of the other class, defaults to its batch's
+ * @returns {boolean} Whether overlapping classes would clash
+ */
+const sharesResources = (batch, otherBatch, otherInstructorIds = otherBatch?.instructor_ids || []) => {
+  const instructorIds = batch.instructor_ids || []
+  if (otherInstructorIds.some(id => instructorIds.includes(id))) {
+    return true
+  }
+
+  const venue = (batch.venue || '').trim().toLowerCase()
+  const otherVenue = (otherBatch?.venue || '').trim().toLowerCase()
+  return !venue || !otherVenue || venue === otherVenue
 }
 
 /**
  * Check for scheduling conflicts
+ * Loads every scheduled class in the date range with one query and groups
+ * them by date. A planned class conflicts with a class of the same batch on
+ * the same day, or with another batch's class whose time window overlaps and
+ * which could need the same court or instructor.
  * @function checkSchedulingConflicts
- * @param {Array} dates - Dates to check
- * @param {Array} batches - Batches to check
+ * @param {Array<Date|string>} dates - Dates to check
+ * @param {Array} batches - Batch IDs to check
+ * @param {Object} [options] - Check options
+ * @param {string} [options.time] - Start time (HH:MM) of the planned classes, defaults to each batch's start time
+ * @param {Set<string>} [options.ignoreIds] - Class IDs to leave out, such as classes being moved
  * @returns {Promise<Object>} Conflict check result
+ *
+ * @example
+ * const result = await checkSchedulingConflicts(['2025-03-03', '2025-03-04'], [morningBatch.$id])
+ * // result.data.conflicts: [{ date: '2025-03-04', batch: 'Morning Batch', type: 'batch', existingClass }]
  */
-export const checkSchedulingConflicts = async (dates, batches) => {
+export const checkSchedulingConflicts = async (dates, batches, options = {}) => {
   try {
+    const { time = '', ignoreIds = new Set() } = options
+
+    const batchLookup = await getBatchesByIds(batches)
+    if (!batchLookup.success) {
+      return batchLookup
+    }
+
+    const dateStrings = [...new Set(dates.map(date =>
+      typeof date === 'string' ? date : DateUtils.formatDateForStorage(date)
+    ))].sort()
+
+    if (dateStrings.length === 0 || batchLookup.data.batches.length === 0) {
+      return createSuccessResponse({ hasConflicts: false, conflicts: [] }, 'Conflict check completed')
+    }
+
+    // Existing classes need their own batch for time windows and venues
+    const allBatches = await getBatches({ activeOnly: false })
+    if (!allBatches.success) {
+      return allBatches
+    }
+    const batchesById = Object.fromEntries(allBatches.data.batches.map(batch => [batch.$id, batch]))
+    const batchesByName = Object.fromEntries(allBatches.data.batches.map(batch => [batch.name, batch]))
+
+    const existingClasses = await listAllDocuments(CLASSES_COLLECTION, [
+      Query.greaterThanEqual('date', dateStrings[0]),
+      Query.lessThanEqual('date', dateStrings[dateStrings.length - 1]),
+      Query.equal('status', SCHEDULING_CONFIG.STATUS.SCHEDULED)
+    ], 'check_scheduling_conflicts', SCHEDULING_CONFIG.CONFLICT_PAGE_SIZE)
+
+    const classesByDate = {}
+    existingClasses
+      .filter(classDoc => !ignoreIds.has(classDoc.$id))
+      .forEach(classDoc => {
+        if (!classesByDate[classDoc.date]) {
+          classesByDate[classDoc.date] = []
+        }
+        classesByDate[classDoc.date].push(classDoc)
+      })
+
     const conflicts = []
-    
-    // Check each date and batch combination
-    for (const date of dates) {
-      const dateString = DateUtils.formatDateForStorage(date)
-      
-      for (const batch of batches) {
-        const batchConfig = SCHEDULING_CONFIG.BATCHES[batch.toUpperCase()]
-        
-        // Query existing classes for this date and batch
-        const existingClasses = await retryOperation(
-          () => databases.listDocuments(DATABASE_ID, CLASSES_COLLECTION, [
-            Query.equal('date', dateString),
-            Query.equal('batch_name', batchConfig.name),
-            Query.equal('status', SCHEDULING_CONFIG.STATUS.SCHEDULED)
-          ]),
-          'check_scheduling_conflicts'
+
+    for (const dateString of dateStrings) {
+      const classesOnDate = classesByDate[dateString] || []
+      if (classesOnDate.length === 0) continue
+
+      for (const batchConfig of batchLookup.data.batches) {
+        const sameBatch = classesOnDate.find(classDoc =>
+          classDoc.batch_name === batchConfig.name || (classDoc.batch_id && classDoc.batch_id === batchConfig.$id)
         )
 
-        if (existingClasses.documents.length > 0) {
-          conflicts.push({
-            date: dateString,
-            batch: batchConfig.name,
-            existingClass: existingClasses.documents[0]
-          })
+        if (sameBatch) {
+          conflicts.push({ date: dateString, batch: batchConfig.name, type: 'batch', existingClass: sameBatch })
+          continue
+        }
+
+        const window = getClassWindow(time, batchConfig)
+        if (!window) continue
+
+        const overlapping = classesOnDate.find(classDoc => {
+          const otherBatch = batchesById[classDoc.batch_id] || batchesByName[classDoc.batch_name]
+          const otherWindow = getClassWindow(classDoc.time, otherBatch)
+          return otherWindow &&
+            window.start < otherWindow.end &&
+            otherWindow.start < window.end &&
+            sharesResources(batchConfig, otherBatch, getClassInstructorIds(classDoc, otherBatch))
+        })
+
+        if (overlapping) {
+          conflicts.push({ date: dateString, batch: batchConfig.name, type: 'overlap', existingClass: overlapping })
         }
       }
     }
@@ -269,115 +420,384 @@ export const checkSchedulingConflicts = async (dates, batches) => {
     }, 'Conflict check completed')
 
   } catch (error) {
+    if (error.success === false) return error
     return handleError(error, 'checkSchedulingConflicts')
   }
 }
 
+/**
+ * Check that instructors are free for a class
+ * An instructor is busy when assigned to another scheduled class that day
+ * whose time window overlaps.
+ * @function checkInstructorAvailability
+ * @param {Array<string>} instructorIds - Instructor document IDs
+ * @param {Object} classDoc - Class, or { date, time, batch_id, batch_name }
+ * @param {Object} [options] - Check options
+ * @param {Set<string>} [options.ignoreIds] - Class IDs to leave out, such as the class itself
+ * @returns {Promise<Object>} { available, conflicts: [{ instructorId, existingClass }] }
+ *
+ * @example
+ * const result = await checkInstructorAvailability([instructorId], classDoc, { ignoreIds: new Set([classDoc.$id]) })
+ * if (!result.data.available) console.log(result.data.conflicts[0].existingClass.batch_name)
+ */
+export const checkInstructorAvailability = async (instructorIds, classDoc, options = {}) => {
+  try {
+    const { ignoreIds = new Set() } = options
+
+    if (instructorIds.length === 0) {
+      return createSuccessResponse({ available: true, conflicts: [] }, 'Instructors are available')
+    }
+
+    const allBatches = await getBatches({ activeOnly: false })
+    if (!allBatches.success) {
+      return allBatches
+    }
+    const findBatch = (doc) => allBatches.data.batches.find(batch =>
+      (doc.batch_id && batch.$id === doc.batch_id) || batch.name === doc.batch_name
+    )
+
+    const window = getClassWindow(classDoc.time, findBatch(classDoc))
+    const classesOnDate = await listAllDocuments(CLASSES_COLLECTION, [
+      Query.equal('date', classDoc.date),
+      Query.equal('status', SCHEDULING_CONFIG.STATUS.SCHEDULED)
+    ], 'check_instructor_availability')
+
+    const conflicts = []
+
+    for (const existingClass of classesOnDate) {
+      if (ignoreIds.has(existingClass.$id)) continue
+
+      const otherBatch = findBatch(existingClass)
+      const otherWindow = getClassWindow(existingClass.time, otherBatch)
+      // Without start times the classes are assumed to overlap
+      const overlaps = !window || !otherWindow || (window.start < otherWindow.end && otherWindow.start < window.end)
+      if (!overlaps) continue
+
+      const assigned = getClassInstructorIds(existingClass, otherBatch)
+      instructorIds
+        .filter(instructorId => assigned.includes(instructorId))
+        .forEach(instructorId => conflicts.push({ instructorId, existingClass }))
+    }
+
+    return createSuccessResponse({
+      available: conflicts.length === 0,
+      conflicts
+    }, conflicts.length === 0 ? 'Instructors are available' : 'Some instructors are already teaching then')
+
+  } catch (error) {
+    if (error.success === false) return error
+    return handleError(error, 'checkInstructorAvailability')
+  }
+}
+
+/**
+ * Create one class of a bulk schedule
+ * The item key is the document ID, so running an item again after an
+ * interruption finds the class it already created.
+ */
+registerBulkHandler(SCHEDULING_CONFIG.BULK_OPERATIONS.SCHEDULE, {
+  run: async (classData, { key }) => {
+    try {
+      return await retryOperation(
+        () => offlineStorage.createDocument(DATABASE_ID, CLASSES_COLLECTION, key, classData),
+        'schedule_class'
+      )
+    } catch (error) {
+      if (error.type !== ErrorTypes.CONFLICT) throw error
+      return retryOperation(
+        () => offlineStorage.getDocument(DATABASE_ID, CLASSES_COLLECTION, key),
+        'get_scheduled_class'
+      )
+    }
+  },
+  undo: async (classData, { key }) => {
+    try {
+      await retryOperation(
+        () => offlineStorage.deleteDocument(DATABASE_ID, CLASSES_COLLECTION, key),
+        'remove_scheduled_class'
+      )
+    } catch (error) {
+      if (error.type !== ErrorTypes.NOT_FOUND) throw error
+    }
+  }
+})
+
+/**
+ * Cancel one class of a bulk cancellation, or restore it on rollback
+ * Rollback puts back the values the class had before it was cancelled.
+ */
+registerBulkHandler(SCHEDULING_CONFIG.BULK_OPERATIONS.CANCEL, {
+  run: (item) => retryOperation(
+    () => offlineStorage.updateDocument(DATABASE_ID, CLASSES_COLLECTION, item.classId, {
+      status: SCHEDULING_CONFIG.STATUS.CANCELLED,
+      cancelled_by: item.cancelled_by,
+      cancellation_reason: item.cancellation_reason,
+      cancelled_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    }),
+    'cancel_class'
+  ),
+  undo: (item) => retryOperation(
+    () => offlineStorage.updateDocument(DATABASE_ID, CLASSES_COLLECTION, item.classId, {
+      status: SCHEDULING_CONFIG.STATUS.SCHEDULED,
+      cancelled_by: null,
+      cancellation_reason: '',
+      cancelled_at: null,
+      ...item.previous,
+      updated_at: new Date().toISOString()
+    }),
+    'restore_cancelled_class'
+  )
+})
+
+/**
+ * Record the classes a bulk schedule or cancel changed, for undo
+ * Recording never fails the operation itself; without a changeset the
+ * result simply has no undo.
+ * @function recordBulkChangeset
+ * @param {Object} bulkData - Result data of runBulkOperation or resumeBulkOperation
+ * @param {string} changedBy - Instructor who made the changes
+ * @returns {Promise<string|null>} Changeset ID, or null when nothing was recorded
+ */
+const recordBulkChangeset = async (bulkData, changedBy) => {
+  const isSchedule = bulkData.type === SCHEDULING_CONFIG.BULK_OPERATIONS.SCHEDULE
+
+  const recorded = await recordChangeset({
+    id: bulkData.operationId,
+    type: bulkData.type,
+    label: bulkData.label,
+    changes: bulkData.completed.map(({ item, result }) => ({
+      class_id: result.$id,
+      date: result.date,
+      batch_name: result.batch_name,
+      kind: isSchedule ? CHANGESET_CONFIG.CHANGE.CREATED : CHANGESET_CONFIG.CHANGE.UPDATED,
+      before: isSchedule ? null : item.previous,
+      updated_at: result.$updatedAt
+    }))
+  }, changedBy)
+
+  if (!recorded.success) {
+    console.warn('Failed to record changeset:', recorded.message)
+    return null
+  }
+
+  return recorded.data?.$id || null
+}
+
+/**
+ * Work out every class a scheduling request creates
+ * Dates are limited by excludeDays, closures and the days each batch meets.
+ * Classes that clash with existing ones are marked with their conflict and,
+ * when skipConflicts is set, left out of the classes to create.
+ * @function planSchedule
+ * @param {Object} request - Scheduling request (see scheduleClasses)
+ * @returns {Promise<Object>} Plan { planned, toCreate, conflicts, closed, batches }
+ * @throws {Object} Validation or lookup error response
+ */
+const planSchedule = async (request) => {
+  let closedDates = {}
+  if (request.startDate && request.endDate) {
+    const closedLookup = await getClosedDates(request.startDate, request.endDate)
+    if (!closedLookup.success) {
+      throw closedLookup
+    }
+    closedDates = closedLookup.data.closedDates
+  }
+
+  // Validate request
+  const validation = validateSchedulingRequest(request, closedDates)
+  if (!validation.valid) {
+    throw handleValidationError(validation.errors.join('. '))
+  }
+
+  const {
+    startDate,
+    endDate,
+    batches,
+    excludeDays = [0], // Exclude Sundays by default
+    skipConflicts = false
+  } = request
+
+  const batchLookup = await getBatchesByIds(batches)
+  if (!batchLookup.success) {
+    throw batchLookup
+  }
+
+  // Generate date range, leaving out closures
+  const dates = DateUtils.generateDateRange(startDate, endDate, excludeDays, closedDates)
+
+  // Only create classes on the days each batch meets
+  const planned = dates.flatMap(date =>
+    batchLookup.data.batches
+      .filter(batchConfig => BatchUtils.runsOn(batchConfig, date))
+      .map(batchConfig => ({ date, batchConfig, conflict: null }))
+  )
+  if (planned.length === 0) {
+    throw handleValidationError('None of the selected batches meet on these dates')
+  }
+
+  const conflictCheck = await checkSchedulingConflicts(dates, batches)
+  if (!conflictCheck.success) {
+    throw conflictCheck
+  }
+
+  const plannedByKey = new Map(planned.map(plannedClass => [
+    `${plannedClass.date}|${plannedClass.batchConfig.name}`,
+    plannedClass
+  ]))
+  const conflicts = conflictCheck.data.conflicts.filter(conflict => {
+    const plannedClass = plannedByKey.get(`${conflict.date}|${conflict.batch}`)
+    if (plannedClass) {
+      plannedClass.conflict = conflict.type
+    }
+    return Boolean(plannedClass)
+  })
+
+  const toCreate = skipConflicts ? planned.filter(plannedClass => !plannedClass.conflict) : planned
+
+  if (toCreate.length > SCHEDULING_CONFIG.VALIDATION.MAX_CLASSES_PER_REQUEST) {
+    throw handleValidationError(
+      `This creates ${toCreate.length} classes. ` +
+        `Maximum ${SCHEDULING_CONFIG.VALIDATION.MAX_CLASSES_PER_REQUEST} classes can be scheduled at once`
+    )
+  }
+
+  return {
+    planned,
+    toCreate,
+    conflicts,
+    closed: validation.closed,
+    batches: batchLookup.data.batches
+  }
+}
+
+/**
+ * Preview a scheduling request without creating anything
+ * Lists every class that would be created, in date order, with conflicts
+ * marked.
+ * @function previewSchedule
+ * @param {Object} request - Scheduling request (see scheduleClasses)
+ * @returns {Promise<Object>} Preview { classes, total, conflicts, closed, chunks }
+ *
+ * @example
+ * const preview = await previewSchedule({ startDate: '2025-04-07', endDate: '2025-07-04', batches })
+ * preview.data.classes // [{ date: '2025-04-07', batch_name: 'Morning Batch', time: '06:00', conflict: null }, ...]
+ */
+export const previewSchedule = async (request) => {
+  try {
+    const plan = await planSchedule(request)
+
+    const classes = plan.planned.map(({ date, batchConfig, conflict }) => ({
+      date,
+      batch_id: batchConfig.$id,
+      batch_name: batchConfig.name,
+      time: batchConfig.start_time,
+      end_time: batchConfig.end_time || '',
+      venue: batchConfig.venue || '',
+      conflict,
+      skipped: Boolean(conflict) && Boolean(request.skipConflicts)
+    }))
+
+    return createSuccessResponse(
+      {
+        classes,
+        total: plan.toCreate.length,
+        conflicts: plan.conflicts.length,
+        closed: plan.closed,
+        chunks: Math.ceil(plan.toCreate.length / SCHEDULING_CONFIG.BULK_CHUNK_SIZE)
+      },
+      `${plan.toCreate.length} classes will be scheduled`
+    )
+
+  } catch (error) {
+    if (error.success === false) return error
+    return handleError(error, 'previewSchedule')
+  }
+}
+
 /**
  * Schedule classes in bulk
+ * Large requests, such as a full term for several batches, are created in
+ * chunks of BULK_CHUNK_SIZE classes as one resumable bulk operation.
  * @function scheduleClasses
  * @param {Object} request - Scheduling request
  * @param {string} request.startDate - Start date (YYYY-MM-DD)
  * @param {string} request.endDate - End date (YYYY-MM-DD)
  * @param {Array} request.batches - Array of batch IDs to schedule
- * @param {Array} [request.excludeDays=[]] - Days to exclude (0=Sunday, 6=Saturday)
+ * @param {Array} [request.excludeDays=[0]] - Days to exclude (0=Sunday, 6=Saturday)
  * @param {string} [request.notes=''] - Optional notes for the classes
- * @param {boolean} [request.skipConflicts=false] - Skip conflicting dates
- * @returns {Promise<Object>} Scheduling result
+ * @param {boolean} [request.skipConflicts=false] - Leave out classes that clash with existing ones
+ * @param {Object} [options] - Run options
+ * @param {Function} [options.onProgress] - Called after each class (see runBulkOperation)
+ * @returns {Promise<Object>} Scheduling result, with the bulk operationId for resume or rollback and the changesetId for undo
  */
-export const scheduleClasses = async (request) => {
+export const scheduleClasses = async (request, options = {}) => {
   try {
-    // Validate request
-    const validation = validateSchedulingRequest(request)
-    if (!validation.valid) {
-      return handleValidationError(validation.errors.join('. '))
-    }
-
-    const { 
-      startDate, 
-      endDate, 
-      batches, 
-      excludeDays = [0], // Exclude Sundays by default
-      notes = '',
-      skipConflicts = false
-    } = request
-
-    // Generate date range
-    const dates = DateUtils.generateDateRange(
-      new Date(startDate), 
-      new Date(endDate),
-      excludeDays
-    )
+    const { startDate, endDate, notes = '', skipConflicts = false } = request
+    const plan = await planSchedule(request)
 
-    // Check for conflicts if not skipping
-    if (!skipConflicts) {
-      const conflictCheck = await checkSchedulingConflicts(dates, batches)
-      if (!conflictCheck.success) {
-        return conflictCheck
-      }
+    if (!skipConflicts && plan.conflicts.length > 0) {
+      return handleValidationError(
+        `Scheduling conflicts found for ${plan.conflicts.length} classes`,
+        'scheduleClasses',
+        {},
+        { conflicts: plan.conflicts }
+      )
+    }
 
-      if (conflictCheck.data.hasConflicts) {
-        return handleValidationError(
-          `Scheduling conflicts found for ${conflictCheck.data.conflicts.length} classes`,
-          ErrorTypes.VALIDATION,
-          { conflicts: conflictCheck.data.conflicts }
-        )
-      }
+    if (plan.toCreate.length === 0) {
+      return handleValidationError('Every class in this range clashes with an existing class')
     }
 
     // Get current user for logging
-    const currentUser = await getCurrentUser()
-    const scheduledBy = currentUser.success ? currentUser.data.email : 'system'
-
-    const scheduledClasses = []
-    const errors = []
-
-    // Schedule each class
-    for (const date of dates) {
-      for (const batchId of batches) {
-        try {
-          const batchConfig = SCHEDULING_CONFIG.BATCHES[batchId.toUpperCase()]
-          const dateString = DateUtils.formatDateForStorage(date)
-
-          // Create class document
-          const classData = {
-            date: dateString,
-            batch_name: batchConfig.name,
-            time: batchConfig.defaultTime,
-            status: SCHEDULING_CONFIG.STATUS.SCHEDULED,
-            max_students: batchConfig.maxStudents,
-            scheduled_by: scheduledBy,
-            notes: notes,
-            created_at: new Date().toISOString(),
-            updated_at: new Date().toISOString()
-          }
-
-          const result = await retryOperation(
-            () => databases.createDocument(DATABASE_ID, CLASSES_COLLECTION, ID.unique(), classData),
-            'schedule_class'
-          )
-
-          scheduledClasses.push(result)
-
-        } catch (error) {
-          errors.push({
-            date: DateUtils.formatDateForStorage(date),
-            batch: batchId,
-            error: error.message
-          })
-        }
-      }
+    const scheduledBy = await getCurrentActor()
+
+    const now = new Date().toISOString()
+    const classItems = plan.toCreate.map(({ date, batchConfig }) => ({
+      date,
+      batch_id: batchConfig.$id,
+      batch_name: batchConfig.name,
+      time: batchConfig.start_time,
+      status: SCHEDULING_CONFIG.STATUS.SCHEDULED,
+      max_students: batchConfig.capacity,
+      instructor_ids: batchConfig.instructor_ids || [],
+      timezone: getClubTimezone(),
+      scheduled_by: scheduledBy,
+      notes: notes,
+      created_at: now,
+      updated_at: now
+    }))
+
+    // Create the classes a few at a time, saving progress after each chunk
+    const bulkRun = await runBulkOperation(SCHEDULING_CONFIG.BULK_OPERATIONS.SCHEDULE, classItems, {
+      label: `Schedule ${classItems.length} classes, ${startDate} to ${endDate}`,
+      chunkSize: SCHEDULING_CONFIG.BULK_CHUNK_SIZE,
+      onProgress: options.onProgress
+    })
+    if (!bulkRun.success) {
+      return bulkRun
     }
 
+    const scheduledClasses = bulkRun.data.results
+    const errors = bulkRun.data.failures.map(({ item, error }) => ({
+      date: item.date,
+      batch: item.batch_name,
+      error
+    }))
+    const changesetId = await recordBulkChangeset(bulkRun.data, scheduledBy)
+
     // Log activity
     try {
       await logActivity(
         'Classes Scheduled',
         scheduledBy,
         {
+          changeset_id: changesetId,
           count: scheduledClasses.length,
           dateRange: `${startDate} to ${endDate}`,
-          batches: batches.join(', '),
+          batches: plan.batches.map(batchConfig => batchConfig.name).join(', '),
+          closedDays: plan.closed.length,
+          skippedConflicts: plan.planned.length - plan.toCreate.length,
           errors: errors.length
         }
       )
@@ -389,13 +809,23 @@ export const scheduleClasses = async (request) => {
       scheduled: scheduledClasses.length,
       errors: errors.length,
       classes: scheduledClasses,
-      failed: errors
+      failed: errors,
+      closed: plan.closed,
+      skipped: plan.planned.length - plan.toCreate.length,
+      operationId: bulkRun.data.operationId,
+      changesetId
     }
 
+    const skippedNotes = [
+      plan.closed.length > 0 && `skipped ${plan.closed.length} closed days`,
+      result.skipped > 0 && `skipped ${result.skipped} conflicting classes`
+    ].filter(Boolean)
+
     if (errors.length === 0) {
       return createSuccessResponse(
         result,
-        `Successfully scheduled ${scheduledClasses.length} classes`
+        `Successfully scheduled ${scheduledClasses.length} classes` +
+          (skippedNotes.length > 0 ? ` (${skippedNotes.join(', ')})` : '')
       )
     } else if (scheduledClasses.length > 0) {
       return createSuccessResponse(
@@ -411,6 +841,7 @@ export const scheduleClasses = async (request) => {
     }
 
   } catch (error) {
+    if (error.success === false) return error
     return handleError(error, 'scheduleClasses')
   }
 }
@@ -423,9 +854,11 @@ export const scheduleClasses = async (request) => {
  * @param {string} request.endDate - End date (YYYY-MM-DD)
  * @param {Array} request.batches - Array of batch IDs to cancel
  * @param {string} [request.reason=''] - Cancellation reason
- * @returns {Promise<Object>} Cancellation result
+ * @param {Object} [options] - Run options
+ * @param {Function} [options.onProgress] - Called after each class (see runBulkOperation)
+ * @returns {Promise<Object>} Cancellation result, with the bulk operationId for resume or rollback and the changesetId for undo
  */
-export const cancelClasses = async (request) => {
+export const cancelClasses = async (request, options = {}) => {
   try {
     const validation = validateSchedulingRequest({ ...request, action: 'cancel' })
     if (!validation.valid) {
@@ -434,73 +867,80 @@ export const cancelClasses = async (request) => {
 
     const { startDate, endDate, batches, reason = '' } = request
 
-    // Generate date range
-    const dates = DateUtils.generateDateRange(
-      new Date(startDate),
-      new Date(endDate)
-    )
+    const batchLookup = await getBatchesByIds(batches)
+    if (!batchLookup.success) {
+      return batchLookup
+    }
 
-    // Get current user
-    const currentUser = await getCurrentUser()
-    const cancelledBy = currentUser.success ? currentUser.data.email : 'system'
-
-    const cancelledClasses = []
-    const errors = []
-
-    // Cancel each matching class
-    for (const date of dates) {
-      for (const batchId of batches) {
-        try {
-          const batchConfig = SCHEDULING_CONFIG.BATCHES[batchId.toUpperCase()]
-          const dateString = DateUtils.formatDateForStorage(date)
-
-          // Find existing scheduled classes
-          const existingClasses = await retryOperation(
-            () => databases.listDocuments(DATABASE_ID, CLASSES_COLLECTION, [
-              Query.equal('date', dateString),
-              Query.equal('batch_name', batchConfig.name),
-              Query.equal('status', SCHEDULING_CONFIG.STATUS.SCHEDULED)
-            ]),
-            'find_classes_to_cancel'
-          )
-
-          // Cancel each found class
-          for (const classDoc of existingClasses.documents) {
-            const updateData = {
-              status: SCHEDULING_CONFIG.STATUS.CANCELLED,
-              cancelled_by: cancelledBy,
-              cancellation_reason: reason,
-              cancelled_at: new Date().toISOString(),
-              updated_at: new Date().toISOString()
-            }
+    // Find every scheduled class in the range with one query
+    const existingClasses = await listAllDocuments(CLASSES_COLLECTION, [
+      Query.greaterThanEqual('date', startDate),
+      Query.lessThanEqual('date', endDate),
+      Query.equal('batch_name', batchLookup.data.batches.map(batchConfig => batchConfig.name)),
+      Query.equal('status', SCHEDULING_CONFIG.STATUS.SCHEDULED)
+    ], 'find_classes_to_cancel')
 
-            const result = await retryOperation(
-              () => databases.updateDocument(DATABASE_ID, CLASSES_COLLECTION, classDoc.$id, updateData),
-              'cancel_class'
-            )
+    if (existingClasses.length === 0) {
+      return createSuccessResponse(
+        { cancelled: 0, errors: 0, classes: [], failed: [] },
+        'No matching classes found to cancel'
+      )
+    }
 
-            cancelledClasses.push(result)
-          }
+    if (existingClasses.length > SCHEDULING_CONFIG.VALIDATION.MAX_CLASSES_PER_REQUEST) {
+      return handleValidationError(
+        `This range has ${existingClasses.length} classes. ` +
+          `Maximum ${SCHEDULING_CONFIG.VALIDATION.MAX_CLASSES_PER_REQUEST} classes can be cancelled at once`
+      )
+    }
 
-        } catch (error) {
-          errors.push({
-            date: DateUtils.formatDateForStorage(date),
-            batch: batchId,
-            error: error.message
-          })
+    // Get current user
+    const cancelledBy = await getCurrentActor()
+
+    // Cancel the classes a few at a time
+    const bulkRun = await runBulkOperation(
+      SCHEDULING_CONFIG.BULK_OPERATIONS.CANCEL,
+      existingClasses.map(classDoc => ({
+        classId: classDoc.$id,
+        date: classDoc.date,
+        batch_name: classDoc.batch_name,
+        cancelled_by: cancelledBy,
+        cancellation_reason: reason,
+        previous: {
+          status: classDoc.status,
+          cancelled_by: classDoc.cancelled_by ?? null,
+          cancellation_reason: classDoc.cancellation_reason ?? '',
+          cancelled_at: classDoc.cancelled_at ?? null
         }
+      })),
+      {
+        label: `Cancel ${existingClasses.length} classes, ${startDate} to ${endDate}`,
+        chunkSize: SCHEDULING_CONFIG.BULK_CHUNK_SIZE,
+        onProgress: options.onProgress
       }
+    )
+    if (!bulkRun.success) {
+      return bulkRun
     }
 
+    const cancelledClasses = bulkRun.data.results
+    const errors = bulkRun.data.failures.map(({ item, error }) => ({
+      date: item.date,
+      batch: item.batch_name,
+      error
+    }))
+    const changesetId = await recordBulkChangeset(bulkRun.data, cancelledBy)
+
     // Log activity
     try {
       await logActivity(
         'Classes Cancelled',
         cancelledBy,
         {
+          changeset_id: changesetId,
           count: cancelledClasses.length,
           dateRange: `${startDate} to ${endDate}`,
-          batches: batches.join(', '),
+          batches: batchLookup.data.batches.map(batchConfig => batchConfig.name).join(', '),
           reason: reason,
           errors: errors.length
         }
@@ -513,19 +953,24 @@ export const cancelClasses = async (request) => {
       cancelled: cancelledClasses.length,
       errors: errors.length,
       classes: cancelledClasses,
-      failed: errors
+      failed: errors,
+      operationId: bulkRun.data.operationId,
+      changesetId
     }
 
     if (cancelledClasses.length === 0) {
-      return createSuccessResponse(
-        result,
-        'No matching classes found to cancel'
+      return handleError(
+        new Error('No classes were cancelled'),
+        'cancelClasses',
+        { errors }
       )
     }
 
     return createSuccessResponse(
       result,
-      `Successfully cancelled ${cancelledClasses.length} classes`
+      errors.length > 0
+        ? `Cancelled ${cancelledClasses.length} classes with ${errors.length} errors`
+        : `Successfully cancelled ${cancelledClasses.length} classes`
     )
 
   } catch (error) {
@@ -533,12 +978,362 @@ export const cancelClasses = async (request) => {
   }
 }
 
+/**
+ * Resume an interrupted or partly failed bulk operation
+ * Classes saved by a resumed schedule or cancel are added to the
+ * operation's changeset, so undo covers the whole operation.
+ * @function resumeBulkScheduling
+ * @param {string} operationId - Bulk operation ID
+ * @param {Object} [options] - Run options (concurrency, onProgress)
+ * @returns {Promise<Object>} Resume result (completed items, failures and counts), with the changesetId for undo
+ */
+export const resumeBulkScheduling = async (operationId, options = {}) => {
+  try {
+    const resumed = await resumeBulkOperation(operationId, options)
+    if (!resumed.success) {
+      return resumed
+    }
+
+    const isSchedulingOperation = Object.values(SCHEDULING_CONFIG.BULK_OPERATIONS).includes(resumed.data.type)
+    if (!isSchedulingOperation || resumed.data.completed.length === 0) {
+      return resumed
+    }
+
+    const changesetId = await recordBulkChangeset(resumed.data, await getCurrentActor())
+
+    return { ...resumed, data: { ...resumed.data, changesetId } }
+
+  } catch (error) {
+    return handleError(error, 'resumeBulkScheduling')
+  }
+}
+
+/**
+ * Reschedule classes in bulk
+ * Classes in the source range move to the target date keeping their spacing,
+ * so a single class moves to targetDate and a range shifts by the same number
+ * of days. Each move creates a new class linked to the original, which is
+ * marked rescheduled, and the class's bookings and waitlist move with it.
+ * The source range may include classes happening today; each new date and
+ * time must be within the advance window, and the class's instructors must
+ * be free then.
+ * @function rescheduleClasses
+ * @param {Object} request - Reschedule request
+ * @param {string} request.startDate - First source date (YYYY-MM-DD)
+ * @param {string} request.endDate - Last source date (YYYY-MM-DD)
+ * @param {Array} request.batches - Array of batch IDs to move
+ * @param {string} request.targetDate - New date for classes on startDate (YYYY-MM-DD)
+ * @param {string} [request.targetTime] - New start time (HH:MM), defaults to each class's time
+ * @param {string} [request.reason=''] - Reason for the change
+ * @param {boolean} [request.skipConflicts=false] - Leave classes whose new slot is taken, closed or has a busy instructor where they are
+ * @returns {Promise<Object>} Reschedule result
+ */
+export const rescheduleClasses = async (request) => {
+  try {
+    // The classes being moved may already be under way; only where they go is held to the advance window
+    const validation = validateSchedulingRequest(
+      { ...request, action: SCHEDULING_CONFIG.ACTIONS.RESCHEDULE },
+      {},
+      { advance: false }
+    )
+    const errors = validation.valid ? [] : [...validation.errors]
+
+    const { startDate, endDate, batches, targetDate, targetTime = '', reason = '', skipConflicts = false } = request
+
+    if (!targetDate) {
+      errors.push('New date is required')
+    } else if (!isDateKey(targetDate)) {
+      errors.push('New date: Date must be in YYYY-MM-DD format')
+    }
+
+    if (targetTime && !/^([01]\d|2[0-3]):[0-5]\d$/.test(targetTime)) {
+      errors.push('New time must be in HH:MM format')
+    }
+
+    if (targetDate && targetDate === startDate && !targetTime) {
+      errors.push('Choose a different date or time')
+    }
+
+    if (errors.length > 0) {
+      return handleValidationError(errors.join('. '))
+    }
+
+    const dayOffset = daysBetween(startDate, targetDate)
+
+    const batchLookup = await getBatchesByIds(batches)
+    if (!batchLookup.success) {
+      return batchLookup
+    }
+
+    // Find the scheduled classes to move with one query
+    const batchNames = batchLookup.data.batches.map(batchConfig => batchConfig.name)
+    const sourceClasses = await listAllDocuments(CLASSES_COLLECTION, [
+      Query.greaterThanEqual('date', startDate),
+      Query.lessThanEqual('date', endDate),
+      Query.equal('batch_name', batchNames),
+      Query.equal('status', SCHEDULING_CONFIG.STATUS.SCHEDULED)
+    ], 'find_classes_to_reschedule')
+
+    if (sourceClasses.length === 0) {
+      return createSuccessResponse(
+        { rescheduled: 0, errors: 0, skipped: [], classes: [], moves: [], failed: [] },
+        'No matching classes found to reschedule'
+      )
+    }
+
+    if (sourceClasses.length > SCHEDULING_CONFIG.VALIDATION.MAX_CLASSES_PER_REQUEST) {
+      return handleValidationError(
+        `This range has ${sourceClasses.length} classes. ` +
+          `Maximum ${SCHEDULING_CONFIG.VALIDATION.MAX_CLASSES_PER_REQUEST} classes can be rescheduled at once`
+      )
+    }
+
+    const plannedMoves = sourceClasses.map(classDoc => ({
+      classDoc,
+      date: addDays(classDoc.date, dayOffset),
+      time: targetTime || classDoc.time
+    }))
+
+    const tooSoon = [...new Set(plannedMoves
+      .map(move => DateUtils.isValidSchedulingDate(move.date, move.time || '00:00'))
+      .filter(check => !check.valid)
+      .map(check => check.reason))]
+    if (tooSoon.length > 0) {
+      return handleValidationError(tooSoon.map(reason => `New date: ${reason}`).join('. '))
+    }
+
+    // Check the target slots, ignoring classes that are moving out of them
+    const movingIds = new Set(sourceClasses.map(classDoc => classDoc.$id))
+    const targetDates = [...new Set(plannedMoves.map(move => move.date))].sort()
+    const conflictCheck = await checkSchedulingConflicts(targetDates, batches, {
+      time: targetTime,
+      ignoreIds: movingIds
+    })
+    if (!conflictCheck.success) {
+      return conflictCheck
+    }
+
+    const conflicts = conflictCheck.data.conflicts.filter(conflict =>
+      plannedMoves.some(move => move.date === conflict.date && move.classDoc.batch_name === conflict.batch)
+    )
+
+    // Classes can't be moved onto closures
+    const closedLookup = await getClosedDates(targetDates[0], targetDates[targetDates.length - 1])
+    if (!closedLookup.success) {
+      return closedLookup
+    }
+    const { closedDates } = closedLookup.data
+    const closedMoves = plannedMoves.filter(move => closedDates[move.date])
+
+    // The instructors of each class must be free at its new time
+    const findBatch = (classDoc) => batchLookup.data.batches.find(batchConfig =>
+      (classDoc.batch_id && batchConfig.$id === classDoc.batch_id) || batchConfig.name === classDoc.batch_name
+    )
+    const instructorConflicts = []
+    for (const move of plannedMoves) {
+      const { classDoc } = move
+      const availability = await checkInstructorAvailability(
+        getClassInstructorIds(classDoc, findBatch(classDoc)),
+        { date: move.date, time: move.time, batch_id: classDoc.batch_id, batch_name: classDoc.batch_name },
+        { ignoreIds: movingIds }
+      )
+      if (!availability.success) {
+        return availability
+      }
+      availability.data.conflicts.forEach(({ instructorId, existingClass }) => instructorConflicts.push({
+        classId: classDoc.$id,
+        date: move.date,
+        batch: classDoc.batch_name,
+        instructorId,
+        existingClass
+      }))
+    }
+
+    const isBlocked = (move) => Boolean(closedDates[move.date]) ||
+      instructorConflicts.some(conflict => conflict.classId === move.classDoc.$id) ||
+      conflicts.some(conflict => conflict.date === move.date && conflict.batch === move.classDoc.batch_name)
+
+    if (closedMoves.length > 0 && !skipConflicts) {
+      const closedTargets = [...new Set(closedMoves.map(move => `${move.date} (${closedDates[move.date].name})`))]
+      return handleValidationError(
+        `The club is closed on ${closedTargets.join(', ')}`,
+        'rescheduleClasses',
+        {},
+        { closed: closedMoves.map(move => ({ date: move.date, closure: closedDates[move.date].name })) }
+      )
+    }
+
+    if (conflicts.length > 0 && !skipConflicts) {
+      return handleValidationError(
+        `Scheduling conflicts found for ${conflicts.length} classes`,
+        'rescheduleClasses',
+        {},
+        { conflicts }
+      )
+    }
+
+    if (instructorConflicts.length > 0 && !skipConflicts) {
+      const busyClasses = new Set(instructorConflicts.map(conflict => conflict.classId))
+      return handleValidationError(
+        `Instructors are already teaching at the new time of ${busyClasses.size} classes`,
+        'rescheduleClasses',
+        {},
+        { instructorConflicts }
+      )
+    }
+
+    const rescheduledBy = await getCurrentActor()
+
+    const skipped = plannedMoves.filter(isBlocked).map(move => ({
+      classId: move.classDoc.$id,
+      date: move.classDoc.date,
+      batch: move.classDoc.batch_name,
+      targetDate: move.date,
+      closure: closedDates[move.date]?.name || null,
+      busyInstructorIds: instructorConflicts
+        .filter(conflict => conflict.classId === move.classDoc.$id)
+        .map(conflict => conflict.instructorId)
+    }))
+
+    const newClasses = []
+    const moves = []
+    const failed = []
+
+    for (const move of plannedMoves.filter(move => !isBlocked(move))) {
+      const { classDoc } = move
+      const now = new Date().toISOString()
+      let newClass = null
+
+      try {
+        newClass = await retryOperation(
+          () => offlineStorage.createDocument(DATABASE_ID, CLASSES_COLLECTION, ID.unique(), {
+            date: move.date,
+            batch_id: classDoc.batch_id || null,
+            batch_name: classDoc.batch_name,
+            time: move.time,
+            status: SCHEDULING_CONFIG.STATUS.SCHEDULED,
+            max_students: classDoc.max_students,
+            instructor_ids: classDoc.instructor_ids || [],
+            timezone: getClubTimezone(),
+            scheduled_by: rescheduledBy,
+            notes: classDoc.notes || '',
+            rescheduled_from: classDoc.$id,
+            created_at: now,
+            updated_at: now
+          }),
+          'reschedule_class'
+        )
+
+        const bookingMove = await moveClassBookings(classDoc.$id, newClass.$id)
+        if (!bookingMove.success) {
+          throw bookingMove
+        }
+
+        await retryOperation(
+          () => offlineStorage.updateDocument(DATABASE_ID, CLASSES_COLLECTION, classDoc.$id, {
+            status: SCHEDULING_CONFIG.STATUS.RESCHEDULED,
+            rescheduled_to: newClass.$id,
+            rescheduled_by: rescheduledBy,
+            reschedule_reason: reason,
+            rescheduled_at: now,
+            updated_at: now
+          }),
+          'mark_class_rescheduled'
+        )
+
+        newClasses.push(newClass)
+        moves.push({
+          from: classDoc.$id,
+          to: newClass.$id,
+          batch: classDoc.batch_name,
+          fromDate: classDoc.date,
+          fromTime: classDoc.time,
+          toDate: move.date,
+          toTime: move.time,
+          bookings: bookingMove.data.moved.length
+        })
+
+      } catch (error) {
+        // Don't leave a duplicate behind when the original could not be linked
+        if (newClass) {
+          try {
+            const restored = await moveClassBookings(newClass.$id, classDoc.$id)
+            if (!restored.success) {
+              throw restored
+            }
+            await offlineStorage.deleteDocument(DATABASE_ID, CLASSES_COLLECTION, newClass.$id)
+          } catch (rollbackError) {
+            console.warn('Failed to remove unlinked rescheduled class:', rollbackError)
+          }
+        }
+
+        failed.push({
+          date: classDoc.date,
+          batch: classDoc.batch_name,
+          error: error.message
+        })
+      }
+    }
+
+    // Log activity
+    try {
+      await logActivity(
+        'Classes Rescheduled',
+        rescheduledBy,
+        {
+          count: moves.length,
+          dateRange: `${startDate} to ${endDate}`,
+          targetDate,
+          targetTime: targetTime || null,
+          batches: batchNames.join(', '),
+          moves: moves.map(move => ({ from: move.from, to: move.to })),
+          reason,
+          skipped: skipped.length,
+          errors: failed.length
+        }
+      )
+    } catch (logError) {
+      console.warn('Failed to log reschedule activity:', logError)
+    }
+
+    const result = {
+      rescheduled: moves.length,
+      errors: failed.length,
+      skipped,
+      classes: newClasses,
+      moves,
+      failed
+    }
+
+    if (moves.length === 0 && failed.length > 0) {
+      return handleError(
+        new Error('No classes were rescheduled'),
+        'rescheduleClasses',
+        { errors: failed }
+      )
+    }
+
+    const notes = [
+      skipped.length > 0 && `${skipped.length} skipped for conflicts or closures`,
+      failed.length > 0 && `${failed.length} errors`
+    ].filter(Boolean)
+
+    return createSuccessResponse(
+      result,
+      `Rescheduled ${moves.length} classes${notes.length > 0 ? ` (${notes.join(', ')})` : ''}`
+    )
+
+  } catch (error) {
+    return handleError(error, 'rescheduleClasses')
+  }
+}
+
 /**
  * Get scheduled classes for date range
  * @function getScheduledClasses
  * @param {string} startDate - Start date (YYYY-MM-DD)
  * @param {string} endDate - End date (YYYY-MM-DD)
- * @param {Array} [batches] - Optional batch filter
+ * @param {Array} [batches] - Optional batch ID filter
  * @param {Array} [statuses] - Optional status filter
  * @returns {Promise<Object>} Classes result
  */
@@ -553,13 +1348,12 @@ export const getScheduledClasses = async (startDate, endDate, batches = null, st
 
     // Add batch filter if specified
     if (batches && batches.length > 0) {
-      const batchNames = batches.map(
-        batch => SCHEDULING_CONFIG.BATCHES[batch.toUpperCase()]?.name
-      ).filter(Boolean)
-      
-      if (batchNames.length > 0) {
-        queries.push(Query.equal('batch_name', batchNames))
+      const batchLookup = await getBatchesByIds(batches)
+      if (!batchLookup.success) {
+        return batchLookup
       }
+
+      queries.push(Query.equal('batch_name', batchLookup.data.batches.map(batchConfig => batchConfig.name)))
     }
 
     // Add status filter if specified
@@ -568,7 +1362,7 @@ export const getScheduledClasses = async (startDate, endDate, batches = null, st
     }
 
     const result = await retryOperation(
-      () => databases.listDocuments(DATABASE_ID, CLASSES_COLLECTION, queries),
+      () => offlineStorage.listDocuments(DATABASE_ID, CLASSES_COLLECTION, queries),
       'get_scheduled_classes'
     )
 
@@ -594,26 +1388,25 @@ export const getScheduledClasses = async (startDate, endDate, batches = null, st
  */
 export const getClassStatistics = async (period = 'week') => {
   try {
-    const now = new Date()
+    const todayKey = today()
     let startDate, endDate
 
     switch (period) {
       case 'day':
-        startDate = DateUtils.formatDateForStorage(now)
+        startDate = todayKey
         endDate = startDate
         break
       case 'week':
-        const weekStart = new Date(now)
-        weekStart.setDate(now.getDate() - now.getDay())
-        const weekEnd = new Date(weekStart)
-        weekEnd.setDate(weekStart.getDate() + 6)
-        startDate = DateUtils.formatDateForStorage(weekStart)
-        endDate = DateUtils.formatDateForStorage(weekEnd)
+        startDate = addDays(todayKey, -getWeekday(todayKey))
+        endDate = addDays(startDate, 6)
         break
-      case 'month':
-        startDate = DateUtils.formatDateForStorage(new Date(now.getFullYear(), now.getMonth(), 1))
-        endDate = DateUtils.formatDateForStorage(new Date(now.getFullYear(), now.getMonth() + 1, 0))
+      case 'month': {
+        const { year, monthIndex } = getDateParts(todayKey)
+        const range = getMonthRange(year, monthIndex)
+        startDate = range.startDate
+        endDate = range.endDate
         break
+      }
       default:
         throw new Error('Invalid period specified')
     }
@@ -659,11 +1452,16 @@ export const getClassStatistics = async (period = 'week') => {
 }
 
 export default {
+  previewSchedule,
   scheduleClasses,
   cancelClasses,
+  rescheduleClasses,
+  resumeBulkScheduling,
   getScheduledClasses,
   getClassStatistics,
   checkSchedulingConflicts,
+  checkInstructorAvailability,
+  getClassInstructorIds,
   SCHEDULING_CONFIG,
   DateUtils
 }
@@ -0,0 +1,975 @@
+/**
+ * Class Series Service
+ *
+ * Recurring classes such as "every Mon, Wed and Fri at 6pm until the end of
+ * term". A series stores its recurrence rule (see utils/recurrence.js) in the
+ * class_series collection, one series per batch, and its classes are
+ * generated into the classes collection with series_id and occurrence_date.
+ *
+ * Classes are generated up to SCHEDULING_CONFIG.VALIDATION.MAX_ADVANCE_DAYS
+ * ahead; extendClassSeries() tops series up as time moves on. Single
+ * occurrences can be edited or cancelled on their own, and a series can be
+ * changed or cancelled from any occurrence onwards, which ends the old
+ * series the day before and continues with a new one. Dates that fall on a
+ * closure (see closureService) are added to the series exclusions.
+ *
+ * @service
+ * @version 1.0.0
+ */
+
+import { APPWRITE_CONFIG, Query, ID, retryOperation } from './appwrite.js'
+import { storage } from './storageService.js'
+import {
+  handleError,
+  handleValidationError,
+  createSuccessResponse
+} from '../utils/errorHandler.js'
+import { getCurrentActor } from './authService.js'
+import { listAllDocuments, logActivity } from './databaseService.js'
+import { getBatchesByIds } from './batchService.js'
+import { getClosedDates } from './closureService.js'
+import { SCHEDULING_CONFIG, DateUtils, checkSchedulingConflicts } from './schedulingService.js'
+import { parseRule, formatRule, validateRule, expandRule } from '../utils/recurrence.js'
+import { today, addDays, getClubTimezone } from '../utils/dates.js'
+
+const DATABASE_ID = APPWRITE_CONFIG.databaseId
+const CLASSES_COLLECTION = APPWRITE_CONFIG.collections.classes
+const SERIES_COLLECTION = APPWRITE_CONFIG.collections.class_series
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/
+
+/**
+ * Series constants
+ * @constant
+ */
+export const SERIES_CONFIG = {
+  STATUS: {
+    ACTIVE: 'active',
+    CANCELLED: 'cancelled'
+  }
+}
+
+/**
+ * Last date classes are generated for
+ * @function getHorizon
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+const getHorizon = () => addDays(today(), SCHEDULING_CONFIG.VALIDATION.MAX_ADVANCE_DAYS)
+
+/**
+ * Accept a rule as an RRULE string or a rule object
+ * @function toRule
+ * @param {string|Object} rule - Rule
+ * @returns {Object} Rule object
+ */
+const toRule = (rule) => (typeof rule === 'string' ? parseRule(rule) : { nth: null, until: null, count: null, ...rule })
+
+/**
+ * Find dates already taken by the batch or by an overlapping class
+ * @function findTakenDates
+ * @param {Array<string>} dates - Dates to check (YYYY-MM-DD)
+ * @param {string} batchId - Batch document ID
+ * @param {Object} [options] - Check options
+ * @param {string} [options.time] - Class start time (HH:MM)
+ * @param {Set<string>} [options.ignoreIds] - Class IDs that are being replaced
+ * @returns {Promise<Object>} Conflicts for the batch
+ */
+const findTakenDates = async (dates, batchId, options = {}) => {
+  if (dates.length === 0) {
+    return createSuccessResponse({ conflicts: [] }, 'No dates to check')
+  }
+
+  const conflictCheck = await checkSchedulingConflicts(dates, [batchId], options)
+  if (!conflictCheck.success) return conflictCheck
+
+  return createSuccessResponse({ conflicts: conflictCheck.data.conflicts }, 'Conflict check completed')
+}
+
+/**
+ * Find dates that fall on closures
+ * @function findClosedDates
+ * @param {Array<string>} dates - Dates to check (YYYY-MM-DD), in order
+ * @returns {Promise<Object>} Closed dates with the closure name
+ */
+const findClosedDates = async (dates) => {
+  if (dates.length === 0) {
+    return createSuccessResponse({ closed: [] }, 'No dates to check')
+  }
+
+  const closedLookup = await getClosedDates(dates[0], dates[dates.length - 1])
+  if (!closedLookup.success) return closedLookup
+
+  const { closedDates } = closedLookup.data
+  return createSuccessResponse({
+    closed: dates.filter(date => closedDates[date]).map(date => ({ date, closure: closedDates[date].name }))
+  }, 'Closure check completed')
+}
+
+/**
+ * Create the class documents for a series
+ * @function createSeriesClasses
+ * @param {Object} series - Series document
+ * @param {Object} batch - Batch document
+ * @param {Array<string>} dates - Occurrence dates (YYYY-MM-DD)
+ * @param {string} scheduledBy - Instructor email
+ * @returns {Promise<Object>} Created classes and failures
+ */
+const createSeriesClasses = async (series, batch, dates, scheduledBy) => {
+  const classes = []
+  const failed = []
+
+  for (const date of dates) {
+    try {
+      const now = new Date().toISOString()
+      const classDoc = await retryOperation(
+        () => storage.createDocument(DATABASE_ID, CLASSES_COLLECTION, ID.unique(), {
+          date,
+          batch_id: batch.$id,
+          batch_name: batch.name,
+          time: series.time,
+          status: SCHEDULING_CONFIG.STATUS.SCHEDULED,
+          max_students: batch.capacity,
+          instructor_ids: batch.instructor_ids || [],
+          timezone: getClubTimezone(),
+          scheduled_by: scheduledBy,
+          notes: series.notes || '',
+          series_id: series.$id,
+          occurrence_date: date,
+          created_at: now,
+          updated_at: now
+        }),
+        'create_series_class'
+      )
+      classes.push(classDoc)
+    } catch (error) {
+      failed.push({ date, batch: batch.name, error: error.message })
+    }
+  }
+
+  return { classes, failed }
+}
+
+/**
+ * Load a class and the series it belongs to
+ * @function loadOccurrence
+ * @param {string} classId - Class document ID
+ * @returns {Promise<Object>} Class and series documents
+ */
+const loadOccurrence = async (classId) => {
+  const classDoc = await retryOperation(
+    () => storage.getDocument(DATABASE_ID, CLASSES_COLLECTION, classId),
+    'get_series_class'
+  )
+
+  if (!classDoc.series_id) {
+    throw handleValidationError('This class is not part of a repeating series')
+  }
+
+  const series = await retryOperation(
+    () => storage.getDocument(DATABASE_ID, SERIES_COLLECTION, classDoc.series_id),
+    'get_class_series'
+  )
+
+  return { classDoc, series }
+}
+
+/**
+ * Scheduled classes of a series from a date onwards
+ * @function getUpcomingSeriesClasses
+ * @param {string} seriesId - Series document ID
+ * @param {string} fromDate - First occurrence date (YYYY-MM-DD)
+ * @returns {Promise<Array>} Class documents
+ */
+const getUpcomingSeriesClasses = (seriesId, fromDate) => listAllDocuments(CLASSES_COLLECTION, [
+  Query.equal('series_id', seriesId),
+  Query.greaterThanEqual('occurrence_date', fromDate),
+  Query.equal('status', SCHEDULING_CONFIG.STATUS.SCHEDULED)
+], 'get_upcoming_series_classes')
+
+/**
+ * Create repeating classes for one or more batches
+ * @function createClassSeries
+ * @param {Object} request - Series request
+ * @param {string} request.startDate - First date of the series (YYYY-MM-DD)
+ * @param {Array} request.batches - Batch IDs, one series is created per batch
+ * @param {string|Object} request.rule - RRULE string or rule object (see utils/recurrence.js)
+ * @param {string} [request.time] - Start time (HH:MM), defaults to each batch's start time
+ * @param {string} [request.notes=''] - Notes copied to every class
+ * @param {boolean} [request.skipConflicts=false] - Leave out dates that already have a class
+ * @returns {Promise<Object>} Series and the classes generated so far
+ *
+ * @example
+ * const result = await createClassSeries({
+ *   startDate: '2025-01-06',
+ *   batches: [eveningBatch.$id],
+ *   rule: 'FREQ=WEEKLY;INTERVAL=1;BYDAY=MO,WE,FR;UNTIL=20250328'
+ * })
+ */
+export const createClassSeries = async (request) => {
+  try {
+    const { startDate, batches = [], time = '', notes = '', skipConflicts = false } = request
+    const rule = toRule(request.rule || '')
+    const errors = []
+
+    if (!startDate) {
+      errors.push('Start date is required')
+    } else {
+      const startValidation = DateUtils.isValidSchedulingDate(startDate)
+      if (!startValidation.valid) {
+        errors.push(`Start date: ${startValidation.reason}`)
+      }
+    }
+
+    if (batches.length === 0) {
+      errors.push('At least one batch must be selected')
+    }
+
+    if (time && !TIME_PATTERN.test(time)) {
+      errors.push('Time must be in HH:MM format')
+    }
+
+    errors.push(...validateRule(rule, startDate))
+
+    if (errors.length > 0) {
+      return handleValidationError(errors.join('. '))
+    }
+
+    const batchLookup = await getBatchesByIds(batches)
+    if (!batchLookup.success) {
+      return batchLookup
+    }
+
+    const horizon = getHorizon()
+    const ruleDates = expandRule(rule, startDate, { to: horizon })
+
+    const closedCheck = await findClosedDates(ruleDates)
+    if (!closedCheck.success) return closedCheck
+    const { closed } = closedCheck.data
+    const closedDates = closed.map(item => item.date)
+
+    const plans = batchLookup.data.batches.map(batch => ({
+      batch,
+      dates: ruleDates.filter(date => !closedDates.includes(date))
+    }))
+
+    const totalClasses = plans.reduce((sum, plan) => sum + plan.dates.length, 0)
+    if (totalClasses === 0) {
+      return handleValidationError(
+        closed.length > 0
+          ? 'The club is closed on every date of this repeat'
+          : `This repeat has no classes in the next ${SCHEDULING_CONFIG.VALIDATION.MAX_ADVANCE_DAYS} days`
+      )
+    }
+
+    if (totalClasses > SCHEDULING_CONFIG.VALIDATION.MAX_CLASSES_PER_REQUEST) {
+      return handleValidationError(
+        `This repeat creates ${totalClasses} classes in the next ${SCHEDULING_CONFIG.VALIDATION.MAX_ADVANCE_DAYS} days. ` +
+        `Maximum ${SCHEDULING_CONFIG.VALIDATION.MAX_CLASSES_PER_REQUEST} classes can be scheduled at once`
+      )
+    }
+
+    // Dates that already have a class for the batch
+    const conflicts = []
+    for (const plan of plans) {
+      const taken = await findTakenDates(plan.dates, plan.batch.$id, { time })
+      if (!taken.success) return taken
+      plan.skipped = taken.data.conflicts.map(conflict => conflict.date)
+      conflicts.push(...taken.data.conflicts)
+    }
+
+    if (conflicts.length > 0 && !skipConflicts) {
+      return handleValidationError(
+        `Scheduling conflicts found for ${conflicts.length} classes`,
+        'createClassSeries',
+        {},
+        { conflicts }
+      )
+    }
+
+    const scheduledBy = await getCurrentActor()
+    const rrule = formatRule(rule)
+    const createdSeries = []
+    const classes = []
+    const failed = []
+
+    for (const plan of plans) {
+      const now = new Date().toISOString()
+
+      try {
+        // Closed and skipped dates become exclusions so the series stays accurate
+        const series = await retryOperation(
+          () => storage.createDocument(DATABASE_ID, SERIES_COLLECTION, ID.unique(), {
+            batch_id: plan.batch.$id,
+            batch_name: plan.batch.name,
+            rrule,
+            start_date: startDate,
+            time: time || plan.batch.start_time,
+            notes,
+            exdates: [...closedDates, ...plan.skipped].sort(),
+            status: SERIES_CONFIG.STATUS.ACTIVE,
+            generated_through: horizon,
+            created_at: now,
+            created_by: scheduledBy,
+            updated_at: now,
+            updated_by: scheduledBy
+          }),
+          'create_class_series'
+        )
+
+        const created = await createSeriesClasses(
+          series,
+          plan.batch,
+          plan.dates.filter(date => !plan.skipped.includes(date)),
+          scheduledBy
+        )
+
+        createdSeries.push(series)
+        classes.push(...created.classes)
+        failed.push(...created.failed)
+
+      } catch (error) {
+        failed.push({ date: startDate, batch: plan.batch.name, error: error.message })
+      }
+    }
+
+    const skipped = conflicts.map(conflict => ({ date: conflict.date, batch: conflict.batch }))
+
+    try {
+      await logActivity('Class Series Created', scheduledBy, {
+        series: createdSeries.map(series => series.$id),
+        rrule,
+        startDate,
+        batches: batchLookup.data.batches.map(batch => batch.name).join(', '),
+        count: classes.length,
+        skipped: skipped.length,
+        closedDays: closed.length,
+        errors: failed.length
+      })
+    } catch (logError) {
+      console.warn('Failed to log series activity:', logError)
+    }
+
+    const result = {
+      series: createdSeries,
+      scheduled: classes.length,
+      errors: failed.length,
+      skipped,
+      closed,
+      classes,
+      failed
+    }
+
+    if (classes.length === 0 && failed.length > 0) {
+      return handleError(new Error('No classes were scheduled'), 'createClassSeries', { errors: failed })
+    }
+
+    return createSuccessResponse(
+      result,
+      `Scheduled ${classes.length} repeating classes` +
+        (closed.length > 0 ? ` (skipped ${closed.length} closed days)` : '') +
+        (failed.length > 0 ? ` with ${failed.length} errors` : '')
+    )
+
+  } catch (error) {
+    if (error.success === false) return error
+    return handleError(error, 'createClassSeries')
+  }
+}
+
+/**
+ * Generate classes for active series up to the scheduling horizon
+ * Dates that another class has taken in the meantime, or that have been
+ * closed, are excluded.
+ * @function extendClassSeries
+ * @returns {Promise<Object>} Number of classes added
+ */
+export const extendClassSeries = async () => {
+  try {
+    const horizon = getHorizon()
+    const dueSeries = await listAllDocuments(SERIES_COLLECTION, [
+      Query.equal('status', SERIES_CONFIG.STATUS.ACTIVE),
+      Query.lessThan('generated_through', horizon)
+    ], 'get_series_to_extend')
+
+    if (dueSeries.length === 0) {
+      return createSuccessResponse({ scheduled: 0, series: 0, failed: [] }, 'Repeating classes are up to date')
+    }
+
+    const batchLookup = await getBatchesByIds([...new Set(dueSeries.map(series => series.batch_id))])
+    if (!batchLookup.success) return batchLookup
+    const batchesById = Object.fromEntries(batchLookup.data.batches.map(batch => [batch.$id, batch]))
+
+    const scheduledBy = await getCurrentActor()
+    let remaining = SCHEDULING_CONFIG.VALIDATION.MAX_CLASSES_PER_REQUEST
+    let scheduled = 0
+    let extended = 0
+    const failed = []
+
+    for (const series of dueSeries) {
+      if (remaining <= 0) break
+
+      const batch = batchesById[series.batch_id]
+      const exdates = series.exdates || []
+      const dueDates = expandRule(parseRule(series.rrule), series.start_date, {
+        from: addDays(series.generated_through, 1),
+        to: horizon,
+        exdates
+      })
+
+      // Stay within the bulk limit; the rest is picked up next time
+      const dates = dueDates.slice(0, remaining)
+      const generatedThrough = dates.length < dueDates.length ? addDays(dueDates[dates.length], -1) : horizon
+
+      const taken = await findTakenDates(dates, series.batch_id, { time: series.time })
+      if (!taken.success) return taken
+      const closedCheck = await findClosedDates(dates)
+      if (!closedCheck.success) return closedCheck
+
+      const skippedDates = [
+        ...taken.data.conflicts.map(conflict => conflict.date),
+        ...closedCheck.data.closed.map(item => item.date)
+      ]
+
+      const created = await createSeriesClasses(
+        series,
+        batch,
+        dates.filter(date => !skippedDates.includes(date)),
+        scheduledBy
+      )
+      failed.push(...created.failed)
+
+      await retryOperation(
+        () => storage.updateDocument(DATABASE_ID, SERIES_COLLECTION, series.$id, {
+          exdates: [...new Set([...exdates, ...skippedDates])].sort(),
+          generated_through: generatedThrough,
+          updated_at: new Date().toISOString()
+        }),
+        'extend_class_series'
+      )
+
+      remaining -= dates.length
+      scheduled += created.classes.length
+      extended++
+    }
+
+    return createSuccessResponse(
+      { scheduled, series: extended, failed },
+      `Added ${scheduled} repeating classes`
+    )
+
+  } catch (error) {
+    if (error.success === false) return error
+    return handleError(error, 'extendClassSeries')
+  }
+}
+
+/**
+ * Get class series
+ * @function getClassSeries
+ * @param {Object} [options] - Query options
+ * @param {Array<string>} [options.batches] - Batch ID filter
+ * @param {boolean} [options.activeOnly=true] - Leave out cancelled series
+ * @returns {Promise<Object>} Series ordered by start date
+ */
+export const getClassSeries = async (options = {}) => {
+  try {
+    const { batches = null, activeOnly = true } = options
+    const queries = [Query.orderAsc('start_date')]
+
+    if (batches && batches.length > 0) {
+      queries.push(Query.equal('batch_id', batches))
+    }
+
+    if (activeOnly) {
+      queries.push(Query.equal('status', SERIES_CONFIG.STATUS.ACTIVE))
+    }
+
+    const series = await listAllDocuments(SERIES_COLLECTION, queries, 'get_class_series')
+
+    return createSuccessResponse(
+      { series: series.map(item => ({ ...item, rule: parseRule(item.rrule) })), total: series.length },
+      `Found ${series.length} series`
+    )
+
+  } catch (error) {
+    return handleError(error, 'getClassSeries')
+  }
+}
+
+/**
+ * Change the date, time or notes of a single class
+ * The class keeps its place in the series and is marked as an exception.
+ * @function updateOccurrence
+ * @param {string} classId - Class document ID
+ * @param {Object} changes - Changes
+ * @param {string} [changes.date] - New date (YYYY-MM-DD)
+ * @param {string} [changes.time] - New start time (HH:MM)
+ * @param {string} [changes.notes] - New notes
+ * @returns {Promise<Object>} Updated class
+ */
+export const updateOccurrence = async (classId, changes = {}) => {
+  try {
+    const classDoc = await retryOperation(
+      () => storage.getDocument(DATABASE_ID, CLASSES_COLLECTION, classId),
+      'get_class'
+    )
+
+    if (classDoc.status !== SCHEDULING_CONFIG.STATUS.SCHEDULED) {
+      return handleValidationError('Only scheduled classes can be changed')
+    }
+
+    const date = changes.date || classDoc.date
+    const time = changes.time || classDoc.time
+    const errors = []
+
+    if (date !== classDoc.date) {
+      const dateValidation = DateUtils.isValidSchedulingDate(date)
+      if (!dateValidation.valid) {
+        errors.push(`New date: ${dateValidation.reason}`)
+      }
+    }
+
+    if (!TIME_PATTERN.test(time)) {
+      errors.push('Time must be in HH:MM format')
+    }
+
+    if (errors.length > 0) {
+      return handleValidationError(errors.join('. '))
+    }
+
+    if (date !== classDoc.date) {
+      const closedCheck = await findClosedDates([date])
+      if (!closedCheck.success) return closedCheck
+
+      if (closedCheck.data.closed.length > 0) {
+        return handleValidationError(
+          `The club is closed on ${date} (${closedCheck.data.closed[0].closure})`,
+          'updateOccurrence',
+          {},
+          { closed: closedCheck.data.closed }
+        )
+      }
+    }
+
+    if ((date !== classDoc.date || time !== classDoc.time) && classDoc.batch_id) {
+      const taken = await findTakenDates([date], classDoc.batch_id, { time, ignoreIds: new Set([classDoc.$id]) })
+      if (!taken.success) return taken
+
+      if (taken.data.conflicts.length > 0) {
+        const [conflict] = taken.data.conflicts
+        return handleValidationError(
+          conflict.type === 'overlap'
+            ? `${classDoc.batch_name} would overlap ${conflict.existingClass.batch_name} at ${conflict.existingClass.time} on ${date}`
+            : `${classDoc.batch_name} already has a class on ${date}`,
+          'updateOccurrence',
+          {},
+          { conflicts: taken.data.conflicts }
+        )
+      }
+    }
+
+    const updated = await retryOperation(
+      () => storage.updateDocument(DATABASE_ID, CLASSES_COLLECTION, classId, {
+        date,
+        time,
+        notes: changes.notes ?? classDoc.notes ?? '',
+        is_exception: Boolean(classDoc.series_id),
+        updated_at: new Date().toISOString()
+      }),
+      'update_occurrence'
+    )
+
+    try {
+      await logActivity('Class Occurrence Updated', await getCurrentActor(), {
+        classId,
+        seriesId: classDoc.series_id || null,
+        batch: classDoc.batch_name,
+        from: `${classDoc.date} ${classDoc.time}`,
+        to: `${date} ${time}`
+      })
+    } catch (logError) {
+      console.warn('Failed to log occurrence activity:', logError)
+    }
+
+    return createSuccessResponse(updated, 'Class updated')
+
+  } catch (error) {
+    if (error.success === false) return error
+    return handleError(error, 'updateOccurrence')
+  }
+}
+
+/**
+ * Cancel a single class of a series
+ * The date is added to the series exclusions so it is never generated again.
+ * @function cancelOccurrence
+ * @param {string} classId - Class document ID
+ * @param {string} [reason=''] - Cancellation reason
+ * @returns {Promise<Object>} Cancelled class
+ */
+export const cancelOccurrence = async (classId, reason = '') => {
+  try {
+    const { classDoc, series } = await loadOccurrence(classId)
+
+    if (classDoc.status !== SCHEDULING_CONFIG.STATUS.SCHEDULED) {
+      return handleValidationError('Only scheduled classes can be cancelled')
+    }
+
+    const cancelledBy = await getCurrentActor()
+    const now = new Date().toISOString()
+
+    const cancelled = await retryOperation(
+      () => storage.updateDocument(DATABASE_ID, CLASSES_COLLECTION, classId, {
+        status: SCHEDULING_CONFIG.STATUS.CANCELLED,
+        cancelled_by: cancelledBy,
+        cancellation_reason: reason,
+        cancelled_at: now,
+        updated_at: now
+      }),
+      'cancel_occurrence'
+    )
+
+    const occurrenceDate = classDoc.occurrence_date || classDoc.date
+    const exdates = series.exdates || []
+    if (!exdates.includes(occurrenceDate)) {
+      await retryOperation(
+        () => storage.updateDocument(DATABASE_ID, SERIES_COLLECTION, series.$id, {
+          exdates: [...exdates, occurrenceDate],
+          updated_at: now,
+          updated_by: cancelledBy
+        }),
+        'exclude_series_date'
+      )
+    }
+
+    try {
+      await logActivity('Class Occurrence Cancelled', cancelledBy, {
+        classId,
+        seriesId: series.$id,
+        batch: classDoc.batch_name,
+        date: classDoc.date,
+        reason
+      })
+    } catch (logError) {
+      console.warn('Failed to log occurrence activity:', logError)
+    }
+
+    return createSuccessResponse(cancelled, 'Class cancelled')
+
+  } catch (error) {
+    if (error.success === false) return error
+    return handleError(error, 'cancelOccurrence')
+  }
+}
+
+/**
+ * Change a series from one of its classes onwards
+ * Scheduled classes from that date on follow the new rule, time and notes.
+ * A class whose occurrence the new rule keeps is changed in place, so its
+ * bookings, attendance and cover requests stay with it; one whose occurrence
+ * is dropped is cancelled, and new occurrences get new classes. Earlier
+ * classes are left alone: the old series ends the day before and a new
+ * series continues from the class.
+ * @function updateSeriesFrom
+ * @param {string} classId - First class to change
+ * @param {Object} changes - Changes
+ * @param {string|Object} [changes.rule] - New rule, defaults to the current one
+ * @param {string} [changes.time] - New start time (HH:MM)
+ * @param {string} [changes.notes] - New notes
+ * @param {boolean} [changes.skipConflicts=false] - Leave out dates that already have a class
+ * @returns {Promise<Object>} Series now in effect and the classes generated
+ */
+export const updateSeriesFrom = async (classId, changes = {}) => {
+  try {
+    const { classDoc, series } = await loadOccurrence(classId)
+    const fromDate = classDoc.occurrence_date || classDoc.date
+    if (fromDate < today()) {
+      return handleValidationError('Past classes cannot be changed')
+    }
+
+    const currentRule = parseRule(series.rrule)
+    let rule = changes.rule ? toRule(changes.rule) : { ...currentRule }
+
+    // Keep the total number of classes when only the time or notes change
+    if (!changes.rule && currentRule.count) {
+      const earlier = expandRule(currentRule, series.start_date, { to: addDays(fromDate, -1) })
+      rule = { ...rule, count: currentRule.count - earlier.length }
+    }
+
+    const time = changes.time || series.time
+    const notes = changes.notes ?? series.notes ?? ''
+    const errors = validateRule(rule, fromDate)
+
+    if (!TIME_PATTERN.test(time)) {
+      errors.push('Time must be in HH:MM format')
+    }
+
+    if (errors.length > 0) {
+      return handleValidationError(errors.join('. '))
+    }
+
+    const batchLookup = await getBatchesByIds([series.batch_id])
+    if (!batchLookup.success) return batchLookup
+    const [batch] = batchLookup.data.batches
+
+    const replacedClasses = await getUpcomingSeriesClasses(series.$id, fromDate)
+    const horizon = getHorizon()
+    const exdates = (series.exdates || []).filter(date => date >= fromDate)
+    const dates = expandRule(rule, fromDate, { to: horizon, exdates })
+
+    if (dates.length > SCHEDULING_CONFIG.VALIDATION.MAX_CLASSES_PER_REQUEST) {
+      return handleValidationError(
+        `Maximum ${SCHEDULING_CONFIG.VALIDATION.MAX_CLASSES_PER_REQUEST} classes can be scheduled at once`
+      )
+    }
+
+    const taken = await findTakenDates(dates, series.batch_id, {
+      time,
+      ignoreIds: new Set(replacedClasses.map(item => item.$id))
+    })
+    if (!taken.success) return taken
+
+    if (taken.data.conflicts.length > 0 && !changes.skipConflicts) {
+      return handleValidationError(
+        `Scheduling conflicts found for ${taken.data.conflicts.length} classes`,
+        'updateSeriesFrom',
+        {},
+        { conflicts: taken.data.conflicts }
+      )
+    }
+
+    const closedCheck = await findClosedDates(dates)
+    if (!closedCheck.success) return closedCheck
+    const { closed } = closedCheck.data
+
+    const takenDates = taken.data.conflicts.map(conflict => conflict.date)
+    const skippedDates = [...takenDates, ...closed.map(item => item.date)]
+    const updatedBy = await getCurrentActor()
+    const now = new Date().toISOString()
+    const seriesData = {
+      rrule: formatRule(rule),
+      time,
+      notes,
+      exdates: [...new Set([...exdates, ...skippedDates])].sort(),
+      generated_through: horizon,
+      updated_at: now,
+      updated_by: updatedBy
+    }
+
+    let targetSeries
+    if (fromDate <= series.start_date) {
+      targetSeries = await retryOperation(
+        () => storage.updateDocument(DATABASE_ID, SERIES_COLLECTION, series.$id, seriesData),
+        'update_class_series'
+      )
+    } else {
+      await retryOperation(
+        () => storage.updateDocument(DATABASE_ID, SERIES_COLLECTION, series.$id, {
+          rrule: formatRule({ ...currentRule, until: addDays(fromDate, -1), count: null }),
+          updated_at: now,
+          updated_by: updatedBy
+        }),
+        'end_class_series'
+      )
+
+      targetSeries = await retryOperation(
+        () => storage.createDocument(DATABASE_ID, SERIES_COLLECTION, ID.unique(), {
+          ...seriesData,
+          batch_id: series.batch_id,
+          batch_name: series.batch_name,
+          start_date: fromDate,
+          status: SERIES_CONFIG.STATUS.ACTIVE,
+          split_from: series.$id,
+          created_at: now,
+          created_by: updatedBy
+        }),
+        'split_class_series'
+      )
+    }
+
+    // Match the classes already there to the new occurrences by the date
+    // they were generated for, so moved classes are matched too
+    const keptDates = dates.filter(date => !skippedDates.includes(date))
+    const replacedByDate = new Map()
+    for (const replaced of replacedClasses) {
+      const occurrenceDate = replaced.occurrence_date || replaced.date
+      if (keptDates.includes(occurrenceDate) && !replacedByDate.has(occurrenceDate)) {
+        replacedByDate.set(occurrenceDate, replaced)
+      }
+    }
+
+    const created = await createSeriesClasses(
+      targetSeries,
+      batch,
+      keptDates.filter(date => !replacedByDate.has(date)),
+      updatedBy
+    )
+
+    const failed = [...created.failed]
+    const updatedClasses = []
+    for (const [occurrenceDate, replaced] of replacedByDate) {
+      try {
+        const result = await retryOperation(
+          () => storage.updateDocument(DATABASE_ID, CLASSES_COLLECTION, replaced.$id, {
+            time,
+            notes,
+            series_id: targetSeries.$id,
+            occurrence_date: occurrenceDate,
+            updated_at: now
+          }),
+          'update_series_class'
+        )
+        updatedClasses.push(result)
+      } catch (error) {
+        failed.push({ date: replaced.date, batch: replaced.batch_name, error: error.message })
+      }
+    }
+
+    // Occurrences the new rule drops, or that are now closed or taken
+    const keptIds = new Set([...replacedByDate.values()].map(replaced => replaced.$id))
+    const droppedClasses = replacedClasses.filter(replaced => !keptIds.has(replaced.$id))
+    let cancelled = 0
+    for (const dropped of droppedClasses) {
+      try {
+        await retryOperation(
+          () => storage.updateDocument(DATABASE_ID, CLASSES_COLLECTION, dropped.$id, {
+            status: SCHEDULING_CONFIG.STATUS.CANCELLED,
+            cancelled_by: updatedBy,
+            cancellation_reason: 'Repeating schedule changed',
+            cancelled_at: now,
+            updated_at: now
+          }),
+          'cancel_dropped_series_class'
+        )
+        cancelled++
+      } catch (error) {
+        failed.push({ date: dropped.date, batch: dropped.batch_name, error: error.message })
+      }
+    }
+
+    try {
+      await logActivity('Class Series Updated', updatedBy, {
+        seriesId: targetSeries.$id,
+        splitFrom: targetSeries.$id === series.$id ? null : series.$id,
+        batch: series.batch_name,
+        fromDate,
+        rrule: targetSeries.rrule,
+        time,
+        scheduled: created.classes.length,
+        updated: updatedClasses.length,
+        cancelled,
+        errors: failed.length
+      })
+    } catch (logError) {
+      console.warn('Failed to log series activity:', logError)
+    }
+
+    return createSuccessResponse(
+      {
+        series: targetSeries,
+        scheduled: created.classes.length,
+        updated: updatedClasses.length,
+        cancelled,
+        errors: failed.length,
+        skipped: taken.data.conflicts.map(conflict => ({ date: conflict.date, batch: conflict.batch })),
+        closed,
+        classes: [...updatedClasses, ...created.classes].sort((a, b) => a.date.localeCompare(b.date)),
+        failed
+      },
+      `Updated ${updatedClasses.length + created.classes.length} classes from ${fromDate}`
+    )
+
+  } catch (error) {
+    if (error.success === false) return error
+    return handleError(error, 'updateSeriesFrom')
+  }
+}
+
+/**
+ * Cancel a series from one of its classes onwards
+ * Scheduled classes from that date on are cancelled and the series ends the
+ * day before, or is cancelled outright from its first class. Past classes
+ * are left as they are.
+ * @function cancelSeriesFrom
+ * @param {string} classId - First class to cancel
+ * @param {string} [reason=''] - Cancellation reason
+ * @returns {Promise<Object>} Cancelled classes
+ */
+export const cancelSeriesFrom = async (classId, reason = '') => {
+  try {
+    const { classDoc, series } = await loadOccurrence(classId)
+    const fromDate = classDoc.occurrence_date || classDoc.date
+    if (fromDate < today()) {
+      return handleValidationError('Past classes cannot be changed', 'cancelSeriesFrom')
+    }
+
+    const cancelledBy = await getCurrentActor()
+    const now = new Date().toISOString()
+
+    const upcomingClasses = await getUpcomingSeriesClasses(series.$id, fromDate)
+    const cancelledClasses = []
+    const failed = []
+
+    for (const upcoming of upcomingClasses) {
+      try {
+        const result = await retryOperation(
+          () => storage.updateDocument(DATABASE_ID, CLASSES_COLLECTION, upcoming.$id, {
+            status: SCHEDULING_CONFIG.STATUS.CANCELLED,
+            cancelled_by: cancelledBy,
+            cancellation_reason: reason,
+            cancelled_at: now,
+            updated_at: now
+          }),
+          'cancel_series_class'
+        )
+        cancelledClasses.push(result)
+      } catch (error) {
+        failed.push({ date: upcoming.date, batch: upcoming.batch_name, error: error.message })
+      }
+    }
+
+    await retryOperation(
+      () => storage.updateDocument(DATABASE_ID, SERIES_COLLECTION, series.$id, fromDate <= series.start_date
+        ? { status: SERIES_CONFIG.STATUS.CANCELLED, updated_at: now, updated_by: cancelledBy }
+        : {
+          rrule: formatRule({ ...parseRule(series.rrule), until: addDays(fromDate, -1), count: null }),
+          updated_at: now,
+          updated_by: cancelledBy
+        }),
+      'end_class_series'
+    )
+
+    try {
+      await logActivity('Class Series Cancelled', cancelledBy, {
+        seriesId: series.$id,
+        batch: series.batch_name,
+        fromDate,
+        count: cancelledClasses.length,
+        reason,
+        errors: failed.length
+      })
+    } catch (logError) {
+      console.warn('Failed to log series activity:', logError)
+    }
+
+    return createSuccessResponse(
+      { cancelled: cancelledClasses.length, errors: failed.length, classes: cancelledClasses, failed },
+      `Cancelled ${cancelledClasses.length} classes from ${fromDate}`
+    )
+
+  } catch (error) {
+    if (error.success === false) return error
+    return handleError(error, 'cancelSeriesFrom')
+  }
+}
+
+export default {
+  createClassSeries,
+  extendClassSeries,
+  getClassSeries,
+  updateOccurrence,
+  cancelOccurrence,
+  updateSeriesFrom,
+  cancelSeriesFrom,
+  SERIES_CONFIG
+}
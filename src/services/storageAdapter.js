@@ -0,0 +1,187 @@
+/**
+ * Storage Adapters
+ *
+ * A storage adapter is the part of Appwrite's Databases the services use:
+ * listDocuments, getDocument, createDocument, updateDocument and
+ * deleteDocument, with the same arguments and results. Services reach one
+ * through storageService, which picks the Appwrite adapter or the local
+ * one below.
+ *
+ * The memory adapter keeps documents in a Map and answers listDocuments
+ * by running the same Query list locally (utils/queries.js). It throws
+ * AppwriteException with Appwrite's codes (404 not found, 409 already
+ * exists), so retryOperation and handleError treat it like the cloud.
+ * It also sends Appwrite's realtime events for its own writes, so
+ * realtimeManager can subscribe to it in place of the Appwrite client.
+ *
+ * @service
+ * @version 1.0.0
+ */
+
+import { AppwriteException } from 'appwrite'
+import { databases, APPWRITE_CONFIG, ID } from './appwrite.js'
+import { runQueries } from '../utils/queries.js'
+
+/**
+ * The methods every adapter provides
+ * @typedef {Object} StorageAdapter
+ * @property {Function} listDocuments - (databaseId, collectionId, queries) => { documents, total }
+ * @property {Function} getDocument - (databaseId, collectionId, documentId, queries) => document
+ * @property {Function} createDocument - (databaseId, collectionId, documentId, data, permissions) => document
+ * @property {Function} updateDocument - (databaseId, collectionId, documentId, data, permissions) => document
+ * @property {Function} deleteDocument - (databaseId, collectionId, documentId) => {}
+ * @property {Function} [subscribe] - (channels, callback) => unsubscribe, for local adapters that send realtime events
+ */
+export const STORAGE_METHODS = [
+  'listDocuments',
+  'getDocument',
+  'createDocument',
+  'updateDocument',
+  'deleteDocument'
+]
+
+/**
+ * Adapter over an Appwrite Databases client
+ * @function createAppwriteAdapter
+ * @param {Object} client - Databases instance
+ * @returns {StorageAdapter} Appwrite adapter
+ */
+export const createAppwriteAdapter = (client) => Object.fromEntries(
+  STORAGE_METHODS.map(method => [method, (...args) => client[method](...args)])
+)
+
+// The adapter for the project configured in appwrite.js
+export const appwriteAdapter = createAppwriteAdapter(databases)
+
+/**
+ * Adapter keeping documents in memory
+ * Every database shares one set of collections. Documents are copied in
+ * and out, so callers can't change what is stored by accident.
+ * @function createMemoryAdapter
+ * @param {Object} [seed={}] - Documents to start with, keyed by collection ID
+ * @returns {StorageAdapter} Memory adapter
+ *
+ * @example
+ * const storage = createMemoryAdapter({ students: [{ $id: 's1', name: 'Asha', status: 'active' }] })
+ * await storage.listDocuments('db', 'students', [Query.equal('status', 'active')])
+ */
+export const createMemoryAdapter = (seed = {}) => {
+  const collections = new Map()
+  const subscribers = new Set()
+
+  /**
+   * Documents of a collection, by ID
+   * @param {string} collectionId - Collection ID
+   * @returns {Map<string, Object>} Stored documents
+   */
+  const getCollection = (collectionId) => {
+    if (!collections.has(collectionId)) collections.set(collectionId, new Map())
+    return collections.get(collectionId)
+  }
+
+  /**
+   * A stored document
+   * @param {string} collectionId - Collection ID
+   * @param {string} documentId - Document ID
+   * @returns {Object} Stored document
+   * @throws {AppwriteException} 404 when there is none
+   */
+  const findDocument = (collectionId, documentId) => {
+    const document = getCollection(collectionId).get(documentId)
+    if (!document) {
+      throw new AppwriteException('Document with the requested ID could not be found.', 404, 'document_not_found')
+    }
+    return document
+  }
+
+  /**
+   * Store a document, filling in the system attributes Appwrite adds
+   * @param {string} databaseId - Database ID
+   * @param {string} collectionId - Collection ID
+   * @param {Object} document - Document with its $id
+   * @returns {Object} Copy of the stored document
+   */
+  const storeDocument = (databaseId, collectionId, document) => {
+    const now = new Date().toISOString()
+    const stored = {
+      $collectionId: collectionId,
+      $databaseId: databaseId,
+      $createdAt: now,
+      $permissions: [],
+      ...structuredClone(document),
+      $updatedAt: document.$updatedAt || now
+    }
+    getCollection(collectionId).set(stored.$id, stored)
+    return structuredClone(stored)
+  }
+
+  /**
+   * Send subscribers the realtime event Appwrite would for a write
+   * @param {Object} document - Document as stored, or as it was before deletion
+   * @param {string} action - 'create', 'update' or 'delete'
+   */
+  const notify = (document, action) => {
+    const channel = `databases.${document.$databaseId}.collections.${document.$collectionId}.documents`
+    const response = {
+      events: [`${channel}.${document.$id}.${action}`],
+      channels: [channel, `${channel}.${document.$id}`],
+      timestamp: new Date().toISOString(),
+      payload: structuredClone(document)
+    }
+
+    subscribers.forEach(({ channels, callback }) => {
+      if (response.channels.some(candidate => channels.includes(candidate))) callback(response)
+    })
+  }
+
+  Object.entries(seed).forEach(([collectionId, documents]) => {
+    documents.forEach(document => storeDocument(APPWRITE_CONFIG.databaseId, collectionId, document))
+  })
+
+  return {
+    listDocuments: async (databaseId, collectionId, queries = []) => {
+      const { documents, total } = runQueries([...getCollection(collectionId).values()], queries)
+      return { total, documents: structuredClone(documents) }
+    },
+
+    getDocument: async (databaseId, collectionId, documentId) => (
+      structuredClone(findDocument(collectionId, documentId))
+    ),
+
+    createDocument: async (databaseId, collectionId, documentId, data, permissions) => {
+      const $id = documentId === 'unique()' ? ID.unique() : documentId
+      if (getCollection(collectionId).has($id)) {
+        throw new AppwriteException('Document with the requested ID already exists.', 409, 'document_already_exists')
+      }
+      const created = storeDocument(databaseId, collectionId, { ...data, $id, $permissions: permissions || [] })
+      notify(created, 'create')
+      return created
+    },
+
+    updateDocument: async (databaseId, collectionId, documentId, data = {}, permissions) => {
+      const current = findDocument(collectionId, documentId)
+      const updated = storeDocument(databaseId, collectionId, {
+        ...current,
+        ...data,
+        $id: documentId,
+        $permissions: permissions || current.$permissions,
+        $updatedAt: new Date().toISOString()
+      })
+      notify(updated, 'update')
+      return updated
+    },
+
+    deleteDocument: async (databaseId, collectionId, documentId) => {
+      const deleted = findDocument(collectionId, documentId)
+      getCollection(collectionId).delete(documentId)
+      notify(deleted, 'delete')
+      return {}
+    },
+
+    subscribe: (channels, callback) => {
+      const subscriber = { channels: [].concat(channels), callback }
+      subscribers.add(subscriber)
+      return () => subscribers.delete(subscriber)
+    }
+  }
+}
@@ -0,0 +1,129 @@
+/**
+ * Storage Service
+ *
+ * The one place services get their storage adapter from (see
+ * storageAdapter.js). VITE_STORAGE_BACKEND picks it:
+ * - 'appwrite' (default): the cloud project in appwrite.js
+ * - 'memory': documents kept in memory, seeded with demoData.js, so the
+ *   app runs against local demo data with no network
+ *
+ * `storage` goes straight to the adapter. `offlineStorage` goes through
+ * offlineService first when the backend is Appwrite, for the collections
+ * that are mirrored for offline use. A local adapter needs neither.
+ *
+ * `authAccount` is the Account API to sign in with: Appwrite's, or with a
+ * local adapter one kept in memory (memoryAccount.js) for the demo
+ * instructors, whose password is DEMO_PASSWORD.
+ *
+ * realtimeManager takes its events from the same place: the Appwrite
+ * client, or the local adapter, which sends them for its own writes. With
+ * a local adapter nothing here contacts Appwrite.
+ *
+ * @service
+ * @version 1.0.0
+ */
+
+import { account as appwriteAccount, client as appwriteClient, realtimeManager, initializeAppwrite } from './appwrite.js'
+import { STORAGE_METHODS, appwriteAdapter, createMemoryAdapter } from './storageAdapter.js'
+import { ACCOUNT_METHODS, createMemoryAccount } from './memoryAccount.js'
+import { offlineDatabases } from './offlineService.js'
+import { createDemoData, DEMO_INSTRUCTORS, DEMO_PASSWORD } from './demoData.js'
+
+export const STORAGE_CONFIG = {
+  BACKENDS: {
+    APPWRITE: 'appwrite',
+    MEMORY: 'memory'
+  },
+  DEFAULT_BACKEND: 'appwrite'
+}
+
+/**
+ * The backend chosen for this build
+ * @function getStorageBackend
+ * @returns {string} One of STORAGE_CONFIG.BACKENDS
+ */
+export const getStorageBackend = () => {
+  const configured = import.meta.env?.VITE_STORAGE_BACKEND
+  return Object.values(STORAGE_CONFIG.BACKENDS).includes(configured)
+    ? configured
+    : STORAGE_CONFIG.DEFAULT_BACKEND
+}
+
+// A local adapter replacing Appwrite, or null to use Appwrite
+let localAdapter = getStorageBackend() === STORAGE_CONFIG.BACKENDS.MEMORY
+  ? createMemoryAdapter(createDemoData())
+  : null
+
+realtimeManager.setSource(localAdapter || appwriteClient)
+
+// Signs in the demo instructors while a local adapter is in use
+const localAccount = createMemoryAccount(DEMO_INSTRUCTORS, DEMO_PASSWORD)
+
+/**
+ * Use another adapter in place of Appwrite, e.g. an empty memory adapter
+ * for tests. Realtime subscriptions made after this listen to it.
+ * @function setStorageAdapter
+ * @param {import('./storageAdapter.js').StorageAdapter|null} adapter - Adapter, or null for Appwrite
+ * @returns {import('./storageAdapter.js').StorageAdapter|null} The adapter it replaced
+ *
+ * @example
+ * setStorageAdapter(createMemoryAdapter({ students: [] }))
+ */
+export const setStorageAdapter = (adapter) => {
+  const previous = localAdapter
+  localAdapter = adapter
+  realtimeManager.setSource(adapter || appwriteClient)
+  return previous
+}
+
+/**
+ * Whether documents are kept locally instead of in Appwrite
+ * @function isLocalStorage
+ * @returns {boolean} True when a local adapter is in use
+ */
+export const isLocalStorage = () => localAdapter !== null
+
+/**
+ * Start up the storage backend when the app loads: test the Appwrite
+ * connection, or nothing for a local adapter
+ * @async
+ * @function initializeStorage
+ * @returns {Promise<boolean>} Whether the backend is ready
+ */
+export const initializeStorage = async () => {
+  if (isLocalStorage()) {
+    console.log('🗂️ Using local demo data, Appwrite is not contacted')
+    return true
+  }
+  return initializeAppwrite()
+}
+
+/**
+ * Adapter that forwards each call to whichever adapter is current, so a
+ * change of adapter reaches modules that imported it earlier
+ * @function forwardTo
+ * @param {Function} getAdapter - Returns the current adapter
+ * @param {Array<string>} [methods=STORAGE_METHODS] - Methods to forward
+ * @returns {Object} Forwarding adapter
+ */
+const forwardTo = (getAdapter, methods = STORAGE_METHODS) => Object.fromEntries(
+  methods.map(method => [method, (...args) => getAdapter()[method](...args)])
+)
+
+/**
+ * Current storage adapter
+ * @constant
+ */
+export const storage = forwardTo(() => localAdapter || appwriteAdapter)
+
+/**
+ * Current storage adapter, with offline reads and queued writes on Appwrite
+ * @constant
+ */
+export const offlineStorage = forwardTo(() => localAdapter || offlineDatabases)
+
+/**
+ * Current Account API, Appwrite's or the local one
+ * @constant
+ */
+export const authAccount = forwardTo(() => (localAdapter ? localAccount : appwriteAccount), ACCOUNT_METHODS)
@@ -0,0 +1,83 @@
+/**
+ * Calendar Utility Functions
+ *
+ * Month grid helpers shared by the class calendar and the student
+ * attendance heatmap.
+ */
+
+import { addDays, getDateParts, getMonthRange, getWeekday, today } from './dates.js'
+
+export const DAYS_OF_WEEK = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+export const MONTHS = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+]
+
+/**
+ * Group documents by their date field for quick lookup
+ * @param {Array} items - Documents with a date field
+ * @param {string} [dateField='date'] - Field holding the YYYY-MM-DD date
+ * @returns {Object} Items keyed by date
+ */
+export const groupByDate = (items = [], dateField = 'date') => {
+  const itemsByDate = {}
+  items.forEach(item => {
+    const dateKey = item[dateField]
+    if (!itemsByDate[dateKey]) {
+      itemsByDate[dateKey] = []
+    }
+    itemsByDate[dateKey].push(item)
+  })
+  return itemsByDate
+}
+
+/**
+ * Build the weeks of a month grid, padded to six whole weeks
+ * Days are club dates: "today" is today in the club timezone.
+ * @param {number} year - Year
+ * @param {number} month - Month (0-11)
+ * @param {Object} [itemsByDate={}] - Items keyed by date (see groupByDate)
+ * @returns {Array<Array<Object>>} Weeks of day cells with their items
+ */
+export const getCalendarWeeks = (year, month, itemsByDate = {}) => {
+  const { startDate } = getMonthRange(year, month)
+  const monthKey = startDate.slice(0, 7)
+  const todayKey = today()
+
+  const weeks = []
+  let dateKey = addDays(startDate, -getWeekday(startDate))
+
+  while (weeks.length < 6) {
+    const week = []
+
+    for (let i = 0; i < 7; i++) {
+      const { year: cellYear, monthIndex, day } = getDateParts(dateKey)
+
+      week.push({
+        date: new Date(cellYear, monthIndex, day),
+        day,
+        isCurrentMonth: dateKey.slice(0, 7) === monthKey,
+        isToday: dateKey === todayKey,
+        isPast: dateKey < todayKey,
+        isFuture: dateKey > todayKey,
+        dateKey,
+        items: itemsByDate[dateKey] || []
+      })
+
+      dateKey = addDays(dateKey, 1)
+    }
+
+    weeks.push(week)
+  }
+
+  return weeks
+}
+
+/**
+ * The month containing today's club date
+ * @returns {Date} First of the month, as a local date for display state
+ */
+export const getCurrentMonthStart = () => {
+  const { year, monthIndex } = getDateParts(today())
+  return new Date(year, monthIndex, 1)
+}
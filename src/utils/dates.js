@@ -0,0 +1,282 @@
+/**
+ * Club Date Utilities
+ *
+ * Classes, attendance, closures and payments store the club's local
+ * calendar date (YYYY-MM-DD) and wall-clock time (HH:MM), never a UTC
+ * instant cut down to a date. "Today", and the date and time of a moment,
+ * are worked out in the club timezone, so a 06:00 class in Kolkata stays on
+ * its own day whatever timezone the device is in. Arithmetic on date
+ * strings is done in UTC and gives the same answer everywhere.
+ *
+ * The club timezone comes from VITE_CLUB_TIMEZONE (an IANA name such as
+ * Asia/Kolkata) and falls back to the device's timezone. It is fixed when
+ * the app is built; changing it means setting the variable and rebuilding.
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/
+const DAY_MS = 24 * 60 * 60 * 1000
+
+let clubTimezone = null
+const formatters = new Map()
+
+/**
+ * Whether a timezone name is known to this browser
+ * @param {string} timeZone - IANA timezone, e.g. 'Asia/Kolkata'
+ * @returns {boolean} True when it can be used
+ */
+export const isValidTimezone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone })
+    return true
+  } catch {
+    return false
+  }
+}
+
+/**
+ * The club timezone
+ * @returns {string} IANA timezone
+ */
+export const getClubTimezone = () => {
+  if (!clubTimezone) {
+    const configured = import.meta.env?.VITE_CLUB_TIMEZONE
+    clubTimezone = isValidTimezone(configured)
+      ? configured
+      : Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC'
+  }
+  return clubTimezone
+}
+
+/**
+ * Formatter giving the calendar fields of an instant in a timezone
+ * @param {string} timeZone - IANA timezone
+ * @returns {Intl.DateTimeFormat} Cached formatter
+ */
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }))
+  }
+  return formatters.get(timeZone)
+}
+
+/**
+ * Calendar fields of an instant in a timezone
+ * @param {Date|string|number} instant - Moment in time
+ * @param {string} timeZone - IANA timezone
+ * @returns {Object} { year, month (1-12), day, hour, minute, second }
+ */
+const getZonedParts = (instant, timeZone) => {
+  const parts = {}
+  getFormatter(timeZone).formatToParts(new Date(instant)).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = Number(value)
+  })
+  return parts
+}
+
+const pad = (value) => String(value).padStart(2, '0')
+
+/**
+ * Whether a value is a YYYY-MM-DD date string
+ * @param {*} value - Value to check
+ * @returns {boolean} True for a real calendar date
+ */
+export const isDateKey = (value) => {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false
+  const [year, month, day] = value.split('-').map(Number)
+  const date = new Date(Date.UTC(year, month - 1, day))
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day
+}
+
+/**
+ * Whether a value is an HH:MM wall-clock time
+ * @param {*} value - Value to check
+ * @returns {boolean} True for a valid time
+ */
+export const isWallTime = (value) => typeof value === 'string' && TIME_PATTERN.test(value)
+
+/**
+ * Build a date string from its parts; out of range parts roll over
+ * @param {number} year - Year
+ * @param {number} monthIndex - Month (0-11)
+ * @param {number} day - Day of the month
+ * @returns {string} Date (YYYY-MM-DD)
+ *
+ * @example
+ * fromParts(2025, 0, 0) // '2024-12-31'
+ */
+export const fromParts = (year, monthIndex, day) => (
+  new Date(Date.UTC(year, monthIndex, day)).toISOString().slice(0, 10)
+)
+
+/**
+ * Split a date string into its parts
+ * @param {string} dateKey - Date (YYYY-MM-DD)
+ * @returns {Object} { year, monthIndex (0-11), day }
+ */
+export const getDateParts = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number)
+  return { year, monthIndex: month - 1, day }
+}
+
+/**
+ * Calendar date of an instant in the club timezone
+ * @param {Date|string|number} [instant=new Date()] - Moment in time
+ * @param {string} [timeZone] - IANA timezone, defaults to the club's
+ * @returns {string} Date (YYYY-MM-DD)
+ *
+ * @example
+ * toDateKey(new Date('2025-03-03T20:00:00Z'), 'Asia/Kolkata') // '2025-03-04'
+ */
+export const toDateKey = (instant = new Date(), timeZone = getClubTimezone()) => {
+  const { year, month, day } = getZonedParts(instant, timeZone)
+  return `${year}-${pad(month)}-${pad(day)}`
+}
+
+/**
+ * Wall-clock time of an instant in the club timezone
+ * @param {Date|string|number} [instant=new Date()] - Moment in time
+ * @param {string} [timeZone] - IANA timezone, defaults to the club's
+ * @returns {string} Time (HH:MM)
+ */
+export const toWallTime = (instant = new Date(), timeZone = getClubTimezone()) => {
+  const { hour, minute } = getZonedParts(instant, timeZone)
+  return `${pad(hour)}:${pad(minute)}`
+}
+
+/**
+ * Today's date at the club
+ * @param {string} [timeZone] - IANA timezone, defaults to the club's
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+export const today = (timeZone = getClubTimezone()) => toDateKey(new Date(), timeZone)
+
+/**
+ * Minutes a timezone is ahead of UTC at an instant
+ * @param {Date|string|number} instant - Moment in time
+ * @param {string} [timeZone] - IANA timezone, defaults to the club's
+ * @returns {number} Offset in minutes, e.g. 330 for Asia/Kolkata
+ */
+export const getTimezoneOffset = (instant, timeZone = getClubTimezone()) => {
+  const { year, month, day, hour, minute, second } = getZonedParts(instant, timeZone)
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second)
+  const exact = Math.floor(new Date(instant).getTime() / 1000) * 1000
+  return Math.round((wallClock - exact) / 60000)
+}
+
+/**
+ * Instant at which a club date and wall-clock time happen
+ * A time skipped when clocks go forward resolves to the same distance
+ * past the change; a time repeated when clocks go back resolves to its
+ * first occurrence.
+ * @param {string} dateKey - Date (YYYY-MM-DD)
+ * @param {string} [time='00:00'] - Time (HH:MM)
+ * @param {string} [timeZone] - IANA timezone, defaults to the club's
+ * @returns {Date} Moment in time
+ *
+ * @example
+ * toInstant('2025-03-04', '06:00', 'Asia/Kolkata').toISOString() // '2025-03-04T00:30:00.000Z'
+ */
+export const toInstant = (dateKey, time = '00:00', timeZone = getClubTimezone()) => {
+  const { year, monthIndex, day } = getDateParts(dateKey)
+  const [hours, minutes] = (isWallTime(time) ? time : '00:00').split(':').map(Number)
+  const wallClock = Date.UTC(year, monthIndex, day, hours, minutes)
+
+  // Try the offsets in force just before and after the wall-clock time and
+  // keep the earliest instant that shows that time
+  const offsets = [
+    getTimezoneOffset(wallClock - DAY_MS, timeZone),
+    getTimezoneOffset(wallClock + DAY_MS, timeZone)
+  ]
+  const candidates = offsets
+    .map(offset => wallClock - offset * 60000)
+    .filter(candidate => getTimezoneOffset(candidate, timeZone) * 60000 + candidate === wallClock)
+    .sort((a, b) => a - b)
+
+  return new Date(candidates.length > 0 ? candidates[0] : wallClock - offsets[0] * 60000)
+}
+
+/**
+ * Move a date by a number of days
+ * @param {string} dateKey - Date (YYYY-MM-DD)
+ * @param {number} days - Days to add, negative to go back
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+export const addDays = (dateKey, days) => {
+  const { year, monthIndex, day } = getDateParts(dateKey)
+  return fromParts(year, monthIndex, day + days)
+}
+
+/**
+ * Whole days from one date to another
+ * @param {string} fromDate - Date (YYYY-MM-DD)
+ * @param {string} toDate - Date (YYYY-MM-DD)
+ * @returns {number} Days, negative when toDate is earlier
+ */
+export const daysBetween = (fromDate, toDate) => {
+  const from = getDateParts(fromDate)
+  const to = getDateParts(toDate)
+  return Math.round(
+    (Date.UTC(to.year, to.monthIndex, to.day) - Date.UTC(from.year, from.monthIndex, from.day)) / DAY_MS
+  )
+}
+
+/**
+ * Weekday of a date
+ * @param {string} dateKey - Date (YYYY-MM-DD)
+ * @returns {number} Weekday, 0 = Sunday
+ */
+export const getWeekday = (dateKey) => {
+  const { year, monthIndex, day } = getDateParts(dateKey)
+  return new Date(Date.UTC(year, monthIndex, day)).getUTCDay()
+}
+
+/**
+ * Every date from start to end inclusive
+ * @param {string} startDate - First date (YYYY-MM-DD)
+ * @param {string} endDate - Last date (YYYY-MM-DD)
+ * @returns {Array<string>} Dates (YYYY-MM-DD)
+ */
+export const eachDate = (startDate, endDate) => {
+  const dates = []
+  for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+    dates.push(date)
+  }
+  return dates
+}
+
+/**
+ * First and last date of a month
+ * @param {number} year - Year
+ * @param {number} monthIndex - Month (0-11); out of range months roll over
+ * @returns {Object} { startDate, endDate } (YYYY-MM-DD)
+ */
+export const getMonthRange = (year, monthIndex) => ({
+  startDate: fromParts(year, monthIndex, 1),
+  endDate: fromParts(year, monthIndex + 1, 0)
+})
+
+/**
+ * Format a date for display, without shifting it into another day
+ * @param {string} dateKey - Date (YYYY-MM-DD)
+ * @param {Object} [options={}] - Intl.DateTimeFormat options
+ * @param {string} [locale='en-US'] - Locale
+ * @returns {string} Formatted date
+ *
+ * @example
+ * formatDate('2025-03-04', { weekday: 'short', day: 'numeric', month: 'short' }) // 'Tue, Mar 4'
+ */
+export const formatDate = (dateKey, options = {}, locale = 'en-US') => {
+  const { year, monthIndex, day } = getDateParts(dateKey)
+  return new Date(Date.UTC(year, monthIndex, day)).toLocaleDateString(locale, { ...options, timeZone: 'UTC' })
+}
@@ -340,13 +340,15 @@ export const handlePermissionError = (error, operation, resource) => {
 
 /**
  * Handles validation errors with field-specific messaging
- * @param {Error} error - Validation error
+ * @param {Error|string} error - Validation error or its message
  * @param {string} operation - Operation that failed
  * @param {Object} [fieldErrors] - Field-specific validation errors
+ * @param {Object} [details] - Other data for the caller, added to the context
  * @returns {EnhancedError} Enhanced validation error
  */
-export const handleValidationError = (error, operation, fieldErrors = {}) => {
+export const handleValidationError = (error, operation, fieldErrors = {}, details = {}) => {
   const context = {
+    ...details,
     fieldErrors,
     suggestedAction: 'Please correct the highlighted fields',
     isValidationError: true
@@ -354,10 +356,15 @@ export const handleValidationError = (error, operation, fieldErrors = {}) => {
   
   const enhancedError = createEnhancedError(error, operation, context)
   
-  // Create detailed message if field errors are provided
+  // Create detailed message if field errors are provided; the app's own
+  // validation errors carry no code and show their message as it is
   if (Object.keys(fieldErrors).length > 0) {
     const fieldNames = Object.keys(fieldErrors).join(', ')
     enhancedError.message = `Please check the following fields: ${fieldNames}`
+  } else if (typeof error === 'string') {
+    enhancedError.message = error
+  } else if (error?.message && !error.code) {
+    enhancedError.message = error.message
   }
   
   return enhancedError
@@ -0,0 +1,95 @@
+/**
+ * iCal Utility Functions
+ *
+ * Reads all-day events from an .ics file, such as a public holiday list
+ * exported from a calendar app, so they can be imported as closures.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Convert an iCal date or date-time value to YYYY-MM-DD
+ * @param {string} value - e.g. 20251225 or 20251225T090000Z
+ * @returns {string|null} Date, or null when the value is not a date
+ */
+const toDateString = (value = '') => {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})/)
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null
+}
+
+/**
+ * Undo iCal text escaping
+ * @param {string} value - Escaped text
+ * @returns {string} Plain text
+ */
+const unescapeText = (value = '') => value
+  .replace(/\\n/gi, ' ')
+  .replace(/\\([,;\\])/g, '$1')
+  .trim()
+
+/**
+ * Parse the events in an iCal file
+ * All-day events end the day before their DTEND, as the format specifies.
+ * Events that repeat every year are marked yearly; cancelled events are
+ * left out.
+ * @param {string} text - Contents of an .ics file
+ * @returns {Array<Object>} Events: { name, start_date, end_date, repeat, uid }
+ *
+ * @example
+ * parseICalEvents(icsText)
+ * // [{ name: 'Christmas Day', start_date: '2025-12-25', end_date: '2025-12-25', repeat: 'yearly', uid: '...' }]
+ */
+export const parseICalEvents = (text = '') => {
+  // Long lines are folded onto continuation lines that start with a space or tab
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/)
+  const events = []
+  let current = null
+
+  lines.forEach(line => {
+    if (line === 'BEGIN:VEVENT') {
+      current = {}
+      return
+    }
+
+    if (line === 'END:VEVENT') {
+      if (current?.DTSTART && current.STATUS !== 'CANCELLED') {
+        const startDate = toDateString(current.DTSTART.value)
+        let endDate = toDateString(current.DTEND?.value) || startDate
+
+        // All-day DTEND is exclusive
+        if (current.DTEND && /^\d{8}$/.test(current.DTEND.value) && endDate > startDate) {
+          endDate = new Date(new Date(`${endDate}T00:00:00.000Z`).getTime() - DAY_MS).toISOString().split('T')[0]
+        }
+
+        if (startDate) {
+          events.push({
+            name: unescapeText(current.SUMMARY?.value) || 'Closure',
+            start_date: startDate,
+            end_date: endDate < startDate ? startDate : endDate,
+            repeat: /FREQ=YEARLY/i.test(current.RRULE?.value || '') ? 'yearly' : 'none',
+            uid: current.UID?.value || null
+          })
+        }
+      }
+      current = null
+      return
+    }
+
+    if (!current) return
+
+    const separator = line.indexOf(':')
+    if (separator === -1) return
+
+    // Parameters such as ;VALUE=DATE or ;TZID=... come before the colon
+    const key = line.slice(0, separator).split(';')[0].toUpperCase()
+    const value = line.slice(separator + 1).trim()
+
+    if (key === 'STATUS') {
+      current.STATUS = value.toUpperCase()
+    } else {
+      current[key] = { value }
+    }
+  })
+
+  return events
+}
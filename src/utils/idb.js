@@ -0,0 +1,50 @@
+/**
+ * IndexedDB Utility Functions
+ *
+ * Promise wrappers around the IndexedDB request and transaction callbacks.
+ * Nothing here touches window, so the service worker can use it too.
+ */
+
+/**
+ * Wait for an IndexedDB request
+ * @param {IDBRequest} request - Request
+ * @returns {Promise<*>} The request's result
+ */
+export const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result)
+  request.onerror = () => reject(request.error)
+})
+
+/**
+ * Wait for a transaction to commit
+ * @param {IDBTransaction} transaction - Transaction
+ * @returns {Promise<void>} Resolves once every write is stored
+ */
+export const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve()
+  transaction.onerror = () => reject(transaction.error)
+  transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'))
+})
+
+/**
+ * Open a database, creating or upgrading its stores first when needed
+ * @param {string} name - Database name
+ * @param {number} version - Schema version
+ * @param {Function} upgrade - Called with (db, oldVersion) when the version is new
+ * @returns {Promise<IDBDatabase>} Open database
+ *
+ * @example
+ * const db = await openDatabase('club', 1, (db) => db.createObjectStore('students', { keyPath: '$id' }))
+ */
+export const openDatabase = (name, version, upgrade) => new Promise((resolve, reject) => {
+  if (typeof indexedDB === 'undefined') {
+    reject(new Error('IndexedDB is not available'))
+    return
+  }
+
+  const request = indexedDB.open(name, version)
+  request.onupgradeneeded = (event) => upgrade(request.result, event.oldVersion)
+  request.onsuccess = () => resolve(request.result)
+  request.onerror = () => reject(request.error)
+  request.onblocked = () => reject(new Error(`${name} is open in another tab with an older version`))
+})
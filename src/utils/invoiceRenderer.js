@@ -0,0 +1,256 @@
+/**
+ * Invoice Renderer
+ *
+ * Turns stored invoice and receipt documents into a printable HTML page
+ * or a PDF file. Everything runs in the browser, so issued documents can
+ * be printed and downloaded while offline.
+ */
+
+import { INVOICE_CONFIG } from '../services/invoiceService.js'
+import { PaymentUtils } from '../services/paymentService.js'
+import { createPdfDocument, downloadBlob, measureText, PAGE_SIZE } from './pdf.js'
+
+/**
+ * Format an ISO date for documents
+ * @param {string} value - ISO date or YYYY-MM-DD
+ * @returns {string} Date such as 5 January 2025
+ */
+const formatDocumentDate = (value) => {
+  if (!value) return ''
+  return new Date(value.length === 10 ? `${value}T00:00:00` : value)
+    .toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' })
+}
+
+/**
+ * Build the content shared by the HTML and PDF layouts
+ * @param {Object} invoice - Invoice with parsed line items
+ * @returns {Object} Title, club lines, details, rows and totals
+ */
+export const describeInvoice = (invoice) => {
+  const branding = INVOICE_CONFIG.BRANDING
+  const isReceipt = invoice.type === INVOICE_CONFIG.TYPES.RECEIPT
+  const payment = isReceipt ? invoice.line_items[0] || {} : null
+
+  const details = [
+    { label: isReceipt ? 'Receipt No.' : 'Invoice No.', value: invoice.number },
+    { label: 'Date', value: formatDocumentDate(invoice.issued_at) },
+    { label: isReceipt ? 'Received from' : 'Billed to', value: invoice.student_name },
+    { label: 'Contact', value: invoice.student_contact },
+    {
+      label: 'Period',
+      value: invoice.period_from === invoice.period_to
+        ? PaymentUtils.formatPeriod(invoice.period_from)
+        : `${PaymentUtils.formatPeriod(invoice.period_from)} to ${PaymentUtils.formatPeriod(invoice.period_to)}`
+    },
+    ...(isReceipt
+      ? [
+          { label: 'Paid on', value: formatDocumentDate(payment.paid_date) },
+          { label: 'Method', value: payment.method },
+          { label: 'Reference', value: payment.reference }
+        ]
+      : [])
+  ].filter(detail => detail.value)
+
+  const rows = invoice.line_items.map(item => ({
+    description: item.description,
+    amount: PaymentUtils.formatCurrency(item.amount)
+  }))
+
+  const totals = isReceipt
+    ? [
+        { label: 'Amount received', value: PaymentUtils.formatCurrency(invoice.amount_paid), emphasis: true },
+        { label: 'Balance for the month', value: PaymentUtils.formatCurrency(invoice.balance_due) }
+      ]
+    : [
+        { label: 'Total', value: PaymentUtils.formatCurrency(invoice.total) },
+        { label: 'Paid', value: PaymentUtils.formatCurrency(invoice.amount_paid) },
+        { label: 'Balance due', value: PaymentUtils.formatCurrency(invoice.balance_due), emphasis: true }
+      ]
+
+  return {
+    title: isReceipt ? 'Payment Receipt' : 'Invoice',
+    club: [
+      branding.tagline,
+      ...branding.address,
+      [branding.phone, branding.email, branding.website].filter(Boolean).join(' | ')
+    ].filter(Boolean),
+    details,
+    rows,
+    totals,
+    footer: branding.footer
+  }
+}
+
+/**
+ * Escape text for HTML
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (char) => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+})[char])
+
+/**
+ * Render an invoice or receipt as a standalone printable HTML page
+ * @param {Object} invoice - Invoice with parsed line items
+ * @returns {string} HTML document
+ */
+export const renderInvoiceHtml = (invoice) => {
+  const { title, club, details, rows, totals, footer } = describeInvoice(invoice)
+  const { name, accentColor } = INVOICE_CONFIG.BRANDING
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(invoice.number)}</title>
+<style>
+  @page { size: A4; margin: 16mm; }
+  body { font-family: system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif; color: #111827; margin: 0; padding: 24px; font-size: 14px; }
+  header { display: flex; justify-content: space-between; align-items: flex-start; border-bottom: 3px solid ${accentColor}; padding-bottom: 16px; margin-bottom: 24px; }
+  h1 { margin: 0; font-size: 24px; color: ${accentColor}; }
+  h2 { margin: 0; font-size: 20px; text-transform: uppercase; letter-spacing: 0.05em; color: #374151; }
+  .club p { margin: 2px 0; color: #6b7280; font-size: 12px; }
+  dl { display: grid; grid-template-columns: max-content 1fr; gap: 4px 16px; margin: 0 0 24px; }
+  dt { color: #6b7280; }
+  dd { margin: 0; font-weight: 600; }
+  table { width: 100%; border-collapse: collapse; margin-bottom: 16px; }
+  th { text-align: left; background: #f3f4f6; padding: 8px; font-size: 12px; text-transform: uppercase; color: #4b5563; }
+  td { padding: 8px; border-bottom: 1px solid #e5e7eb; }
+  .amount { text-align: right; white-space: nowrap; }
+  .totals { margin-left: auto; width: 280px; }
+  .totals div { display: flex; justify-content: space-between; padding: 4px 0; }
+  .totals .emphasis { font-weight: 700; font-size: 16px; border-top: 1px solid #d1d5db; padding-top: 8px; }
+  footer { margin-top: 40px; color: #6b7280; font-size: 12px; text-align: center; }
+</style>
+</head>
+<body>
+<header>
+  <div class="club">
+    <h1>${escapeHtml(name)}</h1>
+    ${club.map(line => `<p>${escapeHtml(line)}</p>`).join('\n    ')}
+  </div>
+  <h2>${escapeHtml(title)}</h2>
+</header>
+<dl>
+  ${details.map(detail => `<dt>${escapeHtml(detail.label)}</dt><dd>${escapeHtml(detail.value)}</dd>`).join('\n  ')}
+</dl>
+<table>
+  <thead><tr><th>Description</th><th class="amount">Amount</th></tr></thead>
+  <tbody>
+    ${rows.map(row => `<tr><td>${escapeHtml(row.description)}</td><td class="amount">${escapeHtml(row.amount)}</td></tr>`).join('\n    ')}
+  </tbody>
+</table>
+<div class="totals">
+  ${totals.map(total => `<div class="${total.emphasis ? 'emphasis' : ''}"><span>${escapeHtml(total.label)}</span><span>${escapeHtml(total.value)}</span></div>`).join('\n  ')}
+</div>
+<footer>${escapeHtml(footer)}</footer>
+</body>
+</html>`
+}
+
+/**
+ * Build an invoice or receipt PDF
+ * @param {Object} invoice - Invoice with parsed line items
+ * @returns {Blob} PDF file
+ */
+export const buildInvoicePdf = (invoice) => {
+  const { title, club, details, rows, totals, footer } = describeInvoice(invoice)
+  const { name, accentColor } = INVOICE_CONFIG.BRANDING
+
+  const margin = 48
+  const right = PAGE_SIZE.width - margin
+  const bottom = PAGE_SIZE.height - margin
+  const pdf = createPdfDocument({ title: invoice.number })
+
+  // Header
+  pdf.text(name, margin, 72, { size: 22, bold: true, color: accentColor })
+  pdf.text(title.toUpperCase(), right, 72, { size: 16, bold: true, color: '#374151', align: 'right' })
+  let y = 90
+  club.forEach(line => {
+    pdf.text(line, margin, y, { size: 9, color: '#6b7280' })
+    y += 13
+  })
+  y += 4
+  pdf.line(margin, y, right, y, { color: accentColor, width: 2 })
+  y += 28
+
+  // Details
+  details.forEach(detail => {
+    pdf.text(detail.label, margin, y, { size: 10, color: '#6b7280' })
+    pdf.text(detail.value, margin + 110, y, { size: 10, bold: true })
+    y += 16
+  })
+  y += 16
+
+  // Line items
+  const drawTableHeader = () => {
+    pdf.rect(margin, y - 14, right - margin, 22, { fill: '#f3f4f6' })
+    pdf.text('DESCRIPTION', margin + 8, y, { size: 9, bold: true, color: '#4b5563' })
+    pdf.text('AMOUNT', right - 8, y, { size: 9, bold: true, color: '#4b5563', align: 'right' })
+    y += 24
+  }
+
+  drawTableHeader()
+  rows.forEach(row => {
+    if (y > bottom - 120) {
+      pdf.addPage()
+      y = margin + 24
+      drawTableHeader()
+    }
+    pdf.text(row.description, margin + 8, y, { size: 10 })
+    pdf.text(row.amount, right - 8, y, { size: 10, align: 'right' })
+    pdf.line(margin, y + 8, right, y + 8)
+    y += 24
+  })
+  y += 8
+
+  // Totals
+  totals.forEach(total => {
+    if (total.emphasis) {
+      pdf.line(right - 220, y - 12, right, y - 12, { color: '#d1d5db' })
+    }
+    pdf.text(total.label, right - 220, y, { size: total.emphasis ? 12 : 10, bold: total.emphasis })
+    pdf.text(total.value, right - 8, y, { size: total.emphasis ? 12 : 10, bold: total.emphasis, align: 'right' })
+    y += 20
+  })
+
+  pdf.text(footer, (PAGE_SIZE.width - measureText(footer, 9)) / 2, bottom, { size: 9, color: '#6b7280' })
+
+  return pdf.toBlob()
+}
+
+/**
+ * Open the browser print dialog for an invoice or receipt
+ * Prints from a hidden frame so the app stays on screen
+ * @param {Object} invoice - Invoice with parsed line items
+ */
+export const printInvoice = (invoice) => {
+  const frame = document.createElement('iframe')
+  frame.style.position = 'fixed'
+  frame.style.width = '0'
+  frame.style.height = '0'
+  frame.style.border = '0'
+  frame.setAttribute('aria-hidden', 'true')
+  frame.srcdoc = renderInvoiceHtml(invoice)
+
+  frame.onload = () => {
+    frame.contentWindow.addEventListener('afterprint', () => frame.remove())
+    frame.contentWindow.focus()
+    frame.contentWindow.print()
+  }
+
+  document.body.appendChild(frame)
+}
+
+/**
+ * Download an invoice or receipt as a PDF file
+ * @param {Object} invoice - Invoice with parsed line items
+ */
+export const downloadInvoicePdf = (invoice) => {
+  downloadBlob(buildInvoicePdf(invoice), `${invoice.number}.pdf`)
+}
@@ -0,0 +1,223 @@
+/**
+ * PDF Utility Functions
+ *
+ * Minimal PDF writer for text-and-rule documents such as invoices and
+ * receipts. Uses the built-in Helvetica fonts so nothing is fetched and
+ * documents can be generated offline.
+ */
+
+// A4 in points
+export const PAGE_SIZE = { width: 595.28, height: 841.89 }
+
+// Helvetica advance widths (1/1000 em) for printable ASCII, starting at space
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+]
+
+// Characters the standard fonts cannot show, mapped to ASCII stand-ins
+const CHARACTER_REPLACEMENTS = {
+  '₹': 'Rs.',
+  '–': '-',
+  '—': '-',
+  '•': '-',
+  '‘': "'",
+  '’': "'",
+  '“': '"',
+  '”': '"',
+  '…': '...',
+  '\u00a0': ' ',
+  '\u202f': ' '
+}
+
+/**
+ * Reduce text to the printable ASCII the standard fonts can encode
+ * @param {string} text - Text to write
+ * @returns {string} ASCII text
+ */
+export const toPdfText = (text) => {
+  return String(text ?? '')
+    .replace(/[^\x20-\x7e]/g, (char) => CHARACTER_REPLACEMENTS[char] ?? '?')
+}
+
+/**
+ * Measure text set in Helvetica
+ * Bold glyphs are slightly wider, but digits match, so figures still align
+ * @param {string} text - Text to measure
+ * @param {number} size - Font size in points
+ * @returns {number} Width in points
+ */
+export const measureText = (text, size) => {
+  const units = Array.from(toPdfText(text)).reduce((sum, char) => {
+    return sum + (HELVETICA_WIDTHS[char.charCodeAt(0) - 32] ?? 556)
+  }, 0)
+  return (units * size) / 1000
+}
+
+/**
+ * Convert a hex colour to PDF RGB components
+ * @param {string} hex - Colour such as '#3b82f6'
+ * @returns {string} Space separated components between 0 and 1
+ */
+const toRgb = (hex = '#000000') => {
+  const value = hex.replace('#', '')
+  return [0, 2, 4]
+    .map(offset => (parseInt(value.slice(offset, offset + 2), 16) / 255).toFixed(3))
+    .join(' ')
+}
+
+/**
+ * Escape text for a PDF string literal
+ * @param {string} text - ASCII text
+ * @returns {string} Escaped text
+ */
+const escapeText = (text) => text.replace(/[\\()]/g, (char) => `\\${char}`)
+
+/**
+ * Create a PDF document
+ * Coordinates are in points measured from the top-left corner of the page
+ * @param {Object} [options] - Document options
+ * @param {string} [options.title] - Document title shown by PDF viewers
+ * @returns {Object} Drawing methods and toBlob()
+ *
+ * @example
+ * const pdf = createPdfDocument({ title: 'INV-2025-00001' })
+ * pdf.text('Invoice', 40, 60, { size: 20, bold: true })
+ * const blob = pdf.toBlob()
+ */
+export const createPdfDocument = (options = {}) => {
+  const pages = [[]]
+  const current = () => pages[pages.length - 1]
+  const flipY = (y) => (PAGE_SIZE.height - y).toFixed(2)
+
+  const pdf = {
+    /**
+     * Start a new page
+     */
+    addPage: () => {
+      pages.push([])
+      return pdf
+    },
+
+    /**
+     * Write a line of text
+     * @param {string} text - Text to write
+     * @param {number} x - Left edge, or right edge when align is 'right'
+     * @param {number} y - Baseline
+     * @param {Object} [style] - size, bold, color and align ('left' | 'right')
+     */
+    text: (text, x, y, style = {}) => {
+      const { size = 10, bold = false, color = '#111827', align = 'left' } = style
+      const value = toPdfText(text)
+      const left = align === 'right' ? x - measureText(value, size) : x
+      current().push(
+        `BT /${bold ? 'F2' : 'F1'} ${size} Tf ${toRgb(color)} rg ${left.toFixed(2)} ${flipY(y)} Td (${escapeText(value)}) Tj ET`
+      )
+      return pdf
+    },
+
+    /**
+     * Draw a straight line
+     * @param {number} x1 - Start x
+     * @param {number} y1 - Start y
+     * @param {number} x2 - End x
+     * @param {number} y2 - End y
+     * @param {Object} [style] - color and width
+     */
+    line: (x1, y1, x2, y2, style = {}) => {
+      const { color = '#e5e7eb', width = 1 } = style
+      current().push(
+        `${toRgb(color)} RG ${width} w ${x1.toFixed(2)} ${flipY(y1)} m ${x2.toFixed(2)} ${flipY(y2)} l S`
+      )
+      return pdf
+    },
+
+    /**
+     * Draw a filled rectangle
+     * @param {number} x - Left edge
+     * @param {number} y - Top edge
+     * @param {number} width - Width
+     * @param {number} height - Height
+     * @param {Object} [style] - fill colour
+     */
+    rect: (x, y, width, height, style = {}) => {
+      const { fill = '#f3f4f6' } = style
+      current().push(
+        `${toRgb(fill)} rg ${x.toFixed(2)} ${flipY(y + height)} ${width.toFixed(2)} ${height.toFixed(2)} re f`
+      )
+      return pdf
+    },
+
+    /**
+     * Serialize the document
+     * @returns {string} PDF source (ASCII only, so string length equals byte length)
+     */
+    toString: () => {
+      const objects = []
+      const addObject = (body) => {
+        objects.push(body)
+        return objects.length
+      }
+
+      const catalogId = addObject(null)
+      const pagesId = addObject(null)
+      const regularFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>')
+      const boldFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>')
+      const infoId = addObject(`<< /Title (${escapeText(toPdfText(options.title || 'Document'))}) /Producer (SportClubApp) >>`)
+
+      const pageIds = pages.map(operations => {
+        const content = operations.join('\n')
+        const contentId = addObject(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`)
+        return addObject(
+          `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_SIZE.width} ${PAGE_SIZE.height}] ` +
+          `/Resources << /Font << /F1 ${regularFontId} 0 R /F2 ${boldFontId} 0 R >> >> /Contents ${contentId} 0 R >>`
+        )
+      })
+
+      objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`
+      objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`
+
+      let source = '%PDF-1.4\n'
+      const offsets = objects.map((body, index) => {
+        const offset = source.length
+        source += `${index + 1} 0 obj\n${body}\nendobj\n`
+        return offset
+      })
+
+      const xrefOffset = source.length
+      source += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`
+      source += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('')
+      source += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`
+
+      return source
+    },
+
+    /**
+     * Serialize the document as a downloadable blob
+     * @returns {Blob} PDF blob
+     */
+    toBlob: () => new Blob([pdf.toString()], { type: 'application/pdf' })
+  }
+
+  return pdf
+}
+
+/**
+ * Save a blob through a temporary download link
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
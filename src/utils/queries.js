@@ -0,0 +1,146 @@
+/**
+ * Query Utility Functions
+ *
+ * Runs Appwrite queries (the strings Query.equal(), Query.orderDesc() and
+ * friends build) against documents held locally, giving the same documents
+ * and total as listDocuments would for the same data.
+ */
+
+// listDocuments returns 25 documents when no limit is given
+const DEFAULT_LIMIT = 25
+
+const PAGINATION_METHODS = ['limit', 'offset', 'cursorAfter', 'cursorBefore']
+const ORDER_METHODS = ['orderAsc', 'orderDesc']
+
+/**
+ * Parse a query built by Query
+ * @param {string|Object} query - Query string or already parsed query
+ * @returns {Object} { method, attribute, values }
+ */
+export const parseQuery = (query) => (typeof query === 'string' ? JSON.parse(query) : query)
+
+/**
+ * Compare two attribute values the way the database orders them
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number} Negative, zero or positive
+ */
+const compareValues = (a, b) => {
+  if (a === b) return 0
+  if (a === null || a === undefined) return -1
+  if (b === null || b === undefined) return 1
+  return a < b ? -1 : a > b ? 1 : 0
+}
+
+/**
+ * Whether a document matches one filter query
+ * Array attributes match when any element matches.
+ * @param {Object} document - Document
+ * @param {string|Object} query - Filter query
+ * @returns {boolean} True on a match; unknown methods match everything
+ */
+export const matchesQuery = (document, query) => {
+  const { method, attribute, values = [] } = parseQuery(query)
+  const value = document[attribute]
+  const items = Array.isArray(value) ? value : [value]
+  const some = (test) => items.some(item => item !== null && item !== undefined && test(item))
+
+  switch (method) {
+    case 'equal':
+      return items.some(item => values.includes(item))
+    case 'notEqual':
+      return !items.some(item => values.includes(item))
+    case 'lessThan':
+      return some(item => item < values[0])
+    case 'lessThanEqual':
+      return some(item => item <= values[0])
+    case 'greaterThan':
+      return some(item => item > values[0])
+    case 'greaterThanEqual':
+      return some(item => item >= values[0])
+    case 'between':
+      return some(item => item >= values[0] && item <= values[1])
+    case 'isNull':
+      return value === null || value === undefined
+    case 'isNotNull':
+      return value !== null && value !== undefined
+    case 'startsWith':
+      return some(item => String(item).startsWith(values[0]))
+    case 'endsWith':
+      return some(item => String(item).endsWith(values[0]))
+    case 'contains':
+      return Array.isArray(value)
+        ? values.some(expected => value.includes(expected))
+        : some(item => values.some(expected => String(item).includes(expected)))
+    case 'search': {
+      const words = String(values[0] || '').toLowerCase().split(/\s+/).filter(Boolean)
+      return some(item => words.some(word => String(item).toLowerCase().includes(word)))
+    }
+    case 'and':
+      return values.every(nested => matchesQuery(document, nested))
+    case 'or':
+      return values.some(nested => matchesQuery(document, nested))
+    default:
+      return true
+  }
+}
+
+/**
+ * The queries that choose documents, without ordering or paging
+ * @param {Array<string>} queries - Queries
+ * @returns {Array<string>} Filter queries
+ */
+export const getFilterQueries = (queries = []) => queries.filter(query => {
+  const { method } = parseQuery(query)
+  return !PAGINATION_METHODS.includes(method) && !ORDER_METHODS.includes(method) && method !== 'select'
+})
+
+/**
+ * Whether queries page through results rather than starting at the first
+ * @param {Array<string>} queries - Queries
+ * @returns {boolean} True when an offset or cursor is given
+ */
+export const isPaged = (queries = []) => queries.some(query => {
+  const { method, values = [] } = parseQuery(query)
+  return ['cursorAfter', 'cursorBefore'].includes(method) || (method === 'offset' && values[0] > 0)
+})
+
+/**
+ * Run queries against documents
+ * @param {Array<Object>} documents - Every document of the collection
+ * @param {Array<string>} [queries=[]] - Queries built by Query
+ * @returns {Object} { documents, total } as listDocuments returns them
+ *
+ * @example
+ * runQueries(classes, [Query.equal('date', '2025-03-04'), Query.orderAsc('time')])
+ */
+export const runQueries = (documents, queries = []) => {
+  const parsed = queries.map(parseQuery)
+  const filters = getFilterQueries(parsed)
+  const orders = parsed.filter(query => ORDER_METHODS.includes(query.method))
+  const option = (method) => parsed.find(query => query.method === method)?.values?.[0]
+
+  const matches = documents
+    .filter(document => filters.every(query => matchesQuery(document, query)))
+    .sort((a, b) => {
+      for (const { method, attribute } of orders) {
+        const order = compareValues(a[attribute], b[attribute])
+        if (order !== 0) return method === 'orderAsc' ? order : -order
+      }
+      return compareValues(a.$id, b.$id)
+    })
+
+  let start = option('offset') || 0
+  let end = matches.length
+  const after = option('cursorAfter')
+  const before = option('cursorBefore')
+  if (after) start = matches.findIndex(document => document.$id === after) + 1
+  if (before) end = Math.max(matches.findIndex(document => document.$id === before), 0)
+
+  const limit = option('limit') ?? DEFAULT_LIMIT
+  const page = before
+    ? matches.slice(start, end).slice(-limit)
+    : matches.slice(start, end).slice(0, limit)
+
+  return { documents: page, total: matches.length }
+}
@@ -0,0 +1,253 @@
+/**
+ * Recurrence Rule Utilities
+ *
+ * A small RRULE subset for class series: weekly on chosen weekdays every N
+ * weeks, or monthly on the nth (or last) weekday every N months, ending on
+ * an UNTIL date or after COUNT occurrences. Rules are stored as RRULE
+ * strings, e.g. FREQ=WEEKLY;INTERVAL=1;BYDAY=MO,WE,FR;UNTIL=20250328 or
+ * FREQ=MONTHLY;INTERVAL=1;BYDAY=2TU;COUNT=6.
+ *
+ * Dates are YYYY-MM-DD strings and are handled in UTC so a rule expands to
+ * the same dates on every device.
+ */
+
+import { DAYS_OF_WEEK } from './calendar.js'
+import { addDays, getWeekday } from './dates.js'
+
+export const RECURRENCE_FREQUENCIES = {
+  WEEKLY: 'WEEKLY',
+  MONTHLY: 'MONTHLY'
+}
+
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']
+const ORDINALS = { 1: '1st', 2: '2nd', 3: '3rd', 4: '4th', '-1': 'last' }
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+// Stop runaway expansion of rules with no end in sight
+const MAX_EXPANSION_STEPS = 5000
+
+const toDate = (dateString) => new Date(`${dateString}T00:00:00.000Z`)
+const toKey = (date) => date.toISOString().split('T')[0]
+
+/**
+ * Which occurrence of its weekday a date is within its month
+ * @param {string} dateString - Date (YYYY-MM-DD)
+ * @returns {{ nth: number, isLast: boolean }} 1-based position, and whether it is the last one
+ */
+export const getMonthlyPosition = (dateString) => {
+  const date = toDate(dateString)
+  const day = date.getUTCDate()
+  const daysInMonth = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate()
+
+  return {
+    nth: Math.ceil(day / 7),
+    isLast: day + 7 > daysInMonth
+  }
+}
+
+/**
+ * Date of the nth weekday in a month
+ * @param {number} year - Year
+ * @param {number} month - Month (0-11)
+ * @param {number} weekday - Weekday (0 = Sunday)
+ * @param {number} nth - 1-4, or -1 for the last one
+ * @returns {string|null} Date (YYYY-MM-DD), or null when the month has no such day
+ */
+const nthWeekdayOfMonth = (year, month, weekday, nth) => {
+  if (nth === -1) {
+    const last = new Date(Date.UTC(year, month + 1, 0))
+    last.setUTCDate(last.getUTCDate() - ((last.getUTCDay() - weekday + 7) % 7))
+    return toKey(last)
+  }
+
+  const first = new Date(Date.UTC(year, month, 1))
+  const day = 1 + ((weekday - first.getUTCDay() + 7) % 7) + (nth - 1) * 7
+  const date = new Date(Date.UTC(year, month, day))
+  return date.getUTCMonth() === month ? toKey(date) : null
+}
+
+/**
+ * Parse an RRULE string
+ * @param {string} rrule - Rule string
+ * @returns {Object} Rule: { freq, interval, byDay, nth, until, count }
+ *
+ * @example
+ * parseRule('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;COUNT=10')
+ * // { freq: 'WEEKLY', interval: 2, byDay: [1, 4], nth: null, until: null, count: 10 }
+ */
+export const parseRule = (rrule = '') => {
+  const parts = Object.fromEntries(
+    rrule.split(';').filter(Boolean).map(part => part.split('=').map(value => value.trim().toUpperCase()))
+  )
+
+  const rule = {
+    freq: parts.FREQ || RECURRENCE_FREQUENCIES.WEEKLY,
+    interval: Math.max(1, parseInt(parts.INTERVAL, 10) || 1),
+    byDay: [],
+    nth: null,
+    until: parts.UNTIL ? `${parts.UNTIL.slice(0, 4)}-${parts.UNTIL.slice(4, 6)}-${parts.UNTIL.slice(6, 8)}` : null,
+    count: parts.COUNT ? parseInt(parts.COUNT, 10) : null
+  }
+
+  ;(parts.BYDAY || '').split(',').filter(Boolean).forEach(token => {
+    const match = token.match(/^(-?\d)?([A-Z]{2})$/)
+    if (!match || !WEEKDAY_CODES.includes(match[2])) return
+    rule.byDay.push(WEEKDAY_CODES.indexOf(match[2]))
+    if (match[1]) rule.nth = parseInt(match[1], 10)
+  })
+
+  rule.byDay.sort((a, b) => a - b)
+  return rule
+}
+
+/**
+ * Build an RRULE string from a rule
+ * @param {Object} rule - Rule (see parseRule)
+ * @returns {string} Rule string
+ */
+export const formatRule = (rule) => {
+  const byDay = rule.freq === RECURRENCE_FREQUENCIES.MONTHLY
+    ? `${rule.nth}${WEEKDAY_CODES[rule.byDay[0]]}`
+    : [...rule.byDay].sort((a, b) => a - b).map(day => WEEKDAY_CODES[day]).join(',')
+
+  return [
+    `FREQ=${rule.freq}`,
+    `INTERVAL=${rule.interval || 1}`,
+    `BYDAY=${byDay}`,
+    rule.until && `UNTIL=${rule.until.replace(/-/g, '')}`,
+    !rule.until && rule.count && `COUNT=${rule.count}`
+  ].filter(Boolean).join(';')
+}
+
+/**
+ * Check a rule against a start date
+ * @param {Object} rule - Rule (see parseRule)
+ * @param {string} startDate - First date of the series (YYYY-MM-DD)
+ * @returns {Array<string>} Problems, empty when the rule is usable
+ */
+export const validateRule = (rule, startDate) => {
+  const errors = []
+
+  if (!Object.values(RECURRENCE_FREQUENCIES).includes(rule.freq)) {
+    errors.push('Repeat must be weekly or monthly')
+  }
+
+  if (!Number.isInteger(rule.interval) || rule.interval < 1 || rule.interval > 12) {
+    errors.push('Repeat interval must be between 1 and 12')
+  }
+
+  if (rule.byDay.length === 0) {
+    errors.push('Choose at least one day of the week')
+  }
+
+  if (rule.freq === RECURRENCE_FREQUENCIES.MONTHLY) {
+    if (rule.byDay.length !== 1) {
+      errors.push('Monthly repeats fall on a single weekday')
+    }
+    if (![1, 2, 3, 4, -1].includes(rule.nth)) {
+      errors.push('Monthly repeats need the 1st, 2nd, 3rd, 4th or last weekday')
+    }
+  }
+
+  if (!rule.until && !rule.count) {
+    errors.push('Choose an end date or a number of classes')
+  }
+
+  if (rule.until && (!DATE_PATTERN.test(rule.until) || (startDate && rule.until < startDate))) {
+    errors.push('Repeat end date must be on or after the start date')
+  }
+
+  if (rule.count !== null && rule.count !== undefined && (!Number.isInteger(rule.count) || rule.count < 1)) {
+    errors.push('Number of classes must be at least 1')
+  }
+
+  return errors
+}
+
+/**
+ * Expand a rule into occurrence dates
+ * COUNT counts every occurrence of the rule, including excluded dates, as in
+ * RFC 5545.
+ * @param {Object} rule - Rule (see parseRule)
+ * @param {string} startDate - First date of the series (YYYY-MM-DD)
+ * @param {Object} [options] - Expansion options
+ * @param {string} [options.from] - Only return dates on or after this date
+ * @param {string} [options.to] - Stop after this date
+ * @param {Array<string>} [options.exdates=[]] - Dates to leave out
+ * @returns {Array<string>} Occurrence dates (YYYY-MM-DD), in order
+ *
+ * @example
+ * expandRule(parseRule('FREQ=WEEKLY;BYDAY=MO,WE,FR;COUNT=4'), '2025-01-06')
+ * // ['2025-01-06', '2025-01-08', '2025-01-10', '2025-01-13']
+ */
+export const expandRule = (rule, startDate, options = {}) => {
+  const { from = null, to = null, exdates = [] } = options
+  const excluded = new Set(exdates)
+  const end = [rule.until, to].filter(Boolean).sort()[0] || null
+  const dates = []
+  let generated = 0
+
+  const accept = (date) => {
+    if (date < startDate) return true
+    if ((end && date > end) || (rule.count && generated >= rule.count)) return false
+
+    generated++
+    if (!excluded.has(date) && (!from || date >= from)) {
+      dates.push(date)
+    }
+    return true
+  }
+
+  if (!end && !rule.count) return dates
+
+  if (rule.freq === RECURRENCE_FREQUENCIES.MONTHLY) {
+    const start = toDate(startDate)
+
+    for (let step = 0; step < MAX_EXPANSION_STEPS; step++) {
+      const monthIndex = start.getUTCMonth() + step * rule.interval
+      const year = start.getUTCFullYear() + Math.floor(monthIndex / 12)
+      const occurrence = nthWeekdayOfMonth(year, monthIndex % 12, rule.byDay[0], rule.nth)
+
+      if (occurrence && !accept(occurrence)) break
+    }
+
+    return dates
+  }
+
+  // Weeks are counted from the Sunday on or before the start date
+  const weekStart = addDays(startDate, -getWeekday(startDate))
+
+  for (let step = 0; step < MAX_EXPANSION_STEPS; step += rule.interval) {
+    const sunday = addDays(weekStart, step * 7)
+    const keepGoing = rule.byDay.every(weekday => accept(addDays(sunday, weekday)))
+    if (!keepGoing) break
+  }
+
+  return dates
+}
+
+/**
+ * Describe a rule for people
+ * @param {Object} rule - Rule (see parseRule)
+ * @returns {string} Description, e.g. "Every week on Mon, Wed and Fri until 28 Mar 2025"
+ */
+export const describeRule = (rule) => {
+  const dayNames = rule.byDay.map(day => DAYS_OF_WEEK[day])
+  const dayList = dayNames.length > 1
+    ? `${dayNames.slice(0, -1).join(', ')} and ${dayNames[dayNames.length - 1]}`
+    : dayNames[0] || ''
+
+  const unit = rule.freq === RECURRENCE_FREQUENCIES.MONTHLY ? 'month' : 'week'
+  const every = rule.interval > 1 ? `Every ${rule.interval} ${unit}s` : `Every ${unit}`
+  const on = rule.freq === RECURRENCE_FREQUENCIES.MONTHLY
+    ? `on the ${ORDINALS[rule.nth] || ''} ${dayList}`
+    : `on ${dayList}`
+
+  const ending = rule.until
+    ? ` until ${toDate(rule.until).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' })}`
+    : rule.count
+      ? `, ${rule.count} ${rule.count === 1 ? 'class' : 'classes'}`
+      : ''
+
+  return `${every} ${on}${ending}`
+}
@@ -0,0 +1,87 @@
+import './setup.js'
+import { test, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { setStorageAdapter, storage } from '../src/services/storageService.js'
+import { createMemoryAdapter } from '../src/services/storageAdapter.js'
+import { createDemoData } from '../src/services/demoData.js'
+import { APPWRITE_CONFIG } from '../src/services/appwrite.js'
+import { scheduleClasses, cancelClasses, getScheduledClasses } from '../src/services/schedulingService.js'
+import { undoChangeset } from '../src/services/changesetService.js'
+import { today, addDays } from '../src/utils/dates.js'
+
+const { databaseId, collections } = APPWRITE_CONFIG
+
+beforeEach(() => {
+  setStorageAdapter(createMemoryAdapter(createDemoData()))
+})
+
+/**
+ * Morning batch classes between two dates, scheduled or cancelled
+ * @param {string} startDate - First date (YYYY-MM-DD)
+ * @param {string} endDate - Last date (YYYY-MM-DD)
+ * @returns {Promise<Array<Object>>} Class documents
+ */
+const findClasses = async (startDate, endDate) => {
+  const result = await getScheduledClasses(startDate, endDate, ['demo-batch-morning'], ['scheduled', 'cancelled'])
+  assert.equal(result.success, true)
+  return result.data.classes
+}
+
+test('undoing a schedule deletes the classes it created', async () => {
+  // Past the demo classes, so nothing clashes
+  const startDate = addDays(today(), 30)
+  const endDate = addDays(startDate, 13)
+
+  const scheduled = await scheduleClasses({
+    action: 'schedule',
+    startDate,
+    endDate,
+    batches: ['demo-batch-morning']
+  })
+
+  assert.equal(scheduled.success, true)
+  assert.equal(scheduled.data.scheduled, 6)
+  assert.ok(scheduled.data.changesetId)
+  assert.equal((await findClasses(startDate, endDate)).length, 6)
+
+  const undone = await undoChangeset(scheduled.data.changesetId)
+
+  assert.equal(undone.success, true)
+  assert.equal(undone.data.reverted, 6)
+  assert.equal(undone.data.status, 'undone')
+  assert.equal((await findClasses(startDate, endDate)).length, 0)
+  for (const classDoc of scheduled.data.classes) {
+    await assert.rejects(storage.getDocument(databaseId, collections.classes, classDoc.$id), { code: 404 })
+  }
+})
+
+test('undoing a cancellation puts back the statuses the classes had', async () => {
+  // The demo club's morning classes in the coming week
+  const startDate = addDays(today(), 1)
+  const endDate = addDays(today(), 7)
+  const before = await findClasses(startDate, endDate)
+  assert.ok(before.length > 0)
+
+  const cancelled = await cancelClasses({
+    startDate,
+    endDate,
+    batches: ['demo-batch-morning'],
+    reason: 'Ground under repair'
+  })
+
+  assert.equal(cancelled.success, true)
+  assert.equal(cancelled.data.cancelled, before.length)
+  assert.ok(cancelled.data.changesetId)
+  assert.ok((await findClasses(startDate, endDate)).every(classDoc => classDoc.status === 'cancelled'))
+
+  const undone = await undoChangeset(cancelled.data.changesetId)
+
+  assert.equal(undone.success, true)
+  assert.equal(undone.data.reverted, before.length)
+
+  const after = await findClasses(startDate, endDate)
+  assert.deepEqual(
+    after.map(classDoc => [classDoc.$id, classDoc.status]).sort(),
+    before.map(classDoc => [classDoc.$id, classDoc.status]).sort()
+  )
+})
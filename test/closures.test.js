@@ -0,0 +1,40 @@
+import './setup.js'
+import { test, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { setStorageAdapter } from '../src/services/storageService.js'
+import { createMemoryAdapter } from '../src/services/storageAdapter.js'
+import { createDemoData } from '../src/services/demoData.js'
+import { createClosure, clearClosureCache } from '../src/services/closureService.js'
+import { rescheduleClasses, getScheduledClasses } from '../src/services/schedulingService.js'
+import { today, addDays, getWeekday } from '../src/utils/dates.js'
+
+beforeEach(() => {
+  setStorageAdapter(createMemoryAdapter(createDemoData()))
+  clearClosureCache()
+})
+
+test('moving a class onto a closure names the closure', async () => {
+  const upcoming = await getScheduledClasses(addDays(today(), 1), addDays(today(), 7), ['demo-batch-morning'])
+  const [classDoc] = upcoming.data.classes
+  assert.ok(classDoc)
+
+  // A weekday three weeks out, clear of the demo classes
+  let targetDate = addDays(today(), 21)
+  while (getWeekday(targetDate) === 0) targetDate = addDays(targetDate, 1)
+
+  const closure = await createClosure({ name: 'Ground maintenance', start_date: targetDate })
+  assert.equal(closure.success, true)
+
+  const result = await rescheduleClasses({
+    startDate: classDoc.date,
+    endDate: classDoc.date,
+    batches: ['demo-batch-morning'],
+    targetDate
+  })
+
+  assert.equal(result.success, false)
+  assert.equal(result.operation, 'rescheduleClasses')
+  assert.equal(result.message, `The club is closed on ${targetDate} (Ground maintenance)`)
+  assert.deepEqual(result.context.closed, [{ date: targetDate, closure: 'Ground maintenance' }])
+  assert.deepEqual(result.context.fieldErrors, {})
+})
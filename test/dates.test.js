@@ -0,0 +1,54 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { toDateKey, toInstant, addDays, eachDate } from '../src/utils/dates.js'
+
+const NEW_YORK = 'America/New_York'
+
+test('toDateKey gives the calendar date in the timezone', () => {
+  assert.equal(toDateKey(new Date('2025-03-03T20:00:00Z'), 'Asia/Kolkata'), '2025-03-04')
+  assert.equal(toDateKey('2025-01-01T03:00:00Z', NEW_YORK), '2024-12-31')
+  assert.equal(toDateKey(Date.UTC(2025, 5, 15, 12), 'UTC'), '2025-06-15')
+})
+
+test('toInstant turns a club date and time into the moment it happens', () => {
+  assert.equal(toInstant('2025-03-04', '06:00', 'Asia/Kolkata').toISOString(), '2025-03-04T00:30:00.000Z')
+  assert.equal(toInstant('2025-01-15', '09:00', NEW_YORK).toISOString(), '2025-01-15T14:00:00.000Z')
+  assert.equal(toInstant('2025-07-15', '09:00', NEW_YORK).toISOString(), '2025-07-15T13:00:00.000Z')
+  assert.equal(toInstant('2025-07-15', undefined, NEW_YORK).toISOString(), '2025-07-15T04:00:00.000Z')
+})
+
+test('toInstant across the New York spring-forward', () => {
+  // Clocks go from 02:00 EST to 03:00 EDT on 9 March 2025
+  assert.equal(toInstant('2025-03-09', '01:30', NEW_YORK).toISOString(), '2025-03-09T06:30:00.000Z')
+  assert.equal(toInstant('2025-03-09', '03:30', NEW_YORK).toISOString(), '2025-03-09T07:30:00.000Z')
+
+  // 02:30 never happens that night; it lands half an hour past the change
+  assert.equal(toInstant('2025-03-09', '02:30', NEW_YORK).toISOString(), '2025-03-09T07:30:00.000Z')
+  assert.equal(toDateKey(toInstant('2025-03-09', '02:30', NEW_YORK), NEW_YORK), '2025-03-09')
+})
+
+test('toInstant across the New York fall-back', () => {
+  // Clocks go from 02:00 EDT back to 01:00 EST on 2 November 2025
+  assert.equal(toInstant('2025-11-02', '00:30', NEW_YORK).toISOString(), '2025-11-02T04:30:00.000Z')
+  assert.equal(toInstant('2025-11-02', '03:00', NEW_YORK).toISOString(), '2025-11-02T08:00:00.000Z')
+
+  // 01:30 happens twice; the first, still on EDT, is used
+  assert.equal(toInstant('2025-11-02', '01:30', NEW_YORK).toISOString(), '2025-11-02T05:30:00.000Z')
+})
+
+test('addDays crosses month and year ends', () => {
+  assert.equal(addDays('2025-01-31', 1), '2025-02-01')
+  assert.equal(addDays('2025-03-01', -1), '2025-02-28')
+  assert.equal(addDays('2024-02-28', 1), '2024-02-29')
+  assert.equal(addDays('2024-12-31', 1), '2025-01-01')
+  assert.equal(addDays('2025-01-01', -1), '2024-12-31')
+  assert.equal(addDays('2025-12-25', 10), '2026-01-04')
+  assert.equal(addDays('2025-03-08', 2), '2025-03-10')
+})
+
+test('eachDate lists every date across month and year ends', () => {
+  assert.deepEqual(eachDate('2025-02-27', '2025-03-02'), ['2025-02-27', '2025-02-28', '2025-03-01', '2025-03-02'])
+  assert.deepEqual(eachDate('2024-12-30', '2025-01-02'), ['2024-12-30', '2024-12-31', '2025-01-01', '2025-01-02'])
+  assert.deepEqual(eachDate('2025-11-01', '2025-11-03'), ['2025-11-01', '2025-11-02', '2025-11-03'])
+  assert.deepEqual(eachDate('2025-01-02', '2025-01-01'), [])
+})
@@ -0,0 +1,41 @@
+import './setup.js'
+import { test, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { setStorageAdapter } from '../src/services/storageService.js'
+import { createMemoryAdapter } from '../src/services/storageAdapter.js'
+import { createDemoData } from '../src/services/demoData.js'
+import { generateInvoice, getStudentInvoices, INVOICE_CONFIG } from '../src/services/invoiceService.js'
+import { today } from '../src/utils/dates.js'
+
+const period = today().slice(0, 7)
+
+beforeEach(() => {
+  setStorageAdapter(createMemoryAdapter(createDemoData()))
+})
+
+afterEach(() => {
+  navigator.onLine = true
+})
+
+test('the memory backend issues invoices without a connection', async () => {
+  navigator.onLine = false
+
+  // demo-student-3 has not paid this month
+  const result = await generateInvoice({ student_id: 'demo-student-3', fromPeriod: period, toPeriod: period }, 'priya@demo.sportclub.app')
+
+  assert.equal(result.success, true)
+  assert.equal(result.data.number, `INV-${period.slice(0, 4)}-00001`)
+})
+
+test('on Appwrite, invoices are refused offline with the reason', async () => {
+  setStorageAdapter(null)
+  navigator.onLine = false
+
+  const issued = await generateInvoice({ student_id: 'demo-student-3', fromPeriod: period, toPeriod: period })
+  const listed = await getStudentInvoices('demo-student-3')
+
+  assert.equal(issued.success, false)
+  assert.equal(issued.message, INVOICE_CONFIG.OFFLINE_MESSAGE)
+  assert.equal(listed.success, false)
+  assert.equal(listed.message, INVOICE_CONFIG.OFFLINE_MESSAGE)
+})
@@ -0,0 +1,98 @@
+import './setup.js'
+import { test, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { setStorageAdapter, storage } from '../src/services/storageService.js'
+import { createMemoryAdapter } from '../src/services/storageAdapter.js'
+import { createDemoData } from '../src/services/demoData.js'
+import { APPWRITE_CONFIG } from '../src/services/appwrite.js'
+import { clearClosureCache } from '../src/services/closureService.js'
+import { rescheduleClasses } from '../src/services/schedulingService.js'
+import { bookStudent, getClassBookings } from '../src/services/bookingService.js'
+import { today, addDays, getWeekday } from '../src/utils/dates.js'
+
+const { databaseId, collections } = APPWRITE_CONFIG
+
+// A weekday three weeks out, clear of the demo classes
+let targetDate = addDays(today(), 21)
+while (getWeekday(targetDate) === 0) targetDate = addDays(targetDate, 1)
+
+beforeEach(() => {
+  // Today's only class is the morning one added by each test
+  const seed = createDemoData()
+  seed[collections.classes] = seed[collections.classes].filter(classDoc => classDoc.date !== today())
+  setStorageAdapter(createMemoryAdapter(seed))
+  clearClosureCache()
+})
+
+/**
+ * Add a scheduled morning class today
+ * @param {Object} [data] - Fields to set on the class
+ * @returns {Promise<Object>} Class document
+ */
+const addClassToday = (data = {}) => storage.createDocument(databaseId, collections.classes, 'class-today', {
+  date: today(),
+  batch_id: 'demo-batch-morning',
+  batch_name: 'Morning Batch',
+  time: '06:00',
+  status: 'scheduled',
+  max_students: 15,
+  instructor_ids: ['demo-instructor-1'],
+  ...data
+})
+
+test('a class today moves to a later day with its bookings', async () => {
+  const classDoc = await addClassToday()
+  const booking = await bookStudent(classDoc.$id, { $id: 'demo-student-1', name: 'Aarav Patel' }, 'priya@demo.sportclub.app')
+  assert.equal(booking.success, true)
+
+  const result = await rescheduleClasses({
+    startDate: today(),
+    endDate: today(),
+    batches: ['demo-batch-morning'],
+    targetDate
+  })
+
+  assert.equal(result.success, true)
+  assert.equal(result.data.rescheduled, 1)
+
+  const [move] = result.data.moves
+  assert.equal(move.bookings, 1)
+
+  const moved = await getClassBookings(move.to)
+  assert.deepEqual(moved.data.booked.map(entry => entry.student_id), ['demo-student-1'])
+  assert.equal((await storage.getDocument(databaseId, collections.classes, move.to)).booked_count, 1)
+
+  const left = await getClassBookings(classDoc.$id)
+  assert.equal(left.data.booked.length, 0)
+  assert.equal((await storage.getDocument(databaseId, collections.classes, classDoc.$id)).booked_count, 0)
+})
+
+test('a move is refused when the class\'s instructor is teaching then', async () => {
+  // Arjun covers today's morning class, and teaches an evening class at 06:00 on the target date
+  await addClassToday({ instructor_ids: ['demo-instructor-2'] })
+  await storage.createDocument(databaseId, collections.classes, 'class-busy', {
+    date: targetDate,
+    batch_id: 'demo-batch-evening',
+    batch_name: 'Evening Batch',
+    time: '06:00',
+    status: 'scheduled',
+    max_students: 12,
+    instructor_ids: ['demo-instructor-2']
+  })
+
+  const result = await rescheduleClasses({
+    startDate: today(),
+    endDate: today(),
+    batches: ['demo-batch-morning'],
+    targetDate,
+    targetTime: '06:00'
+  })
+
+  assert.equal(result.success, false)
+  assert.equal(result.message, 'Instructors are already teaching at the new time of 1 classes')
+  assert.deepEqual(
+    result.context.instructorConflicts.map(conflict => [conflict.instructorId, conflict.existingClass.$id]),
+    [['demo-instructor-2', 'class-busy']]
+  )
+  assert.equal((await storage.getDocument(databaseId, collections.classes, 'class-today')).status, 'scheduled')
+})
@@ -0,0 +1,110 @@
+import './setup.js'
+import { test, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { setStorageAdapter, storage } from '../src/services/storageService.js'
+import { createMemoryAdapter } from '../src/services/storageAdapter.js'
+import { createDemoData } from '../src/services/demoData.js'
+import { APPWRITE_CONFIG } from '../src/services/appwrite.js'
+import { clearClosureCache } from '../src/services/closureService.js'
+import { createClassSeries, updateSeriesFrom, cancelSeriesFrom } from '../src/services/seriesService.js'
+import { bookStudent, getClassBookings } from '../src/services/bookingService.js'
+import { today, addDays, getWeekday } from '../src/utils/dates.js'
+
+const { databaseId, collections } = APPWRITE_CONFIG
+
+beforeEach(() => {
+  setStorageAdapter(createMemoryAdapter(createDemoData()))
+  clearClosureCache()
+})
+
+/**
+ * Four weeks of Monday, Wednesday and Friday morning classes, starting past
+ * the demo classes
+ * @returns {Promise<Array<Object>>} The series' classes by date
+ */
+const createMorningSeries = async () => {
+  const startDate = addDays(today(), 14)
+  const until = addDays(startDate, 27).replaceAll('-', '')
+
+  const result = await createClassSeries({
+    startDate,
+    batches: ['demo-batch-morning'],
+    rule: `FREQ=WEEKLY;INTERVAL=1;BYDAY=MO,WE,FR;UNTIL=${until}`,
+    time: '06:00'
+  })
+
+  assert.equal(result.success, true)
+  assert.equal(result.data.scheduled, 12)
+  return [...result.data.classes].sort((a, b) => a.date.localeCompare(b.date))
+}
+
+/**
+ * A class as stored now
+ * @param {string} classId - Class document ID
+ * @returns {Promise<Object>} Class document
+ */
+const loadClass = (classId) => storage.getDocument(databaseId, collections.classes, classId)
+
+test('changing the time of the following classes keeps them and their bookings', async () => {
+  const classes = await createMorningSeries()
+  const [, , fromClass, bookedClass] = classes
+
+  const booking = await bookStudent(bookedClass.$id, { $id: 'demo-student-1', name: 'Aarav Patel' }, 'priya@demo.sportclub.app')
+  assert.equal(booking.success, true)
+
+  const result = await updateSeriesFrom(fromClass.$id, { time: '07:00' })
+
+  assert.equal(result.success, true)
+  assert.equal(result.data.updated, 10)
+  assert.equal(result.data.scheduled, 0)
+  assert.equal(result.data.cancelled, 0)
+
+  for (const classDoc of classes.slice(0, 2)) {
+    assert.equal((await loadClass(classDoc.$id)).time, '06:00')
+  }
+  for (const classDoc of classes.slice(2)) {
+    const current = await loadClass(classDoc.$id)
+    assert.equal(current.time, '07:00')
+    assert.equal(current.status, 'scheduled')
+    assert.equal(current.series_id, result.data.series.$id)
+  }
+
+  const bookings = await getClassBookings(bookedClass.$id)
+  assert.equal(bookings.success, true)
+  assert.equal(bookings.data.booked.length, 1)
+})
+
+test('occurrences the new rule drops are cancelled, not deleted', async () => {
+  const classes = await createMorningSeries()
+  const [fromClass] = classes
+  const until = addDays(fromClass.date, 27).replaceAll('-', '')
+
+  const result = await updateSeriesFrom(fromClass.$id, {
+    rule: `FREQ=WEEKLY;INTERVAL=1;BYDAY=MO,FR;UNTIL=${until}`
+  })
+
+  assert.equal(result.success, true)
+  assert.equal(result.data.updated, 8)
+  assert.equal(result.data.cancelled, 4)
+
+  for (const classDoc of classes) {
+    const current = await loadClass(classDoc.$id)
+    const isWednesday = getWeekday(classDoc.date) === 3
+    assert.equal(current.status, isWednesday ? 'cancelled' : 'scheduled')
+  }
+})
+
+test('a series cannot be cancelled from a class that has taken place', async () => {
+  const classes = await createMorningSeries()
+  const [firstClass] = classes
+  const yesterday = addDays(today(), -1)
+  await storage.updateDocument(databaseId, collections.classes, firstClass.$id, { date: yesterday, occurrence_date: yesterday })
+
+  const result = await cancelSeriesFrom(firstClass.$id, 'Coach away')
+
+  assert.equal(result.success, false)
+  assert.equal(result.message, 'Past classes cannot be changed')
+  for (const classDoc of classes) {
+    assert.equal((await loadClass(classDoc.$id)).status, 'scheduled')
+  }
+})
@@ -0,0 +1,28 @@
+/**
+ * Test Setup
+ *
+ * The browser globals the services read, for running them under Node:
+ * Web Storage for sessions and bulk operations, and navigator.onLine.
+ * Import it before any service.
+ */
+
+/**
+ * Web Storage kept in a Map
+ * @function createWebStorage
+ * @returns {Storage} Storage with getItem, setItem, removeItem and clear
+ */
+const createWebStorage = () => {
+  const items = new Map()
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+    clear: () => items.clear()
+  }
+}
+
+globalThis.localStorage = createWebStorage()
+globalThis.sessionStorage = createWebStorage()
+
+// Node 21+ has a navigator without onLine; replace it either way
+Object.defineProperty(globalThis, 'navigator', { value: { onLine: true }, configurable: true })
@@ -0,0 +1,105 @@
+import './setup.js'
+import { test, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { setStorageAdapter, isLocalStorage, storage } from '../src/services/storageService.js'
+import { createMemoryAdapter } from '../src/services/storageAdapter.js'
+import { createDemoData, DEMO_INSTRUCTORS, DEMO_PASSWORD } from '../src/services/demoData.js'
+import { APPWRITE_CONFIG, realtimeManager } from '../src/services/appwrite.js'
+import { getStudents, createStudent, getStudentsByBatch, saveRollCall, getAttendanceByDate } from '../src/services/databaseService.js'
+import { recordPayment } from '../src/services/paymentService.js'
+import { login, logout, getCurrentUser, getCurrentActor } from '../src/services/authService.js'
+import { today } from '../src/utils/dates.js'
+
+const { databaseId, collections } = APPWRITE_CONFIG
+const [admin] = DEMO_INSTRUCTORS
+
+beforeEach(() => {
+  setStorageAdapter(createMemoryAdapter(createDemoData()))
+  localStorage.clear()
+  sessionStorage.clear()
+})
+
+test('services read the demo club from the memory adapter', async () => {
+  assert.equal(isLocalStorage(), true)
+
+  const result = await getStudents()
+
+  assert.equal(result.success, true)
+  assert.equal(result.data.total, 6)
+})
+
+test('a created student is found by its batch', async () => {
+  const created = await createStudent({ name: 'Nisha Rao', contact: '9800000007', batches: ['Morning Batch'] }, admin.$id)
+  assert.equal(created.success, true)
+
+  const result = await getStudentsByBatch('Morning Batch')
+
+  assert.equal(result.success, true)
+  assert.ok(result.data.students.some(student => student.name === 'Nisha Rao'))
+})
+
+test('realtime subscribers hear about writes to the memory adapter', async () => {
+  const events = []
+  const unsubscribe = realtimeManager.subscribe('students', event => events.push(event))
+
+  const created = await createStudent({ name: 'Nisha Rao', contact: '9800000007', batches: ['Morning Batch'] }, admin.$id)
+  unsubscribe()
+  await createStudent({ name: 'Kabir Shah', contact: '9800000008', batches: ['Morning Batch'] }, admin.$id)
+
+  assert.equal(created.success, true)
+  assert.deepEqual(events.map(event => [event.eventType, event.document.name]), [['create', 'Nisha Rao']])
+})
+
+test('a roll call saves every student, a few at a time', async () => {
+  const date = today()
+  const studentIds = ['demo-student-1', 'demo-student-2', 'demo-student-3', 'demo-student-4', 'demo-student-5', 'demo-student-6']
+
+  const result = await saveRollCall({
+    batch_name: 'Evening Batch',
+    date,
+    entries: studentIds.map((studentId, index) => ({ student_id: studentId, status: index % 2 ? 'absent' : 'present' }))
+  }, admin.$id)
+
+  assert.equal(result.success, true)
+  assert.equal(result.data.saved, 6)
+
+  const stored = await getAttendanceByDate(date, 'Evening Batch')
+  assert.deepEqual(stored.data.attendance.map(record => record.student_id).sort(), studentIds)
+})
+
+test('a payment is stored against the fee for the student\'s batches', async () => {
+  // demo-student-3 is in both batches and has not paid this month
+  const result = await recordPayment({
+    student_id: 'demo-student-3',
+    period: today().slice(0, 7),
+    amount: 1500,
+    method: 'Cash'
+  }, admin.$id)
+
+  assert.equal(result.success, true)
+  assert.equal(result.data.summary.due, 3000)
+  assert.equal(result.data.summary.outstanding, 1500)
+
+  const stored = await storage.getDocument(databaseId, collections.payments, result.data.payment.$id)
+  assert.equal(stored.amount, 1500)
+  assert.equal(stored.status, 'partial')
+})
+
+test('demo instructors sign in without Appwrite', async () => {
+  const result = await login(admin.email, DEMO_PASSWORD)
+
+  assert.equal(result.success, true)
+  assert.equal((await getCurrentUser()).data.email, admin.email)
+  assert.equal(await getCurrentActor(), admin.email)
+
+  await logout()
+  assert.equal((await getCurrentUser()).data, null)
+  assert.equal(await getCurrentActor(), 'system')
+})
+
+test('a wrong password is refused', async () => {
+  const result = await login(admin.email, 'not-the-password')
+
+  assert.equal(result.success, false)
+  assert.equal((await getCurrentUser()).data, null)
+})
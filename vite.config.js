@@ -12,9 +12,12 @@ export default defineConfig({
       registerType: 'autoUpdate',
       workbox: {
         globPatterns: ['**/*.{js,css,html,ico,png,svg,woff2}'],
+        // Background Sync replay of queued attendance and payments
+        importScripts: ['sw-sync.js'],
         runtimeCaching: [
           {
-            urlPattern: /^https:\/\/api\./,
+            // Appwrite database reads (services/appwrite.js endpoint)
+            urlPattern: /^https:\/\/[^/]+\/v1\/databases\//,
             handler: 'NetworkFirst',
             options: {
               cacheName: 'api-cache',